@@ -69,6 +69,7 @@ export interface DSLParameter {
   standard_value?: PhysicalQuantity | null; // 标准化后的物理量
   constraints?: PhysicalRange[]; // 新增：约束范围
   uncertainty?: number; // 新增：不确定性
+  query?: string; // role 为 unknown 时对应的 AnswerQuery id（在仿真轨迹上求值）
 }
 
 // ===== 物理量范围接口 =====
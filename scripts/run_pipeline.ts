@@ -1,14 +1,10 @@
 // scripts/run_pipeline.ts
 // 主流水线：Contract → MP4 的完整管道
 
-import { IRConverter } from '../services/ir/IRConverter';
-import { ContractValidator } from '../services/ir/ContractValidator';
-import { simulate } from '../services/simulation/Simulator';
-import { ResultValidator } from '../services/validation/ResultValidator';
-import { RenderCfgBuilder } from '../services/rendering/RenderCfgBuilder';
-import { resample } from '../services/rendering/FrameResampler';
-import { renderFrames } from '../services/rendering/CanvasFrameRenderer';
-import { encodeMP4 } from '../services/export/FFmpegEncoder';
+import type { PhysicsContract } from '../services/matter_adapter/Adapter';
+import { ContractValidator } from '../services/validation/ContractValidator';
+import { simulateContract } from '../services/simulation/SimulationCore';
+import { ResultValidator, ResultValidationError } from '../services/validation/ResultValidator';
 import * as path from 'path';
 import * as fs from 'fs';
 
@@ -70,7 +66,7 @@ export class Pipeline {
    * 执行完整流水线
    */
   async runPipeline(
-    parsedQuestion: any,
+    contract: PhysicsContract,
     outputFilename: string = 'physics_animation.mp4'
   ): Promise<PipelineResult> {
     console.log('🚀 启动物理仿真流水线...');
@@ -100,21 +96,11 @@ export class Pipeline {
       // 确保输出目录存在
       this.ensureDirectories();
       
-      // 1. IR转换：ParsedQuestion → DSL + Contract
-      console.log('🔄 第1步: IR转换...');
-      const irStartTime = performance.now();
-      
-      const { dsl, contract } = IRConverter.fromParsed(parsedQuestion);
-      
-      console.log('✅ IR转换完成');
-      console.log(`📋 DSL: ${dsl.state.dof}自由度, ${dsl.events.length}个事件`);
-      console.log(`📋 Contract: ${contract.bodies.length}个刚体, ${contract.surfaces.length}个表面`);
-      
-      // 2. Pre-Sim Gate：Contract验证
-      console.log('🔒 第2步: Pre-Sim Gate验证...');
+      // 1. Pre-Sim Gate：Contract验证
+      console.log('🔒 第1步: Pre-Sim Gate验证...');
       const preSimStartTime = performance.now();
       
-      const contractValidator = new ContractValidator();
+      const contractValidator: ContractValidator = new ContractValidator();
       
       if (this.config.enableValidation) {
         contractValidator.assert(contract); // 硬门禁，失败时抛出异常
@@ -125,114 +111,79 @@ export class Pipeline {
       
       result.statistics.validationTime += performance.now() - preSimStartTime;
       console.log('✅ Pre-Sim Gate通过');
+      console.log(`📋 Contract: ${contract.bodies.length}个刚体, ${contract.constraints.length}个约束, ${contract.event_rules.length}条事件规则`);
       
-      // 3. 数值仿真
-      console.log('🧮 第3步: 数值仿真...');
+      // 2. 数值仿真（SimulationCore，仿真时长不超过 tEnd）
+      console.log('🧮 第2步: 数值仿真...');
       const simStartTime = performance.now();
       
-      const trace = await simulate(dsl, contract, this.config.tEnd);
+      const simulated: PhysicsContract = {
+        ...contract,
+        end_conditions: {
+          ...contract.end_conditions,
+          maxTime: Math.min(contract.end_conditions.maxTime, this.config.tEnd)
+        }
+      };
+      const simulation = await simulateContract(simulated);
+      if (!simulation.success || !simulation.data) {
+        throw new Error(`仿真失败: ${simulation.error}`);
+      }
+      const trace = simulation.data;
       
       result.statistics.simulationTime = performance.now() - simStartTime;
-      console.log(`✅ 仿真完成: ${trace.samples.length}个样本, ${trace.events.length}个事件`);
-      console.log(`📊 仿真统计: ${trace.stats.steps}步, ${trace.stats.rejects}次拒绝, ${trace.stats.cpuMs.toFixed(2)}ms`);
+      console.log(`✅ 仿真完成: ${trace.frames.length}帧, ${trace.events.length}个事件`);
+      console.log(`📊 仿真统计: ${trace.finalState.totalTime.toFixed(3)}s, 结束原因 ${trace.finalState.endReason}`);
       
-      // 4. 快速检查（可选）
+      // 3. Post-Sim Gate（硬校验）：校验的就是下一步渲染的同一份轨迹，物理结果错误时不生成视频
       if (this.config.enableValidation) {
-        console.log('⚡ 第4步: 快速检查...');
-        const quickCheckStartTime = performance.now();
+        console.log('🔒 第3步: Post-Sim Gate验证...');
+        const postSimStartTime = performance.now();
         
         const resultValidator = new ResultValidator();
-        result.validation.quickCheck = resultValidator.quickCheck(trace, contract);
-        
-        result.statistics.validationTime += performance.now() - quickCheckStartTime;
-        
-        if (!result.validation.quickCheck.success) {
-          result.warnings.push(...result.validation.quickCheck.errors);
-          console.log('⚠️ 快速检查发现问题，但继续执行');
-        } else {
-          console.log('✅ 快速检查通过');
+        result.validation.quickCheck = resultValidator.quickCheck(trace, simulated);
+        try {
+          result.validation.postSimGate = resultValidator.assert(trace, simulated);
+        } catch (error) {
+          if (error instanceof ResultValidationError) {
+            result.validation.postSimGate = error.validation;
+            console.log(`❌ Post-Sim Gate失败 (评分: ${error.validation.score.toFixed(2)})`);
+          }
+          throw error;
+        } finally {
+          result.statistics.validationTime += performance.now() - postSimStartTime;
         }
+        
+        result.warnings.push(...result.validation.postSimGate.warnings);
+        console.log(`✅ Post-Sim Gate通过 (评分: ${result.validation.postSimGate.score.toFixed(2)})`);
       }
       
-      // 5. 渲染配置生成
-      console.log('🎨 第5步: 渲染配置生成...');
-      const renderConfigStartTime = performance.now();
+      // 4. 帧渲染与视频编码（按需加载渲染模块，依赖 canvas 与 ffmpeg）
+      console.log('🎞️ 第4步: 帧渲染与视频编码...');
+      const renderStartTime = performance.now();
       
-      const renderConfig = RenderCfgBuilder.from(contract, trace, {
+      const VideoGenerator = require('../services/render/VideoGenerator');
+      const generator = new VideoGenerator({
+        width: this.config.resolution[0],
+        height: this.config.resolution[1],
         fps: this.config.fps,
-        size: this.config.resolution,
-        showEnergy: true,
-        showVectors: true
+        outputDir: this.config.outputDir,
+        showTrajectories: true,
+        showForces: true
       });
+      const video = await generator.generateVideo(trace, { filename: outputFilename });
       
-      console.log('✅ 渲染配置生成完成');
-      
-      // 6. 帧重采样
-      console.log('🎬 第6步: 帧重采样...');
-      const resampledFrames = resample(trace, this.config.fps, {
-        eventAlignment: true,
-        interpolationMethod: 'linear'
-      });
-      
-      console.log(`✅ 帧重采样完成: ${resampledFrames.length}帧`);
-      
-      // 7. 帧渲染
-      console.log('🖼️ 第7步: 帧渲染...');
-      const renderStartTime = performance.now();
-      
-      const framePattern = path.join(this.config.tempDir, 'frame_%06d.png');
-      const renderResults = await renderFrames(
-        resampledFrames,
-        renderConfig,
-        this.config.tempDir
-      );
-      
+      // VideoGenerator 逐帧绘制后直接编码，耗时一并计入 renderingTime
       result.statistics.renderingTime = performance.now() - renderStartTime;
-      console.log(`✅ 帧渲染完成: ${renderResults.length}帧`);
-      
-      // 8. 视频编码
-      console.log('🎞️ 第8步: 视频编码...');
-      const encodeStartTime = performance.now();
       
-      const outputPath = path.join(this.config.outputDir, outputFilename);
-      const encodeResult = await encodeMP4(
-        framePattern,
-        outputPath,
-        this.config.fps
-      );
-      
-      result.statistics.encodingTime = performance.now() - encodeStartTime;
-      
-      if (encodeResult.success) {
-        result.outputPath = outputPath;
-        console.log(`✅ 视频编码完成: ${outputPath}`);
-        console.log(`📹 视频信息: ${encodeResult.duration.toFixed(2)}s, ${(encodeResult.fileSize / 1024 / 1024).toFixed(2)}MB`);
+      if (video.success) {
+        result.outputPath = video.videoPath;
+        console.log(`✅ 视频编码完成: ${video.videoPath}`);
+        console.log(`📹 视频信息: ${video.stats.duration.toFixed(2)}s, ${video.stats.totalFrames}帧`);
       } else {
-        throw new Error(`视频编码失败: ${encodeResult.error}`);
-      }
-      
-      // 9. Post-Sim Gate（硬校验）
-      if (this.config.enableValidation) {
-        console.log('🔒 第9步: Post-Sim Gate验证...');
-        const postSimStartTime = performance.now();
-        
-        const resultValidator = new ResultValidator();
-        result.validation.postSimGate = resultValidator.acceptance(trace, contract);
-        
-        result.statistics.validationTime += performance.now() - postSimStartTime;
-        
-        if (!result.validation.postSimGate.success) {
-          result.errors.push(...result.validation.postSimGate.errors);
-          result.warnings.push(...result.validation.postSimGate.warnings);
-          
-          console.log(`❌ Post-Sim Gate失败 (评分: ${result.validation.postSimGate.score.toFixed(2)})`);
-          console.log('⚠️ 视频已生成，但质量可能不符合要求');
-        } else {
-          console.log(`✅ Post-Sim Gate通过 (评分: ${result.validation.postSimGate.score.toFixed(2)})`);
-        }
+        throw new Error(`视频生成失败: ${video.error}`);
       }
       
-      // 10. 清理临时文件
+      // 5. 清理临时文件
       this.cleanupTempFiles();
       
       result.success = true;
@@ -307,7 +258,7 @@ export class Pipeline {
  * 便捷流水线执行函数
  */
 export async function runPipeline(
-  parsedQuestion: any,
+  contract: PhysicsContract,
   tEnd: number,
   outPath: string,
   config?: Partial<PipelineConfig>
@@ -318,7 +269,7 @@ export async function runPipeline(
   
   pipeline.updateConfig({ outputDir: outputDir });
   
-  return await pipeline.runPipeline(parsedQuestion, filename);
+  return await pipeline.runPipeline(contract, filename);
 }
 
 /**
@@ -111,24 +111,458 @@ bodies: 刚体数组，每个元素包含：
 - 摩擦系数：题目给出μ值，球体通常friction=0
 - 碰撞筛选：{category: 1, mask: 65535, group: 0}
 
-constraints: 弹簧约束数组，格式：
-{id: "spring1", type: "spring", a: {body: "wall", point: null}, b: {body: null, point: null}, length: 0, stiffness: 0.9, damping: 0}
+禁止输出任何解释、注释、额外文本、空行说明、Markdown 标题。
 
-event_rules: 事件规则数组，格式：
-{when: {on: "collisionStart", a: "ball1", b: "ball2"}, do: [{action: "merge_bodies", ids: ["ball1", "ball2"], newId: "combo"}], once: true}
+单位必须为 SI（m, kg, s, N, rad）；所有角度一律用弧度（rad）。
 
-end_conditions: 终止条件，格式：
-{maxTime: 12.0, stopWhen: [{type: "speedBelow", id: "combo", v: 0.02, hold: 0.2}]}
+坐标系固定为 xy_y_down（x 向右为正，y 向下为正）。
 
-几何计算示例（斜坡碰撞题）：
-斜坡长度=5cm，角度=30° → 高度=0.025m，水平投影=0.0433m
-小球在斜坡顶端：位置=[0.0433, 0.025]
-大球距离斜坡5cm：位置=[0.1083, 0.02]
+若题目缺少必要参数，使用下文"缺省值规则"，但不可省略必需字段。
+
+斜面/地面/粗糙段/墙体等必须用 bodies 中的静态刚体表达；摩擦系数设在刚体本身（不是表面 contact）。
+
+**完全非弹性碰撞（粘连）**必须通过 event_rules 的 merge_bodies 行为实现；仅 restitution=0 不代表粘连。
+
+如题目包含"碰撞后连接弹簧/绳索"，请在 event_rules 中用 attach_constraint 动态接入。
+
+end_conditions 必须能保证仿真结束（如 maxTime 或 speedBelow）。
+
+一、输出 JSON 的顶层结构（六键且仅六键）
+{
+  "world": {...},
+  "engine": {...},
+  "bodies": [...],
+  "constraints": [...],
+  "event_rules": [...],
+  "end_conditions": {...}
+}
+
+禁止出现除上述六键以外的任何顶层键（例如：render、materials、sensors、samples、answers、meta、assumptions 等）。
+
+二、字段规范（逐项硬指标）
+1) world —— 仿真世界参数（必填）
+"world": {
+  "coord": "xy_y_down",
+  "units": { "length": "m", "time": "s", "mass": "kg", "angle": "rad" },
+  "gravity": [0, 9.8],
+  "bounds": { "min": [-10, -10], "max": [50, 30] }
+}
+
+coord：固定写 "xy_y_down"。
+units：固定四项，单位如上。
+gravity：二维向量，通常 [0, 9.8] 表示竖直向下。
+datum：可选，重力势能零点 [x, y]（如题目指定的地面），缺省为 [0, 0]。
+bounds：仿真边界，避免物体飞出世界。
+
+2) engine —— 数值积分参数（必填）
+"engine": {
+  "dt": 0.0166667,
+  "substeps": 2,
+  "positionIterations": 6,
+  "velocityIterations": 4
+}
+
+dt：步长（秒），默认 1/60。
+substeps：每步子迭代次数（>1 提稳）。
+positionIterations / velocityIterations：碰撞求解迭代次数。
+
+3) bodies —— 所有刚体（必填，数组≥1）
+
+每个元素（刚体）必须按下列规范生成：
+
+{
+  "id": "unique_string",
+  "shape": "box|circle|polygon",
+  "isStatic": false,
+  "position": [x_m, y_m],
+  "angle": 0.0,
+  "size": { "w": 0.2, "h": 0.2 },
+  "r": 0.1,
+  "vertices": [[x,y]],
+  "mass": 1.0,
+  "density": null,
+  "friction": 0.2,
+  "frictionStatic": 0.5,
+  "restitution": 0.0,
+  "collisionFilter": { "category": 1, "mask": 65535, "group": 0 }
+}
+
+约束/说明：
+
+形状：斜面/地面/粗糙段/墙体 → isStatic:true 的 box 或 polygon；运动物体（滑块/小球/木块等）→ isStatic:false。
+
+几何：
+box 需给 size.w、size.h；
+circle 需给 r；
+polygon 需给 vertices（世界坐标，按顺时针或逆时针）。
+
+质量：若题目给质量，用 mass；如既给 mass 又给 density，以 mass 为准，density 置 null。
+
+摩擦：friction≈动摩擦 μₖ，frictionStatic≈静摩擦 μₛ。若题目仅给一个 μ，则两者都设为该值。
+
+弹性：restitution=0 表示完全非弹性接触，但不等于"粘住"。
+
+碰撞筛选：无特别需要用默认 {category:1, mask:65535, group:0}。
+
+初始穿透保护：动态体相对支撑面抬高 ~0.001 m。
+
+角度：一律用 rad（例：30°→0.5235987756）。
+
+4) constraints —— 约束/弹簧（可为空数组）
+{
+  "id": "spring1",
+  "type": "spring",
+  "a": { "body": "A_id_or_null", "point": null },
+  "b": { "body": "B_id_or_null", "point": null },
+  "length": 0.3,
+  "k": 100,
+  "c": 0.0
+}
+
+约束/说明：
+
+type 可选：
+- "spring"：弹簧，需给 length（原长，m）与 k（劲度系数，N/m），可选 c（阻尼系数，N·s/m，缺省 0）；
+- "rope"：不可伸长的轻绳，只能拉不能推；length 缺省取初始距离；
+- "rod"：轻杆（刚性距离）；length 缺省取初始距离；
+- "hinge"：铰链/销钉，把刚体上的点钉在世界点或另一刚体上；
+- "slider"：滑轨，a 为滑块，b 为 { "body": null, "point": 滑轨上一点 }，另给 "axis": [dx, dy] 方向，滑块不转动；
+- "pulley"：理想定滑轮，a、b 各挂一个刚体，另给 "pulley": { "a": 左滑轮位置, "b": 右滑轮位置 }，length 为两段绳长之和（缺省取初始值）。
+
+端点 point：body 非空时为相对刚体质心的偏移（null 表示质心）；body 为 null 且 point 非空时表示固定的世界点（如单摆悬点）。
+
+a.body / b.body 为 null 且 point 为 null 表示暂不连接（便于"碰撞后再接入"）。
+
+题面给出的弹簧常数 k (N/m) 直接填入 "k"，不要换算；仿真按胡克定律施力，振动周期严格为 T = 2π√(m/k)。
+
+若题意要求"碰撞后再压缩弹簧"，初始可把一端接墙、另一端 null，在 event_rules 中再 attach_constraint 到目标刚体。
+
+5) event_rules —— 事件规则（可为空数组）
+
+事件用于完全非弹性"粘连"、动态接入/替换约束、修改属性等。
+允许的触发/动作格式如下：
+
+{
+  "when": { "on": "collisionStart|collisionActive|time|position", "a": "bodyIdA", "b": "bodyIdB" },
+  "do": [
+    { "action": "merge_bodies", "ids": ["id1","id2"], "newId": "combo" },
+    { "action": "attach_constraint", "constraint": { "id": "spring1", "a": { "body": "combo", "point": null }, "b": { "body": "wall", "point": null } } },
+    { "action": "set_property", "id": "combo", "prop": "restitution", "value": 0.0 }
+  ],
+  "once": true
+}
+
+约束/说明：
+
+粘连：必须使用 merge_bodies；newId 为合体 ID（建议用 "combo"）。
+
+动态接入弹簧：用 attach_constraint，把既存 id 的约束绑定到指定 body（wall↔combo 等）。
+
+属性修改：用 set_property（如将新体 restitution 设 0）。
+
+when.on 常用 "collisionStart"；a/b 为参与碰撞的 body ID。
+
+once:true 代表只触发一次，防止重复合并。
+
+6) end_conditions —— 终止条件（必填）
+"end_conditions": {
+  "maxTime": 12.0,
+  "stopWhen": [
+    { "type": "speedBelow", "id": "combo", "v": 0.02, "hold": 0.2 }
+  ]
+}
+
+约束/说明：
+
+至少提供 maxTime 或一个 stopWhen 条件，推荐两者并存。
+
+常用 speedBelow：当某刚体（如粘连后 combo）速度低于阈值并持续 hold 秒时结束。
+
+stopWhen 中任一条件满足即停止，可用条件：
+- speedBelow { id, v, hold? }；allBodiesAtRest { v?, hold? }（所有动态刚体静止）
+- positionReached { id, x?, y?, tol? }；leftBounds { id? }（离开 world.bounds）
+- collisionOnce { id, with? }（首次碰撞）
+- eventOccurred { event, id? }；timeAfterEvent { event, id?, delay }（event 如 collision、merge_bodies、trigger）
+- any / all { conditions: [...] }（可嵌套组合）
+
+三、参数推导规则（必须严格遵循）
+
+重力：gravity = [0, 9.8]。
+
+斜面无摩擦时，接触面的 friction = 0、frictionStatic = 0。
+
+**关键：所有几何参数必须通过数学计算得出，禁止猜测**
+
+## 通用几何计算规则
+
+### 1. 坐标系建立
+- 建立清晰的参考坐标系
+- 通常以地面为y=0基准线
+- 斜坡底端通常设为原点[0,0]
+
+### 2. 斜坡几何计算通用公式
+- 斜坡长度 = 题目给出的长度
+- 斜坡角度 = 题目给出的角度（转换为弧度）
+- 斜坡高度 = 长度 × sin(角度)
+- 斜坡水平投影 = 长度 × cos(角度)
+- 斜坡厚度 = 合理值（0.02-0.05m，用于碰撞检测）
+
+斜坡中心位置计算：
+- 斜坡底端 = [0, 地面厚度]
+- 斜坡顶端 = [水平投影, 高度 + 地面厚度]
+- 斜坡中心 = [水平投影/2, (高度 + 地面厚度)/2]
+
+### 3. 物体位置计算通用方法
+A. 斜坡上的物体：
+   - 在斜坡顶端：位置 = 斜坡顶端坐标 + 物体半径偏移
+   - 在斜坡中间：位置 = 斜坡中心坐标 + 物体半径偏移
+   - 在斜坡底端：位置 = 斜坡底端坐标 + 物体半径偏移
+
+B. 距离斜坡指定距离的物体：
+   - 距离斜坡右端5cm：位置 = [斜坡右端x + 5cm + 物体半径, 地面高度 + 物体半径]
+   - 距离斜坡左端5cm：位置 = [斜坡左端x - 5cm - 物体半径, 地面高度 + 物体半径]
+   - 距离斜坡前后：类似计算y坐标
+
+C. 物体半径偏移计算：
+   - 圆形物体在斜坡上的偏移 = [物体半径 × sin(角度), 物体半径 × cos(角度)]
+   - 圆形物体在地面上的偏移 = [物体半径, 物体半径]
+
+### 4. 距离验证通用方法
+- 两物体间距离 = sqrt((x2-x1)² + (y2-y1)²)
+- 物体到斜坡距离 = 计算物体中心到斜坡边缘的最短距离
+- 必须验证计算出的距离与题目要求一致
+
+### 5. 尺寸设置通用原则
+- 小球半径：0.005-0.02m（质量小用较小半径）
+- 大球半径：0.01-0.03m（质量大用较大半径）
+- 地面厚度：0.01-0.02m
+- 斜坡厚度：0.02-0.05m
+- 避免物体尺寸过大导致仿真不稳定
+
+### 6. 质量设置原则
+- 严格按照题目给出的质量值
+- 不与尺寸直接关联
+- 质量大的物体可以设置较大的半径以保证稳定性
+
+### 7. 通用计算示例
+
+#### 斜坡碰撞问题计算示例
+题目：斜坡长5cm，角度30°，小球在顶端，另一球距离斜坡5cm
+
+计算过程：
+1. 斜坡长度 = 0.05m
+2. 斜坡角度 = 30° = 0.5236 rad
+3. 斜坡高度 = 0.05 × sin(30°) = 0.025m
+4. 斜坡水平投影 = 0.05 × cos(30°) = 0.0433m
+5. 斜坡厚度 = 0.03m（合理值）
+6. 地面厚度 = 0.01m
+
+坐标系建立：
+- 地面y = 0.01m（地面厚度的一半）
+- 斜坡底端 = [0, 0.01]
+- 斜坡顶端 = [0.0433, 0.025 + 0.01] = [0.0433, 0.035]
+
+物体位置计算：
+- 小球半径 = 0.01m，质量 = 0.5kg
+- 大球半径 = 0.015m，质量 = 1kg
+- 小球位置 = [0.0433, 0.035 - 0.01] = [0.0433, 0.025]
+- 大球位置 = [0 + 0.05 + 0.015, 0.01 + 0.015] = [0.065, 0.025]
+
+距离验证：
+- 两球距离 = sqrt((0.065-0.0433)² + (0.025-0.025)²) = 0.0217m ≈ 2.17cm
+- 大球到斜坡距离 = 0.05m = 5cm ✓
+
+#### 其他题型通用计算方法
+- 弹簧问题：弹簧长度 = 题目给出，连接点位置 = 几何计算
+- 斜面滑动：物体在斜面上的位置 = 根据题目描述计算
+- 碰撞问题：确保两物体间距离 = 题目要求的距离
+
+弹簧：若仅给出"有弹簧"未给 k，设 k=100、c=0，length 取题面原长（未给时取两端初始距离）；如需"碰撞后生效"，在事件里 attach_constraint。
+
+恢复系数默认 0.0，除非题面明确给出弹性碰撞。
+
+粘连一律通过 merge_bodies 实现（不是仅靠 restitution=0）。
+
+四、常见题型到建模指引（生成时直接套用）
+
+斜面 → 粗糙段 → 非弹性碰撞 → 弹簧
+
+bodies：ramp（静态、倾角 rad、无摩擦）、rough（静态、μ=题面）、wall（静态）、slider（m）、block（M）。
+
+constraints：预置 spring1 一端接 wall，另一端先留空或接 null。
+
+event_rules：collisionStart slider×block → merge_bodies→ 新 ID combo → attach_constraint spring1 连接到 combo。
+
+end_conditions：maxTime + speedBelow(combo)。
+
+纯弹性/部分弹性碰撞：设置两体 restitution 为题面给定值；若不粘连，不使用 merge_bodies。
+
+水平面匀摩擦滑动：水平静态面 friction=μ；物体设置初速或受力。
+
+斜面静摩擦阈值：给 frictionStatic=μs；若会滑动，动态过程体现为克服静摩擦后运动。
+
+五、最终输出格式（再次强调）
+
+只允许输出一个 JSON 对象，放在 json fenced code block 中。
+
+绝对禁止任何解释性文字、注释或额外键。
+
+结构、字段名、大小写必须与本规范一致。
+
+**重要：输出格式必须是纯JSON，只包含PhysicsContract的六个顶层键**
 
 【题目文本】
+
 ${question}
 
-只输出PhysicsContract JSON，不要其他内容。`;
+**重要：只输出PhysicsContract的六个顶层键，不要任何其他内容**
+
+## 输出要求
+- 只输出一个JSON对象
+- 必须包含且仅包含这6个顶层键：world, engine, bodies, constraints, event_rules, end_conditions
+- 禁止输出任何其他键（如timestamp, rawJson, parsed, duration等）
+- 禁止输出任何解释文字、注释或额外信息
+
+## 解析步骤（必须按顺序执行）
+
+### 第1步：参数提取
+- 提取题目中的所有数值参数（长度、角度、质量、距离等）
+- 识别物体的相对位置关系
+- 确定摩擦系数、弹性系数等物理参数
+
+### 第2步：几何计算
+- 根据斜坡长度和角度计算斜坡高度和水平投影
+- 建立坐标系，确定斜坡的关键点坐标
+- 计算物体在斜坡上的精确位置
+
+### 第3步：位置验证
+- 验证物体间距离是否符合题目要求
+- 检查物体是否会发生初始穿透
+- 确保斜坡与地面正确连接
+
+### 第4步：尺寸合理性检查
+- 确保物体尺寸在合理范围内
+- 避免物体过大导致仿真不稳定
+- 根据质量设置合适的物体大小
+
+### 第5步：碰撞可行性验证
+- 确保碰撞能够发生
+- 验证初始位置不会导致物体直接重叠
+- 检查仿真边界是否足够大
+
+### 第6步：最终验证
+- 重新计算所有关键距离
+- 验证几何关系的数学正确性
+- 确保所有参数都有明确的计算依据
+
+**禁止猜测任何参数，所有数值必须有计算依据**
+
+（可选参考）极简模板骨架（生成时替换为具体值）
+
+注意：这段只是帮助你把握形状；实际输出不能包含注释或省略号。
+
+\`\`\`json
+{
+  "world": {
+    "coord": "xy_y_down",
+    "units": { "length": "m", "time": "s", "mass": "kg", "angle": "rad" },
+    "gravity": [0, 9.8],
+    "bounds": { "min": [-2, -2], "max": [10, 6] }
+  },
+  "engine": {
+    "dt": 0.0166667,
+    "substeps": 2,
+    "positionIterations": 6,
+    "velocityIterations": 4
+  },
+  "bodies": [
+    { "id":"ramp","shape":"box","isStatic":true,"position":[...],"angle":...,"size":{"w":...,"h":...},"friction":0,"frictionStatic":0,"restitution":0,"collisionFilter":{"category":1,"mask":65535,"group":0} },
+    { "id":"rough","shape":"box","isStatic":true,"position":[...],"angle":0,"size":{"w":...,"h":...},"friction":0.25,"frictionStatic":0.25,"restitution":0,"collisionFilter":{"category":1,"mask":65535,"group":0} },
+    { "id":"wall","shape":"box","isStatic":true,"position":[...],"angle":0,"size":{"w":...,"h":...},"friction":0.2,"frictionStatic":0.2,"restitution":0,"collisionFilter":{"category":1,"mask":65535,"group":0} },
+    { "id":"slider","shape":"box","isStatic":false,"position":[...],"angle":0,"size":{"w":0.2,"h":0.2},"mass":1.0,"friction":0,"frictionStatic":0,"restitution":0,"collisionFilter":{"category":1,"mask":65535,"group":0} },
+    { "id":"block","shape":"box","isStatic":false,"position":[...],"angle":0,"size":{"w":0.4,"h":0.25},"mass":2.0,"friction":0.1,"frictionStatic":0.1,"restitution":0,"collisionFilter":{"category":1,"mask":65535,"group":0} }
+  ],
+  "constraints": [
+    { "id":"spring1","type":"spring","a":{"body":"wall","point":null},"b":{"body":null,"point":null},"length":0.3,"k":100,"c":0.0 }
+  ],
+  "event_rules": [
+    { "when":{"on":"collisionStart","a":"slider","b":"block"},
+      "do":[
+        { "action":"merge_bodies","ids":["slider","block"],"newId":"combo" },
+        { "action":"attach_constraint","constraint":{"id":"spring1","a":{"body":"combo","point":null},"b":{"body":"wall","point":null}} },
+        { "action":"set_property","id":"combo","prop":"restitution","value":0.0 }
+      ],
+      "once": true
+    }
+  ],
+  "end_conditions": {
+    "maxTime": 12.0,
+    "stopWhen": [ { "type":"speedBelow", "id":"combo", "v":0.02, "hold":0.2 } ]
+  }
+}
+\`\`\``;
+        return await this.callAI(prompt);
+    }
+    /**
+     * 解析题目所求的量，输出在仿真轨迹上求值的查询（AnswerQuery 数组）
+     * @param question 物理题目
+     * @param contract 同一题目解析出的 PhysicsContract（查询只能引用其中的刚体 / 约束 id）
+     * @returns AI原始响应（AnswerQuery[] 格式的JSON字符串）
+     */
+    async parseQueries(question, contract) {
+        const ids = {
+            bodies: contract.bodies.map(body => body.id),
+            merged: contract.event_rules.flatMap(rule => rule.do.filter(action => action.action === 'merge_bodies').map(action => action.newId)),
+            springs: contract.constraints.filter(constraint => constraint.type === 'spring').map(constraint => constraint.id)
+        };
+        const prompt = `物理题目所求量解析为查询
+
+任务：下面是一道牛顿力学题目及其仿真契约中的对象 id。找出题目要求解的每一个量（"求……"、"……是多少"），输出一个 JSON 数组，每个元素是一个查询，我们会在仿真轨迹上求值并展示"仿真答案"。
+
+输出要求：
+- 只输出一个JSON数组，使用json代码块格式
+- 禁止任何解释文字、注释或额外信息
+- 只能引用下面给出的 id；题目没有求解任何量时输出 []
+
+可用 id：
+- 刚体：${JSON.stringify(ids.bodies)}
+- 碰撞合并后生成的刚体：${JSON.stringify(ids.merged)}
+- 弹簧：${JSON.stringify(ids.springs)}
+
+查询格式：
+{ "id": "q1", "description": "题目原文中的所求量", "quantity": "...", "body": "刚体id", "constraint": "弹簧id", "at": {...}, "unit": "m/s" }
+
+quantity 取值（SI 单位，坐标 y 向下）：
+- time（s）：at 所指时刻本身，如"经过多长时间落地"
+- speed / velocity_x / velocity_y（m/s）
+- position_x / position_y（m）、height（m，相对重力势能零点向上为正）
+- displacement（m，相对初始位置的位移大小）、distance（m，路程）
+- kinetic_energy（J）、momentum（kg·m/s）
+- angle（rad）、angular_velocity（rad/s）
+- spring_length / spring_compression（m，压缩量 = 原长 − 长度，须给 constraint）
+
+at 取值：
+- { "kind": "start" } / { "kind": "end" }
+- { "kind": "time", "t": 1.5 }
+- { "kind": "moment", "type": "...", "with": "另一方id", "occurrence": 1, "phase": "before|after" }
+  type：max_height（最高点）、first_ground_contact（首次落地）、collision（碰撞，phase 取碰前 / 碰后速度）、
+  leave_surface（离开某表面，如滑到斜面底端：with 为斜面 id）、turnaround（速度反向）、max_spring_compression（弹簧压缩最大）
+- { "kind": "crossing", "axis": "x|y", "value": 2.0 }：首次越过直线 x 或 y = value（m）
+- { "kind": "extreme", "of": "max|min" }：该量的全程最大 / 最小值，如"弹簧的最大压缩量"
+
+unit：题目要求的单位（如 km/h、cm、J），缺省为 SI。
+
+示例：
+题目"物块从斜面顶端由静止滑下，求物块滑到底端时的速度，以及弹簧的最大压缩量"
+\`\`\`json
+[
+  { "id": "q1", "description": "物块滑到底端时的速度", "quantity": "speed", "body": "block", "at": { "kind": "moment", "type": "leave_surface", "with": "ramp" } },
+  { "id": "q2", "description": "弹簧的最大压缩量", "quantity": "spring_compression", "constraint": "spring1", "at": { "kind": "extreme", "of": "max" } }
+]
+\`\`\`
+
+题目：
+${question}`;
         return await this.callAI(prompt);
     }
     /**
@@ -285,5 +719,17 @@ ${question}
         // ✅ Contract 层请使用 parsed.rawJson；parsed.parsed 仅用于你本地预览与校验
         return parsed;
     }
+    /**
+     * 解析题目所求的量，返回查询数组（答案解析器 resolveAnswers 的输入）
+     */
+    async parseQueriesAsJSON(question, contract) {
+        const aiResult = await this.parseQueries(question, contract);
+        if (!aiResult.success)
+            throw new Error(`AI调用失败: ${aiResult.error}`);
+        const parsed = this.parseAIResponse(aiResult.data || '');
+        if (!parsed || !Array.isArray(parsed.parsed))
+            throw new Error('AI响应解析失败：无法提取查询数组');
+        return parsed.parsed;
+    }
 }
 exports.PhysicsAICaller = PhysicsAICaller;
@@ -1,5 +1,8 @@
 // services/ai_parsing/PhysicsAICaller.ts
 
+import type { PhysicsContract } from '../matter_adapter/Adapter';
+import type { AnswerQuery } from '../simulation/AnswerResolver';
+
 // AI 配置接口
 export interface AIConfig {
   apiKey?: string;
@@ -182,6 +185,7 @@ end_conditions 必须能保证仿真结束（如 maxTime 或 speedBelow）。
 coord：固定写 "xy_y_down"。
 units：固定四项，单位如上。
 gravity：二维向量，通常 [0, 9.8] 表示竖直向下。
+datum：可选，重力势能零点 [x, y]（如题目指定的地面），缺省为 [0, 0]。
 bounds：仿真边界，避免物体飞出世界。
 
 2) engine —— 数值积分参数（必填）
@@ -244,18 +248,26 @@ polygon 需给 vertices（世界坐标，按顺时针或逆时针）。
   "type": "spring",
   "a": { "body": "A_id_or_null", "point": null },
   "b": { "body": "B_id_or_null", "point": null },
-  "length": 0.0,
-  "stiffness": 0.9,
-  "damping": 0.0
+  "length": 0.3,
+  "k": 100,
+  "c": 0.0
 }
 
 约束/说明：
 
-仅支持类型 "spring"（可作为距离约束/弹簧近似）。
+type 可选：
+- "spring"：弹簧，需给 length（原长，m）与 k（劲度系数，N/m），可选 c（阻尼系数，N·s/m，缺省 0）；
+- "rope"：不可伸长的轻绳，只能拉不能推；length 缺省取初始距离；
+- "rod"：轻杆（刚性距离）；length 缺省取初始距离；
+- "hinge"：铰链/销钉，把刚体上的点钉在世界点或另一刚体上；
+- "slider"：滑轨，a 为滑块，b 为 { "body": null, "point": 滑轨上一点 }，另给 "axis": [dx, dy] 方向，滑块不转动；
+- "pulley"：理想定滑轮，a、b 各挂一个刚体，另给 "pulley": { "a": 左滑轮位置, "b": 右滑轮位置 }，length 为两段绳长之和（缺省取初始值）。
+
+端点 point：body 非空时为相对刚体质心的偏移（null 表示质心）；body 为 null 且 point 非空时表示固定的世界点（如单摆悬点）。
 
-a.body / b.body 可为 null 表示暂不连接（便于"碰撞后再接入"）。
+a.body / b.body 为 null 且 point 为 null 表示暂不连接（便于"碰撞后再接入"）。
 
-题面若给物理弹簧常数 k (N/m)，这里使用 stiffness ∈ (0,1] 近似（若未给映射，默认 0.6–0.95；常用 0.8–0.9 稳定）。
+题面给出的弹簧常数 k (N/m) 直接填入 "k"，不要换算；仿真按胡克定律施力，振动周期严格为 T = 2π√(m/k)。
 
 若题意要求"碰撞后再压缩弹簧"，初始可把一端接墙、另一端 null，在 event_rules 中再 attach_constraint 到目标刚体。
 
@@ -300,6 +312,13 @@ once:true 代表只触发一次，防止重复合并。
 
 常用 speedBelow：当某刚体（如粘连后 combo）速度低于阈值并持续 hold 秒时结束。
 
+stopWhen 中任一条件满足即停止，可用条件：
+- speedBelow { id, v, hold? }；allBodiesAtRest { v?, hold? }（所有动态刚体静止）
+- positionReached { id, x?, y?, tol? }；leftBounds { id? }（离开 world.bounds）
+- collisionOnce { id, with? }（首次碰撞）
+- eventOccurred { event, id? }；timeAfterEvent { event, id?, delay }（event 如 collision、merge_bodies、trigger）
+- any / all { conditions: [...] }（可嵌套组合）
+
 三、参数推导规则（必须严格遵循）
 
 重力：gravity = [0, 9.8]。
@@ -392,7 +411,7 @@ C. 物体半径偏移计算：
 - 斜面滑动：物体在斜面上的位置 = 根据题目描述计算
 - 碰撞问题：确保两物体间距离 = 题目要求的距离
 
-弹簧：若仅给出"有弹簧"未给 k，设 stiffness=0.9、damping=0、length=0；如需"碰撞后生效"，在事件里 attach_constraint。
+弹簧：若仅给出"有弹簧"未给 k，设 k=100、c=0，length 取题面原长（未给时取两端初始距离）；如需"碰撞后生效"，在事件里 attach_constraint。
 
 恢复系数默认 0.0，除非题面明确给出弹性碰撞。
 
@@ -498,7 +517,7 @@ ${question}
     { "id":"block","shape":"box","isStatic":false,"position":[...],"angle":0,"size":{"w":0.4,"h":0.25},"mass":2.0,"friction":0.1,"frictionStatic":0.1,"restitution":0,"collisionFilter":{"category":1,"mask":65535,"group":0} }
   ],
   "constraints": [
-    { "id":"spring1","type":"spring","a":{"body":"wall","point":null},"b":{"body":null,"point":null},"length":0.0,"stiffness":0.9,"damping":0.0 }
+    { "id":"spring1","type":"spring","a":{"body":"wall","point":null},"b":{"body":null,"point":null},"length":0.3,"k":100,"c":0.0 }
   ],
   "event_rules": [
     { "when":{"on":"collisionStart","a":"slider","b":"block"},
@@ -520,6 +539,71 @@ ${question}
     return await this.callAI(prompt);
   }
 
+  /**
+   * 解析题目所求的量，输出在仿真轨迹上求值的查询（AnswerQuery 数组）
+   * @param question 物理题目
+   * @param contract 同一题目解析出的 PhysicsContract（查询只能引用其中的刚体 / 约束 id）
+   * @returns AI原始响应（AnswerQuery[] 格式的JSON字符串）
+   */
+  async parseQueries(question: string, contract: PhysicsContract): Promise<AICallResult> {
+    const ids = {
+      bodies: contract.bodies.map(body => body.id),
+      merged: contract.event_rules.flatMap(rule => rule.do.filter(action => action.action === 'merge_bodies').map(action => action.newId)),
+      springs: contract.constraints.filter(constraint => constraint.type === 'spring').map(constraint => constraint.id)
+    };
+
+    const prompt = `物理题目所求量解析为查询
+
+任务：下面是一道牛顿力学题目及其仿真契约中的对象 id。找出题目要求解的每一个量（"求……"、"……是多少"），输出一个 JSON 数组，每个元素是一个查询，我们会在仿真轨迹上求值并展示"仿真答案"。
+
+输出要求：
+- 只输出一个JSON数组，使用json代码块格式
+- 禁止任何解释文字、注释或额外信息
+- 只能引用下面给出的 id；题目没有求解任何量时输出 []
+
+可用 id：
+- 刚体：${JSON.stringify(ids.bodies)}
+- 碰撞合并后生成的刚体：${JSON.stringify(ids.merged)}
+- 弹簧：${JSON.stringify(ids.springs)}
+
+查询格式：
+{ "id": "q1", "description": "题目原文中的所求量", "quantity": "...", "body": "刚体id", "constraint": "弹簧id", "at": {...}, "unit": "m/s" }
+
+quantity 取值（SI 单位，坐标 y 向下）：
+- time（s）：at 所指时刻本身，如"经过多长时间落地"
+- speed / velocity_x / velocity_y（m/s）
+- position_x / position_y（m）、height（m，相对重力势能零点向上为正）
+- displacement（m，相对初始位置的位移大小）、distance（m，路程）
+- kinetic_energy（J）、momentum（kg·m/s）
+- angle（rad）、angular_velocity（rad/s）
+- spring_length / spring_compression（m，压缩量 = 原长 − 长度，须给 constraint）
+
+at 取值：
+- { "kind": "start" } / { "kind": "end" }
+- { "kind": "time", "t": 1.5 }
+- { "kind": "moment", "type": "...", "with": "另一方id", "occurrence": 1, "phase": "before|after" }
+  type：max_height（最高点）、first_ground_contact（首次落地）、collision（碰撞，phase 取碰前 / 碰后速度）、
+  leave_surface（离开某表面，如滑到斜面底端：with 为斜面 id）、turnaround（速度反向）、max_spring_compression（弹簧压缩最大）
+- { "kind": "crossing", "axis": "x|y", "value": 2.0 }：首次越过直线 x 或 y = value（m）
+- { "kind": "extreme", "of": "max|min" }：该量的全程最大 / 最小值，如"弹簧的最大压缩量"
+
+unit：题目要求的单位（如 km/h、cm、J），缺省为 SI。
+
+示例：
+题目"物块从斜面顶端由静止滑下，求物块滑到底端时的速度，以及弹簧的最大压缩量"
+\`\`\`json
+[
+  { "id": "q1", "description": "物块滑到底端时的速度", "quantity": "speed", "body": "block", "at": { "kind": "moment", "type": "leave_surface", "with": "ramp" } },
+  { "id": "q2", "description": "弹簧的最大压缩量", "quantity": "spring_compression", "constraint": "spring1", "at": { "kind": "extreme", "of": "max" } }
+]
+\`\`\`
+
+题目：
+${question}`;
+
+    return await this.callAI(prompt);
+  }
+
   /**
  * 使用自定义提示词调用AI（保持不变）
  */
@@ -664,4 +748,16 @@ async parseQuestionAsJSON(question: string): Promise<{ rawJson: string; parsed?:
   return parsed;
 }
 
+/**
+ * 解析题目所求的量，返回查询数组（答案解析器 resolveAnswers 的输入）
+ */
+async parseQueriesAsJSON(question: string, contract: PhysicsContract): Promise<AnswerQuery[]> {
+  const aiResult = await this.parseQueries(question, contract);
+  if (!aiResult.success) throw new Error(`AI调用失败: ${aiResult.error}`);
+
+  const parsed = this.parseAIResponse(aiResult.data || '');
+  if (!parsed || !Array.isArray(parsed.parsed)) throw new Error('AI响应解析失败：无法提取查询数组');
+  return parsed.parsed as AnswerQuery[];
+}
+
 }
\ No newline at end of file
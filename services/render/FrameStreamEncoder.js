@@ -0,0 +1,128 @@
+/**
+ * 帧流编码器 - 将原始像素帧经 stdin 流式送入 ffmpeg
+ *
+ * 功能：
+ * 1. 以 rawvideo 输入启动 ffmpeg，不落盘中间 PNG
+ * 2. 背压：缓冲区满时等待 drain，内存占用不超过 maxBufferedFrames 帧
+ * 3. ffmpeg 提前退出时，写帧与收尾均以其错误拒绝
+ * 4. 编码进度回调
+ *
+ * 帧为 node-canvas 的 toBuffer('raw')：本机字节序的 ARGB32，小端机器上按字节为 BGRA。
+ */
+
+const os = require('os');
+const { once } = require('events');
+const { PassThrough } = require('stream');
+const ffmpeg = require('fluent-ffmpeg');
+
+class FrameStreamEncoder {
+  constructor(options = {}) {
+    this.width = options.width;
+    this.height = options.height;
+    this.fps = options.fps || 60;
+    this.outputPath = options.outputPath;
+    this.preset = options.preset || 'medium';
+    this.crf = options.crf || '23';
+    this.maxBufferedFrames = options.maxBufferedFrames || 4;
+    this.onProgress = options.onProgress || null;
+
+    this.frameBytes = this.width * this.height * 4;
+    this.pixelFormat = options.pixelFormat || (os.endianness() === 'LE' ? 'bgra' : 'argb');
+
+    this.input = null;
+    this.command = null;
+    this.done = null;
+    this.error = null;
+    this.framesWritten = 0;
+  }
+
+  /**
+   * 启动 ffmpeg 进程
+   */
+  start() {
+    if (this.input) {
+      throw new Error('编码器已启动');
+    }
+
+    this.input = new PassThrough({ highWaterMark: this.frameBytes * this.maxBufferedFrames });
+    this.done = new Promise((resolve, reject) => {
+      this.command = ffmpeg(this.input)
+        .inputFormat('rawvideo')
+        .inputOptions([
+          '-pix_fmt', this.pixelFormat,
+          '-s', `${this.width}x${this.height}`,
+          '-r', String(this.fps)
+        ])
+        .outputOptions([
+          '-c:v', 'libx264',
+          '-preset', this.preset,
+          '-crf', this.crf,
+          '-pix_fmt', 'yuv420p',
+          '-movflags', '+faststart'
+        ])
+        .output(this.outputPath)
+        .on('progress', (progress) => {
+          if (this.onProgress) {
+            this.onProgress({ phase: 'encode', frame: progress.frames, timemark: progress.timemark });
+          }
+        })
+        .on('end', () => resolve(this.outputPath))
+        .on('error', (err) => reject(err));
+      this.command.run();
+    });
+    // 错误在 writeFrame / finish 中抛出
+    this.done.catch((err) => {
+      this.error = err;
+    });
+
+    return this;
+  }
+
+  /**
+   * 写入一帧；缓冲区满时等待 ffmpeg 消费
+   */
+  async writeFrame(buffer) {
+    if (!this.input) {
+      throw new Error('编码器未启动');
+    }
+    if (this.error) {
+      throw this.error;
+    }
+    if (buffer.length !== this.frameBytes) {
+      throw new Error(`帧大小不符: ${buffer.length} 字节，应为 ${this.frameBytes} 字节`);
+    }
+
+    this.framesWritten++;
+    if (!this.input.write(buffer)) {
+      const exited = this.done.then(() => {
+        throw new Error('ffmpeg 在写入完成前退出');
+      });
+      await Promise.race([once(this.input, 'drain'), exited]);
+    }
+  }
+
+  /**
+   * 结束输入并等待编码完成，返回输出路径
+   */
+  async finish() {
+    if (!this.input) {
+      throw new Error('编码器未启动');
+    }
+    this.input.end();
+    return await this.done;
+  }
+
+  /**
+   * 中止编码（绘制出错时调用）
+   */
+  abort() {
+    if (this.command) {
+      this.command.kill('SIGKILL');
+    }
+    if (this.input) {
+      this.input.destroy();
+    }
+  }
+}
+
+module.exports = FrameStreamEncoder;
@@ -6,12 +6,23 @@
  * 2. 支持多种渲染效果
  * 3. 导出为MP4视频
  * 4. 支持服务器环境
+ * 5. 多组仿真数据按网格并排渲染（参数扫描的各变体）
+ * 6. 默认将原始像素帧流式送入 ffmpeg（FrameStreamEncoder），失败或 streaming: false 时回退到逐帧 PNG 落盘
+ * 7. 按帧时间戳重采样到 fps 的视频时间轴（simulation/FrameResampler），播放速度与记录频率无关
+ * 8. timeRemap：碰撞、合并、附加约束前后自动慢放（simulation/TimeRemap），画面显示速率，映射写入元数据
+ * 9. 传入原始契约时按真实几何绘制刚体（simulation/BodyGeometry）：圆、矩形、多边形与合并后的复合体，按世界单位经相机变换
+ * 10. 按帧内约束状态绘制弹簧（固定圈数）、绳、杆、铰链、滑轨与滑轮（simulation/ConstraintGeometry），含运行中附加的约束
  */
 
 const fs = require('fs');
 const path = require('path');
 const { createCanvas, loadImage } = require('canvas');
 const ffmpeg = require('fluent-ffmpeg');
+const FrameStreamEncoder = require('./FrameStreamEncoder');
+const { resampleFrames, traceEvents } = require('../simulation/FrameResampler');
+const { buildTimeRemap, remapTimeline, playbackRate } = require('../simulation/TimeRemap');
+const { bodyOutlines, outlineAt } = require('../simulation/BodyGeometry');
+const { constraintDrawings } = require('../simulation/ConstraintGeometry');
 
 class VideoGenerator {
   constructor(options = {}) {
@@ -20,6 +31,9 @@ class VideoGenerator {
     this.fps = options.fps || 60;
     this.outputDir = options.outputDir || path.join(__dirname, 'video_output');
     this.quality = options.quality || 'high'; // high, medium, low
+    this.streaming = options.streaming !== false; // 流式编码，false 时逐帧写 PNG
+    this.maxBufferedFrames = options.maxBufferedFrames || 4; // 流式编码时最多缓冲的帧数
+    this.resample = options.resample !== false; // 按时间戳重采样，false 时每个记录帧对应一个视频帧
     
     // 渲染配置
     this.renderOptions = {
@@ -43,45 +57,67 @@ class VideoGenerator {
 
   /**
    * 从仿真数据生成视频
+   * options.timeRemap 为 true 或 TimeRemapOptions 时在关键事件附近慢放；
+   * options.contract 为生成该仿真的契约时按真实几何绘制
    */
   async generateVideo(simulationData, options = {}) {
     try {
-      const frames = simulationData.frames;
-      
-      if (!frames || frames.length === 0) {
+      if (!simulationData.frames || simulationData.frames.length === 0) {
         throw new Error('仿真数据中没有帧');
       }
+      
+      // 映射到视频时间轴（可选慢放）
+      const remap = options.timeRemap
+        ? buildTimeRemap(simulationData, options.timeRemap === true ? {} : options.timeRemap)
+        : null;
+      const frames = this.videoFrames(simulationData, remap);
 
-      // 如果没有config，生成默认配置
-      const config = simulationData.config || this.generateDefaultConfig(frames);
+      // 有契约时按真实几何绘制，否则使用数据自带或默认配置
+      const config = options.contract
+        ? this.contractConfig(options.contract, simulationData)
+        : simulationData.config || this.generateDefaultConfig(frames);
 
       console.log(`🎬 开始生成视频: ${frames.length}帧, ${this.fps}fps`);
 
       // 计算世界边界
-      const bounds = this.calculateWorldBounds(frames);
+      const bounds = this.calculateWorldBounds(frames, config);
       
       // 计算相机参数
       const camera = this.calculateCamera(bounds);
       
-      // 生成帧图像
-      const frameImages = await this.generateFrameImages(frames, config, camera, bounds);
-      
-      // 合成视频
-      const videoPath = await this.composeVideo(frameImages, options);
-      
-      // 清理临时文件
-      this.cleanupTempFiles(frameImages);
+      // 逐帧绘制并编码
+      const { videoPath, encoding } = await this.renderVideo(
+        frames.length,
+        (ctx, i) => this.drawFrame(ctx, frames, i, config, camera, bounds),
+        options
+      );
       
       console.log(`✅ 视频生成完成: ${videoPath}`);
+
+      // 时间映射随视频输出，字幕与讲解据此换算时刻
+      const sourceFrames = simulationData.frames;
+      const metadata = {
+        fps: this.fps,
+        duration: frames.length / this.fps,
+        sourceDuration: sourceFrames[sourceFrames.length - 1].timestamp - sourceFrames[0].timestamp,
+        timeRemap: remap
+      };
+      if (remap) {
+        metadata.timeRemapPath = videoPath.replace(/\.[^./\\]+$/, '') + '.timemap.json';
+        fs.writeFileSync(metadata.timeRemapPath, JSON.stringify(remap, null, 2));
+      }
       
       return {
         success: true,
         videoPath,
+        metadata,
         stats: {
           totalFrames: frames.length,
+          sourceFrames: simulationData.frames.length,
           duration: frames.length / this.fps,
           resolution: `${this.width}x${this.height}`,
-          fps: this.fps
+          fps: this.fps,
+          encoding
         }
       };
 
@@ -94,20 +130,140 @@ class VideoGenerator {
     }
   }
 
+  /**
+   * 生成网格视频：cells 为 { label, data, contract? }，各格共用世界边界与比例以便比较，
+   * 较短的仿真停在最后一帧
+   */
+  async generateGridVideo(cells, options = {}) {
+    try {
+      if (!cells || cells.length === 0) {
+        throw new Error('没有可渲染的变体');
+      }
+      if (cells.some(cell => !cell.data || !cell.data.frames || cell.data.frames.length === 0)) {
+        throw new Error('变体的仿真数据中没有帧');
+      }
+
+      const columns = options.columns || Math.ceil(Math.sqrt(cells.length));
+      const rows = Math.ceil(cells.length / columns);
+      const cellWidth = Math.floor(this.width / columns);
+      const cellHeight = Math.floor(this.height / rows);
+      const cellFrames = cells.map(cell => this.videoFrames(cell.data));
+      const totalFrames = Math.max(...cellFrames.map(frames => frames.length));
+
+      console.log(`🎬 开始生成网格视频: ${cells.length}个变体 (${columns}x${rows}), ${totalFrames}帧, ${this.fps}fps`);
+
+      const configs = cells.map((cell, k) => cell.contract
+        ? this.contractConfig(cell.contract, cell.data)
+        : cell.data.config || this.generateDefaultConfig(cellFrames[k]));
+      const bounds = this.calculateWorldBounds(cellFrames.flat(), configs);
+      const layouts = cells.map((cell, k) => {
+        const originX = (k % columns) * cellWidth;
+        const originY = Math.floor(k / columns) * cellHeight;
+        const camera = this.calculateCamera(bounds, cellWidth, cellHeight);
+        camera.offsetX += originX;
+        camera.offsetY += originY;
+        return { originX, originY, camera };
+      });
+
+      const drawGrid = (ctx, i) => {
+        this.drawBackground(ctx);
+
+        cells.forEach((cell, k) => {
+          const frames = cellFrames[k];
+          const index = Math.min(i, frames.length - 1);
+          const { originX, originY, camera } = layouts[k];
+
+          ctx.save();
+          ctx.beginPath();
+          ctx.rect(originX, originY, cellWidth, cellHeight);
+          ctx.clip();
+
+          this.drawConstraints(ctx, frames[index], camera);
+          this.drawBodies(ctx, frames[index].bodies, configs[k], camera);
+          if (this.renderOptions.showTrajectories) {
+            this.drawTrajectories(ctx, frames.slice(0, index + 1), camera);
+          }
+
+          // 变体标签与格子边框
+          ctx.fillStyle = '#000000';
+          ctx.font = '16px Arial';
+          ctx.fillText(cell.label || `#${k + 1}`, originX + 10, originY + 24);
+          ctx.strokeStyle = '#cccccc';
+          ctx.lineWidth = 1;
+          ctx.strokeRect(originX + 0.5, originY + 0.5, cellWidth - 1, cellHeight - 1);
+          ctx.restore();
+        });
+      };
+
+      const { videoPath, encoding } = await this.renderVideo(totalFrames, drawGrid, {
+        ...options,
+        filename: options.filename || 'sweep_grid.mp4'
+      });
+
+      console.log(`✅ 网格视频生成完成: ${videoPath}`);
+
+      return {
+        success: true,
+        videoPath,
+        stats: {
+          variants: cells.length,
+          grid: `${columns}x${rows}`,
+          totalFrames,
+          duration: totalFrames / this.fps,
+          resolution: `${this.width}x${this.height}`,
+          fps: this.fps,
+          encoding
+        }
+      };
+
+    } catch (error) {
+      console.error('❌ 网格视频生成失败:', error.message);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * 视频帧序列：按时间戳重采样到 this.fps（关闭重采样时原样返回记录帧）；
+   * 给出时间映射时按映射取各帧的仿真时刻，并标注该帧的播放速率
+   */
+  videoFrames(simulationData, remap = null) {
+    if (remap) {
+      const frames = resampleFrames(simulationData, { fps: this.fps, times: remapTimeline(remap, this.fps) });
+      frames.forEach(frame => {
+        frame.playbackRate = playbackRate(remap, frame.timestamp);
+      });
+      return frames;
+    }
+    if (!this.resample) {
+      return simulationData.frames;
+    }
+    return resampleFrames(simulationData, { fps: this.fps });
+  }
+
   /**
    * 计算世界边界
    */
-  calculateWorldBounds(frames) {
+  calculateWorldBounds(frames, configs = []) {
     let minX = Infinity, minY = Infinity;
     let maxX = -Infinity, maxY = -Infinity;
 
+    // 有真实几何时按轮廓半径扩展，保证地面、斜坡等大刚体完整入镜
+    const reach = (id) => {
+      const bodyConfig = [].concat(configs).map(config => config && config.bodies[id]).find(Boolean);
+      return bodyConfig && bodyConfig.outline ? bodyConfig.outline.radius : 0;
+    };
+
     frames.forEach(frame => {
       frame.bodies.forEach(body => {
         const [x, y] = body.position;
-        minX = Math.min(minX, x);
-        minY = Math.min(minY, y);
-        maxX = Math.max(maxX, x);
-        maxY = Math.max(maxY, y);
+        const r = reach(body.id);
+        minX = Math.min(minX, x - r);
+        minY = Math.min(minY, y - r);
+        maxX = Math.max(maxX, x + r);
+        maxY = Math.max(maxY, y + r);
       });
     });
 
@@ -128,24 +284,138 @@ class VideoGenerator {
   }
 
   /**
-   * 计算相机参数
+   * 计算相机参数（默认铺满整个画面，网格视频中为单个格子）
    */
-  calculateCamera(bounds) {
-    const scaleX = this.width / bounds.width;
-    const scaleY = this.height / bounds.height;
+  calculateCamera(bounds, width = this.width, height = this.height) {
+    const scaleX = width / bounds.width;
+    const scaleY = height / bounds.height;
     const scale = Math.min(scaleX, scaleY) * 0.9; // 留10%边距
     
     return {
       scale,
-      offsetX: (this.width - bounds.width * scale) / 2 - bounds.minX * scale,
-      offsetY: (this.height - bounds.height * scale) / 2 - bounds.minY * scale
+      offsetX: (width - bounds.width * scale) / 2 - bounds.minX * scale,
+      offsetY: (height - bounds.height * scale) / 2 - bounds.minY * scale
     };
   }
 
   /**
-   * 生成帧图像
+   * 绘制第 i 帧（整帧重绘，可复用同一画布）
+   */
+  drawFrame(ctx, frames, i, config, camera, bounds) {
+    const frame = frames[i];
+    
+    // 绘制背景
+    this.drawBackground(ctx);
+    
+    // 绘制网格（可选）
+    if (this.renderOptions.showGrid) {
+      this.drawGrid(ctx, camera, bounds);
+    }
+    
+    // 绘制边界（可选）
+    if (this.renderOptions.showBounds) {
+      this.drawBounds(ctx, camera, bounds);
+    }
+    
+    // 绘制约束（在物体下方）与物体
+    this.drawConstraints(ctx, frame, camera);
+    this.drawBodies(ctx, frame.bodies, config, camera);
+    
+    // 绘制轨迹（可选）
+    if (this.renderOptions.showTrajectories) {
+      this.drawTrajectories(ctx, frames.slice(0, i + 1), camera);
+    }
+    
+    // 绘制力向量（可选）
+    if (this.renderOptions.showForces) {
+      this.drawForces(ctx, frame.bodies, camera);
+    }
+    
+    // 绘制指标（可选）
+    if (this.renderOptions.showMetrics) {
+      this.drawMetrics(ctx, frame, i, frames.length);
+    }
+
+    // 慢放提示
+    if (frame.playbackRate !== undefined && frame.playbackRate < 0.999) {
+      this.drawPlaybackRate(ctx, frame.playbackRate);
+    }
+  }
+
+  /**
+   * 逐帧绘制并编码：默认流式送入 ffmpeg，流式失败或 streaming: false 时回退到 PNG 落盘
+   * draw(ctx, i) 负责绘制第 i 帧；options.onProgress 接收 { phase, frame, totalFrames, percent }
+   */
+  async renderVideo(totalFrames, draw, options = {}) {
+    const streaming = options.streaming !== undefined ? options.streaming : this.streaming;
+    
+    if (streaming) {
+      try {
+        const videoPath = await this.streamFrames(totalFrames, draw, options);
+        return { videoPath, encoding: 'stream' };
+      } catch (error) {
+        console.warn(`⚠️ 流式编码失败，回退到逐帧 PNG: ${error.message}`);
+      }
+    }
+    
+    const frameImages = await this.writeFrameImages(totalFrames, draw, options);
+    try {
+      const videoPath = await this.composeVideo(frameImages, options);
+      return { videoPath, encoding: 'disk' };
+    } finally {
+      // 清理临时文件
+      this.cleanupTempFiles(frameImages);
+    }
+  }
+
+  /**
+   * 流式编码：复用一张画布，原始像素经 stdin 送入 ffmpeg，缓冲区满时等待
+   */
+  async streamFrames(totalFrames, draw, options = {}) {
+    const canvas = createCanvas(this.width, this.height);
+    const ctx = canvas.getContext('2d');
+    const qualitySettings = this.getQualitySettings();
+    const encoder = new FrameStreamEncoder({
+      width: this.width,
+      height: this.height,
+      fps: this.fps,
+      outputPath: path.join(this.outputDir, options.filename || 'simulation_video.mp4'),
+      preset: qualitySettings.preset,
+      crf: qualitySettings.crf,
+      maxBufferedFrames: options.maxBufferedFrames || this.maxBufferedFrames,
+      onProgress: options.onProgress
+    }).start();
+    
+    console.log('🎬 开始流式编码...');
+    try {
+      for (let i = 0; i < totalFrames; i++) {
+        draw(ctx, i);
+        await encoder.writeFrame(canvas.toBuffer('raw'));
+        this.reportProgress(options, i, totalFrames);
+      }
+      const videoPath = await encoder.finish();
+      console.log('✅ 视频合成完成');
+      return videoPath;
+    } catch (error) {
+      encoder.abort();
+      throw error;
+    }
+  }
+
+  /**
+   * 生成帧图像（落盘路径）
    */
   async generateFrameImages(frames, config, camera, bounds) {
+    return await this.writeFrameImages(
+      frames.length,
+      (ctx, i) => this.drawFrame(ctx, frames, i, config, camera, bounds)
+    );
+  }
+
+  /**
+   * 逐帧绘制并写入 temp_frames/ 下的 PNG
+   */
+  async writeFrameImages(totalFrames, draw, options = {}) {
     const frameImages = [];
     const tempDir = path.join(this.outputDir, 'temp_frames');
     
@@ -153,41 +423,11 @@ class VideoGenerator {
       fs.mkdirSync(tempDir, { recursive: true });
     }
 
-    for (let i = 0; i < frames.length; i++) {
-      const frame = frames[i];
+    for (let i = 0; i < totalFrames; i++) {
       const canvas = createCanvas(this.width, this.height);
       const ctx = canvas.getContext('2d');
       
-      // 绘制背景
-      this.drawBackground(ctx);
-      
-      // 绘制网格（可选）
-      if (this.renderOptions.showGrid) {
-        this.drawGrid(ctx, camera, bounds);
-      }
-      
-      // 绘制边界（可选）
-      if (this.renderOptions.showBounds) {
-        this.drawBounds(ctx, camera, bounds);
-      }
-      
-      // 绘制物体
-      this.drawBodies(ctx, frame.bodies, config, camera);
-      
-      // 绘制轨迹（可选）
-      if (this.renderOptions.showTrajectories) {
-        this.drawTrajectories(ctx, frames.slice(0, i + 1), camera);
-      }
-      
-      // 绘制力向量（可选）
-      if (this.renderOptions.showForces) {
-        this.drawForces(ctx, frame.bodies, camera);
-      }
-      
-      // 绘制指标（可选）
-      if (this.renderOptions.showMetrics) {
-        this.drawMetrics(ctx, frame, i, frames.length);
-      }
+      draw(ctx, i);
       
       // 保存帧图像
       const framePath = path.join(tempDir, `frame_${i.toString().padStart(6, '0')}.png`);
@@ -195,16 +435,29 @@ class VideoGenerator {
       fs.writeFileSync(framePath, buffer);
       
       frameImages.push(framePath);
-      
-      // 显示进度
-      if (i % 100 === 0) {
-        console.log(`   📸 生成帧: ${i + 1}/${frames.length}`);
-      }
+      this.reportProgress(options, i, totalFrames);
     }
 
     return frameImages;
   }
 
+  /**
+   * 绘制进度：每 100 帧打印一次，并回调 options.onProgress
+   */
+  reportProgress(options, i, totalFrames) {
+    if (i % 100 === 0) {
+      console.log(`   📸 生成帧: ${i + 1}/${totalFrames}`);
+    }
+    if (options.onProgress) {
+      options.onProgress({
+        phase: 'render',
+        frame: i + 1,
+        totalFrames,
+        percent: ((i + 1) / totalFrames) * 100
+      });
+    }
+  }
+
   /**
    * 绘制背景
    */
@@ -276,6 +529,11 @@ class VideoGenerator {
       // 获取物体配置
       const bodyConfig = config.bodies[body.id];
       if (!bodyConfig) return;
+
+      if (bodyConfig.outline) {
+        this.drawOutline(ctx, body, bodyConfig, camera);
+        return;
+      }
       
       ctx.save();
       ctx.translate(screenX, screenY);
@@ -306,6 +564,99 @@ class VideoGenerator {
     });
   }
 
+  /**
+   * 按真实几何绘制刚体：各部件变换到世界坐标后经相机投影，复合体的部件沿用原刚体的样式
+   */
+  drawOutline(ctx, body, bodyConfig, camera) {
+    const toScreen = ([x, y]) => [x * camera.scale + camera.offsetX, y * camera.scale + camera.offsetY];
+
+    outlineAt(bodyConfig.outline, body).forEach(part => {
+      const style = (bodyConfig.partStyles && bodyConfig.partStyles[part.id]) || bodyConfig.style;
+      ctx.save();
+      ctx.fillStyle = style.color;
+      ctx.globalAlpha = style.opacity;
+      ctx.strokeStyle = style.stroke;
+      ctx.lineWidth = style.strokeWidth;
+
+      if (part.kind === 'circle') {
+        const [cx, cy] = toScreen(part.center);
+        const radius = part.r * camera.scale;
+        this.drawCircle(ctx, cx, cy, radius);
+        // 半径线显示转动
+        ctx.beginPath();
+        ctx.moveTo(cx, cy);
+        ctx.lineTo(cx + radius * Math.cos(part.angle), cy + radius * Math.sin(part.angle));
+        ctx.stroke();
+      } else {
+        ctx.beginPath();
+        part.vertices.map(toScreen).forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+      }
+      ctx.restore();
+    });
+  }
+
+  /**
+   * 绘制约束：端点随本帧（插值后）的刚体位姿，弹簧圈数固定，松弛的绳下垂
+   */
+  drawConstraints(ctx, frame, camera) {
+    if (!frame.constraints || frame.constraints.length === 0) return;
+    const toScreen = ([x, y]) => [x * camera.scale + camera.offsetX, y * camera.scale + camera.offsetY];
+    const styles = {
+      spring: { stroke: '#FF6B35', width: 2 },
+      rope: { stroke: '#8B5A2B', width: 2 },
+      rod: { stroke: '#555555', width: 4 },
+      hinge: { stroke: '#555555', width: 2 },
+      slider: { stroke: '#555555', width: 2 },
+      pulley: { stroke: '#8B5A2B', width: 2 }
+    };
+
+    const polyline = (points) => {
+      ctx.beginPath();
+      points.map(toScreen).forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+      ctx.stroke();
+    };
+
+    constraintDrawings(frame.constraints, frame.bodies).forEach(drawing => {
+      const style = styles[drawing.type] || styles.rod;
+      ctx.save();
+      ctx.lineJoin = 'round';
+      ctx.lineCap = 'round';
+
+      // 滑轨（虚线）与滑轮
+      if (drawing.rail) {
+        ctx.strokeStyle = '#999999';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([8, 6]);
+        polyline(drawing.rail);
+        ctx.setLineDash([]);
+      }
+      (drawing.wheels || []).forEach(wheel => {
+        const [x, y] = toScreen(wheel);
+        ctx.fillStyle = '#dddddd';
+        ctx.strokeStyle = '#555555';
+        ctx.lineWidth = 2;
+        this.drawCircle(ctx, x, y, 8);
+      });
+
+      ctx.strokeStyle = style.stroke;
+      ctx.lineWidth = style.width;
+      polyline(drawing.path);
+
+      // 销钉
+      drawing.pins.forEach(pin => {
+        const [x, y] = toScreen(pin);
+        ctx.fillStyle = '#ffffff';
+        ctx.strokeStyle = '#333333';
+        ctx.lineWidth = 1.5;
+        this.drawCircle(ctx, x, y, 4);
+      });
+      ctx.restore();
+    });
+  }
+
   /**
    * 绘制圆形
    */
@@ -434,6 +785,23 @@ class VideoGenerator {
     ctx.fillText(`Progress: ${progress}%`, 20, 70);
   }
 
+  /**
+   * 绘制播放速率提示（右上角，如 ×0.25）
+   */
+  drawPlaybackRate(ctx, rate) {
+    const text = `×${Number(rate.toFixed(2))}`;
+    ctx.save();
+    ctx.font = 'bold 28px Arial';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'top';
+    const width = ctx.measureText(text).width;
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(this.width - width - 40, 16, width + 24, 40);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillText(text, this.width - 28, 22);
+    ctx.restore();
+  }
+
   /**
    * 合成视频
    */
@@ -462,6 +830,9 @@ class VideoGenerator {
           if (progress.percent) {
             console.log(`   📹 合成进度: ${progress.percent.toFixed(1)}%`);
           }
+          if (options.onProgress) {
+            options.onProgress({ phase: 'encode', frame: progress.frames, percent: progress.percent });
+          }
         })
         .on('end', () => {
           console.log('✅ 视频合成完成');
@@ -521,6 +892,33 @@ class VideoGenerator {
     };
   }
 
+  /**
+   * 由契约生成配置：各刚体（含合并后的复合体）的真实轮廓与样式
+   */
+  contractConfig(contract, simulationData) {
+    const events = traceEvents(simulationData);
+    const outlines = bodyOutlines(contract, events);
+    const staticIds = new Set(contract.bodies.filter(body => body.isStatic).map(body => body.id));
+
+    const bodyConfigs = {};
+    Object.values(outlines).forEach(outline => {
+      const partStyles = {};
+      outline.parts.forEach(part => {
+        partStyles[part.id] = this.generateBodyStyle(part.id, staticIds.has(part.id));
+      });
+      bodyConfigs[outline.id] = {
+        type: 'outline',
+        outline,
+        style: this.generateBodyStyle(outline.id, outline.isStatic),
+        partStyles
+      };
+    });
+
+    return {
+      bodies: bodyConfigs
+    };
+  }
+
   /**
    * 检测物体类型
    */
@@ -543,10 +941,11 @@ class VideoGenerator {
   }
 
   /**
-   * 生成物体样式
+   * 生成物体样式（名称无法识别的静态体按墙体样式）
    */
-  generateBodyStyle(bodyId) {
-    const type = this.detectBodyType(bodyId);
+  generateBodyStyle(bodyId, isStatic = false) {
+    const detected = this.detectBodyType(bodyId);
+    const type = isStatic && !['ground', 'wall', 'ramp'].includes(detected) ? 'wall' : detected;
     
     const styles = {
       ground: {
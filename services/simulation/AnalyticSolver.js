@@ -0,0 +1,609 @@
+"use strict";
+/**
+ * 解析参考解 - 标准力学情景的闭式解，输出与 SimulationCore 相同的轨迹格式
+ *
+ * 功能：
+ * 1. 抛体、自由落体、匀变速直线运动、圆周运动、（阻尼）简谐振动
+ * 2. 斜面滑块（动 / 静摩擦，上滑减速后按 μs 判断是否下滑）与一维弹性 / 非弹性碰撞
+ * 3. 按帧间隔采样为 SimulationData（帧、受力、能量、事件、碰撞冲量、轨迹哈希），可直接渲染与分析
+ * 4. compareTraces：逐帧对比两条轨迹（如解析解与 Matter.js 仿真）的位置 / 速度偏差
+ *
+ * 坐标与契约一致：SI 单位，y 轴向下，角度顺时针为正。刚体按质点处理（转动动能为 0），
+ * 重力势能零点为坐标原点。落地、滑到斜面底端等终止事件发生时轨迹在该时刻结束。
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.solveAnalytic = solveAnalytic;
+exports.compareTraces = compareTraces;
+const SimulationClock_1 = require("./SimulationClock");
+const TraceHash_1 = require("./TraceHash");
+const DEFAULT_GRAVITY = 9.8;
+// 无终止事件的情景的默认时长（s）
+const DEFAULT_DURATION = 2;
+const ZERO = [0, 0];
+/**
+ * 求解情景，返回与 simulateContract 相同格式的结果
+ */
+function solveAnalytic(scenario, options = {}) {
+    try {
+        return { success: true, data: sample(buildModel(scenario), options) };
+    }
+    catch (error) {
+        return {
+            success: false,
+            error: error instanceof Error ? error.message : 'Unknown error'
+        };
+    }
+}
+/**
+ * 逐帧对比两条轨迹：按 reference 的帧时刻对 actual 线性插值，只比较两者共有的刚体
+ */
+function compareTraces(reference, actual) {
+    const deviations = new Map();
+    let cursor = 0;
+    for (const frame of reference.frames) {
+        const t = frame.timestamp;
+        while (cursor < actual.frames.length - 2 && actual.frames[cursor + 1].timestamp < t)
+            cursor++;
+        const before = actual.frames[cursor];
+        const after = actual.frames[Math.min(cursor + 1, actual.frames.length - 1)];
+        if (!before || t < before.timestamp - 1e-9 || t > after.timestamp + 1e-9)
+            continue;
+        const span = after.timestamp - before.timestamp;
+        const w = span > 0 ? Math.min(1, Math.max(0, (t - before.timestamp) / span)) : 0;
+        for (const body of frame.bodies) {
+            const a = before.bodies.find(candidate => candidate.id === body.id);
+            const b = after.bodies.find(candidate => candidate.id === body.id);
+            if (!a || !b)
+                continue;
+            const position = lerp(a.position, b.position, w);
+            const velocity = lerp(a.velocity, b.velocity, w);
+            const positionError = Math.hypot(position[0] - body.position[0], position[1] - body.position[1]);
+            const velocityError = Math.hypot(velocity[0] - body.velocity[0], velocity[1] - body.velocity[1]);
+            let deviation = deviations.get(body.id);
+            if (!deviation) {
+                deviation = { id: body.id, samples: 0, maxPositionError: 0, rmsPositionError: 0, maxVelocityError: 0, worstTime: t, sumSquares: 0 };
+                deviations.set(body.id, deviation);
+            }
+            deviation.samples++;
+            deviation.sumSquares += positionError ** 2;
+            if (positionError > deviation.maxPositionError) {
+                deviation.maxPositionError = positionError;
+                deviation.worstTime = t;
+            }
+            deviation.maxVelocityError = Math.max(deviation.maxVelocityError, velocityError);
+        }
+    }
+    const bodies = Array.from(deviations.values(), ({ sumSquares, ...deviation }) => ({
+        ...deviation,
+        rmsPositionError: Math.sqrt(sumSquares / deviation.samples)
+    }));
+    return {
+        bodies,
+        maxPositionError: Math.max(0, ...bodies.map(body => body.maxPositionError)),
+        maxVelocityError: Math.max(0, ...bodies.map(body => body.maxVelocityError))
+    };
+}
+/**
+ * 按情景类型构建闭式解
+ */
+function buildModel(scenario) {
+    switch (scenario.type) {
+        case 'projectile':
+            return projectile(scenario);
+        case 'free_fall':
+            return projectile({
+                type: 'projectile',
+                id: scenario.id,
+                mass: scenario.mass,
+                position: scenario.position,
+                velocity: [0, scenario.velocity ?? 0],
+                gravity: [0, scenario.g ?? DEFAULT_GRAVITY],
+                groundY: scenario.groundY
+            });
+        case 'kinematics_linear':
+            return linearKinematics(scenario);
+        case 'circular_motion':
+            return circularMotion(scenario);
+        case 'oscillation':
+            return oscillation(scenario);
+        case 'inclined_plane':
+            return inclinedPlane(scenario);
+        case 'collision_1d':
+            return collision1D(scenario);
+        default:
+            throw new Error(`Unsupported analytic scenario: ${scenario.type}`);
+    }
+}
+/**
+ * 抛体：r = r0 + v0·t + ½g·t²
+ */
+function projectile(scenario) {
+    const id = scenario.id ?? 'body';
+    const mass = positive(scenario.mass ?? 1, 'mass');
+    const [x0, y0] = scenario.position;
+    const [vx, vy] = scenario.velocity;
+    const [gx, gy] = scenario.gravity ?? [0, DEFAULT_GRAVITY];
+    const model = {
+        tracks: [{
+                id,
+                mass,
+                state: t => ({
+                    position: [x0 + vx * t + 0.5 * gx * t ** 2, y0 + vy * t + 0.5 * gy * t ** 2],
+                    velocity: [vx + gx * t, vy + gy * t],
+                    angle: 0,
+                    angularVelocity: 0
+                })
+            }],
+        gravity: [gx, gy],
+        duration: DEFAULT_DURATION,
+        events: [],
+        collisions: []
+    };
+    if (scenario.groundY !== undefined) {
+        const landing = firstPositiveRoot(0.5 * gy, vy, y0 - scenario.groundY);
+        if (landing !== null) {
+            model.end = { time: landing, reason: 'landing' };
+            model.duration = landing;
+            model.events.push(event('landing', landing, [id], { position: model.tracks[0].state(landing).position }));
+        }
+    }
+    return model;
+}
+/**
+ * 匀变速直线运动；stopAtRest 时减速到 0 后静止
+ */
+function linearKinematics(scenario) {
+    const id = scenario.id ?? 'body';
+    const mass = positive(scenario.mass ?? 1, 'mass');
+    const [x0, y0] = scenario.position;
+    const [vx, vy] = scenario.velocity;
+    const [ax, ay] = scenario.acceleration;
+    let stopTime = Infinity;
+    if (scenario.stopAtRest) {
+        const speed = Math.hypot(vx, vy);
+        const accel = Math.hypot(ax, ay);
+        // 加速度与速度反向时才会停下
+        const opposed = speed > 0 && accel > 0 && Math.abs(vx * ay - vy * ax) <= 1e-12 * speed * accel && vx * ax + vy * ay < 0;
+        if (!opposed) {
+            throw new Error('kinematics_linear: stopAtRest requires acceleration opposite to velocity');
+        }
+        stopTime = speed / accel;
+    }
+    const state = (time) => {
+        const t = Math.min(time, stopTime);
+        const moving = time < stopTime;
+        return {
+            position: [x0 + vx * t + 0.5 * ax * t ** 2, y0 + vy * t + 0.5 * ay * t ** 2],
+            velocity: moving ? [vx + ax * t, vy + ay * t] : [0, 0],
+            angle: 0,
+            angularVelocity: 0
+        };
+    };
+    const initialKinetic = 0.5 * mass * (vx ** 2 + vy ** 2);
+    return {
+        tracks: [{ id, mass, state }],
+        gravity: ZERO,
+        duration: Number.isFinite(stopTime) ? stopTime * 2 : DEFAULT_DURATION,
+        events: Number.isFinite(stopTime) ? [event('at_rest', stopTime, [id], { position: state(stopTime).position })] : [],
+        collisions: [],
+        // 合外力做功计为外界做功
+        externalWork: t => {
+            const [ux, uy] = state(t).velocity;
+            return 0.5 * mass * (ux ** 2 + uy ** 2) - initialKinetic;
+        }
+    };
+}
+/**
+ * 圆周运动：θ = φ + ω·t + ½α·t²，刚体随半径转动
+ */
+function circularMotion(scenario) {
+    const id = scenario.id ?? 'body';
+    const mass = positive(scenario.mass ?? 1, 'mass');
+    const radius = positive(scenario.radius, 'radius');
+    const [cx, cy] = scenario.center;
+    const omega = scenario.angularVelocity;
+    const alpha = scenario.angularAcceleration ?? 0;
+    const phase = scenario.phase ?? 0;
+    const state = (t) => {
+        const theta = phase + omega * t + 0.5 * alpha * t ** 2;
+        const rate = omega + alpha * t;
+        return {
+            position: [cx + radius * Math.cos(theta), cy + radius * Math.sin(theta)],
+            velocity: [-radius * rate * Math.sin(theta), radius * rate * Math.cos(theta)],
+            angle: theta,
+            angularVelocity: rate
+        };
+    };
+    return {
+        tracks: [{ id, mass, state }],
+        gravity: ZERO,
+        // 匀速时默认一周
+        duration: alpha === 0 && omega !== 0 ? 2 * Math.PI / Math.abs(omega) : DEFAULT_DURATION,
+        events: [],
+        collisions: [],
+        // 切向力做功
+        externalWork: t => 0.5 * mass * radius ** 2 * ((omega + alpha * t) ** 2 - omega ** 2)
+    };
+}
+/**
+ * 阻尼振子 m·x'' + c·x' + k·x = 0 的欠阻尼 / 临界阻尼 / 过阻尼解
+ */
+function oscillation(scenario) {
+    const id = scenario.id ?? 'body';
+    const mass = positive(scenario.mass, 'mass');
+    const k = positive(scenario.k, 'k');
+    const c = scenario.c ?? 0;
+    if (c < 0)
+        throw new Error('oscillation: c must be non-negative');
+    const x0 = scenario.displacement;
+    const v0 = scenario.velocity ?? 0;
+    const omega0 = Math.sqrt(k / mass);
+    const zeta = c / (2 * Math.sqrt(k * mass));
+    const gamma = zeta * omega0;
+    // x(t) 与 v(t)
+    let motion;
+    if (zeta < 1) {
+        const omegaD = omega0 * Math.sqrt(1 - zeta ** 2);
+        const a = x0;
+        const b = (v0 + gamma * x0) / omegaD;
+        motion = t => {
+            const decay = Math.exp(-gamma * t);
+            const cos = Math.cos(omegaD * t);
+            const sin = Math.sin(omegaD * t);
+            return [
+                decay * (a * cos + b * sin),
+                decay * ((-gamma * a + omegaD * b) * cos + (-gamma * b - omegaD * a) * sin)
+            ];
+        };
+    }
+    else if (zeta === 1) {
+        const a = x0;
+        const b = v0 + gamma * x0;
+        motion = t => {
+            const decay = Math.exp(-gamma * t);
+            return [(a + b * t) * decay, (b - gamma * (a + b * t)) * decay];
+        };
+    }
+    else {
+        const root = omega0 * Math.sqrt(zeta ** 2 - 1);
+        const r1 = -gamma + root;
+        const r2 = -gamma - root;
+        const c1 = (v0 - r2 * x0) / (r1 - r2);
+        const c2 = x0 - c1;
+        motion = t => [
+            c1 * Math.exp(r1 * t) + c2 * Math.exp(r2 * t),
+            r1 * c1 * Math.exp(r1 * t) + r2 * c2 * Math.exp(r2 * t)
+        ];
+    }
+    const [ex, ey] = scenario.equilibrium;
+    const track = {
+        id,
+        mass,
+        state: t => {
+            const [x, v] = motion(t);
+            return { position: [ex + x, ey], velocity: [v, 0], angle: 0, angularVelocity: 0 };
+        },
+        forces: t => {
+            const [x, v] = motion(t);
+            return { normal: [0, 0], friction: [0, 0], spring: [-k * x - c * v, 0], contacts: [] };
+        }
+    };
+    return {
+        tracks: [track],
+        gravity: ZERO,
+        // 默认两个无阻尼周期
+        duration: 2 * (2 * Math.PI / omega0),
+        events: [],
+        collisions: [],
+        elastic: t => 0.5 * k * motion(t)[0] ** 2
+    };
+}
+/**
+ * 斜面滑块：分段匀变速，下滑 a = g(sinθ − μ·cosθ)，上滑 a = g(sinθ + μ·cosθ)（沿下滑方向）
+ */
+function inclinedPlane(scenario) {
+    const id = scenario.id ?? 'body';
+    const mass = positive(scenario.mass ?? 1, 'mass');
+    const theta = scenario.angle;
+    if (!(theta > 0 && theta < Math.PI / 2)) {
+        throw new Error('inclined_plane: angle must be in (0, π/2)');
+    }
+    const side = scenario.downhill ?? 1;
+    const g = scenario.g ?? DEFAULT_GRAVITY;
+    const mu = scenario.friction ?? 0;
+    const muStatic = scenario.frictionStatic ?? mu;
+    const sin = Math.sin(theta);
+    const cos = Math.cos(theta);
+    // 下滑方向与离开斜面的法向（y 轴向下）
+    const along = [side * cos, sin];
+    const outward = [side * sin, -cos];
+    const slideDown = g * (sin - mu * cos);
+    const slideUp = g * (sin + mu * cos);
+    const startsSliding = Math.tan(theta) > muStatic && slideDown > 0;
+    // 分段：起始时刻、位移、速度、加速度
+    const segments = [];
+    let t = 0;
+    let s = 0;
+    let v = scenario.speed ?? 0;
+    if (v < 0) {
+        // 上滑至速度为 0
+        segments.push({ t, s, v, a: slideUp });
+        const stop = -v / slideUp;
+        s += v * stop + 0.5 * slideUp * stop ** 2;
+        t += stop;
+        v = 0;
+    }
+    else if (v > 0 && slideDown < 0) {
+        // 下滑减速至静止
+        segments.push({ t, s, v, a: slideDown });
+        const stop = v / -slideDown;
+        s += v * stop + 0.5 * slideDown * stop ** 2;
+        t += stop;
+        v = 0;
+    }
+    if (v > 0) {
+        segments.push({ t, s, v, a: slideDown });
+    }
+    else {
+        segments.push({ t, s, v: 0, a: startsSliding ? slideDown : 0 });
+    }
+    const segmentAt = (time) => {
+        let index = segments.length - 1;
+        while (index > 0 && segments[index].t > time)
+            index--;
+        return segments[index];
+    };
+    const motion = (time) => {
+        const segment = segmentAt(time);
+        const dt = time - segment.t;
+        return [segment.s + segment.v * dt + 0.5 * segment.a * dt ** 2, segment.v + segment.a * dt, segment.a];
+    };
+    const [x0, y0] = scenario.position;
+    const normalForce = mass * g * cos;
+    const track = {
+        id,
+        mass,
+        state: time => {
+            const [distance, speed] = motion(time);
+            return {
+                position: [x0 + along[0] * distance, y0 + along[1] * distance],
+                velocity: [along[0] * speed, along[1] * speed],
+                angle: side * theta,
+                angularVelocity: 0
+            };
+        },
+        forces: time => {
+            const [distance, , accel] = motion(time);
+            // 摩擦力 = 沿斜面合力 − 重力分量（静止时为静摩擦）
+            const friction = mass * (accel - g * sin);
+            const frictionForce = [along[0] * friction, along[1] * friction];
+            const normal = [outward[0] * normalForce, outward[1] * normalForce];
+            const contact = {
+                with: 'incline',
+                point: [x0 + along[0] * distance, y0 + along[1] * distance],
+                normal: outward,
+                normalForce,
+                frictionForce
+            };
+            return { normal, friction: frictionForce, spring: [0, 0], contacts: [contact] };
+        }
+    };
+    const model = {
+        tracks: [track],
+        gravity: [0, g],
+        duration: DEFAULT_DURATION,
+        events: [],
+        collisions: []
+    };
+    if (scenario.length !== undefined) {
+        const length = positive(scenario.length, 'length');
+        for (let i = 0; i < segments.length; i++) {
+            const segment = segments[i];
+            const next = segments[i + 1]?.t ?? Infinity;
+            const root = firstPositiveRoot(0.5 * segment.a, segment.v, segment.s - length);
+            if (root !== null && segment.t + root <= next) {
+                const time = segment.t + root;
+                model.end = { time, reason: 'end_of_incline' };
+                model.duration = time;
+                model.events.push(event('end_of_incline', time, [id], { position: track.state(time).position }));
+                break;
+            }
+        }
+    }
+    return model;
+}
+/**
+ * 一维碰撞：接触前匀速，接触瞬间按动量守恒与恢复系数交换速度
+ */
+function collision1D(scenario) {
+    const [first, second] = scenario.bodies;
+    const e = scenario.restitution;
+    if (!(e >= 0 && e <= 1))
+        throw new Error('collision_1d: restitution must be in [0, 1]');
+    const m1 = positive(first.mass, `${first.id}.mass`);
+    const m2 = positive(second.mass, `${second.id}.mass`);
+    // direction：由 first 指向 second
+    const direction = Math.sign(second.position[0] - first.position[0]) || 1;
+    const gap = Math.abs(second.position[0] - first.position[0]) - (first.radius ?? 0) - (second.radius ?? 0);
+    if (gap < 0)
+        throw new Error('collision_1d: bodies overlap');
+    const u1 = first.velocity;
+    const u2 = second.velocity;
+    const approach = (u1 - u2) * direction;
+    const contactTime = approach > 0 ? gap / approach : Infinity;
+    const total = m1 + m2;
+    const v1 = (m1 * u1 + m2 * u2 + m2 * e * (u2 - u1)) / total;
+    const v2 = (m1 * u1 + m2 * u2 + m1 * e * (u1 - u2)) / total;
+    const track = (body, mass, before, after) => ({
+        id: body.id,
+        mass,
+        state: t => {
+            const x = t <= contactTime
+                ? body.position[0] + before * t
+                : body.position[0] + before * contactTime + after * (t - contactTime);
+            return { position: [x, body.position[1]], velocity: [t < contactTime ? before : after, 0], angle: 0, angularVelocity: 0 };
+        }
+    });
+    const model = {
+        tracks: [track(first, m1, u1, v1), track(second, m2, u2, v2)],
+        gravity: ZERO,
+        duration: Number.isFinite(contactTime) ? Math.max(2 * contactTime, 0.5) : DEFAULT_DURATION,
+        events: [],
+        collisions: []
+    };
+    if (Number.isFinite(contactTime)) {
+        const contactX = first.position[0] + u1 * contactTime + direction * (first.radius ?? 0);
+        // 法向由 second 指向 first，冲量为 first 的法向动量变化
+        model.events.push(event('collision', contactTime, [first.id, second.id], {
+            position: model.tracks[0].state(contactTime).position,
+            velocity: [u1, 0]
+        }));
+        model.collisions.push({
+            time: contactTime,
+            bodies: [first.id, second.id],
+            point: [contactX, first.position[1]],
+            normal: [-direction, 0],
+            impulse: m1 * (v1 - u1) * -direction,
+            approachSpeed: approach,
+            separationSpeed: (v2 - v1) * direction,
+            restitution: approach > 0 ? ((v2 - v1) * direction) / approach : null,
+            configuredRestitution: e
+        });
+    }
+    return model;
+}
+/**
+ * 按帧间隔采样为 SimulationData；终止事件时刻补记最后一帧
+ */
+function sample(model, options) {
+    const dt = positive(options.dt ?? SimulationClock_1.DEFAULT_DT, 'dt');
+    let duration = options.duration !== undefined ? positive(options.duration, 'duration') : model.duration;
+    const ended = model.end !== undefined && model.end.time <= duration;
+    if (ended)
+        duration = model.end.time;
+    const times = [];
+    const count = Math.floor(duration / dt + 1e-9);
+    for (let i = 0; i <= count; i++)
+        times.push(i * dt);
+    if (duration - times[times.length - 1] > 1e-9)
+        times.push(duration);
+    const timing = (0, SimulationClock_1.resolveTiming)({ dt, substeps: 1 });
+    const events = model.events.filter(item => item.timestamp <= duration * 1000 + 1e-6);
+    const frames = [];
+    const energy = [];
+    let initialEnergy = null;
+    for (const time of times) {
+        const states = model.tracks.map(track => ({ track, state: track.state(time) }));
+        frames.push({
+            frameIndex: frames.length,
+            timestamp: time,
+            bodies: states.map(({ track, state }) => ({ id: track.id, ...state })),
+            forces: states.map(({ track }) => ({
+                id: track.id,
+                ...(track.forces ? track.forces(time) : { normal: [0, 0], friction: [0, 0], spring: [0, 0], contacts: [] })
+            })),
+            events: events.filter(item => item.timestamp <= time * 1000 + 1e-6)
+        });
+        const measured = measureEnergy(model, states, time);
+        if (initialEnergy === null)
+            initialEnergy = measured.mechanical;
+        const externalWork = model.externalWork ? model.externalWork(time) : 0;
+        energy.push({ ...measured, externalWork, dissipated: initialEnergy + externalWork - measured.mechanical });
+    }
+    const last = frames[frames.length - 1];
+    return {
+        frames,
+        finalState: {
+            bodies: last.bodies.map(body => ({ id: body.id, position: body.position, velocity: body.velocity, angle: body.angle })),
+            totalTime: duration,
+            endReason: ended ? `end_condition_met: ${model.end.reason}` : 'time_limit'
+        },
+        physicsMetrics: {
+            totalEnergy: energy.map(item => item.mechanical),
+            totalMomentum: energy.map(item => Math.hypot(...item.momentum)),
+            energy,
+            collisionCount: model.collisions.filter(item => item.time <= duration).length
+        },
+        events,
+        collisions: model.collisions.filter(item => item.time <= duration),
+        timing,
+        trace: (0, TraceHash_1.traceSignature)(frames, {
+            matter: 'analytic',
+            dt,
+            substeps: 1,
+            stepMs: timing.stepMs,
+            positionIterations: 0,
+            velocityIterations: 0,
+            recordRate: timing.recordRate,
+            scale: { length: 1, mass: 1 }
+        }, 0)
+    };
+}
+/**
+ * 质点的能量与动量（与 EnergyLedger 的字段一致）
+ */
+function measureEnergy(model, states, time) {
+    const [gx, gy] = model.gravity;
+    const bodies = [];
+    const momentum = [0, 0];
+    let angularMomentum = 0;
+    for (const { track, state } of states) {
+        const [x, y] = state.position;
+        const [vx, vy] = state.velocity;
+        bodies.push({
+            id: track.id,
+            kinetic: 0.5 * track.mass * (vx ** 2 + vy ** 2),
+            rotational: 0,
+            gravitational: -track.mass * (gx * x + gy * y)
+        });
+        momentum[0] += track.mass * vx;
+        momentum[1] += track.mass * vy;
+        angularMomentum += track.mass * (x * vy - y * vx);
+    }
+    const kinetic = bodies.reduce((sum, body) => sum + body.kinetic, 0);
+    const gravitational = bodies.reduce((sum, body) => sum + body.gravitational, 0);
+    const elastic = model.elastic ? model.elastic(time) : 0;
+    return {
+        time,
+        kinetic,
+        rotational: 0,
+        gravitational,
+        elastic,
+        mechanical: kinetic + gravitational + elastic,
+        momentum,
+        angularMomentum,
+        bodies,
+        springs: model.elastic ? [{ id: 'spring', elastic }] : []
+    };
+}
+/**
+ * a·t² + b·t + c = 0 的最小正根
+ */
+function firstPositiveRoot(a, b, c) {
+    const roots = [];
+    if (Math.abs(a) < 1e-12) {
+        if (b !== 0)
+            roots.push(-c / b);
+    }
+    else {
+        const discriminant = b ** 2 - 4 * a * c;
+        if (discriminant < 0)
+            return null;
+        const sqrt = Math.sqrt(discriminant);
+        roots.push((-b - sqrt) / (2 * a), (-b + sqrt) / (2 * a));
+    }
+    const positive = roots.filter(root => root > 1e-12);
+    return positive.length ? Math.min(...positive) : null;
+}
+function event(type, time, participants, data) {
+    return { type, timestamp: time * 1000, participants, data };
+}
+function positive(value, name) {
+    if (!(value > 0) || !Number.isFinite(value)) {
+        throw new Error(`${name} must be a positive number`);
+    }
+    return value;
+}
+function lerp(a, b, w) {
+    return [a[0] + (b[0] - a[0]) * w, a[1] + (b[1] - a[1]) * w];
+}
@@ -0,0 +1,798 @@
+/**
+ * 解析参考解 - 标准力学情景的闭式解，输出与 SimulationCore 相同的轨迹格式
+ *
+ * 功能：
+ * 1. 抛体、自由落体、匀变速直线运动、圆周运动、（阻尼）简谐振动
+ * 2. 斜面滑块（动 / 静摩擦，上滑减速后按 μs 判断是否下滑）与一维弹性 / 非弹性碰撞
+ * 3. 按帧间隔采样为 SimulationData（帧、受力、能量、事件、碰撞冲量、轨迹哈希），可直接渲染与分析
+ * 4. compareTraces：逐帧对比两条轨迹（如解析解与 Matter.js 仿真）的位置 / 速度偏差
+ *
+ * 坐标与契约一致：SI 单位，y 轴向下，角度顺时针为正。刚体按质点处理（转动动能为 0），
+ * 重力势能零点为坐标原点。落地、滑到斜面底端等终止事件发生时轨迹在该时刻结束。
+ */
+
+import type { BodyContact, BodyForces, CollisionImpulse } from './ContactForces';
+import type { BodyEnergy, EnergySample } from './EnergyAccounting';
+import type { SIBodyState } from './UnitMapper';
+import type { SimulationData, SimulationEvent, SimulationFrame, SimulationResult } from './SimulationCore';
+import { resolveTiming, DEFAULT_DT } from './SimulationClock';
+import { traceSignature } from './TraceHash';
+
+type Vec2 = [number, number];
+
+// 抛体：质心到达 groundY 时落地结束
+export interface ProjectileScenario {
+  type: 'projectile';
+  id?: string;
+  mass?: number;         // kg，默认 1
+  position: Vec2;        // m
+  velocity: Vec2;        // m/s
+  gravity?: Vec2;        // m/s²，默认 [0, 9.8]
+  groundY?: number;      // m
+}
+
+// 自由落体：竖直方向的抛体
+export interface FreeFallScenario {
+  type: 'free_fall';
+  id?: string;
+  mass?: number;
+  position: Vec2;
+  velocity?: number;     // 竖直初速度（m/s，向下为正），默认 0
+  g?: number;            // m/s²，默认 9.8
+  groundY?: number;
+}
+
+// 匀变速直线运动（合外力恒定）
+export interface LinearKinematicsScenario {
+  type: 'kinematics_linear';
+  id?: string;
+  mass?: number;
+  position: Vec2;
+  velocity: Vec2;
+  acceleration: Vec2;    // m/s²
+  stopAtRest?: boolean;  // 减速到 0 后保持静止（刹车），加速度须与速度反向
+}
+
+// 圆周运动（水平面内，不计重力）
+export interface CircularMotionScenario {
+  type: 'circular_motion';
+  id?: string;
+  mass?: number;
+  center: Vec2;
+  radius: number;               // m
+  angularVelocity: number;      // rad/s，顺时针为正
+  angularAcceleration?: number; // rad/s²，默认 0
+  phase?: number;               // 初始方位角（rad），0 为圆心右侧
+}
+
+// 水平弹簧振子：位移沿 x 轴，受 −k·x − c·v
+export interface OscillationScenario {
+  type: 'oscillation';
+  id?: string;
+  mass: number;
+  k: number;                    // N/m
+  c?: number;                   // N·s/m，默认 0
+  equilibrium: Vec2;            // 平衡位置（m）
+  displacement: number;         // 初始位移（m）
+  velocity?: number;            // 初速度（m/s），默认 0
+}
+
+// 斜面滑块：沿斜面的位移 s 以下滑方向为正
+export interface InclinedPlaneScenario {
+  type: 'inclined_plane';
+  id?: string;
+  mass?: number;
+  position: Vec2;               // 初始位置（m）
+  angle: number;                // 倾角（rad），0 < angle < π/2
+  downhill?: 1 | -1;            // 1：斜面向右下方倾斜，-1：向左下方，默认 1
+  speed?: number;               // 沿斜面初速度（m/s），下滑为正，默认 0
+  friction?: number;            // 动摩擦因数，默认 0
+  frictionStatic?: number;      // 静摩擦因数，默认等于动摩擦因数
+  g?: number;
+  length?: number;              // 到斜面底端的距离（m），到达后结束
+}
+
+// 一维碰撞中的物体（沿 x 轴运动）
+export interface CollisionBody {
+  id: string;
+  mass: number;
+  position: Vec2;
+  velocity: number;             // m/s，沿 +x 为正
+  radius?: number;              // m，接触时两心距为半径之和，默认 0
+}
+
+// 一维碰撞（恢复系数 0 为完全非弹性，1 为弹性）
+export interface Collision1DScenario {
+  type: 'collision_1d';
+  bodies: [CollisionBody, CollisionBody];
+  restitution: number;
+}
+
+export type AnalyticScenario =
+  | ProjectileScenario
+  | FreeFallScenario
+  | LinearKinematicsScenario
+  | CircularMotionScenario
+  | OscillationScenario
+  | InclinedPlaneScenario
+  | Collision1DScenario;
+
+// 求解选项
+export interface AnalyticOptions {
+  dt?: number;        // 帧间隔（s），默认 1/60
+  duration?: number;  // 时长（s），缺省为情景的自然时长；不超过终止事件时刻
+}
+
+// 单个刚体偏差
+export interface BodyDeviation {
+  id: string;
+  samples: number;
+  maxPositionError: number;   // m
+  rmsPositionError: number;   // m
+  maxVelocityError: number;   // m/s
+  worstTime: number;          // 位置偏差最大的时刻（s）
+}
+
+// 两条轨迹的偏差
+export interface TraceComparison {
+  bodies: BodyDeviation[];
+  maxPositionError: number;
+  maxVelocityError: number;
+}
+
+// 刚体运动的闭式解
+interface BodyTrack {
+  id: string;
+  mass: number;
+  state(t: number): SIBodyState;
+  forces?(t: number): Omit<BodyForces, 'id'>;
+}
+
+// 情景模型
+interface ScenarioModel {
+  tracks: BodyTrack[];
+  gravity: Vec2;                       // 重力势能所用的重力加速度
+  duration: number;                    // 自然时长（s）
+  end?: { time: number; reason: string };
+  events: SimulationEvent[];
+  collisions: CollisionImpulse[];
+  elastic?(t: number): number;         // 弹性势能（J）
+  externalWork?(t: number): number;    // 累计外界做功（J）
+}
+
+const DEFAULT_GRAVITY = 9.8;
+
+// 无终止事件的情景的默认时长（s）
+const DEFAULT_DURATION = 2;
+
+const ZERO: Vec2 = [0, 0];
+
+/**
+ * 求解情景，返回与 simulateContract 相同格式的结果
+ */
+export function solveAnalytic(scenario: AnalyticScenario, options: AnalyticOptions = {}): SimulationResult {
+  try {
+    return { success: true, data: sample(buildModel(scenario), options) };
+  } catch (error) {
+    return {
+      success: false,
+      error: error instanceof Error ? error.message : 'Unknown error'
+    };
+  }
+}
+
+/**
+ * 逐帧对比两条轨迹：按 reference 的帧时刻对 actual 线性插值，只比较两者共有的刚体
+ */
+export function compareTraces(reference: SimulationData, actual: SimulationData): TraceComparison {
+  const deviations = new Map<string, BodyDeviation & { sumSquares: number }>();
+  let cursor = 0;
+
+  for (const frame of reference.frames) {
+    const t = frame.timestamp;
+    while (cursor < actual.frames.length - 2 && actual.frames[cursor + 1].timestamp < t) cursor++;
+    const before = actual.frames[cursor];
+    const after = actual.frames[Math.min(cursor + 1, actual.frames.length - 1)];
+    if (!before || t < before.timestamp - 1e-9 || t > after.timestamp + 1e-9) continue;
+
+    const span = after.timestamp - before.timestamp;
+    const w = span > 0 ? Math.min(1, Math.max(0, (t - before.timestamp) / span)) : 0;
+
+    for (const body of frame.bodies) {
+      const a = before.bodies.find(candidate => candidate.id === body.id);
+      const b = after.bodies.find(candidate => candidate.id === body.id);
+      if (!a || !b) continue;
+
+      const position = lerp(a.position, b.position, w);
+      const velocity = lerp(a.velocity, b.velocity, w);
+      const positionError = Math.hypot(position[0] - body.position[0], position[1] - body.position[1]);
+      const velocityError = Math.hypot(velocity[0] - body.velocity[0], velocity[1] - body.velocity[1]);
+
+      let deviation = deviations.get(body.id);
+      if (!deviation) {
+        deviation = { id: body.id, samples: 0, maxPositionError: 0, rmsPositionError: 0, maxVelocityError: 0, worstTime: t, sumSquares: 0 };
+        deviations.set(body.id, deviation);
+      }
+      deviation.samples++;
+      deviation.sumSquares += positionError ** 2;
+      if (positionError > deviation.maxPositionError) {
+        deviation.maxPositionError = positionError;
+        deviation.worstTime = t;
+      }
+      deviation.maxVelocityError = Math.max(deviation.maxVelocityError, velocityError);
+    }
+  }
+
+  const bodies = Array.from(deviations.values(), ({ sumSquares, ...deviation }) => ({
+    ...deviation,
+    rmsPositionError: Math.sqrt(sumSquares / deviation.samples)
+  }));
+  return {
+    bodies,
+    maxPositionError: Math.max(0, ...bodies.map(body => body.maxPositionError)),
+    maxVelocityError: Math.max(0, ...bodies.map(body => body.maxVelocityError))
+  };
+}
+
+/**
+ * 按情景类型构建闭式解
+ */
+function buildModel(scenario: AnalyticScenario): ScenarioModel {
+  switch (scenario.type) {
+    case 'projectile':
+      return projectile(scenario);
+
+    case 'free_fall':
+      return projectile({
+        type: 'projectile',
+        id: scenario.id,
+        mass: scenario.mass,
+        position: scenario.position,
+        velocity: [0, scenario.velocity ?? 0],
+        gravity: [0, scenario.g ?? DEFAULT_GRAVITY],
+        groundY: scenario.groundY
+      });
+
+    case 'kinematics_linear':
+      return linearKinematics(scenario);
+
+    case 'circular_motion':
+      return circularMotion(scenario);
+
+    case 'oscillation':
+      return oscillation(scenario);
+
+    case 'inclined_plane':
+      return inclinedPlane(scenario);
+
+    case 'collision_1d':
+      return collision1D(scenario);
+
+    default:
+      throw new Error(`Unsupported analytic scenario: ${(scenario as AnalyticScenario).type}`);
+  }
+}
+
+/**
+ * 抛体：r = r0 + v0·t + ½g·t²
+ */
+function projectile(scenario: ProjectileScenario): ScenarioModel {
+  const id = scenario.id ?? 'body';
+  const mass = positive(scenario.mass ?? 1, 'mass');
+  const [x0, y0] = scenario.position;
+  const [vx, vy] = scenario.velocity;
+  const [gx, gy] = scenario.gravity ?? [0, DEFAULT_GRAVITY];
+
+  const model: ScenarioModel = {
+    tracks: [{
+      id,
+      mass,
+      state: t => ({
+        position: [x0 + vx * t + 0.5 * gx * t ** 2, y0 + vy * t + 0.5 * gy * t ** 2],
+        velocity: [vx + gx * t, vy + gy * t],
+        angle: 0,
+        angularVelocity: 0
+      })
+    }],
+    gravity: [gx, gy],
+    duration: DEFAULT_DURATION,
+    events: [],
+    collisions: []
+  };
+
+  if (scenario.groundY !== undefined) {
+    const landing = firstPositiveRoot(0.5 * gy, vy, y0 - scenario.groundY);
+    if (landing !== null) {
+      model.end = { time: landing, reason: 'landing' };
+      model.duration = landing;
+      model.events.push(event('landing', landing, [id], { position: model.tracks[0].state(landing).position }));
+    }
+  }
+  return model;
+}
+
+/**
+ * 匀变速直线运动；stopAtRest 时减速到 0 后静止
+ */
+function linearKinematics(scenario: LinearKinematicsScenario): ScenarioModel {
+  const id = scenario.id ?? 'body';
+  const mass = positive(scenario.mass ?? 1, 'mass');
+  const [x0, y0] = scenario.position;
+  const [vx, vy] = scenario.velocity;
+  const [ax, ay] = scenario.acceleration;
+
+  let stopTime = Infinity;
+  if (scenario.stopAtRest) {
+    const speed = Math.hypot(vx, vy);
+    const accel = Math.hypot(ax, ay);
+    // 加速度与速度反向时才会停下
+    const opposed = speed > 0 && accel > 0 && Math.abs(vx * ay - vy * ax) <= 1e-12 * speed * accel && vx * ax + vy * ay < 0;
+    if (!opposed) {
+      throw new Error('kinematics_linear: stopAtRest requires acceleration opposite to velocity');
+    }
+    stopTime = speed / accel;
+  }
+
+  const state = (time: number): SIBodyState => {
+    const t = Math.min(time, stopTime);
+    const moving = time < stopTime;
+    return {
+      position: [x0 + vx * t + 0.5 * ax * t ** 2, y0 + vy * t + 0.5 * ay * t ** 2],
+      velocity: moving ? [vx + ax * t, vy + ay * t] : [0, 0],
+      angle: 0,
+      angularVelocity: 0
+    };
+  };
+
+  const initialKinetic = 0.5 * mass * (vx ** 2 + vy ** 2);
+  return {
+    tracks: [{ id, mass, state }],
+    gravity: ZERO,
+    duration: Number.isFinite(stopTime) ? stopTime * 2 : DEFAULT_DURATION,
+    events: Number.isFinite(stopTime) ? [event('at_rest', stopTime, [id], { position: state(stopTime).position })] : [],
+    collisions: [],
+    // 合外力做功计为外界做功
+    externalWork: t => {
+      const [ux, uy] = state(t).velocity;
+      return 0.5 * mass * (ux ** 2 + uy ** 2) - initialKinetic;
+    }
+  };
+}
+
+/**
+ * 圆周运动：θ = φ + ω·t + ½α·t²，刚体随半径转动
+ */
+function circularMotion(scenario: CircularMotionScenario): ScenarioModel {
+  const id = scenario.id ?? 'body';
+  const mass = positive(scenario.mass ?? 1, 'mass');
+  const radius = positive(scenario.radius, 'radius');
+  const [cx, cy] = scenario.center;
+  const omega = scenario.angularVelocity;
+  const alpha = scenario.angularAcceleration ?? 0;
+  const phase = scenario.phase ?? 0;
+
+  const state = (t: number): SIBodyState => {
+    const theta = phase + omega * t + 0.5 * alpha * t ** 2;
+    const rate = omega + alpha * t;
+    return {
+      position: [cx + radius * Math.cos(theta), cy + radius * Math.sin(theta)],
+      velocity: [-radius * rate * Math.sin(theta), radius * rate * Math.cos(theta)],
+      angle: theta,
+      angularVelocity: rate
+    };
+  };
+
+  return {
+    tracks: [{ id, mass, state }],
+    gravity: ZERO,
+    // 匀速时默认一周
+    duration: alpha === 0 && omega !== 0 ? 2 * Math.PI / Math.abs(omega) : DEFAULT_DURATION,
+    events: [],
+    collisions: [],
+    // 切向力做功
+    externalWork: t => 0.5 * mass * radius ** 2 * ((omega + alpha * t) ** 2 - omega ** 2)
+  };
+}
+
+/**
+ * 阻尼振子 m·x'' + c·x' + k·x = 0 的欠阻尼 / 临界阻尼 / 过阻尼解
+ */
+function oscillation(scenario: OscillationScenario): ScenarioModel {
+  const id = scenario.id ?? 'body';
+  const mass = positive(scenario.mass, 'mass');
+  const k = positive(scenario.k, 'k');
+  const c = scenario.c ?? 0;
+  if (c < 0) throw new Error('oscillation: c must be non-negative');
+
+  const x0 = scenario.displacement;
+  const v0 = scenario.velocity ?? 0;
+  const omega0 = Math.sqrt(k / mass);
+  const zeta = c / (2 * Math.sqrt(k * mass));
+  const gamma = zeta * omega0;
+
+  // x(t) 与 v(t)
+  let motion: (t: number) => [number, number];
+  if (zeta < 1) {
+    const omegaD = omega0 * Math.sqrt(1 - zeta ** 2);
+    const a = x0;
+    const b = (v0 + gamma * x0) / omegaD;
+    motion = t => {
+      const decay = Math.exp(-gamma * t);
+      const cos = Math.cos(omegaD * t);
+      const sin = Math.sin(omegaD * t);
+      return [
+        decay * (a * cos + b * sin),
+        decay * ((-gamma * a + omegaD * b) * cos + (-gamma * b - omegaD * a) * sin)
+      ];
+    };
+  } else if (zeta === 1) {
+    const a = x0;
+    const b = v0 + gamma * x0;
+    motion = t => {
+      const decay = Math.exp(-gamma * t);
+      return [(a + b * t) * decay, (b - gamma * (a + b * t)) * decay];
+    };
+  } else {
+    const root = omega0 * Math.sqrt(zeta ** 2 - 1);
+    const r1 = -gamma + root;
+    const r2 = -gamma - root;
+    const c1 = (v0 - r2 * x0) / (r1 - r2);
+    const c2 = x0 - c1;
+    motion = t => [
+      c1 * Math.exp(r1 * t) + c2 * Math.exp(r2 * t),
+      r1 * c1 * Math.exp(r1 * t) + r2 * c2 * Math.exp(r2 * t)
+    ];
+  }
+
+  const [ex, ey] = scenario.equilibrium;
+  const track: BodyTrack = {
+    id,
+    mass,
+    state: t => {
+      const [x, v] = motion(t);
+      return { position: [ex + x, ey], velocity: [v, 0], angle: 0, angularVelocity: 0 };
+    },
+    forces: t => {
+      const [x, v] = motion(t);
+      return { normal: [0, 0], friction: [0, 0], spring: [-k * x - c * v, 0], contacts: [] };
+    }
+  };
+
+  return {
+    tracks: [track],
+    gravity: ZERO,
+    // 默认两个无阻尼周期
+    duration: 2 * (2 * Math.PI / omega0),
+    events: [],
+    collisions: [],
+    elastic: t => 0.5 * k * motion(t)[0] ** 2
+  };
+}
+
+/**
+ * 斜面滑块：分段匀变速，下滑 a = g(sinθ − μ·cosθ)，上滑 a = g(sinθ + μ·cosθ)（沿下滑方向）
+ */
+function inclinedPlane(scenario: InclinedPlaneScenario): ScenarioModel {
+  const id = scenario.id ?? 'body';
+  const mass = positive(scenario.mass ?? 1, 'mass');
+  const theta = scenario.angle;
+  if (!(theta > 0 && theta < Math.PI / 2)) {
+    throw new Error('inclined_plane: angle must be in (0, π/2)');
+  }
+  const side = scenario.downhill ?? 1;
+  const g = scenario.g ?? DEFAULT_GRAVITY;
+  const mu = scenario.friction ?? 0;
+  const muStatic = scenario.frictionStatic ?? mu;
+  const sin = Math.sin(theta);
+  const cos = Math.cos(theta);
+
+  // 下滑方向与离开斜面的法向（y 轴向下）
+  const along: Vec2 = [side * cos, sin];
+  const outward: Vec2 = [side * sin, -cos];
+  const slideDown = g * (sin - mu * cos);
+  const slideUp = g * (sin + mu * cos);
+  const startsSliding = Math.tan(theta) > muStatic && slideDown > 0;
+
+  // 分段：起始时刻、位移、速度、加速度
+  const segments: Array<{ t: number; s: number; v: number; a: number }> = [];
+  let t = 0;
+  let s = 0;
+  let v = scenario.speed ?? 0;
+  if (v < 0) {
+    // 上滑至速度为 0
+    segments.push({ t, s, v, a: slideUp });
+    const stop = -v / slideUp;
+    s += v * stop + 0.5 * slideUp * stop ** 2;
+    t += stop;
+    v = 0;
+  } else if (v > 0 && slideDown < 0) {
+    // 下滑减速至静止
+    segments.push({ t, s, v, a: slideDown });
+    const stop = v / -slideDown;
+    s += v * stop + 0.5 * slideDown * stop ** 2;
+    t += stop;
+    v = 0;
+  }
+  if (v > 0) {
+    segments.push({ t, s, v, a: slideDown });
+  } else {
+    segments.push({ t, s, v: 0, a: startsSliding ? slideDown : 0 });
+  }
+
+  const segmentAt = (time: number) => {
+    let index = segments.length - 1;
+    while (index > 0 && segments[index].t > time) index--;
+    return segments[index];
+  };
+  const motion = (time: number): [number, number, number] => {
+    const segment = segmentAt(time);
+    const dt = time - segment.t;
+    return [segment.s + segment.v * dt + 0.5 * segment.a * dt ** 2, segment.v + segment.a * dt, segment.a];
+  };
+
+  const [x0, y0] = scenario.position;
+  const normalForce = mass * g * cos;
+  const track: BodyTrack = {
+    id,
+    mass,
+    state: time => {
+      const [distance, speed] = motion(time);
+      return {
+        position: [x0 + along[0] * distance, y0 + along[1] * distance],
+        velocity: [along[0] * speed, along[1] * speed],
+        angle: side * theta,
+        angularVelocity: 0
+      };
+    },
+    forces: time => {
+      const [distance, , accel] = motion(time);
+      // 摩擦力 = 沿斜面合力 − 重力分量（静止时为静摩擦）
+      const friction = mass * (accel - g * sin);
+      const frictionForce: Vec2 = [along[0] * friction, along[1] * friction];
+      const normal: Vec2 = [outward[0] * normalForce, outward[1] * normalForce];
+      const contact: BodyContact = {
+        with: 'incline',
+        point: [x0 + along[0] * distance, y0 + along[1] * distance],
+        normal: outward,
+        normalForce,
+        frictionForce
+      };
+      return { normal, friction: frictionForce, spring: [0, 0], contacts: [contact] };
+    }
+  };
+
+  const model: ScenarioModel = {
+    tracks: [track],
+    gravity: [0, g],
+    duration: DEFAULT_DURATION,
+    events: [],
+    collisions: []
+  };
+
+  if (scenario.length !== undefined) {
+    const length = positive(scenario.length, 'length');
+    for (let i = 0; i < segments.length; i++) {
+      const segment = segments[i];
+      const next = segments[i + 1]?.t ?? Infinity;
+      const root = firstPositiveRoot(0.5 * segment.a, segment.v, segment.s - length);
+      if (root !== null && segment.t + root <= next) {
+        const time = segment.t + root;
+        model.end = { time, reason: 'end_of_incline' };
+        model.duration = time;
+        model.events.push(event('end_of_incline', time, [id], { position: track.state(time).position }));
+        break;
+      }
+    }
+  }
+  return model;
+}
+
+/**
+ * 一维碰撞：接触前匀速，接触瞬间按动量守恒与恢复系数交换速度
+ */
+function collision1D(scenario: Collision1DScenario): ScenarioModel {
+  const [first, second] = scenario.bodies;
+  const e = scenario.restitution;
+  if (!(e >= 0 && e <= 1)) throw new Error('collision_1d: restitution must be in [0, 1]');
+  const m1 = positive(first.mass, `${first.id}.mass`);
+  const m2 = positive(second.mass, `${second.id}.mass`);
+
+  // direction：由 first 指向 second
+  const direction = Math.sign(second.position[0] - first.position[0]) || 1;
+  const gap = Math.abs(second.position[0] - first.position[0]) - (first.radius ?? 0) - (second.radius ?? 0);
+  if (gap < 0) throw new Error('collision_1d: bodies overlap');
+
+  const u1 = first.velocity;
+  const u2 = second.velocity;
+  const approach = (u1 - u2) * direction;
+  const contactTime = approach > 0 ? gap / approach : Infinity;
+
+  const total = m1 + m2;
+  const v1 = (m1 * u1 + m2 * u2 + m2 * e * (u2 - u1)) / total;
+  const v2 = (m1 * u1 + m2 * u2 + m1 * e * (u1 - u2)) / total;
+
+  const track = (body: CollisionBody, mass: number, before: number, after: number): BodyTrack => ({
+    id: body.id,
+    mass,
+    state: t => {
+      const x = t <= contactTime
+        ? body.position[0] + before * t
+        : body.position[0] + before * contactTime + after * (t - contactTime);
+      return { position: [x, body.position[1]], velocity: [t < contactTime ? before : after, 0], angle: 0, angularVelocity: 0 };
+    }
+  });
+
+  const model: ScenarioModel = {
+    tracks: [track(first, m1, u1, v1), track(second, m2, u2, v2)],
+    gravity: ZERO,
+    duration: Number.isFinite(contactTime) ? Math.max(2 * contactTime, 0.5) : DEFAULT_DURATION,
+    events: [],
+    collisions: []
+  };
+
+  if (Number.isFinite(contactTime)) {
+    const contactX = first.position[0] + u1 * contactTime + direction * (first.radius ?? 0);
+    // 法向由 second 指向 first，冲量为 first 的法向动量变化
+    model.events.push(event('collision', contactTime, [first.id, second.id], {
+      position: model.tracks[0].state(contactTime).position,
+      velocity: [u1, 0]
+    }));
+    model.collisions.push({
+      time: contactTime,
+      bodies: [first.id, second.id],
+      point: [contactX, first.position[1]],
+      normal: [-direction, 0],
+      impulse: m1 * (v1 - u1) * -direction,
+      approachSpeed: approach,
+      separationSpeed: (v2 - v1) * direction,
+      restitution: approach > 0 ? ((v2 - v1) * direction) / approach : null,
+      configuredRestitution: e
+    });
+  }
+  return model;
+}
+
+/**
+ * 按帧间隔采样为 SimulationData；终止事件时刻补记最后一帧
+ */
+function sample(model: ScenarioModel, options: AnalyticOptions): SimulationData {
+  const dt = positive(options.dt ?? DEFAULT_DT, 'dt');
+  let duration = options.duration !== undefined ? positive(options.duration, 'duration') : model.duration;
+  const ended = model.end !== undefined && model.end.time <= duration;
+  if (ended) duration = model.end!.time;
+
+  const times: number[] = [];
+  const count = Math.floor(duration / dt + 1e-9);
+  for (let i = 0; i <= count; i++) times.push(i * dt);
+  if (duration - times[times.length - 1] > 1e-9) times.push(duration);
+
+  const timing = resolveTiming({ dt, substeps: 1 });
+  const events = model.events.filter(item => item.timestamp <= duration * 1000 + 1e-6);
+  const frames: SimulationFrame[] = [];
+  const energy: EnergySample[] = [];
+  let initialEnergy: number | null = null;
+
+  for (const time of times) {
+    const states = model.tracks.map(track => ({ track, state: track.state(time) }));
+    frames.push({
+      frameIndex: frames.length,
+      timestamp: time,
+      bodies: states.map(({ track, state }) => ({ id: track.id, ...state })),
+      forces: states.map(({ track }) => ({
+        id: track.id,
+        ...(track.forces ? track.forces(time) : { normal: [0, 0] as Vec2, friction: [0, 0] as Vec2, spring: [0, 0] as Vec2, contacts: [] })
+      })),
+      events: events.filter(item => item.timestamp <= time * 1000 + 1e-6)
+    });
+
+    const measured = measureEnergy(model, states, time);
+    if (initialEnergy === null) initialEnergy = measured.mechanical;
+    const externalWork = model.externalWork ? model.externalWork(time) : 0;
+    energy.push({ ...measured, externalWork, dissipated: initialEnergy + externalWork - measured.mechanical });
+  }
+
+  const last = frames[frames.length - 1];
+  return {
+    frames,
+    finalState: {
+      bodies: last.bodies.map(body => ({ id: body.id, position: body.position, velocity: body.velocity, angle: body.angle })),
+      totalTime: duration,
+      endReason: ended ? `end_condition_met: ${model.end!.reason}` : 'time_limit'
+    },
+    physicsMetrics: {
+      totalEnergy: energy.map(item => item.mechanical),
+      totalMomentum: energy.map(item => Math.hypot(...item.momentum)),
+      energy,
+      collisionCount: model.collisions.filter(item => item.time <= duration).length
+    },
+    events,
+    collisions: model.collisions.filter(item => item.time <= duration),
+    timing,
+    trace: traceSignature(frames, {
+      matter: 'analytic',
+      dt,
+      substeps: 1,
+      stepMs: timing.stepMs,
+      positionIterations: 0,
+      velocityIterations: 0,
+      recordRate: timing.recordRate,
+      scale: { length: 1, mass: 1 }
+    }, 0)
+  };
+}
+
+/**
+ * 质点的能量与动量（与 EnergyLedger 的字段一致）
+ */
+function measureEnergy(
+  model: ScenarioModel,
+  states: Array<{ track: BodyTrack; state: SIBodyState }>,
+  time: number
+): Omit<EnergySample, 'externalWork' | 'dissipated'> {
+  const [gx, gy] = model.gravity;
+  const bodies: BodyEnergy[] = [];
+  const momentum: Vec2 = [0, 0];
+  let angularMomentum = 0;
+
+  for (const { track, state } of states) {
+    const [x, y] = state.position;
+    const [vx, vy] = state.velocity;
+    bodies.push({
+      id: track.id,
+      kinetic: 0.5 * track.mass * (vx ** 2 + vy ** 2),
+      rotational: 0,
+      gravitational: -track.mass * (gx * x + gy * y)
+    });
+    momentum[0] += track.mass * vx;
+    momentum[1] += track.mass * vy;
+    angularMomentum += track.mass * (x * vy - y * vx);
+  }
+
+  const kinetic = bodies.reduce((sum, body) => sum + body.kinetic, 0);
+  const gravitational = bodies.reduce((sum, body) => sum + body.gravitational, 0);
+  const elastic = model.elastic ? model.elastic(time) : 0;
+  return {
+    time,
+    kinetic,
+    rotational: 0,
+    gravitational,
+    elastic,
+    mechanical: kinetic + gravitational + elastic,
+    momentum,
+    angularMomentum,
+    bodies,
+    springs: model.elastic ? [{ id: 'spring', elastic }] : []
+  };
+}
+
+/**
+ * a·t² + b·t + c = 0 的最小正根
+ */
+function firstPositiveRoot(a: number, b: number, c: number): number | null {
+  const roots: number[] = [];
+  if (Math.abs(a) < 1e-12) {
+    if (b !== 0) roots.push(-c / b);
+  } else {
+    const discriminant = b ** 2 - 4 * a * c;
+    if (discriminant < 0) return null;
+    const sqrt = Math.sqrt(discriminant);
+    roots.push((-b - sqrt) / (2 * a), (-b + sqrt) / (2 * a));
+  }
+  const positive = roots.filter(root => root > 1e-12);
+  return positive.length ? Math.min(...positive) : null;
+}
+
+function event(type: string, time: number, participants: string[], data?: any): SimulationEvent {
+  return { type, timestamp: time * 1000, participants, data };
+}
+
+function positive(value: number, name: string): number {
+  if (!(value > 0) || !Number.isFinite(value)) {
+    throw new Error(`${name} must be a positive number`);
+  }
+  return value;
+}
+
+function lerp(a: Vec2, b: Vec2, w: number): Vec2 {
+  return [a[0] + (b[0] - a[0]) * w, a[1] + (b[1] - a[1]) * w];
+}
@@ -0,0 +1,486 @@
+/**
+ * 答案解析 - 将题目所求的量（解析器输出的查询）在仿真轨迹上求值
+ *
+ * 功能：
+ * 1. 查询 = 物理量 + 对象（刚体 / 弹簧）+ 取值时刻（起止、指定时刻、关键时刻、越过某条线、全程极值）
+ * 2. 关键时刻由 KeyMoments 提供；碰撞可取碰前或碰后速度，首次落地取碰前速度
+ * 3. 帧间插值求值，全程极值用三点抛物线插值
+ * 4. 按一个物理步内该量的变化估计误差，附单位换算与展示文本（如 "Simulated answer: 4.43 m/s"）
+ *
+ * 无法求值的查询（对象不存在、关键时刻未出现）返回 value 为 null 并给出原因，不影响其他查询。
+ */
+
+import type { PhysicsContract } from '../matter_adapter/Adapter';
+import type { SimulationData, SimulationFrame } from './SimulationCore';
+import { bodyStateAt, extractKeyMoments, type KeyMoment, type KeyMomentTimeline, type KeyMomentType } from './KeyMoments';
+
+type Vec2 = [number, number];
+
+export type AnswerQuantity =
+  | 'time'
+  | 'speed'
+  | 'velocity_x'
+  | 'velocity_y'
+  | 'position_x'
+  | 'position_y'
+  | 'height'
+  | 'displacement'
+  | 'distance'
+  | 'kinetic_energy'
+  | 'momentum'
+  | 'angle'
+  | 'angular_velocity'
+  | 'spring_length'
+  | 'spring_compression';
+
+// 取值时刻
+export type AnswerMoment =
+  | { kind: 'start' }
+  | { kind: 'end' }
+  | { kind: 'time'; t: number }                        // s
+  | {
+      kind: 'moment';
+      type: KeyMomentType;
+      occurrence?: number;                            // 第几次（从 1 开始），默认 1
+      with?: string;                                  // 另一方刚体 / 表面
+      phase?: 'before' | 'after';                     // collision：取碰前 / 碰后速度，默认 after
+    }
+  | { kind: 'crossing'; axis: 'x' | 'y'; value: number } // 首次越过直线 x / y = value（m）
+  | { kind: 'extreme'; of: 'max' | 'min' };           // 该量的全程最大 / 最小值
+
+// 一个所求量
+export interface AnswerQuery {
+  id: string;
+  description: string;                                // 题目原文，如 "物块滑到底端时的速度"
+  quantity: AnswerQuantity;
+  body?: string;                                      // 弹簧类以外的量必填
+  constraint?: string;                                // spring_length / spring_compression 必填
+  at: AnswerMoment;
+  unit?: string;                                      // 期望单位，缺省为 SI
+}
+
+// 求值结果
+export interface AnswerValue {
+  queryId: string;
+  description: string;
+  quantity: AnswerQuantity;
+  value: number | null;
+  unit: string;
+  time: number | null;                                // 取值时刻（s）
+  tolerance: number | null;                           // 估计误差（与 value 同单位）
+  note: string;                                       // 误差说明
+  display: string;                                    // 如 "Simulated answer: 4.43 m/s"
+  error?: string;
+}
+
+export interface AnswerResolveOptions {
+  timeline?: KeyMomentTimeline;                       // 已提取的关键时刻，缺省时现场提取
+}
+
+// 各量的 SI 单位
+const SI_UNITS: Record<AnswerQuantity, string> = {
+  time: 's',
+  speed: 'm/s',
+  velocity_x: 'm/s',
+  velocity_y: 'm/s',
+  position_x: 'm',
+  position_y: 'm',
+  height: 'm',
+  displacement: 'm',
+  distance: 'm',
+  kinetic_energy: 'J',
+  momentum: 'kg·m/s',
+  angle: 'rad',
+  angular_velocity: 'rad/s',
+  spring_length: 'm',
+  spring_compression: 'm'
+};
+
+// 可换算的单位：[SI 单位, 1 个该单位等于多少 SI 单位]
+const UNIT_FACTORS: Record<string, [string, number]> = {
+  m: ['m', 1], cm: ['m', 0.01], mm: ['m', 0.001], km: ['m', 1000],
+  's': ['s', 1], ms: ['s', 0.001],
+  'm/s': ['m/s', 1], 'cm/s': ['m/s', 0.01], 'km/h': ['m/s', 1 / 3.6],
+  J: ['J', 1], kJ: ['J', 1000],
+  'kg·m/s': ['kg·m/s', 1], 'kg*m/s': ['kg·m/s', 1], 'N·s': ['kg·m/s', 1], 'N*s': ['kg·m/s', 1],
+  rad: ['rad', 1], deg: ['rad', Math.PI / 180], '°': ['rad', Math.PI / 180],
+  'rad/s': ['rad/s', 1], 'deg/s': ['rad/s', Math.PI / 180]
+};
+
+// 展示的有效数字位数
+const DISPLAY_DIGITS = 3;
+
+// 时间比较容差（s）
+const TIME_EPSILON = 1e-9;
+
+// 一次求值的上下文
+interface ResolveContext {
+  data: SimulationData;
+  contract: PhysicsContract;
+  timeline: KeyMomentTimeline;
+  stepSeconds: number;
+}
+
+/**
+ * 在仿真轨迹上求所有查询的值
+ */
+export function resolveAnswers(
+  queries: AnswerQuery[],
+  data: SimulationData,
+  contract: PhysicsContract,
+  options: AnswerResolveOptions = {}
+): AnswerValue[] {
+  const context: ResolveContext = {
+    data,
+    contract,
+    timeline: options.timeline ?? extractKeyMoments(data, contract),
+    stepSeconds: data.timing.stepMs / 1000
+  };
+  return queries.map(query => resolveAnswer(query, context));
+}
+
+/**
+ * 展示文本：三位有效数字
+ */
+export function formatAnswer(value: number, unit: string): string {
+  return `Simulated answer: ${Number(value.toPrecision(DISPLAY_DIGITS))} ${unit}`;
+}
+
+function resolveAnswer(query: AnswerQuery, context: ResolveContext): AnswerValue {
+  const siUnit = SI_UNITS[query.quantity];
+  const failed = (error: string): AnswerValue => ({
+    queryId: query.id,
+    description: query.description,
+    quantity: query.quantity,
+    value: null,
+    unit: siUnit,
+    time: null,
+    tolerance: null,
+    note: '',
+    display: 'No simulated answer',
+    error
+  });
+
+  if (!siUnit) return failed(`Unknown quantity "${query.quantity}"`);
+  const target = checkTarget(query, context);
+  if (target) return failed(target);
+
+  // 输出单位
+  let unit = siUnit;
+  let factor = 1;
+  if (query.unit && query.unit !== siUnit) {
+    const conversion = UNIT_FACTORS[query.unit];
+    if (!conversion || conversion[0] !== siUnit) return failed(`Cannot express ${query.quantity} in "${query.unit}"`);
+    unit = query.unit;
+    factor = conversion[1];
+  }
+
+  const sampled = sampleQuery(query, context);
+  if (typeof sampled === 'string') return failed(sampled);
+
+  const value = sampled.value / factor;
+  const tolerance = sampled.tolerance / factor;
+  return {
+    queryId: query.id,
+    description: query.description,
+    quantity: query.quantity,
+    value,
+    unit,
+    time: sampled.time,
+    tolerance,
+    note: `±${Number(tolerance.toPrecision(2))} ${unit}: ${sampled.basis}; numerical simulation, compare with the exact answer within this tolerance`,
+    display: formatAnswer(value, unit)
+  };
+}
+
+/**
+ * 对象检查：刚体须在轨迹中出现（含合并生成的刚体），弹簧须在契约中
+ */
+function checkTarget(query: AnswerQuery, context: ResolveContext): string | null {
+  if (query.quantity === 'spring_length' || query.quantity === 'spring_compression') {
+    if (!query.constraint) return `${query.quantity} needs a constraint`;
+    const spring = context.contract.constraints.find(constraint => constraint.id === query.constraint);
+    return spring ? null : `Unknown constraint "${query.constraint}"`;
+  }
+  if (query.quantity === 'time' && !query.body) return null;
+  if (!query.body) return `${query.quantity} needs a body`;
+  const present = context.data.frames.some(frame => frame.bodies.some(body => body.id === query.body));
+  return present ? null : `Unknown body "${query.body}"`;
+}
+
+// ---------- 求值 ----------
+
+interface Sample {
+  value: number;
+  time: number;
+  tolerance: number;
+  basis: string;                                      // 误差来源说明
+}
+
+function sampleQuery(query: AnswerQuery, context: ResolveContext): Sample | string {
+  const { data, stepSeconds } = context;
+  const frames = data.frames;
+  const at = query.at;
+  const stepNote = `quantity change over one ${(stepSeconds * 1000).toFixed(2)} ms physics step`;
+
+  if (at.kind === 'extreme') {
+    return extreme(query, context, at.of);
+  }
+
+  // 取值时刻
+  let time: number;
+  let moment: KeyMoment | null = null;
+  if (at.kind === 'start') time = frames[0].timestamp;
+  else if (at.kind === 'end') time = frames[frames.length - 1].timestamp;
+  else if (at.kind === 'time') {
+    if (at.t < frames[0].timestamp - TIME_EPSILON || at.t > frames[frames.length - 1].timestamp + TIME_EPSILON) {
+      return `t = ${at.t} s is outside the simulated interval`;
+    }
+    time = at.t;
+  } else if (at.kind === 'moment') {
+    moment = findMoment(query, context.timeline, at);
+    if (!moment) {
+      return `No ${at.type} moment${query.body ? ` for ${query.body}` : ''}${at.with ? ` with ${at.with}` : ''}`;
+    }
+    time = moment.time;
+  } else {
+    if (!query.body) return 'A crossing needs a body';
+    const crossing = crossingTime(frames, query.body, at.axis, at.value);
+    if (crossing === null) return `${query.body} never crosses ${at.axis} = ${at.value} m`;
+    time = crossing;
+  }
+
+  if (query.quantity === 'time') {
+    return { value: time, time, tolerance: stepSeconds, basis: 'event time resolved to one physics step' };
+  }
+
+  // 碰撞：速度类取碰前 / 碰后
+  if (moment && moment.type === 'collision' && query.body && isVelocityQuantity(query.quantity)) {
+    const velocities = at.kind === 'moment' && at.phase === 'before' ? moment.details.before : moment.details.after;
+    const velocity = velocities?.[query.body];
+    if (!velocity) return `No ${at.kind === 'moment' && at.phase === 'before' ? 'pre' : 'post'}-collision velocity for ${query.body}`;
+    const value = velocityQuantity(query.quantity, velocity);
+    const rate = rateAt(query, context, time + (at.kind === 'moment' && at.phase === 'before' ? -1 : 1) * 2 * stepSeconds);
+    return { value, time, tolerance: Math.abs(rate) * stepSeconds, basis: stepNote };
+  }
+
+  // 其他关键时刻：主体的速度取关键时刻给出的值（如首次落地取碰前速度）
+  if (moment && moment.bodies[0] === query.body && isVelocityQuantity(query.quantity)) {
+    const value = velocityQuantity(query.quantity, moment.velocity);
+    return { value, time, tolerance: Math.abs(rateAt(query, context, time - 2 * stepSeconds)) * stepSeconds, basis: stepNote };
+  }
+
+  const value = evaluate(query, context, time);
+  if (value === null) return `${query.body ?? query.constraint} is not present at t = ${time.toFixed(3)} s`;
+  return { value, time, tolerance: Math.abs(rateAt(query, context, time)) * stepSeconds, basis: stepNote };
+}
+
+/**
+ * 全程极值：逐帧求值取极值帧，三点抛物线插值；误差取插值修正量与一步变化量的较大者
+ */
+function extreme(query: AnswerQuery, context: ResolveContext, of: 'max' | 'min'): Sample | string {
+  if (query.quantity === 'time') return 'time has no extreme value';
+  const frames = context.data.frames;
+  const sign = of === 'max' ? 1 : -1;
+
+  const values: Array<{ t: number; value: number }> = [];
+  for (const frame of frames) {
+    const value = evaluate(query, context, frame.timestamp);
+    if (value !== null) values.push({ t: frame.timestamp, value });
+  }
+  if (values.length === 0) return `${query.body ?? query.constraint} never appears in the trace`;
+
+  let k = 0;
+  for (let i = 1; i < values.length; i++) if (sign * values[i].value > sign * values[k].value) k = i;
+
+  let { t: time, value } = values[k];
+  const previous = values[k - 1], next = values[k + 1];
+  if (previous && next) {
+    const curvature = previous.value - 2 * value + next.value;
+    if (sign * curvature < 0) {
+      const shift = (previous.value - next.value) / (2 * curvature);
+      if (Math.abs(shift) <= 1) {
+        time += shift * (next.t - time);
+        value -= (previous.value - next.value) ** 2 / (8 * curvature);
+      }
+    }
+  }
+
+  const refinement = Math.abs(value - values[k].value);
+  const stepChange = Math.abs(rateAt(query, context, time)) * context.stepSeconds;
+  return {
+    value,
+    time,
+    tolerance: Math.max(refinement, stepChange),
+    basis: `${of === 'max' ? 'maximum' : 'minimum'} interpolated between ${(1 / context.data.timing.recordRate * 1000).toFixed(1)} ms frames`
+  };
+}
+
+/**
+ * 某时刻的量值（刚体或弹簧不在轨迹中时为 null）
+ */
+function evaluate(query: AnswerQuery, context: ResolveContext, time: number): number | null {
+  const { data, contract } = context;
+
+  if (query.quantity === 'spring_length' || query.quantity === 'spring_compression') {
+    const spring = contract.constraints.find(constraint => constraint.id === query.constraint)!;
+    const length = springLength(spring, data.frames, time);
+    if (length === null) return null;
+    if (query.quantity === 'spring_length') return length;
+    const rest = spring.length ?? springLength(spring, data.frames, data.frames[0].timestamp);
+    return rest === null ? null : rest - length;
+  }
+
+  const id = query.body!;
+  const state = bodyStateAt(data.frames, id, time);
+  if (!state) return null;
+
+  switch (query.quantity) {
+    case 'speed':
+    case 'velocity_x':
+    case 'velocity_y':
+      return velocityQuantity(query.quantity, state.velocity);
+    case 'position_x':
+      return state.position[0];
+    case 'position_y':
+      return state.position[1];
+    case 'height': {
+      // 沿重力反方向，相对重力势能零点；无重力时取 −y
+      const gravity = contract.world.gravity;
+      const g = Math.hypot(gravity[0], gravity[1]);
+      const up: Vec2 = g > 0 ? [-gravity[0] / g, -gravity[1] / g] : [0, -1];
+      const datum = contract.world.datum ?? [0, 0];
+      return (state.position[0] - datum[0]) * up[0] + (state.position[1] - datum[1]) * up[1];
+    }
+    case 'displacement': {
+      const start = firstState(data.frames, id);
+      return start ? Math.hypot(state.position[0] - start[0], state.position[1] - start[1]) : null;
+    }
+    case 'distance':
+      return pathLength(data.frames, id, time, state.position);
+    case 'kinetic_energy':
+    case 'momentum': {
+      const kinetic = bodyKinetic(data, id, time);
+      if (kinetic === null) return null;
+      if (query.quantity === 'kinetic_energy') return kinetic;
+      // p = 2K / v
+      const speed = Math.hypot(state.velocity[0], state.velocity[1]);
+      return speed > 0 ? (2 * kinetic) / speed : 0;
+    }
+    case 'angle':
+      return state.angle;
+    case 'angular_velocity':
+      return state.angularVelocity;
+    default:
+      return null;
+  }
+}
+
+/**
+ * 量值的时间变化率（相邻两帧差分），用于估计误差
+ */
+function rateAt(query: AnswerQuery, context: ResolveContext, time: number): number {
+  const frames = context.data.frames;
+  let index = frames.findIndex(frame => frame.timestamp >= time - TIME_EPSILON);
+  if (index < 0) index = frames.length - 1;
+  const a = frames[Math.max(0, index - 1)], b = frames[Math.min(frames.length - 1, Math.max(index, 1))];
+  if (!a || !b || b.timestamp <= a.timestamp) return 0;
+  const va = evaluate(query, context, a.timestamp);
+  const vb = evaluate(query, context, b.timestamp);
+  return va === null || vb === null ? 0 : (vb - va) / (b.timestamp - a.timestamp);
+}
+
+function findMoment(query: AnswerQuery, timeline: KeyMomentTimeline, at: Extract<AnswerMoment, { kind: 'moment' }>): KeyMoment | null {
+  const matches = timeline.moments.filter(moment => {
+    if (moment.type !== at.type) return false;
+    if (at.type === 'max_spring_compression' && query.constraint) {
+      if (moment.details.constraint !== query.constraint) return false;
+    } else if (query.body && !moment.bodies.includes(query.body)) {
+      return false;
+    }
+    return !at.with || moment.bodies.includes(at.with);
+  });
+  return matches[(at.occurrence ?? 1) - 1] ?? null;
+}
+
+/**
+ * 首次越过直线 x / y = value 的时刻（相邻帧线性插值）
+ */
+function crossingTime(frames: SimulationFrame[], id: string, axis: 'x' | 'y', value: number): number | null {
+  const k = axis === 'x' ? 0 : 1;
+  let previous: { t: number; s: number } | null = null;
+  for (const frame of frames) {
+    const body = frame.bodies.find(item => item.id === id);
+    if (!body) continue;
+    const s = body.position[k] - value;
+    if (s === 0) return frame.timestamp;
+    if (previous && previous.s * s < 0) {
+      return previous.t + (frame.timestamp - previous.t) * (previous.s / (previous.s - s));
+    }
+    previous = { t: frame.timestamp, s };
+  }
+  return null;
+}
+
+function springLength(spring: PhysicsContract['constraints'][number], frames: SimulationFrame[], time: number): number | null {
+  const endpoint = (end: PhysicsContract['constraints'][number]['a']): Vec2 | null => {
+    if (!end.body) return end.point ? [end.point[0], end.point[1]] : null;
+    const state = bodyStateAt(frames, end.body, time);
+    if (!state) return null;
+    const [px, py] = end.point || [0, 0];
+    const c = Math.cos(state.angle), s = Math.sin(state.angle);
+    return [state.position[0] + px * c - py * s, state.position[1] + px * s + py * c];
+  };
+  const a = endpoint(spring.a);
+  const b = endpoint(spring.b);
+  return a && b ? Math.hypot(b[0] - a[0], b[1] - a[1]) : null;
+}
+
+/**
+ * 刚体平动动能：能量记录与帧一一对应，按时间线性插值
+ */
+function bodyKinetic(data: SimulationData, id: string, time: number): number | null {
+  const samples = data.physicsMetrics.energy;
+  const next = samples.findIndex(sample => sample.time >= time - TIME_EPSILON);
+  if (next < 0) return null;
+  const after = samples[next].bodies.find(body => body.id === id);
+  if (!after) return null;
+  const before = next > 0 ? samples[next - 1].bodies.find(body => body.id === id) : undefined;
+  if (!before || samples[next].time - time <= TIME_EPSILON) return after.kinetic;
+  const w = (time - samples[next - 1].time) / (samples[next].time - samples[next - 1].time);
+  return before.kinetic + (after.kinetic - before.kinetic) * w;
+}
+
+function firstState(frames: SimulationFrame[], id: string): Vec2 | null {
+  for (const frame of frames) {
+    const body = frame.bodies.find(item => item.id === id);
+    if (body) return body.position;
+  }
+  return null;
+}
+
+/**
+ * 从出现到 time 的路程（逐帧折线累加，最后一段到插值位置）
+ */
+function pathLength(frames: SimulationFrame[], id: string, time: number, position: Vec2): number {
+  let total = 0;
+  let previous: Vec2 | null = null;
+  for (const frame of frames) {
+    if (frame.timestamp > time + TIME_EPSILON) break;
+    const body = frame.bodies.find(item => item.id === id);
+    if (!body) continue;
+    if (previous) total += Math.hypot(body.position[0] - previous[0], body.position[1] - previous[1]);
+    previous = body.position;
+  }
+  return previous ? total + Math.hypot(position[0] - previous[0], position[1] - previous[1]) : 0;
+}
+
+function isVelocityQuantity(quantity: AnswerQuantity): boolean {
+  return quantity === 'speed' || quantity === 'velocity_x' || quantity === 'velocity_y';
+}
+
+function velocityQuantity(quantity: AnswerQuantity, velocity: Vec2): number {
+  if (quantity === 'velocity_x') return velocity[0];
+  if (quantity === 'velocity_y') return velocity[1];
+  return Math.hypot(velocity[0], velocity[1]);
+}
@@ -0,0 +1,104 @@
+/**
+ * 刚体绘制几何 - 由契约的真实形状与合并事件给出各刚体（含复合体）的局部轮廓
+ *
+ * 功能：
+ * 1. 契约刚体按 shape（circle r、box size、polygon vertices）得到以 position 为原点、angle 为 0 的局部轮廓（世界单位）
+ * 2. merge_bodies 事件按记录的部件偏移与朝向生成复合体轮廓，多次合并时部件朝向逐级累加
+ * 3. 按帧中刚体的位置与角度变换到世界坐标，供渲染与包围盒计算
+ *
+ * 局部轮廓与 GeometryAnalyzer.bodyShape 一致：多边形以质心为原点（与 Matter.Bodies.fromVertices 相同），凹多边形按凸包近似。
+ * 复合体在合并时刻的角度为 0（Matter.Body.create 的初值），部件偏移相对合并质心。
+ */
+
+import type { PhysicsContract } from '../matter_adapter/Adapter';
+import { bodyShape, type BodyShape } from '../validation/GeometryAnalyzer';
+import type { FrameBody, SimulationEvent } from './SimulationCore';
+
+type Vec2 = [number, number];
+
+// 复合体中的一个部件：原刚体的局部形状及其在所属刚体坐标系中的位姿
+export interface OutlinePart {
+  id: string;          // 原契约刚体 id
+  shape: BodyShape;    // 部件自身的局部形状（原点为部件质心，角度 0）
+  offset: Vec2;        // 部件质心在所属刚体坐标系中的位置（m）
+  angle: number;       // 部件在所属刚体坐标系中的朝向（rad）
+}
+
+export interface BodyOutline {
+  id: string;
+  isStatic: boolean;
+  parts: OutlinePart[];
+  radius: number;      // 轮廓到刚体原点的最大距离（m），用于估算包围盒
+}
+
+// 变换到世界坐标后的部件形状
+export type WorldPart =
+  | { id: string; kind: 'circle'; center: Vec2; r: number; angle: number }
+  | { id: string; kind: 'polygon'; vertices: Vec2[] };
+
+/**
+ * 由契约与事件（合并）构造各刚体的绘制轮廓
+ */
+export function bodyOutlines(
+  contract: Pick<PhysicsContract, 'bodies'>,
+  events: SimulationEvent[] = []
+): Record<string, BodyOutline> {
+  const outlines: Record<string, BodyOutline> = {};
+  for (const body of contract.bodies) {
+    const shape = bodyShape({ ...body, position: [0, 0], angle: 0 });
+    outlines[body.id] = outline(body.id, body.isStatic, [{ id: body.id, shape, offset: [0, 0], angle: 0 }]);
+  }
+
+  const merges = events
+    .filter(event => event.type === 'merge_bodies' && event.data?.newId && event.data?.parts)
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  for (const merge of merges) {
+    const sources = merge.participants.map(id => outlines[id]).filter(Boolean) as BodyOutline[];
+    const parts: OutlinePart[] = [];
+    for (const part of merge.data.parts as Array<{ id: string; offset: Vec2; angle: number }>) {
+      // 部件原在某刚体中的朝向 + 该刚体合并时刻的角度（事件记录）
+      const previous = sources.flatMap(source => source.parts).find(candidate => candidate.id === part.id);
+      if (!previous) continue;
+      parts.push({ id: part.id, shape: previous.shape, offset: [part.offset[0], part.offset[1]], angle: part.angle + previous.angle });
+    }
+    if (parts.length === 0) continue;
+    outlines[merge.data.newId] = outline(merge.data.newId, sources.some(source => source.isStatic), parts);
+  }
+  return outlines;
+}
+
+function outline(id: string, isStatic: boolean, parts: OutlinePart[]): BodyOutline {
+  const radius = Math.max(...parts.map(part => {
+    const reach = Math.hypot(part.offset[0], part.offset[1]);
+    if (part.shape.kind === 'circle') return reach + part.shape.r;
+    return reach + Math.max(...part.shape.vertices.map(v => Math.hypot(v[0], v[1])));
+  }));
+  return { id, isStatic, parts, radius };
+}
+
+/**
+ * 按帧中刚体的位姿把轮廓变换到世界坐标
+ */
+export function outlineAt(outline: BodyOutline, body: Pick<FrameBody, 'position' | 'angle'>): WorldPart[] {
+  const origin = body.position;
+  const angle = body.angle || 0;
+
+  return outline.parts.map(part => {
+    const center = add(origin, rotate(part.offset, angle));
+    const partAngle = angle + part.angle;
+    if (part.shape.kind === 'circle') {
+      return { id: part.id, kind: 'circle', center, r: part.shape.r, angle: partAngle };
+    }
+    return { id: part.id, kind: 'polygon', vertices: part.shape.vertices.map(v => add(center, rotate(v, partAngle))) };
+  });
+}
+
+function rotate(v: Vec2, angle: number): Vec2 {
+  const c = Math.cos(angle), s = Math.sin(angle);
+  return [v[0] * c - v[1] * s, v[0] * s + v[1] * c];
+}
+
+function add(a: Vec2, b: Vec2): Vec2 {
+  return [a[0] + b[0], a[1] + b[1]];
+}
@@ -0,0 +1,137 @@
+/**
+ * 复合刚体合并 - merge_bodies 的形状保持实现
+ *
+ * 功能：
+ * 1. 以原刚体（或原复合体的各部件）的当前顶点构建 Matter.js 复合刚体
+ * 2. 部件保留各自的质量、转动惯量、材料与渲染样式，标签为原刚体 id
+ * 3. 合并前后线动量与角动量守恒
+ *
+ * 转动惯量沿用 Matter.js 的约定（部件自身惯量已含引擎的惯量放大系数），
+ * 再加上各部件相对合并质心的平行轴项，保证刚性运动的部件合并后角速度不变。
+ */
+
+import Matter from 'matter-js';
+
+// 部件相对合并质心的位置（世界单位，合并时刻的姿态）
+export interface CompoundPart {
+  id: string;
+  offset: Matter.Vector;
+  angle: number;
+}
+
+export interface CompoundMergeResult {
+  body: Matter.Body;
+  velocity: Matter.Vector;  // 每基准步位移
+  angularVelocity: number;  // 每基准步转角
+  parts: CompoundPart[];
+}
+
+/**
+ * 由若干刚体构建复合刚体（输入刚体需由调用方移出世界）
+ */
+export function buildCompoundBody(bodies: Matter.Body[], label: string): CompoundMergeResult {
+  const isStatic = bodies.some(body => body.isStatic);
+  const dynamic = bodies.filter(body => !body.isStatic);
+
+  // 质心与线动量（静态体参与合并时结果为静态体；全为静态体时取位置平均、速度为零）
+  const totalMass = dynamic.reduce((sum, body) => sum + body.mass, 0);
+  const centre = dynamic.length > 0
+    ? {
+      x: dynamic.reduce((sum, body) => sum + body.position.x * body.mass, 0) / totalMass,
+      y: dynamic.reduce((sum, body) => sum + body.position.y * body.mass, 0) / totalMass
+    }
+    : {
+      x: bodies.reduce((sum, body) => sum + body.position.x, 0) / bodies.length,
+      y: bodies.reduce((sum, body) => sum + body.position.y, 0) / bodies.length
+    };
+  const velocity = dynamic.length > 0
+    ? {
+      x: dynamic.reduce((sum, body) => sum + Matter.Body.getVelocity(body).x * body.mass, 0) / totalMass,
+      y: dynamic.reduce((sum, body) => sum + Matter.Body.getVelocity(body).y * body.mass, 0) / totalMass
+    }
+    : { x: 0, y: 0 };
+
+  // 关于合并质心的角动量与转动惯量
+  let angularMomentum = 0;
+  let inertia = 0;
+  for (const body of dynamic) {
+    const r = Matter.Vector.sub(body.position, centre);
+    const v = Matter.Vector.sub(Matter.Body.getVelocity(body), velocity);
+    const d2 = Matter.Vector.magnitudeSquared(r);
+    angularMomentum += body.inertia * Matter.Body.getAngularVelocity(body) + body.mass * Matter.Vector.cross(r, v);
+    inertia += body.inertia + body.mass * d2;
+  }
+
+  // 复合体部件：展开已有复合体，保持其原部件
+  const parts: Matter.Body[] = [];
+  const partInfo: CompoundPart[] = [];
+  for (const body of bodies) {
+    const sources = body.parts.length > 1 ? body.parts.slice(1) : [body];
+    for (const source of sources) {
+      parts.push(clonePart(source, body));
+      partInfo.push({
+        id: source.label,
+        offset: Matter.Vector.sub(source.position, centre),
+        angle: body.angle
+      });
+    }
+  }
+
+  const compound = Matter.Body.create({
+    parts,
+    label,
+    frictionAir: 0,
+    // Matter.js 碰撞使用父刚体的材料，取按质量加权的部件材料
+    friction: weighted(bodies, 'friction'),
+    frictionStatic: weighted(bodies, 'frictionStatic'),
+    restitution: weighted(bodies, 'restitution'),
+    collisionFilter: { ...bodies[0].collisionFilter }
+  });
+
+  if (isStatic) {
+    // 静态部件按几何质量汇总，原点改到上面的质心，使部件偏移与记录的位置一致
+    Matter.Body.setCentre(compound, centre);
+    Matter.Body.setStatic(compound, true);
+    return { body: compound, velocity: { x: 0, y: 0 }, angularVelocity: 0, parts: partInfo };
+  }
+
+  // Matter.js 汇总部件惯量时不含平行轴项，按上面的结果重设
+  Matter.Body.setInertia(compound, inertia);
+  const angularVelocity = inertia > 0 ? angularMomentum / inertia : 0;
+  Matter.Body.setVelocity(compound, velocity);
+  Matter.Body.setAngularVelocity(compound, angularVelocity);
+
+  return { body: compound, velocity, angularVelocity, parts: partInfo };
+}
+
+/**
+ * 以当前世界顶点复制部件（质量、惯量、材料与渲染样式不变）
+ */
+function clonePart(source: Matter.Body, owner: Matter.Body): Matter.Body {
+  const part = Matter.Body.create({
+    label: source.label,
+    position: { x: source.position.x, y: source.position.y },
+    vertices: source.vertices.map(vertex => ({ x: vertex.x, y: vertex.y })),
+    friction: source.friction,
+    frictionStatic: source.frictionStatic,
+    restitution: source.restitution,
+    render: { ...source.render }
+  });
+  if ((source as any).circleRadius) {
+    (part as any).circleRadius = (source as any).circleRadius;
+  }
+
+  // 静态体的质量为无穷大，部件沿用其几何质量
+  if (!owner.isStatic) {
+    Matter.Body.setMass(part, source.mass);
+    Matter.Body.setInertia(part, source.inertia);
+  }
+  return part;
+}
+
+function weighted(bodies: Matter.Body[], key: 'friction' | 'frictionStatic' | 'restitution'): number {
+  const dynamic = bodies.filter(body => !body.isStatic);
+  const pool = dynamic.length > 0 ? dynamic : bodies;
+  const mass = pool.reduce((sum, body) => sum + (body.isStatic ? 1 : body.mass), 0);
+  return pool.reduce((sum, body) => sum + body[key] * (body.isStatic ? 1 : body.mass), 0) / mass;
+}
@@ -0,0 +1,337 @@
+/**
+ * 约束构建 - 契约约束 → Matter.js 约束
+ *
+ * 功能：
+ * 1. spring：按胡克定律 F = -k·Δx - c·v 每步施力；rod：刚性杆；hinge：铰接（销钉）到世界点或另一刚体
+ * 2. rope：不可伸长的绳，只能拉不能推（松弛时不起作用）
+ * 3. slider：刚体锚点沿世界中的直线滑轨运动，且不转动
+ * 4. pulley：理想滑轮，两段绳长之和恒定，张力处处相等
+ *
+ * 所有类型都以 Matter.Constraint 表示（便于统一移除、转移和渲染），类型信息存于 plugin.joint。
+ * rope / slider / pulley 的单边与非距离条件由 solveJoints 在 Matter.js 的 beforeSolve 阶段处理：
+ * 此时刚体已完成积分，直接修正位置（位置型动力学），速度由 Matter.js 按位移自动得出。
+ * 给出 k 的弹簧不经 Matter.js 约束求解器（其归一化刚度与物理劲度系数无对应关系），
+ * 由 applySpringForces 在积分前施加弹力；只给 stiffness 的旧契约仍按 Matter.js 约束处理。
+ */
+
+import Matter from 'matter-js';
+import type { PhysicsContract } from '../matter_adapter/Adapter';
+import type { UnitMapper } from './UnitMapper';
+
+export type ConstraintConfig = PhysicsContract['constraints'][number];
+export type ConstraintKind = ConstraintConfig['type'];
+
+// plugin.joint：约束类型及 solveJoints 所需参数（Matter.js 单位）
+export interface JointData {
+  kind: ConstraintKind;
+  length: number;
+  axis?: Matter.Vector;                 // slider：单位方向
+  angle?: number;                       // slider：锁定的刚体角度
+  wheels?: [Matter.Vector, Matter.Vector]; // pulley：两个滑轮位置
+  k?: number;                           // spring：劲度系数
+  c?: number;                           // spring：阻尼系数（对应 Body.getVelocity 的速度单位）
+}
+
+// 一根弹簧本步施加的力（Matter.js 单位）
+export interface SpringForce {
+  constraint: Matter.Constraint;
+  tension: number;       // 沿弹簧的张力，拉伸为正
+  force: Matter.Vector;  // 作用于 A 端的力，B 端受反向的力
+}
+
+// 约束端点解析结果
+interface ResolvedEnd {
+  body: Matter.Body | undefined;
+  point: Matter.Vector; // 有刚体时为偏移，否则为世界坐标
+}
+
+/**
+ * 按契约创建 Matter.js 约束；端点无法解析（刚体不存在、或既无刚体也无世界点）时返回 null
+ */
+export function buildConstraint(
+  config: ConstraintConfig,
+  bodies: Map<string, Matter.Body>,
+  units: UnitMapper
+): Matter.Constraint | null {
+  const a = resolveEnd(config.a, bodies, units);
+  const b = resolveEnd(config.b, bodies, units);
+  if (!a || !b) return null;
+
+  const worldA = a.body ? Matter.Vector.add(a.body.position, a.point) : a.point;
+  const worldB = b.body ? Matter.Vector.add(b.body.position, b.point) : b.point;
+  const distance = Matter.Vector.magnitude(Matter.Vector.sub(worldA, worldB));
+  const length = config.length !== undefined ? units.length(config.length) : distance;
+
+  const joint: JointData = { kind: config.type, length };
+  let stiffness = 1;
+  let damping = 0;
+  let constraintLength = length;
+
+  switch (config.type) {
+    case 'spring':
+      if (config.k !== undefined) {
+        joint.k = units.springStiffness(config.k);
+        joint.c = units.springDamping(config.c ?? 0);
+        stiffness = 0;
+      } else {
+        stiffness = config.stiffness!;
+        damping = config.damping ?? 0;
+      }
+      break;
+
+    case 'hinge':
+      constraintLength = 0;
+      joint.length = 0;
+      break;
+
+    case 'slider': {
+      const axis = Matter.Vector.normalise({ x: config.axis![0], y: config.axis![1] });
+      joint.axis = axis;
+      joint.angle = a.body?.angle ?? 0;
+      // 由 solveJoints 处理，Matter.js 求解器中不施力
+      stiffness = 0;
+      constraintLength = 0;
+      break;
+    }
+
+    case 'pulley': {
+      const wheels: [Matter.Vector, Matter.Vector] = [units.point(config.pulley!.a), units.point(config.pulley!.b)];
+      joint.wheels = wheels;
+      joint.length = config.length !== undefined
+        ? length
+        : Matter.Vector.magnitude(Matter.Vector.sub(worldA, wheels[0])) + Matter.Vector.magnitude(Matter.Vector.sub(worldB, wheels[1]));
+      stiffness = 0;
+      constraintLength = joint.length;
+      break;
+    }
+  }
+
+  const constraint = Matter.Constraint.create({
+    label: config.id,
+    bodyA: a.body,
+    pointA: a.point,
+    bodyB: b.body,
+    pointB: b.point,
+    length: constraintLength,
+    damping
+  });
+  // Constraint.create 会把 0 刚度替换为默认值，创建后再设置
+  constraint.stiffness = stiffness;
+  (constraint as any).plugin = { ...(constraint as any).plugin, joint };
+  return constraint;
+}
+
+/**
+ * 处理 rope / slider / pulley（在 Matter.js beforeSolve 事件中调用）
+ */
+export function solveJoints(constraints: Iterable<Matter.Constraint>) {
+  for (const constraint of constraints) {
+    const joint = jointOf(constraint);
+    if (!joint) continue;
+
+    switch (joint.kind) {
+      case 'rope':
+        solveRope(constraint, joint);
+        break;
+      case 'slider':
+        solveSlider(constraint, joint);
+        break;
+      case 'pulley':
+        solvePulley(constraint, joint);
+        break;
+    }
+  }
+}
+
+/**
+ * 按胡克定律施加弹簧力（在 Matter.js beforeUpdate 事件中调用，力作用于端点），返回各弹簧的张力
+ */
+export function applySpringForces(constraints: Iterable<Matter.Constraint>): SpringForce[] {
+  const applied: SpringForce[] = [];
+  for (const constraint of constraints) {
+    const joint = jointOf(constraint);
+    if (joint?.kind !== 'spring' || joint.k === undefined) continue;
+
+    const worldA = anchorWorld(constraint, 'A');
+    const worldB = anchorWorld(constraint, 'B');
+    const delta = Matter.Vector.sub(worldB, worldA);
+    const distance = Matter.Vector.magnitude(delta);
+    if (distance === 0) continue;
+
+    // 沿 A→B 方向的张力（拉伸为正），含沿弹簧方向的相对速度阻尼
+    const direction = Matter.Vector.div(delta, distance);
+    const relativeVelocity = Matter.Vector.sub(
+      anchorVelocity(constraint.bodyB, worldB),
+      anchorVelocity(constraint.bodyA, worldA)
+    );
+    const tension = joint.k * (distance - joint.length) + joint.c! * Matter.Vector.dot(relativeVelocity, direction);
+    const force = Matter.Vector.mult(direction, tension);
+
+    if (constraint.bodyA && !constraint.bodyA.isStatic) {
+      Matter.Body.applyForce(constraint.bodyA, worldA, force);
+    }
+    if (constraint.bodyB && !constraint.bodyB.isStatic) {
+      Matter.Body.applyForce(constraint.bodyB, worldB, Matter.Vector.neg(force));
+    }
+    applied.push({ constraint, tension, force });
+  }
+  return applied;
+}
+
+/**
+ * 给出 k 的弹簧储存的弹性势能 ½k·Δx²（Matter.js 单位），其他约束为 0。
+ * 端点取本步中点位置，与按本步位移得出的速度在时间上对齐
+ */
+export function springPotentialEnergy(constraint: Matter.Constraint): number {
+  const joint = jointOf(constraint);
+  if (joint?.kind !== 'spring' || joint.k === undefined) return 0;
+
+  const midA = Matter.Vector.sub(anchorWorld(constraint, 'A'), halfStep(constraint.bodyA));
+  const midB = Matter.Vector.sub(anchorWorld(constraint, 'B'), halfStep(constraint.bodyB));
+  const extension = Matter.Vector.magnitude(Matter.Vector.sub(midB, midA)) - joint.length;
+  return 0.5 * joint.k * extension ** 2;
+}
+
+/**
+ * 约束的类型数据（契约之外创建的约束返回 undefined）
+ */
+export function jointOf(constraint: Matter.Constraint): JointData | undefined {
+  return (constraint as any).plugin?.joint;
+}
+
+/**
+ * 解析端点：刚体端点的 point 为偏移（缺省质心），空刚体端点的 point 为世界坐标
+ */
+function resolveEnd(
+  end: ConstraintConfig['a'],
+  bodies: Map<string, Matter.Body>,
+  units: UnitMapper
+): ResolvedEnd | null {
+  if (end?.body) {
+    const body = bodies.get(end.body);
+    if (!body) return null;
+    return { body, point: end.point ? units.point(end.point) : { x: 0, y: 0 } };
+  }
+  if (end?.point) {
+    return { body: undefined, point: units.point(end.point) };
+  }
+  return null;
+}
+
+/**
+ * 绳：积分后的预测距离达到绳长时按刚性约束求解，否则松弛
+ */
+function solveRope(constraint: Matter.Constraint, joint: JointData) {
+  const distance = Matter.Vector.magnitude(Matter.Vector.sub(anchorWorld(constraint, 'A'), anchorWorld(constraint, 'B')));
+  constraint.stiffness = distance >= joint.length ? 1 : 0;
+}
+
+/**
+ * 滑块：把锚点投影回滑轨，并锁定角度
+ */
+function solveSlider(constraint: Matter.Constraint, joint: JointData) {
+  const body = constraint.bodyA;
+  if (!body || body.isStatic) return;
+
+  const axis = joint.axis!;
+  const normal = Matter.Vector.perp(axis);
+  const offset = Matter.Vector.sub(anchorWorld(constraint, 'A'), anchorWorld(constraint, 'B'));
+  const error = Matter.Vector.dot(offset, normal);
+  correctPosition(body, Matter.Vector.mult(normal, -error));
+
+  if (body.angle !== joint.angle) {
+    Matter.Body.setAngle(body, joint.angle!);
+    Matter.Body.setAngularVelocity(body, 0);
+  }
+}
+
+/**
+ * 滑轮：两段长度之和超过绳长时，按逆质量沿各段方向收回
+ */
+function solvePulley(constraint: Matter.Constraint, joint: JointData) {
+  const [wheelA, wheelB] = joint.wheels!;
+  const segmentA = Matter.Vector.sub(anchorWorld(constraint, 'A'), wheelA);
+  const segmentB = Matter.Vector.sub(anchorWorld(constraint, 'B'), wheelB);
+  const lengthA = Matter.Vector.magnitude(segmentA);
+  const lengthB = Matter.Vector.magnitude(segmentB);
+
+  const stretch = lengthA + lengthB - joint.length;
+  if (stretch <= 0) return;
+
+  const weightA = inverseMass(constraint.bodyA);
+  const weightB = inverseMass(constraint.bodyB);
+  if (weightA + weightB === 0) return;
+
+  const lambda = stretch / (weightA + weightB);
+  if (constraint.bodyA && weightA > 0 && lengthA > 0) {
+    correctPosition(constraint.bodyA, Matter.Vector.mult(segmentA, -lambda * weightA / lengthA));
+  }
+  if (constraint.bodyB && weightB > 0 && lengthB > 0) {
+    correctPosition(constraint.bodyB, Matter.Vector.mult(segmentB, -lambda * weightB / lengthB));
+  }
+}
+
+/**
+ * 端点的世界坐标（与 Constraint.solve 一致地随刚体转动更新偏移）
+ */
+function anchorWorld(constraint: Matter.Constraint, end: 'A' | 'B'): Matter.Vector {
+  const body = end === 'A' ? constraint.bodyA : constraint.bodyB;
+  const point = end === 'A' ? constraint.pointA : constraint.pointB;
+  if (!body) return point;
+
+  const c = constraint as any;
+  const angleKey = end === 'A' ? 'angleA' : 'angleB';
+  if (!body.isStatic) {
+    const rotated = Matter.Vector.rotate(point, body.angle - c[angleKey]);
+    point.x = rotated.x;
+    point.y = rotated.y;
+    c[angleKey] = body.angle;
+  }
+  return Matter.Vector.add(body.position, point);
+}
+
+/**
+ * 端点在刚体局部坐标中的偏移（刚体角度为 0 时；世界端点返回世界坐标），不修改约束
+ * 偏移按端点最近一次更新时的刚体角度（angleA / angleB）转回，与 anchorWorld 一致
+ */
+export function anchorLocal(constraint: Matter.Constraint, end: 'A' | 'B'): Matter.Vector {
+  const body = end === 'A' ? constraint.bodyA : constraint.bodyB;
+  const point = end === 'A' ? constraint.pointA : constraint.pointB;
+  if (!body) return { x: point.x, y: point.y };
+
+  const angle = (constraint as any)[end === 'A' ? 'angleA' : 'angleB'] ?? body.angle;
+  return Matter.Vector.rotate(point, -angle);
+}
+
+/**
+ * 刚体上某世界点的速度（每基准步位移），世界点为空刚体时为零
+ */
+function anchorVelocity(body: Matter.Body | null | undefined, point: Matter.Vector): Matter.Vector {
+  if (!body) return { x: 0, y: 0 };
+  const velocity = Matter.Body.getVelocity(body);
+  const omega = Matter.Body.getAngularVelocity(body);
+  const r = Matter.Vector.sub(point, body.position);
+  return { x: velocity.x - omega * r.y, y: velocity.y + omega * r.x };
+}
+
+/**
+ * 只移动位置、保留上一步位置，使修正计入速度
+ */
+function correctPosition(body: Matter.Body, correction: Matter.Vector) {
+  Matter.Body.translate(body, correction);
+  const positionPrev: Matter.Vector = (body as any).positionPrev;
+  positionPrev.x -= correction.x;
+  positionPrev.y -= correction.y;
+}
+
+/**
+ * 半步位移（position − positionPrev）/ 2，世界点为零
+ */
+function halfStep(body: Matter.Body | null | undefined): Matter.Vector {
+  if (!body) return { x: 0, y: 0 };
+  return Matter.Vector.mult(Matter.Vector.sub(body.position, (body as any).positionPrev), 0.5);
+}
+
+function inverseMass(body: Matter.Body | null | undefined): number {
+  return body && !body.isStatic ? body.inverseMass : 0;
+}
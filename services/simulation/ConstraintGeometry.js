@@ -0,0 +1,138 @@
+"use strict";
+/**
+ * 约束绘制几何 - 由帧内约束状态与刚体位姿给出弹簧、绳、杆、铰链、滑轨与滑轮的绘制路径（世界单位）
+ *
+ * 功能：
+ * 1. 端点：刚体端点按刚体的位置与角度变换局部偏移，世界端点原样；端点刚体不在帧内（已移除、合并过渡）时不绘制
+ * 2. 弹簧：固定圈数的锯齿线，线圈宽度由原长决定，伸缩时只改变圈距
+ * 3. 绳：拉直时为直线，松弛时沿重力方向下垂（抛物线近似，弧长约为绳长）；杆为直线
+ * 4. 铰链与滑块的刚体端点画销钉；滑轨沿 axis 穿过固定端；滑轮为 A 端 → 滑轮 A → 滑轮 B → B 端的折线
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.constraintDrawings = constraintDrawings;
+exports.constraintAnchors = constraintAnchors;
+exports.springCoil = springCoil;
+exports.ropePath = ropePath;
+const DEFAULT_OPTIONS = {
+    coils: 10,
+    coilWidth: 0.2,
+    down: [0, 1],
+    ropeSegments: 16
+};
+// 原长为 0 的弹簧使用的线圈宽度（m）
+const MIN_COIL_WIDTH = 0.05;
+// 弹簧两端直线段占当前长度的比例
+const SPRING_LEAD = 0.1;
+/**
+ * 帧内各约束的绘制数据
+ */
+function constraintDrawings(constraints = [], bodies, options = {}) {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    const drawings = [];
+    for (const constraint of constraints) {
+        const anchors = constraintAnchors(constraint, bodies);
+        if (!anchors)
+            continue;
+        const [a, b] = anchors;
+        const base = { id: constraint.id, type: constraint.type };
+        switch (constraint.type) {
+            case 'spring':
+                drawings.push({ ...base, path: springCoil(a, b, constraint.length, opts), pins: [a, b] });
+                break;
+            case 'rope': {
+                const slack = distance(a, b) < constraint.length - 1e-9;
+                drawings.push({ ...base, path: ropePath(a, b, constraint.length, opts), pins: [a, b], slack });
+                break;
+            }
+            case 'hinge':
+                drawings.push({ ...base, path: [a, b], pins: [b] });
+                break;
+            case 'slider': {
+                // 滑轨穿过 B 端，两侧各延伸锚点间距的两倍（不短于约束长度与 0.5 m）
+                const axis = constraint.axis || [1, 0];
+                const reach = Math.max(2 * distance(a, b), constraint.length, 0.5);
+                const rail = [add(b, scale(axis, -reach)), add(b, scale(axis, reach))];
+                drawings.push({ ...base, path: [a, b], pins: [a], rail });
+                break;
+            }
+            case 'pulley': {
+                const wheels = constraint.wheels || [a, b];
+                drawings.push({ ...base, path: [a, wheels[0], wheels[1], b], pins: [a, b], wheels: [wheels[0], wheels[1]] });
+                break;
+            }
+            default:
+                // rod 及未知类型按直线绘制
+                drawings.push({ ...base, path: [a, b], pins: [a, b] });
+        }
+    }
+    return drawings;
+}
+/**
+ * 两端点的世界坐标；端点刚体不在帧内时返回 null
+ */
+function constraintAnchors(constraint, bodies) {
+    const a = anchorWorld(constraint.a, bodies);
+    const b = anchorWorld(constraint.b, bodies);
+    return a && b ? [a, b] : null;
+}
+function anchorWorld(end, bodies) {
+    if (!end.body)
+        return [end.point[0], end.point[1]];
+    const body = bodies.find(candidate => candidate.id === end.body);
+    if (!body)
+        return null;
+    return add(body.position, rotate(end.point, body.angle || 0));
+}
+/**
+ * 弹簧锯齿线：两端各一段直线，中间 coils 圈（每圈一个峰一个谷），点数与长度无关
+ */
+function springCoil(a, b, restLength, options = {}) {
+    const { coils, coilWidth } = { ...DEFAULT_OPTIONS, ...options };
+    const length = distance(a, b);
+    const dir = length > 0 ? scale(sub(b, a), 1 / length) : [1, 0];
+    const normal = [-dir[1], dir[0]];
+    const half = Math.max(restLength * coilWidth, MIN_COIL_WIDTH) / 2;
+    const start = add(a, scale(dir, length * SPRING_LEAD));
+    const end = sub(b, scale(dir, length * SPRING_LEAD));
+    const pitch = (length * (1 - 2 * SPRING_LEAD)) / (2 * coils);
+    const points = [a, start];
+    for (let i = 0; i < 2 * coils; i++) {
+        const along = add(start, scale(dir, pitch * (i + 0.5)));
+        points.push(add(along, scale(normal, i % 2 === 0 ? half : -half)));
+    }
+    points.push(end, b);
+    return points;
+}
+/**
+ * 绳：拉直时为两点直线；松弛时沿 down 方向下垂，垂度 h 使抛物线弧长约为绳长
+ * （小垂度 L ≈ d + 8h²/(3d)，两端靠近时 h 取 (L − d) / 2）
+ */
+function ropePath(a, b, length, options = {}) {
+    const { down, ropeSegments } = { ...DEFAULT_OPTIONS, ...options };
+    const d = distance(a, b);
+    if (d >= length - 1e-9)
+        return [a, b];
+    const sag = Math.max(Math.sqrt((3 * d * (length - d)) / 8), (length - d) / 2);
+    const points = [];
+    for (let i = 0; i <= ropeSegments; i++) {
+        const t = i / ropeSegments;
+        points.push(add(add(a, scale(sub(b, a), t)), scale(down, 4 * sag * t * (1 - t))));
+    }
+    return points;
+}
+function rotate(v, angle) {
+    const c = Math.cos(angle), s = Math.sin(angle);
+    return [v[0] * c - v[1] * s, v[0] * s + v[1] * c];
+}
+function add(a, b) {
+    return [a[0] + b[0], a[1] + b[1]];
+}
+function sub(a, b) {
+    return [a[0] - b[0], a[1] - b[1]];
+}
+function scale(v, k) {
+    return [v[0] * k, v[1] * k];
+}
+function distance(a, b) {
+    return Math.hypot(a[0] - b[0], a[1] - b[1]);
+}
@@ -0,0 +1,271 @@
+/**
+ * 受力记录 - 由 Matter.js 碰撞对数据得出每步的接触力、弹簧张力与碰撞冲量
+ *
+ * 功能：
+ * 1. 持续接触：读取接触点累计的法向 / 切向冲量（含热启动），除以步长得到法向力与摩擦力
+ * 2. 弹簧：记录 applySpringForces 本步施加的张力
+ * 3. 碰撞：collisionStart 时记录接触点的接近速度，步末读取分离速度，得到冲量与实测恢复系数
+ * 4. 按刚体汇总：法向力、摩擦力、弹簧力合力与各接触点明细（SI）
+ *
+ * Matter.js 只缓存静止接触的冲量；高速撞击当步的冲量不计入接触力，见碰撞汇总。
+ * 只给 stiffness 的旧弹簧与绳、杆等刚性约束由 Matter.js 约束求解器处理，不记录张力。
+ */
+
+import Matter from 'matter-js';
+import type { UnitMapper } from './UnitMapper';
+import type { SpringForce } from './ConstraintBuilder';
+
+type Vec2 = [number, number];
+
+// 刚体上的一个接触（SI）
+export interface BodyContact {
+  with: string;          // 接触对象 id（含边界墙）
+  point: Vec2;           // 接触点（m），多点接触时取平均
+  normal: Vec2;          // 作用于本刚体的法向（单位向量）
+  normalForce: number;   // 法向力大小（N）
+  frictionForce: Vec2;   // 摩擦力（N）
+}
+
+// 刚体本步所受的力（N）
+export interface BodyForces {
+  id: string;
+  normal: Vec2;          // 法向力合力
+  friction: Vec2;        // 摩擦力合力
+  spring: Vec2;          // 弹簧力合力
+  contacts: BodyContact[];
+}
+
+// 一次碰撞的冲量汇总
+export interface CollisionImpulse {
+  time: number;                      // s
+  bodies: [string, string];
+  point: Vec2;                       // 接触点（m）
+  normal: Vec2;                      // 单位法向，由 bodies[1] 指向 bodies[0]
+  impulse: number;                   // bodies[0] 所受法向冲量（N·s）
+  approachSpeed: number;             // 接触点法向接近速度（m/s）
+  separationSpeed: number;           // 步末法向分离速度（m/s）
+  restitution: number | null;        // 实测恢复系数 = 分离速度 / 接近速度，接近速度为 0 时为 null
+  configuredRestitution: number;     // Matter.js 采用的恢复系数（两者较大值）
+}
+
+// 等待步末结算的碰撞
+interface PendingCollision {
+  time: number;
+  bodyA: Matter.Body;
+  bodyB: Matter.Body;
+  labels: [string, string];
+  massA: number;                     // kg，静态刚体为 Infinity
+  point: Matter.Vector;
+  normal: Matter.Vector;
+  velocityA: number;                 // 接触点速度的法向分量（m/s）
+  velocityB: number;
+  restitution: number;
+}
+
+// 本步累计的受力（Matter.js 单位）
+interface StepForces {
+  normal: Matter.Vector;
+  friction: Matter.Vector;
+  spring: Matter.Vector;
+  contacts: BodyContact[];
+}
+
+// 接近速度低于此值（m/s）时不计算恢复系数
+const MIN_APPROACH_SPEED = 1e-6;
+
+/**
+ * 受力记录器（每次仿真一个实例）
+ */
+export class ContactRecorder {
+  readonly collisions: CollisionImpulse[] = [];
+
+  private units: UnitMapper;
+  private step: Map<Matter.Body, StepForces> = new Map();
+  private pending: PendingCollision[] = [];
+
+  constructor(units: UnitMapper) {
+    this.units = units;
+  }
+
+  /**
+   * 新的物理步：清空上一步受力，记录本步弹簧力（在 beforeUpdate 中调用）
+   */
+  beginStep(springs: SpringForce[]) {
+    this.step = new Map();
+    for (const { constraint, force } of springs) {
+      if (constraint.bodyA) {
+        const forces = this.forcesOf(constraint.bodyA);
+        forces.spring = Matter.Vector.add(forces.spring, force);
+      }
+      if (constraint.bodyB) {
+        const forces = this.forcesOf(constraint.bodyB);
+        forces.spring = Matter.Vector.sub(forces.spring, force);
+      }
+    }
+  }
+
+  /**
+   * 新碰撞开始：记录碰撞求解前的接近速度（在 collisionStart 中调用）
+   */
+  beginCollision(pair: any, time: number) {
+    const collision = pair.collision;
+    const bodyA: Matter.Body = collision.parentA;
+    const bodyB: Matter.Body = collision.parentB;
+    const normal = { x: collision.normal.x, y: collision.normal.y };
+    const point = contactPoint(pair);
+
+    this.pending.push({
+      time,
+      bodyA,
+      bodyB,
+      labels: [bodyA.label, bodyB.label],
+      massA: bodyA.isStatic ? Infinity : this.units.toMass(bodyA.mass),
+      point,
+      normal,
+      velocityA: this.normalVelocity(bodyA, point, normal),
+      velocityB: this.normalVelocity(bodyB, point, normal),
+      restitution: pair.restitution
+    });
+  }
+
+  /**
+   * 刚体被合并时，未结算碰撞改按复合体计算
+   */
+  retarget(bodies: Matter.Body[], compound: Matter.Body) {
+    for (const collision of this.pending) {
+      if (bodies.includes(collision.bodyA)) collision.bodyA = compound;
+      if (bodies.includes(collision.bodyB)) collision.bodyB = compound;
+    }
+  }
+
+  /**
+   * 步末结算：读取接触冲量得到接触力，并完成本步开始的碰撞（在 afterUpdate 中调用）
+   */
+  finishStep(pairs: any[], world: Matter.World, stepMs: number) {
+    for (const pair of pairs) {
+      if (!pair.isActive || pair.isSensor) continue;
+      this.recordContact(pair, stepMs);
+    }
+
+    for (const collision of this.pending) {
+      // 已被移除的刚体不结算
+      if (!this.inWorld(world, collision.bodyA) || !this.inWorld(world, collision.bodyB)) continue;
+
+      const afterA = this.normalVelocity(collision.bodyA, collision.point, collision.normal);
+      const afterB = this.normalVelocity(collision.bodyB, collision.point, collision.normal);
+      const approachSpeed = collision.velocityB - collision.velocityA;
+      const separationSpeed = afterA - afterB;
+      // 冲量取动态一方的动量变化
+      const impulse = Number.isFinite(collision.massA)
+        ? collision.massA * (afterA - collision.velocityA)
+        : this.units.toMass(collision.bodyB.mass) * (collision.velocityB - afterB);
+
+      this.collisions.push({
+        time: collision.time,
+        bodies: collision.labels,
+        point: this.units.toPoint(collision.point),
+        normal: [collision.normal.x, collision.normal.y],
+        impulse,
+        approachSpeed,
+        separationSpeed,
+        restitution: approachSpeed > MIN_APPROACH_SPEED ? separationSpeed / approachSpeed : null,
+        configuredRestitution: collision.restitution
+      });
+    }
+    this.pending = [];
+  }
+
+  /**
+   * 各刚体最近一步的受力（SI）
+   */
+  bodyForces(bodies: Map<string, Matter.Body>): BodyForces[] {
+    return Array.from(bodies, ([id, body]) => {
+      const forces = this.step.get(body);
+      return {
+        id,
+        normal: forces ? this.units.toForce(forces.normal) : [0, 0],
+        friction: forces ? this.units.toForce(forces.friction) : [0, 0],
+        spring: forces ? this.units.toForce(forces.spring) : [0, 0],
+        contacts: forces ? forces.contacts : []
+      };
+    });
+  }
+
+  /**
+   * 一个碰撞对本步的接触力：冲量 / 步长，作用于 A 的方向与 Matter.js 施加到 positionPrev 的冲量相反
+   */
+  private recordContact(pair: any, stepMs: number) {
+    const collision = pair.collision;
+    let normalImpulse = 0;
+    let tangentImpulse = 0;
+    for (let i = 0; i < pair.contactCount; i++) {
+      normalImpulse += pair.contacts[i].normalImpulse;
+      tangentImpulse += pair.contacts[i].tangentImpulse;
+    }
+    if (normalImpulse === 0 && tangentImpulse === 0) return;
+
+    const normal: Matter.Vector = collision.normal;
+    const tangent: Matter.Vector = collision.tangent;
+    const normalForceA = Matter.Vector.mult(normal, -normalImpulse / stepMs ** 2);
+    const frictionA = Matter.Vector.mult(tangent, -tangentImpulse / stepMs ** 2);
+    const point = this.units.toPoint(contactPoint(pair));
+    const normalForce = Math.hypot(...this.units.toForce(normalForceA));
+
+    const sides: Array<[Matter.Body, Matter.Body, number]> = [
+      [collision.parentA, collision.parentB, 1],
+      [collision.parentB, collision.parentA, -1]
+    ];
+    for (const [body, other, sign] of sides) {
+      const forces = this.forcesOf(body);
+      const normalForceOnBody = Matter.Vector.mult(normalForceA, sign);
+      const frictionOnBody = Matter.Vector.mult(frictionA, sign);
+      forces.normal = Matter.Vector.add(forces.normal, normalForceOnBody);
+      forces.friction = Matter.Vector.add(forces.friction, frictionOnBody);
+      forces.contacts.push({
+        with: other.label,
+        point,
+        normal: [normal.x * sign, normal.y * sign],
+        normalForce,
+        frictionForce: this.units.toForce(frictionOnBody)
+      });
+    }
+  }
+
+  private forcesOf(body: Matter.Body): StepForces {
+    let forces = this.step.get(body);
+    if (!forces) {
+      forces = { normal: { x: 0, y: 0 }, friction: { x: 0, y: 0 }, spring: { x: 0, y: 0 }, contacts: [] };
+      this.step.set(body, forces);
+    }
+    return forces;
+  }
+
+  /**
+   * 刚体上某世界点速度的法向分量（m/s），静态刚体为 0
+   */
+  private normalVelocity(body: Matter.Body, point: Matter.Vector, normal: Matter.Vector): number {
+    if (body.isStatic) return 0;
+    const state = this.units.bodyState(body);
+    const [rx, ry] = this.units.toPoint(Matter.Vector.sub(point, body.position));
+    const vx = state.velocity[0] - state.angularVelocity * ry;
+    const vy = state.velocity[1] + state.angularVelocity * rx;
+    return vx * normal.x + vy * normal.y;
+  }
+
+  private inWorld(world: Matter.World, body: Matter.Body): boolean {
+    return Matter.Composite.get(world, body.id, 'body') !== null;
+  }
+}
+
+/**
+ * 碰撞对接触点的平均位置（Matter.js 单位）
+ */
+function contactPoint(pair: any): Matter.Vector {
+  let x = 0;
+  let y = 0;
+  for (let i = 0; i < pair.contactCount; i++) {
+    x += pair.contacts[i].vertex.x;
+    y += pair.contacts[i].vertex.y;
+  }
+  return { x: x / pair.contactCount, y: y / pair.contactCount };
+}
@@ -0,0 +1,197 @@
+/**
+ * 终止条件 - end_conditions.stopWhen 的逐步求值
+ *
+ * 功能：
+ * 1. speedBelow / allBodiesAtRest：速率低于阈值并持续 hold 秒
+ * 2. positionReached / leftBounds：到达目标坐标、离开世界边界
+ * 3. collisionOnce / eventOccurred / timeAfterEvent：按事件日志判断（一旦发生即保持）
+ * 4. any / all 组合子可任意嵌套；stopWhen 顶层按 any 处理
+ * 5. 返回触发的条件路径与描述，供 finalState.endReason 使用
+ *
+ * 每个物理步求值一次；所有子条件都会被求值，保证 hold 计时不因短路而中断。
+ */
+
+import type Matter from 'matter-js';
+import type { PhysicsContract, StopCondition } from '../matter_adapter/Adapter';
+import type { SimulationEvent } from './SimulationCore';
+import type { UnitMapper } from './UnitMapper';
+
+// 求值所需的仿真状态
+export interface EndConditionContext {
+  time: number;                       // 当前仿真时间（s）
+  bodies: Map<string, Matter.Body>;
+  units: UnitMapper;
+  events: SimulationEvent[];          // 完整事件日志（timestamp 为 ms）
+  bounds: PhysicsContract['world']['bounds'];
+}
+
+// 触发结果
+export interface EndConditionMatch {
+  path: string;          // 例如 stopWhen[1]
+  type: StopCondition['type'];
+  description: string;   // 例如 all(speedBelow(ball1), collisionOnce(ball1))
+  time: number;          // 触发时刻（s）
+}
+
+const DEFAULT_SPEED_THRESHOLD = 0.02; // m/s
+const DEFAULT_POSITION_TOLERANCE = 0.01; // m
+const TIME_EPSILON = 1e-9;
+
+/**
+ * 终止条件监视器（每次仿真一个实例，持有 hold 计时与事件状态）
+ */
+export class EndConditionMonitor {
+  private conditions: StopCondition[];
+  private holdStart: Map<string, number> = new Map();  // 路径 → 条件开始连续成立的时刻
+  private eventTimes: Map<string, number> = new Map(); // 路径 → 首个匹配事件的时刻
+  private processedEvents = 0;
+
+  constructor(stopWhen: StopCondition[]) {
+    this.conditions = stopWhen;
+  }
+
+  /**
+   * 求值全部条件，返回第一个成立的顶层条件
+   */
+  evaluate(context: EndConditionContext): EndConditionMatch | null {
+    this.scanEvents(context.events);
+
+    let match: EndConditionMatch | null = null;
+    for (let i = 0; i < this.conditions.length; i++) {
+      const condition = this.conditions[i];
+      const path = `stopWhen[${i}]`;
+      if (this.satisfied(condition, path, context) && !match) {
+        match = { path, type: condition.type, description: describeCondition(condition), time: context.time };
+      }
+    }
+    return match;
+  }
+
+  private satisfied(condition: StopCondition, path: string, context: EndConditionContext): boolean {
+    switch (condition.type) {
+      case 'any': {
+        const results = (condition.conditions || []).map((child, i) => this.satisfied(child, `${path}.conditions[${i}]`, context));
+        return results.some(Boolean);
+      }
+
+      case 'all': {
+        const results = (condition.conditions || []).map((child, i) => this.satisfied(child, `${path}.conditions[${i}]`, context));
+        return results.length > 0 && results.every(Boolean);
+      }
+
+      case 'speedBelow': {
+        const body = condition.id ? context.bodies.get(condition.id) : undefined;
+        const below = !!body && context.units.speed(body) < (condition.v ?? DEFAULT_SPEED_THRESHOLD);
+        return this.held(path, below, condition.hold, context.time);
+      }
+
+      case 'allBodiesAtRest': {
+        const threshold = condition.v ?? DEFAULT_SPEED_THRESHOLD;
+        const atRest = Array.from(context.bodies.values())
+          .filter(body => !body.isStatic)
+          .every(body => context.units.speed(body) < threshold);
+        return this.held(path, atRest, condition.hold, context.time);
+      }
+
+      case 'positionReached': {
+        const body = condition.id ? context.bodies.get(condition.id) : undefined;
+        if (!body || (condition.x === undefined && condition.y === undefined)) return false;
+        const tol = condition.tol ?? DEFAULT_POSITION_TOLERANCE;
+        const [x, y] = context.units.toPoint(body.position);
+        return (condition.x === undefined || Math.abs(x - condition.x) < tol) &&
+          (condition.y === undefined || Math.abs(y - condition.y) < tol);
+      }
+
+      case 'leftBounds': {
+        const { min, max } = context.bounds;
+        const candidates = condition.id
+          ? [context.bodies.get(condition.id)].filter((body): body is Matter.Body => !!body)
+          : Array.from(context.bodies.values()).filter(body => !body.isStatic);
+        return candidates.some(body => {
+          const [x, y] = context.units.toPoint(body.position);
+          return x < min[0] || x > max[0] || y < min[1] || y > max[1];
+        });
+      }
+
+      case 'collisionOnce':
+      case 'eventOccurred':
+        return this.eventTimes.has(path);
+
+      case 'timeAfterEvent': {
+        const eventTime = this.eventTimes.get(path);
+        return eventTime !== undefined && context.time + TIME_EPSILON >= eventTime + (condition.delay ?? 0);
+      }
+    }
+  }
+
+  /**
+   * hold 计时：条件需连续成立 hold 秒
+   */
+  private held(path: string, active: boolean, hold: number | undefined, time: number): boolean {
+    if (!active) {
+      this.holdStart.delete(path);
+      return false;
+    }
+    if (!this.holdStart.has(path)) this.holdStart.set(path, time);
+    return time - this.holdStart.get(path)! + TIME_EPSILON >= (hold ?? 0);
+  }
+
+  /**
+   * 扫描新增事件，记录各事件型条件首次匹配的时刻
+   */
+  private scanEvents(events: SimulationEvent[]) {
+    for (; this.processedEvents < events.length; this.processedEvents++) {
+      const event = events[this.processedEvents];
+      this.forEachEventCondition(this.conditions, 'stopWhen', (condition, path) => {
+        if (!this.eventTimes.has(path) && matchesEvent(condition, event)) {
+          this.eventTimes.set(path, event.timestamp / 1000);
+        }
+      });
+    }
+  }
+
+  private forEachEventCondition(
+    conditions: StopCondition[],
+    prefix: string,
+    visit: (condition: StopCondition, path: string) => void
+  ) {
+    conditions.forEach((condition, i) => {
+      const path = prefix === 'stopWhen' ? `stopWhen[${i}]` : `${prefix}.conditions[${i}]`;
+      if (condition.type === 'any' || condition.type === 'all') {
+        this.forEachEventCondition(condition.conditions || [], path, visit);
+      } else if (['collisionOnce', 'eventOccurred', 'timeAfterEvent'].includes(condition.type)) {
+        visit(condition, path);
+      }
+    });
+  }
+}
+
+/**
+ * 事件是否匹配事件型条件
+ */
+function matchesEvent(condition: StopCondition, event: SimulationEvent): boolean {
+  if (condition.type === 'collisionOnce') {
+    return event.type === 'collision' &&
+      event.participants.includes(condition.id!) &&
+      (!condition.with || event.participants.includes(condition.with));
+  }
+  return event.type === condition.event && (!condition.id || event.participants.includes(condition.id));
+}
+
+/**
+ * 条件的简短描述，例如 speedBelow(ball1)、any(collisionOnce(ball1), timeAfterEvent(merge_bodies))
+ */
+export function describeCondition(condition: StopCondition): string {
+  switch (condition.type) {
+    case 'any':
+    case 'all':
+      return `${condition.type}(${(condition.conditions || []).map(describeCondition).join(', ')})`;
+    case 'eventOccurred':
+    case 'timeAfterEvent':
+      return `${condition.type}(${[condition.event, condition.id].filter(Boolean).join(', ')})`;
+    case 'collisionOnce':
+      return `${condition.type}(${[condition.id, condition.with].filter(Boolean).join(', ')})`;
+    default:
+      return condition.id ? `${condition.type}(${condition.id})` : condition.type;
+  }
+}
@@ -0,0 +1,108 @@
+"use strict";
+/**
+ * 能量核算 - 每帧的能量分解与守恒量
+ *
+ * 功能：
+ * 1. 逐刚体的平动动能 ½mv²、转动动能 ½Iω²、相对零势能点的重力势能 −m·g·(r − datum)
+ * 2. 弹簧（给出 k）储存的弹性势能 ½k·Δx²
+ * 3. 外界做功（恒力、改变速度 / 材料 / 约束等动作）与耗散功（摩擦、非弹性碰撞与合并）
+ * 4. 总动量 (px, py) 与对坐标原点的总角动量
+ *
+ * 耗散功由能量平衡得出：初始机械能 + 外界做功 − 当前机械能（含少量数值误差）。
+ * 速度取自本步位移，位置类能量相应取本步中点位置（position 与 positionPrev 的平均）：
+ * 与 Matter.js 的 Verlet 积分配合时，匀强重力与恒力下的能量收支逐步精确平衡。
+ */
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.EnergyLedger = void 0;
+const matter_js_1 = __importDefault(require("matter-js"));
+const ConstraintBuilder_1 = require("./ConstraintBuilder");
+/**
+ * 能量账本（每次仿真一个实例，累计外界做功）
+ */
+class EnergyLedger {
+    constructor(units, gravity, datum = [0, 0]) {
+        this.initialEnergy = null;
+        this.externalWork = 0;
+        this.units = units;
+        this.gravity = gravity;
+        this.datum = datum;
+    }
+    /**
+     * 当前机械能分解（静态刚体不计）
+     */
+    measure(bodies, constraints) {
+        const state = {
+            kinetic: 0,
+            rotational: 0,
+            gravitational: 0,
+            elastic: 0,
+            mechanical: 0,
+            momentum: [0, 0],
+            angularMomentum: 0,
+            bodies: [],
+            springs: []
+        };
+        for (const [id, body] of bodies) {
+            if (body.isStatic)
+                continue;
+            const mass = this.units.toMass(body.mass);
+            const inertia = this.units.toInertia(body.inertia);
+            const { velocity, angularVelocity } = this.units.bodyState(body);
+            const [x, y] = this.midpoint(body);
+            const energy = {
+                id,
+                kinetic: 0.5 * mass * (velocity[0] ** 2 + velocity[1] ** 2),
+                rotational: 0.5 * inertia * angularVelocity ** 2,
+                gravitational: -mass * (this.gravity[0] * (x - this.datum[0]) + this.gravity[1] * (y - this.datum[1]))
+            };
+            state.bodies.push(energy);
+            state.kinetic += energy.kinetic;
+            state.rotational += energy.rotational;
+            state.gravitational += energy.gravitational;
+            state.momentum[0] += mass * velocity[0];
+            state.momentum[1] += mass * velocity[1];
+            state.angularMomentum += mass * (x * velocity[1] - y * velocity[0]) + inertia * angularVelocity;
+        }
+        for (const [id, constraint] of constraints) {
+            const joint = (0, ConstraintBuilder_1.jointOf)(constraint);
+            if (joint?.kind !== 'spring' || joint.k === undefined)
+                continue;
+            const elastic = this.units.toEnergy((0, ConstraintBuilder_1.springPotentialEnergy)(constraint));
+            state.springs.push({ id, elastic });
+            state.elastic += elastic;
+        }
+        state.mechanical = state.kinetic + state.rotational + state.gravitational + state.elastic;
+        return state;
+    }
+    /**
+     * 本步中点位置（m）；恒力做功按相邻两步中点间的位移计算，与动能增量逐步一致
+     */
+    midpoint(body) {
+        return this.units.toPoint(matter_js_1.default.Vector.mult(matter_js_1.default.Vector.add(body.position, body.positionPrev), 0.5));
+    }
+    /**
+     * 计入外界做功（J，负值表示外界取走能量）
+     */
+    addWork(joules) {
+        this.externalWork += joules;
+    }
+    /**
+     * 记录一帧；首帧的机械能作为耗散功的基准
+     */
+    sample(time, bodies, constraints) {
+        const state = this.measure(bodies, constraints);
+        if (this.initialEnergy === null) {
+            this.initialEnergy = state.mechanical;
+        }
+        return {
+            time,
+            ...state,
+            externalWork: this.externalWork,
+            dissipated: this.initialEnergy + this.externalWork - state.mechanical
+        };
+    }
+}
+exports.EnergyLedger = EnergyLedger;
@@ -0,0 +1,147 @@
+/**
+ * 能量核算 - 每帧的能量分解与守恒量
+ *
+ * 功能：
+ * 1. 逐刚体的平动动能 ½mv²、转动动能 ½Iω²、相对零势能点的重力势能 −m·g·(r − datum)
+ * 2. 弹簧（给出 k）储存的弹性势能 ½k·Δx²
+ * 3. 外界做功（恒力、改变速度 / 材料 / 约束等动作）与耗散功（摩擦、非弹性碰撞与合并）
+ * 4. 总动量 (px, py) 与对坐标原点的总角动量
+ *
+ * 耗散功由能量平衡得出：初始机械能 + 外界做功 − 当前机械能（含少量数值误差）。
+ * 速度取自本步位移，位置类能量相应取本步中点位置（position 与 positionPrev 的平均）：
+ * 与 Matter.js 的 Verlet 积分配合时，匀强重力与恒力下的能量收支逐步精确平衡。
+ */
+
+import Matter from 'matter-js';
+import type { UnitMapper } from './UnitMapper';
+import { jointOf, springPotentialEnergy } from './ConstraintBuilder';
+
+type Vec2 = [number, number];
+
+// 单个刚体的能量（J）
+export interface BodyEnergy {
+  id: string;
+  kinetic: number;
+  rotational: number;
+  gravitational: number;
+}
+
+// 机械能分解与守恒量（能量为 J，动量为 kg·m/s，角动量为 kg·m²/s）
+export interface EnergyState {
+  kinetic: number;
+  rotational: number;
+  gravitational: number;
+  elastic: number;
+  mechanical: number;                  // 以上四项之和
+  momentum: Vec2;
+  angularMomentum: number;             // 对坐标原点，y 轴向下时顺时针为正
+  bodies: BodyEnergy[];
+  springs: Array<{ id: string; elastic: number }>;
+}
+
+// 一帧的能量记录
+export interface EnergySample extends EnergyState {
+  time: number;          // s
+  externalWork: number;  // 累计外界做功（J）
+  dissipated: number;    // 累计耗散功（J）
+}
+
+/**
+ * 能量账本（每次仿真一个实例，累计外界做功）
+ */
+export class EnergyLedger {
+  private units: UnitMapper;
+  private gravity: Vec2;
+  private datum: Vec2;
+  private initialEnergy: number | null = null;
+  private externalWork = 0;
+
+  constructor(units: UnitMapper, gravity: Vec2, datum: Vec2 = [0, 0]) {
+    this.units = units;
+    this.gravity = gravity;
+    this.datum = datum;
+  }
+
+  /**
+   * 当前机械能分解（静态刚体不计）
+   */
+  measure(bodies: Map<string, Matter.Body>, constraints: Map<string, Matter.Constraint>): EnergyState {
+    const state: EnergyState = {
+      kinetic: 0,
+      rotational: 0,
+      gravitational: 0,
+      elastic: 0,
+      mechanical: 0,
+      momentum: [0, 0],
+      angularMomentum: 0,
+      bodies: [],
+      springs: []
+    };
+
+    for (const [id, body] of bodies) {
+      if (body.isStatic) continue;
+
+      const mass = this.units.toMass(body.mass);
+      const inertia = this.units.toInertia(body.inertia);
+      const { velocity, angularVelocity } = this.units.bodyState(body);
+      const [x, y] = this.midpoint(body);
+
+      const energy: BodyEnergy = {
+        id,
+        kinetic: 0.5 * mass * (velocity[0] ** 2 + velocity[1] ** 2),
+        rotational: 0.5 * inertia * angularVelocity ** 2,
+        gravitational: -mass * (this.gravity[0] * (x - this.datum[0]) + this.gravity[1] * (y - this.datum[1]))
+      };
+      state.bodies.push(energy);
+      state.kinetic += energy.kinetic;
+      state.rotational += energy.rotational;
+      state.gravitational += energy.gravitational;
+
+      state.momentum[0] += mass * velocity[0];
+      state.momentum[1] += mass * velocity[1];
+      state.angularMomentum += mass * (x * velocity[1] - y * velocity[0]) + inertia * angularVelocity;
+    }
+
+    for (const [id, constraint] of constraints) {
+      const joint = jointOf(constraint);
+      if (joint?.kind !== 'spring' || joint.k === undefined) continue;
+      const elastic = this.units.toEnergy(springPotentialEnergy(constraint));
+      state.springs.push({ id, elastic });
+      state.elastic += elastic;
+    }
+
+    state.mechanical = state.kinetic + state.rotational + state.gravitational + state.elastic;
+    return state;
+  }
+
+  /**
+   * 本步中点位置（m）；恒力做功按相邻两步中点间的位移计算，与动能增量逐步一致
+   */
+  midpoint(body: Matter.Body): Vec2 {
+    return this.units.toPoint(Matter.Vector.mult(Matter.Vector.add(body.position, (body as any).positionPrev), 0.5));
+  }
+
+  /**
+   * 计入外界做功（J，负值表示外界取走能量）
+   */
+  addWork(joules: number) {
+    this.externalWork += joules;
+  }
+
+  /**
+   * 记录一帧；首帧的机械能作为耗散功的基准
+   */
+  sample(time: number, bodies: Map<string, Matter.Body>, constraints: Map<string, Matter.Constraint>): EnergySample {
+    const state = this.measure(bodies, constraints);
+    if (this.initialEnergy === null) {
+      this.initialEnergy = state.mechanical;
+    }
+
+    return {
+      time,
+      ...state,
+      externalWork: this.externalWork,
+      dissipated: this.initialEnergy + this.externalWork - state.mechanical
+    };
+  }
+}
@@ -0,0 +1,134 @@
+/**
+ * 事件触发器 - 时间 / 位置 / 速度触发的穿越检测
+ *
+ * 功能：
+ * 1. time：仿真时间越过 when.t
+ * 2. position：刚体进入轴对齐区域 when.region，或越过直线 x = when.x / y = when.y
+ * 3. velocity：速率（或 when.component 指定的速度分量）越过 above / below 阈值
+ *
+ * 每个物理步比较步初与步末的采样，仅在条件由假变真时触发（上升沿），
+ * 并在步内线性插值得到穿越时刻。
+ */
+
+import type { PhysicsContract } from '../matter_adapter/Adapter';
+
+type Vec2 = [number, number];
+export type TriggerCondition = PhysicsContract['event_rules'][number]['when'];
+
+// 触发器使用的单体采样（SI）
+export interface TriggerSample {
+  time: number;     // s
+  position: Vec2;   // m
+  velocity: Vec2;   // m/s
+}
+
+const TIME_EPSILON = 1e-9;
+
+// 步内触发类型（碰撞由 Matter.js 事件分发，不在此处理）
+export const STEP_TRIGGERS = ['time', 'position', 'velocity'] as const;
+
+export function isStepTrigger(when: TriggerCondition): boolean {
+  return (STEP_TRIGGERS as readonly string[]).includes(when.on);
+}
+
+/**
+ * 时间触发：prevTime < t ≤ time 时返回穿越时刻
+ */
+export function timeCrossing(when: TriggerCondition, prevTime: number, time: number): number | null {
+  if (when.t === undefined) return null;
+  // 容差吸收步长累加的浮点误差，避免整秒时刻推迟一步触发
+  return prevTime < when.t && when.t <= time + TIME_EPSILON ? when.t : null;
+}
+
+/**
+ * 位置/速度触发：条件在 [prev, current] 内由假变真时返回穿越时刻
+ */
+export function sampleCrossing(when: TriggerCondition, prev: TriggerSample, current: TriggerSample): number | null {
+  const fraction = when.on === 'position'
+    ? positionCrossing(when, prev.position, current.position)
+    : when.on === 'velocity'
+      ? velocityCrossing(when, prev.velocity, current.velocity)
+      : null;
+
+  return fraction === null ? null : prev.time + fraction * (current.time - prev.time);
+}
+
+/**
+ * 位置条件是否成立（用于初始状态与上升沿判断）
+ */
+function positionSatisfied(when: TriggerCondition, position: Vec2): boolean {
+  if (when.region) {
+    const { min, max } = when.region;
+    return position[0] >= min[0] && position[0] <= max[0] && position[1] >= min[1] && position[1] <= max[1];
+  }
+  return false;
+}
+
+/**
+ * 位置穿越的步内比例（0..1），未穿越返回 null
+ */
+function positionCrossing(when: TriggerCondition, p0: Vec2, p1: Vec2): number | null {
+  if (when.region) {
+    if (positionSatisfied(when, p0) || !positionSatisfied(when, p1)) return null;
+    return regionEntry(p0, p1, when.region.min, when.region.max);
+  }
+
+  // 越过直线 x = when.x 或 y = when.y（任一方向），取较早者
+  const candidates: number[] = [];
+  if (when.x !== undefined) {
+    const fraction = levelCrossing(p0[0], p1[0], when.x);
+    if (fraction !== null) candidates.push(fraction);
+  }
+  if (when.y !== undefined) {
+    const fraction = levelCrossing(p0[1], p1[1], when.y);
+    if (fraction !== null) candidates.push(fraction);
+  }
+  return candidates.length > 0 ? Math.min(...candidates) : null;
+}
+
+/**
+ * 速度阈值穿越的步内比例
+ */
+function velocityCrossing(when: TriggerCondition, v0: Vec2, v1: Vec2): number | null {
+  const value = (v: Vec2) => when.component === 'x' ? v[0] : when.component === 'y' ? v[1] : Math.hypot(v[0], v[1]);
+  const satisfied = (x: number) =>
+    (when.above === undefined || x > when.above) && (when.below === undefined || x < when.below);
+
+  const a = value(v0);
+  const b = value(v1);
+  if (satisfied(a) || !satisfied(b)) return null;
+
+  // 取最后被满足的阈值作为穿越点
+  const fractions: number[] = [];
+  if (when.above !== undefined && a <= when.above) fractions.push(interpolate(a, b, when.above));
+  if (when.below !== undefined && a >= when.below) fractions.push(interpolate(a, b, when.below));
+  return fractions.length > 0 ? Math.max(...fractions) : 1;
+}
+
+/**
+ * 线段 p0→p1 进入轴对齐区域的参数（Liang–Barsky 裁剪的入口参数）
+ */
+function regionEntry(p0: Vec2, p1: Vec2, min: Vec2, max: Vec2): number {
+  let enter = 0;
+  for (let axis = 0; axis < 2; axis++) {
+    const delta = p1[axis] - p0[axis];
+    if (delta === 0) continue;
+    const tMin = (min[axis] - p0[axis]) / delta;
+    const tMax = (max[axis] - p0[axis]) / delta;
+    enter = Math.max(enter, Math.min(tMin, tMax));
+  }
+  return Math.min(1, enter);
+}
+
+/**
+ * 标量 a→b 越过 level 的比例；从 level 出发不算穿越
+ */
+function levelCrossing(a: number, b: number, level: number): number | null {
+  if (a === level) return null;
+  if ((a - level) * (b - level) > 0) return null;
+  return interpolate(a, b, level);
+}
+
+function interpolate(a: number, b: number, level: number): number {
+  return b === a ? 1 : Math.min(1, Math.max(0, (level - a) / (b - a)));
+}
@@ -0,0 +1,185 @@
+/**
+ * 帧重采样 - 将按仿真记录频率采样的轨迹映射到任意 fps 的视频时间轴
+ *
+ * 功能：
+ * 1. 视频第 k 帧的时刻为 start + k / fps（逐帧计算，不累加误差），与记录频率无关
+ * 2. 相邻记录帧之间线性插值位置、速度、角度与角速度；角度按角速度选取 2π 的整数倍展开，跨越 ±π 不倒转
+ * 3. 不跨越间断插值：区间内刚体发生碰撞、合并、冲量、设速度、移除或转静态时，
+ *    间断时刻之前保持前一记录帧、之后取后一记录帧的真实状态，不编造中间运动
+ * 4. 事件归入时刻不早于它的第一个视频帧，每个事件只出现一次（记录帧的 events 为累计事件，按 data.events 或去重后分配）；受力与约束取最近的记录帧（约束端点随插值后的刚体位姿绘制）
+ * 5. 也可直接给出各视频帧的仿真时刻（非匀速时间轴，如 TimeRemap 的慢放）
+ */
+
+import type { SimulationData, SimulationEvent, SimulationFrame, FrameBody } from './SimulationCore';
+
+export interface ResampleOptions {
+  fps: number;
+  start?: number;   // 视频起始时刻（s），缺省为首帧时刻
+  end?: number;     // 视频结束时刻（s），缺省为末帧时刻
+  times?: number[]; // 各视频帧的仿真时刻（s，单调不减）；给出时忽略 fps / start / end
+}
+
+// 重采样后的一帧（frameIndex 为视频帧序号，timestamp 为该帧对应的仿真时刻）
+export interface ResampledFrame extends SimulationFrame {
+  sourceIndex: number;  // 所在区间的前一记录帧
+}
+
+// 使刚体运动间断的事件
+const DISCONTINUOUS_EVENTS = new Set([
+  'collision',
+  'merge_bodies',
+  'apply_impulse',
+  'set_velocity',
+  'remove_body',
+  'set_static'
+]);
+
+const TIME_EPSILON = 1e-9;
+
+/**
+ * 视频时间轴：[start, end] 内的 start + k / fps
+ */
+export function videoTimeline(start: number, end: number, fps: number): number[] {
+  if (!(fps > 0)) throw new Error(`fps must be positive, got ${fps}`);
+  const count = Math.floor((end - start) * fps + TIME_EPSILON) + 1;
+  return Array.from({ length: Math.max(0, count) }, (_, k) => start + k / fps);
+}
+
+/**
+ * 按视频时间轴重采样记录帧
+ */
+export function resampleFrames(
+  data: Pick<SimulationData, 'frames'> & Partial<Pick<SimulationData, 'events'>>,
+  options: ResampleOptions
+): ResampledFrame[] {
+  const frames = data.frames;
+  if (frames.length === 0) return [];
+
+  const start = options.start ?? frames[0].timestamp;
+  const end = options.end ?? frames[frames.length - 1].timestamp;
+  const events = traceEvents(data);
+  const breaks = discontinuities(events);
+  const times = options.times || videoTimeline(start, end, options.fps);
+
+  // 按时刻排序的事件，依次归入视频帧
+  const pending = [...events].sort((x, y) => x.timestamp - y.timestamp);
+  const result: ResampledFrame[] = [];
+  let i = 0;
+  let nextEvent = 0; // 下一个尚未归入视频帧的事件
+
+  times.forEach((time, k) => {
+    while (i + 2 < frames.length && frames[i + 1].timestamp <= time + TIME_EPSILON) i++;
+    const a = frames[i];
+    const b = frames[Math.min(i + 1, frames.length - 1)];
+
+    const frameEvents: SimulationEvent[] = [];
+    while (nextEvent < pending.length && pending[nextEvent].timestamp / 1000 <= time + TIME_EPSILON) {
+      frameEvents.push(pending[nextEvent++]);
+    }
+
+    const span = b.timestamp - a.timestamp;
+    const w = span > 0 ? Math.min(1, Math.max(0, (time - a.timestamp) / span)) : 0;
+    result.push({
+      frameIndex: k,
+      timestamp: time,
+      sourceIndex: i,
+      bodies: bodiesAt(a, b, time, w, breaks),
+      forces: (w < 0.5 ? a : b).forces,
+      events: frameEvents,
+      ...(a.constraints ? { constraints: (w < 0.5 ? a : b).constraints } : {})
+    });
+  });
+
+  // 晚于最后一个视频帧的事件归入最后一帧
+  if (result.length > 0) result[result.length - 1].events.push(...pending.slice(nextEvent));
+  return result;
+}
+
+/**
+ * 轨迹中的事件，每个只出现一次：优先取 data.events；
+ * 否则合并各记录帧的事件并去重（SimulationCore 的帧事件为截至该帧的累计事件）
+ */
+export function traceEvents(
+  data: Pick<SimulationData, 'frames'> & Partial<Pick<SimulationData, 'events'>>
+): SimulationEvent[] {
+  if (data.events) return data.events;
+  const seen = new Set<string>();
+  const events: SimulationEvent[] = [];
+  for (const frame of data.frames) {
+    for (const event of frame.events || []) {
+      const key = JSON.stringify([event.type, event.timestamp, event.participants, event.data ?? null]);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      events.push(event);
+    }
+  }
+  return events;
+}
+
+/**
+ * 各刚体的间断时刻（s，升序）
+ */
+function discontinuities(events: SimulationEvent[]): Map<string, number[]> {
+  const breaks = new Map<string, number[]>();
+  const mark = (id: string, time: number) => {
+    if (!breaks.has(id)) breaks.set(id, []);
+    breaks.get(id)!.push(time);
+  };
+  for (const event of events) {
+    if (!DISCONTINUOUS_EVENTS.has(event.type)) continue;
+    const time = event.timestamp / 1000;
+    for (const id of event.participants) mark(id, time);
+    if (event.type === 'merge_bodies' && event.data?.newId) mark(event.data.newId, time);
+  }
+  for (const times of breaks.values()) times.sort((x, y) => x - y);
+  return breaks;
+}
+
+/**
+ * 区间 [a, b] 内时刻 time 的刚体状态
+ */
+function bodiesAt(a: SimulationFrame, b: SimulationFrame, time: number, w: number, breaks: Map<string, number[]>): FrameBody[] {
+  if (w <= 0 || Math.abs(time - a.timestamp) <= TIME_EPSILON) return a.bodies;
+  if (w >= 1 || Math.abs(time - b.timestamp) <= TIME_EPSILON) return b.bodies;
+
+  const ids = [...a.bodies.map(body => body.id), ...b.bodies.map(body => body.id)].filter((id, i, all) => all.indexOf(id) === i);
+  const bodies: FrameBody[] = [];
+
+  for (const id of ids) {
+    const before = a.bodies.find(body => body.id === id);
+    const after = b.bodies.find(body => body.id === id);
+    const cut = (breaks.get(id) || []).find(t => t > a.timestamp + TIME_EPSILON && t <= b.timestamp + TIME_EPSILON);
+
+    if (before && after && cut === undefined) {
+      bodies.push(interpolate(before, after, w, b.timestamp - a.timestamp));
+      continue;
+    }
+    // 间断：保持间断同侧的记录状态；无记录的出现 / 消失按前一帧保持
+    const held = cut !== undefined && time >= cut - TIME_EPSILON ? after : before;
+    if (held) bodies.push(held);
+  }
+  return bodies;
+}
+
+/**
+ * 线性插值；角度按平均角速度预期的转角展开
+ */
+function interpolate(before: FrameBody, after: FrameBody, w: number, span: number): FrameBody {
+  const expected = ((before.angularVelocity + after.angularVelocity) / 2) * span;
+  let turn = after.angle - before.angle;
+  turn -= 2 * Math.PI * Math.round((turn - expected) / (2 * Math.PI));
+
+  return {
+    ...before,
+    position: [
+      before.position[0] + (after.position[0] - before.position[0]) * w,
+      before.position[1] + (after.position[1] - before.position[1]) * w
+    ],
+    velocity: [
+      before.velocity[0] + (after.velocity[0] - before.velocity[0]) * w,
+      before.velocity[1] + (after.velocity[1] - before.velocity[1]) * w
+    ],
+    angle: before.angle + turn * w,
+    angularVelocity: before.angularVelocity + (after.angularVelocity - before.angularVelocity) * w
+  };
+}
@@ -0,0 +1,407 @@
+"use strict";
+/**
+ * 关键时刻提取 - 从仿真轨迹中找出讲解需要的时刻，输出按时间排序的时间线
+ *
+ * 功能：
+ * 1. 最高点：竖直速度（沿重力反方向）由正变负，每个刚体取最高的一次
+ * 2. 首次落地：第一次与支撑面（静态刚体或边界墙，接触法向与竖直向上夹角不超过 60°）碰撞
+ * 3. 碰撞：每次碰撞的碰前 / 碰后速度（由相邻帧外推到碰撞时刻）、冲量与实测恢复系数
+ * 4. 离开表面：持续接触后接触消失，法向力外推到 0 的时刻
+ * 5. 折返：速度方向反转（非碰撞造成），取速率最小的时刻
+ * 6. 弹簧最大压缩：弹簧长度最短的时刻（三点抛物线插值）
+ *
+ * 帧之间用 Hermite 插值（位置 + 速度）求精确时刻与位置；输出供渲染器标注、讲解生成与答案解析使用。
+ * 坐标与契约一致：SI 单位，y 轴向下。
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.extractKeyMoments = extractKeyMoments;
+exports.bodyStateAt = bodyStateAt;
+const DEFAULT_OPTIONS = {
+    minSpeed: 1e-3,
+    minImpactSpeed: 0.2,
+    minCompression: 1e-4
+};
+// 支撑面：作用于刚体的法向与竖直向上的夹角余弦不小于此值
+const GROUND_NORMAL_COS = 0.5;
+// 时间比较容差（s）
+const TIME_EPSILON = 1e-9;
+const ALL_TYPES = [
+    'max_height', 'first_ground_contact', 'collision', 'leave_surface', 'turnaround', 'max_spring_compression'
+];
+/**
+ * 从仿真结果提取关键时刻时间线
+ */
+function extractKeyMoments(data, contract, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const types = new Set(options.types ?? ALL_TYPES);
+    const samples = bodySamples(data.frames);
+    const statics = new Set(contract.bodies.filter(body => body.isStatic).map(body => body.id));
+    const dynamic = Array.from(samples.keys()).filter(id => !statics.has(id) && !isWall(id));
+    const gravity = contract.world.gravity;
+    const g = length(gravity);
+    const up = g > 0 ? [-gravity[0] / g, -gravity[1] / g] : null;
+    const impacts = data.collisions.filter(collision => collision.approachSpeed >= settings.minImpactSpeed);
+    const moments = [];
+    const isSurface = (id) => statics.has(id) || isWall(id);
+    for (const id of dynamic) {
+        const series = samples.get(id);
+        const hits = data.collisions.filter(collision => collision.bodies.includes(id)).map(collision => collision.time);
+        if (types.has('max_height') && up) {
+            const apex = highestApex(series, up, hits, settings.minSpeed);
+            if (apex)
+                moments.push({ ...apex, bodies: [id], description: `${id} reaches its highest point, ${apex.details.rise.toFixed(3)} m above its start` });
+        }
+        if (types.has('turnaround')) {
+            for (const turn of turnarounds(series, hits, settings.minSpeed)) {
+                moments.push({ ...turn, bodies: [id], description: `${id} reverses direction` });
+            }
+        }
+        if (types.has('first_ground_contact') && up) {
+            const landing = data.collisions.find(collision => {
+                const other = collision.bodies[0] === id ? collision.bodies[1] : collision.bodies[0];
+                return collision.bodies.includes(id) && isSurface(other) && dot(normalOn(collision, id), up) >= GROUND_NORMAL_COS;
+            });
+            if (landing) {
+                const surface = landing.bodies[0] === id ? landing.bodies[1] : landing.bodies[0];
+                const state = stateAt(series, landing.time, 'before');
+                moments.push({
+                    type: 'first_ground_contact',
+                    time: landing.time,
+                    frameIndex: frameIndexAt(data.frames, landing.time),
+                    bodies: [id, surface],
+                    position: state.position,
+                    velocity: state.velocity,
+                    details: { surface, point: landing.point },
+                    description: `${id} first touches ${surface}`
+                });
+            }
+        }
+    }
+    if (types.has('collision')) {
+        for (const collision of impacts) {
+            moments.push(collisionMoment(collision, samples, data.frames, statics));
+        }
+    }
+    if (types.has('leave_surface')) {
+        moments.push(...surfaceDepartures(data.frames, statics, up));
+    }
+    if (types.has('max_spring_compression')) {
+        for (const spring of contract.constraints.filter(constraint => constraint.type === 'spring')) {
+            const moment = maxCompression(spring, samples, data.frames, settings.minCompression);
+            if (moment)
+                moments.push(moment);
+        }
+    }
+    moments.sort((a, b) => a.time - b.time || ALL_TYPES.indexOf(a.type) - ALL_TYPES.indexOf(b.type));
+    return { moments, duration: data.finalState.totalTime };
+}
+// ---------- 各类时刻 ----------
+/**
+ * 最高点：沿 up 的速度分量由正变负（区间内无碰撞），取上升高度最大的一次
+ */
+function highestApex(series, up, hits, minSpeed) {
+    let best = null;
+    const start = series[0].position;
+    for (let i = 0; i + 1 < series.length; i++) {
+        const a = series[i], b = series[i + 1];
+        const ua = dot(a.velocity, up), ub = dot(b.velocity, up);
+        if (!(ua > 0 && ub <= 0) || Math.max(ua, -ub) < minSpeed || collidedBetween(hits, a.t, b.t))
+            continue;
+        const time = a.t + (b.t - a.t) * ua / (ua - ub);
+        const state = hermite(a, b, time);
+        const rise = dot(sub(state.position, start), up);
+        if (!best || rise > best.details.rise) {
+            best = { type: 'max_height', time, frameIndex: a.frame, position: state.position, velocity: state.velocity, details: { rise } };
+        }
+    }
+    return best;
+}
+/**
+ * 折返：运动方向（最近一次速率超过 minSpeed 时的速度）反转，且期间无碰撞
+ */
+function turnarounds(series, hits, minSpeed) {
+    const result = [];
+    let heading = -1;
+    for (let i = 0; i < series.length; i++) {
+        if (length(series[i].velocity) < minSpeed)
+            continue;
+        if (heading >= 0 && dot(series[heading].velocity, series[i].velocity) < 0 && !collidedBetween(hits, series[heading].t, series[i].t)) {
+            // 在 heading..i 之间找速率最小的时刻
+            let best = { time: series[heading].t, speed: Infinity, frame: series[heading].frame, a: series[heading], b: series[i] };
+            for (let j = heading; j < i; j++) {
+                const a = series[j], b = series[j + 1];
+                const dv = sub(b.velocity, a.velocity);
+                const span = b.t - a.t;
+                const w = dot(dv, dv) > 0 ? clamp(-dot(a.velocity, dv) / dot(dv, dv), 0, 1) : 0;
+                const speed = length([a.velocity[0] + dv[0] * w, a.velocity[1] + dv[1] * w]);
+                if (speed < best.speed)
+                    best = { time: a.t + span * w, speed, frame: a.frame, a, b };
+            }
+            const state = hermite(best.a, best.b, best.time);
+            result.push({ type: 'turnaround', time: best.time, frameIndex: best.frame, position: state.position, velocity: state.velocity, details: {} });
+        }
+        heading = i;
+    }
+    return result;
+}
+/**
+ * 碰撞：碰前速度由碰撞前两帧外推，碰后速度由碰撞后两帧反推
+ *
+ * 动态刚体排在前面；交换顺序时法向随之取反，使其仍由 bodies[1] 指向 bodies[0]。
+ */
+function collisionMoment(collision, samples, frames, statics) {
+    const before = {};
+    const after = {};
+    for (const id of collision.bodies) {
+        const series = samples.get(id);
+        if (!series || isWall(id))
+            continue;
+        before[id] = stateAt(series, collision.time, 'before').velocity;
+        if (series[series.length - 1].t >= collision.time - TIME_EPSILON) {
+            after[id] = stateAt(series, collision.time, 'after').velocity;
+        }
+    }
+    const fixed = (id) => statics.has(id) || isWall(id);
+    const swap = fixed(collision.bodies[0]) && !fixed(collision.bodies[1]);
+    const [a, b] = swap ? [collision.bodies[1], collision.bodies[0]] : collision.bodies;
+    const normal = swap ? [-collision.normal[0], -collision.normal[1]] : collision.normal;
+    const speed = (id) => (before[id] ? length(before[id]).toFixed(2) : '0.00');
+    return {
+        type: 'collision',
+        time: collision.time,
+        frameIndex: frameIndexAt(frames, collision.time),
+        bodies: [a, b],
+        position: collision.point,
+        velocity: after[a] ?? [0, 0],
+        details: {
+            point: collision.point,
+            normal,
+            before,
+            after,
+            impulse: collision.impulse,
+            restitution: collision.restitution
+        },
+        description: `${a} (${speed(a)} m/s) collides with ${b} (${speed(b)} m/s)`
+    };
+}
+/**
+ * 离开表面：与同一对象的接触至少持续两帧后消失
+ *
+ * 静态刚体不计；两个动态刚体分离时只记被支撑的一方（法向朝上），无重力时记 id 较小的一方。
+ * 时刻取法向力按前两帧线性外推到 0 的时刻，无法外推时取帧区间中点。
+ */
+function surfaceDepartures(frames, statics, up) {
+    const moments = [];
+    const forceOf = (frame, id) => frame.forces.find(forces => forces.id === id);
+    for (let i = 1; i + 1 < frames.length; i++) {
+        for (const forces of frames[i].forces) {
+            const id = forces.id;
+            if (statics.has(id) || isWall(id))
+                continue;
+            for (const contact of forces.contacts) {
+                const previous = forceOf(frames[i - 1], id)?.contacts.find(item => item.with === contact.with);
+                const next = forceOf(frames[i + 1], id);
+                if (!previous || !next || next.contacts.some(item => item.with === contact.with))
+                    continue;
+                const supported = up ? dot(contact.normal, up) : 0;
+                if (!statics.has(contact.with) && !isWall(contact.with)) {
+                    if (supported < 0 || (supported === 0 && id > contact.with))
+                        continue;
+                }
+                const t0 = frames[i].timestamp, t1 = frames[i + 1].timestamp;
+                const rate = (contact.normalForce - previous.normalForce) / (t0 - frames[i - 1].timestamp);
+                const time = rate < 0 ? clamp(t0 - contact.normalForce / rate, t0, t1) : (t0 + t1) / 2;
+                const a = frames[i].bodies.find(body => body.id === id);
+                const b = frames[i + 1].bodies.find(body => body.id === id);
+                if (!a || !b)
+                    continue;
+                const state = hermite(toSample(a, i, t0), toSample(b, i + 1, t1), time);
+                moments.push({
+                    type: 'leave_surface',
+                    time,
+                    frameIndex: i,
+                    bodies: [id, contact.with],
+                    position: state.position,
+                    velocity: state.velocity,
+                    details: { surface: contact.with },
+                    description: `${id} leaves ${contact.with}`
+                });
+            }
+        }
+    }
+    return moments;
+}
+/**
+ * 弹簧最大压缩：两端点距离最短的帧，三点抛物线插值精确时刻
+ */
+function maxCompression(spring, samples, frames, minCompression) {
+    const endpoint = (end, frame) => {
+        if (!end.body)
+            return end.point ? [end.point[0], end.point[1]] : null;
+        const body = frame.bodies.find(item => item.id === end.body);
+        if (!body)
+            return null;
+        const offset = rotate(end.point || [0, 0], body.angle);
+        return [body.position[0] + offset[0], body.position[1] + offset[1]];
+    };
+    const lengths = [];
+    frames.forEach((frame, index) => {
+        const a = endpoint(spring.a, frame);
+        const b = endpoint(spring.b, frame);
+        if (a && b)
+            lengths.push({ index, t: frame.timestamp, value: length(sub(b, a)) });
+    });
+    if (lengths.length === 0)
+        return null;
+    // 各次压缩的最短长度（抛物线顶点，等间隔采样），多次压缩到几乎相同程度时取第一次
+    const rest = spring.length ?? lengths[0].value;
+    const troughs = [];
+    lengths.forEach((item, k) => {
+        const previous = lengths[k - 1], next = lengths[k + 1];
+        if ((previous && previous.value < item.value) || (next && next.value < item.value))
+            return;
+        if (!previous || !next) {
+            troughs.push({ time: item.t, value: item.value });
+            return;
+        }
+        const curvature = previous.value - 2 * item.value + next.value;
+        const shift = curvature > 0 ? (previous.value - next.value) / (2 * curvature) : 0;
+        troughs.push({
+            time: item.t + shift * (next.t - item.t),
+            value: curvature > 0 ? item.value - (previous.value - next.value) ** 2 / (8 * curvature) : item.value
+        });
+    });
+    const shortestValue = Math.min(...troughs.map(trough => trough.value));
+    if (rest - shortestValue < minCompression)
+        return null;
+    const { time, value: shortest } = troughs.find(trough => trough.value <= shortestValue + minCompression);
+    const primary = [spring.b.body, spring.a.body].find(id => id && samples.has(id)) ?? null;
+    const state = primary ? stateAt(samples.get(primary), time, 'interpolate') : { position: [0, 0], velocity: [0, 0] };
+    const compression = rest - shortest;
+    return {
+        type: 'max_spring_compression',
+        time,
+        frameIndex: frameIndexAt(frames, time),
+        bodies: [primary, ...[spring.a.body, spring.b.body].filter(id => id !== primary)].filter((id) => !!id),
+        position: state.position,
+        velocity: state.velocity,
+        details: { constraint: spring.id, length: shortest, compression },
+        description: `Spring ${spring.id} is compressed the most, by ${compression.toFixed(3)} m`
+    };
+}
+// ---------- 插值工具 ----------
+/**
+ * 任意时刻的刚体状态：位置、速度 Hermite 插值，角度、角速度线性插值；刚体不在该时刻两侧的帧中时返回 null
+ */
+function bodyStateAt(frames, id, time) {
+    const next = frames.findIndex(frame => frame.timestamp >= time - TIME_EPSILON);
+    if (next < 0)
+        return null;
+    const after = frames[next].bodies.find(body => body.id === id);
+    if (!after)
+        return null;
+    const exact = Math.abs(frames[next].timestamp - time) <= TIME_EPSILON;
+    const before = next > 0 ? frames[next - 1].bodies.find(body => body.id === id) : undefined;
+    if (exact || !before) {
+        return exact ? { position: after.position, velocity: after.velocity, angle: after.angle, angularVelocity: after.angularVelocity } : null;
+    }
+    const t0 = frames[next - 1].timestamp, t1 = frames[next].timestamp;
+    const state = hermite(toSample(before, next - 1, t0), toSample(after, next, t1), time);
+    const w = (time - t0) / (t1 - t0);
+    return {
+        ...state,
+        angle: before.angle + (after.angle - before.angle) * w,
+        angularVelocity: before.angularVelocity + (after.angularVelocity - before.angularVelocity) * w
+    };
+}
+function bodySamples(frames) {
+    const samples = new Map();
+    frames.forEach((frame, index) => {
+        for (const body of frame.bodies) {
+            if (!samples.has(body.id))
+                samples.set(body.id, []);
+            samples.get(body.id).push(toSample(body, index, frame.timestamp));
+        }
+    });
+    return samples;
+}
+function toSample(body, frame, t) {
+    return { frame, t, position: body.position, velocity: body.velocity, angle: body.angle };
+}
+/**
+ * 三次 Hermite 插值（端点位置与速度）
+ */
+function hermite(a, b, time) {
+    const span = b.t - a.t;
+    if (span <= 0)
+        return { position: a.position, velocity: a.velocity };
+    const s = clamp((time - a.t) / span, 0, 1);
+    const h00 = 2 * s ** 3 - 3 * s ** 2 + 1, h10 = s ** 3 - 2 * s ** 2 + s;
+    const h01 = -2 * s ** 3 + 3 * s ** 2, h11 = s ** 3 - s ** 2;
+    const position = [0, 1].map(k => h00 * a.position[k] + h10 * span * a.velocity[k] + h01 * b.position[k] + h11 * span * b.velocity[k]);
+    const velocity = [0, 1].map(k => a.velocity[k] + (b.velocity[k] - a.velocity[k]) * s);
+    return { position, velocity };
+}
+/**
+ * 某时刻的状态
+ *
+ * before：由该时刻之前的两帧匀加速外推（碰前状态）；after：由之后的两帧反推（碰后状态）；
+ * interpolate：相邻帧 Hermite 插值。
+ */
+function stateAt(series, time, mode) {
+    const next = series.findIndex(sample => sample.t >= time - TIME_EPSILON);
+    if (mode === 'interpolate') {
+        if (next <= 0)
+            return series[Math.max(next, 0)];
+        return hermite(series[next - 1], series[next], time);
+    }
+    let i, j;
+    if (mode === 'before') {
+        i = (next < 0 ? series.length : next) - 1;
+        if (i < 0)
+            return series[0];
+        j = i - 1;
+    }
+    else {
+        if (next < 0)
+            return series[series.length - 1];
+        i = next;
+        j = i + 1;
+        if (Math.abs(series[i].t - time) <= TIME_EPSILON)
+            return series[i];
+    }
+    const anchor = series[i];
+    const tau = time - anchor.t;
+    const neighbour = series[j];
+    const accel = neighbour && neighbour.t !== anchor.t
+        ? [(anchor.velocity[0] - neighbour.velocity[0]) / (anchor.t - neighbour.t), (anchor.velocity[1] - neighbour.velocity[1]) / (anchor.t - neighbour.t)]
+        : [0, 0];
+    return {
+        position: [0, 1].map(k => anchor.position[k] + anchor.velocity[k] * tau + 0.5 * accel[k] * tau ** 2),
+        velocity: [0, 1].map(k => anchor.velocity[k] + accel[k] * tau)
+    };
+}
+function frameIndexAt(frames, time) {
+    let index = 0;
+    while (index + 1 < frames.length && frames[index + 1].timestamp <= time + TIME_EPSILON)
+        index++;
+    return index;
+}
+function collidedBetween(hits, from, to) {
+    return hits.some(time => time > from + TIME_EPSILON && time <= to + TIME_EPSILON);
+}
+// 碰撞法向（由 bodies[1] 指向 bodies[0]）作用于 id 的方向
+function normalOn(collision, id) {
+    return collision.bodies[0] === id ? collision.normal : [-collision.normal[0], -collision.normal[1]];
+}
+function isWall(id) {
+    return id.startsWith('wall_');
+}
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1]];
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1];
+const length = (a) => Math.hypot(a[0], a[1]);
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const rotate = (a, angle) => {
+    const c = Math.cos(angle), s = Math.sin(angle);
+    return [a[0] * c - a[1] * s, a[0] * s + a[1] * c];
+};
@@ -0,0 +1,412 @@
+"use strict";
+/**
+ * 参数扫描 - 对基准契约的若干参数取值批量仿真，输出各变体的指标表
+ *
+ * 功能：
+ * 1. 参数以契约中的路径指定（如 bodies[ramp].angle、world.gravity[1]），方括号内为下标或元素 id
+ * 2. 取值为列表或含两端的等距区间；多个参数取笛卡尔积（grid）或按下标配对（zip）
+ * 3. 重建依赖几何：静置在被修改刚体上的动态体随其位姿移动，再按最小分离量消除穿透 / 悬空
+ * 4. 各变体在工作线程池中并行仿真，指标为答案解析查询（AnswerQuery），汇总为表格
+ * 5. 可选地将各变体并排渲染为网格视频
+ *
+ * 单个变体仿真失败（未通过门禁等）时该行 success 为 false 并给出原因，不影响其他变体。
+ */
+var __createBinding = (this && this.__createBinding) || (Object.create ? (function(o, m, k, k2) {
+    if (k2 === undefined) k2 = k;
+    var desc = Object.getOwnPropertyDescriptor(m, k);
+    if (!desc || ("get" in desc ? !m.__esModule : desc.writable || desc.configurable)) {
+      desc = { enumerable: true, get: function() { return m[k]; } };
+    }
+    Object.defineProperty(o, k2, desc);
+}) : (function(o, m, k, k2) {
+    if (k2 === undefined) k2 = k;
+    o[k2] = m[k];
+}));
+var __setModuleDefault = (this && this.__setModuleDefault) || (Object.create ? (function(o, v) {
+    Object.defineProperty(o, "default", { enumerable: true, value: v });
+}) : function(o, v) {
+    o["default"] = v;
+});
+var __importStar = (this && this.__importStar) || (function () {
+    var ownKeys = function(o) {
+        ownKeys = Object.getOwnPropertyNames || function (o) {
+            var ar = [];
+            for (var k in o) if (Object.prototype.hasOwnProperty.call(o, k)) ar[ar.length] = k;
+            return ar;
+        };
+        return ownKeys(o);
+    };
+    return function (mod) {
+        if (mod && mod.__esModule) return mod;
+        var result = {};
+        if (mod != null) for (var k = ownKeys(mod), i = 0; i < k.length; i++) if (k[i] !== "default") __createBinding(result, mod, k[i]);
+        __setModuleDefault(result, mod);
+        return result;
+    };
+})();
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.setContractValue = setContractValue;
+exports.expandParameter = expandParameter;
+exports.buildSweepVariants = buildSweepVariants;
+exports.runSweepTask = runSweepTask;
+exports.runParameterSweep = runParameterSweep;
+const os = __importStar(require("os"));
+const path = __importStar(require("path"));
+const worker_threads_1 = require("worker_threads");
+const GeometryAnalyzer_1 = require("../validation/GeometryAnalyzer");
+const SimulationCore_1 = require("./SimulationCore");
+const AnswerResolver_1 = require("./AnswerResolver");
+// 变体数上限
+const MAX_VARIANTS = 256;
+// 位姿与形状字段：修改后需重建依赖几何
+const POSE_FIELDS = new Set(['position', 'angle']);
+const SHAPE_FIELDS = new Set(['shape', 'size', 'r', 'vertices']);
+const add = (a, b) => [a[0] + b[0], a[1] + b[1]];
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1]];
+const rotate = (a, angle) => {
+    const c = Math.cos(angle), s = Math.sin(angle);
+    return [a[0] * c - a[1] * s, a[0] * s + a[1] * c];
+};
+/**
+ * 解析参数路径：点号分隔字段，方括号内为数组下标或元素 id
+ */
+function parsePath(pathText) {
+    const pattern = /\.?([A-Za-z_$][\w$]*)|\[([^\]]+)\]/y;
+    const segments = [];
+    let offset = 0;
+    while (offset < pathText.length) {
+        pattern.lastIndex = offset;
+        const match = pattern.exec(pathText);
+        if (!match || (offset === 0 && pathText[0] === '.'))
+            throw new Error(`Invalid parameter path "${pathText}"`);
+        if (match[1] !== undefined) {
+            segments.push({ key: match[1] });
+        }
+        else {
+            const inner = match[2].trim();
+            segments.push(/^\d+$/.test(inner) ? { key: Number(inner) } : { id: inner });
+        }
+        offset = pattern.lastIndex;
+    }
+    if (segments.length === 0)
+        throw new Error(`Invalid parameter path "${pathText}"`);
+    return segments;
+}
+/**
+ * 按路径写入取值；返回所修改的刚体 id 与字段（若路径落在 bodies 内）
+ */
+function setContractValue(contract, pathText, value) {
+    const segments = parsePath(pathText);
+    const inBodies = 'key' in segments[0] && segments[0].key === 'bodies';
+    let target = contract;
+    let body;
+    let field;
+    for (let i = 0; i < segments.length; i++) {
+        const segment = segments[i];
+        const last = i === segments.length - 1;
+        let key;
+        if ('id' in segment) {
+            if (!Array.isArray(target))
+                throw new Error(`Parameter path "${pathText}" selects id "${segment.id}" in a non-array`);
+            const index = target.findIndex((item) => item && item.id === segment.id);
+            if (index < 0)
+                throw new Error(`Unknown id "${segment.id}" in parameter path "${pathText}"`);
+            key = index;
+        }
+        else {
+            key = segment.key;
+        }
+        if (inBodies && i === 1)
+            body = target[key]?.id;
+        if (inBodies && i === 2 && typeof key === 'string')
+            field = key;
+        if (last) {
+            if ('id' in segment)
+                throw new Error(`Parameter path "${pathText}" must end in a field or index`);
+            if (Array.isArray(target) ? typeof key !== 'number' || key >= target.length : target === null || typeof target !== 'object') {
+                throw new Error(`Parameter path "${pathText}" does not exist in the contract`);
+            }
+            target[key] = Array.isArray(value) ? [...value] : value;
+        }
+        else {
+            const next = target?.[key];
+            if (next === null || typeof next !== 'object')
+                throw new Error(`Parameter path "${pathText}" does not exist in the contract`);
+            target = next;
+        }
+    }
+    return { body, field };
+}
+/**
+ * 展开单个参数的取值
+ */
+function expandParameter(parameter) {
+    if (parameter.values && parameter.values.length > 0)
+        return parameter.values;
+    const range = parameter.range;
+    if (!range)
+        throw new Error(`Parameter "${parameter.path}" needs values or a range`);
+    if (!Number.isInteger(range.steps) || range.steps < 1) {
+        throw new Error(`Parameter "${parameter.path}" range needs a positive integer step count`);
+    }
+    if (range.steps === 1)
+        return [range.from];
+    return Array.from({ length: range.steps }, (_, i) => range.from + ((range.to - range.from) * i) / (range.steps - 1));
+}
+function formatValue(value) {
+    if (typeof value === 'number')
+        return String(Number(value.toPrecision(4)));
+    if (Array.isArray(value))
+        return `[${value.map(formatValue).join(', ')}]`;
+    return String(value);
+}
+/**
+ * 由基准契约与参数生成全部变体（基准契约不被修改）
+ */
+function buildSweepVariants(base, parameters, options = {}) {
+    if (parameters.length === 0)
+        throw new Error('Sweep needs at least one parameter');
+    const labels = parameters.map(parameter => parameter.label || parameter.path);
+    const axes = parameters.map(expandParameter);
+    const mode = options.mode || 'grid';
+    let combinations;
+    if (mode === 'zip') {
+        if (axes.some(values => values.length !== axes[0].length)) {
+            throw new Error('Zip sweep needs the same number of values for every parameter');
+        }
+        if (axes[0].length > MAX_VARIANTS)
+            throw new Error(`Sweep expands to ${axes[0].length} variants (limit ${MAX_VARIANTS})`);
+        combinations = axes[0].map((_, i) => axes.map(values => values[i]));
+    }
+    else {
+        const total = axes.reduce((count, values) => count * values.length, 1);
+        if (total > MAX_VARIANTS)
+            throw new Error(`Sweep expands to ${total} variants (limit ${MAX_VARIANTS})`);
+        combinations = axes.reduce((partial, values) => partial.flatMap(prefix => values.map(value => [...prefix, value])), [[]]);
+    }
+    const supports = new GeometryAnalyzer_1.GeometryAnalyzer().restingSupports(base);
+    return combinations.map((combination, index) => {
+        const contract = JSON.parse(JSON.stringify(base));
+        const touched = new Map();
+        const values = {};
+        combination.forEach((value, i) => {
+            const { body, field } = setContractValue(contract, parameters[i].path, value);
+            if (body !== undefined) {
+                if (!touched.has(body))
+                    touched.set(body, new Set());
+                touched.get(body).add(field || '*');
+            }
+            values[labels[i]] = value;
+        });
+        const moves = options.regenerateGeometry === false ? [] : regenerateGeometry(base, contract, touched, supports);
+        return {
+            index,
+            label: combination.map((value, i) => `${labels[i]} = ${formatValue(value)}`).join(', '),
+            values,
+            contract,
+            moves
+        };
+    });
+}
+/**
+ * 重建依赖几何：静置体随支撑体的位姿刚性移动，受影响的刚体再做一次最小分离修正
+ */
+function regenerateGeometry(base, contract, touched, supports) {
+    const moves = [];
+    const affected = new Set();
+    const changes = (fields, kinds) => !!fields && (fields.has('*') || Array.from(fields).some(field => kinds.has(field)));
+    for (const [id, fields] of touched) {
+        if (changes(fields, POSE_FIELDS) || changes(fields, SHAPE_FIELDS))
+            affected.add(id);
+    }
+    for (const [id, supportId] of Object.entries(supports)) {
+        const fields = touched.get(supportId);
+        if (!changes(fields, POSE_FIELDS) && !changes(fields, SHAPE_FIELDS))
+            continue;
+        // 自身位姿被扫描的刚体不跟随
+        if (changes(touched.get(id), POSE_FIELDS))
+            continue;
+        const before = base.bodies.find(b => b.id === supportId);
+        const after = contract.bodies.find(b => b.id === supportId);
+        const body = contract.bodies.find(b => b.id === id);
+        const turn = (after.angle || 0) - (before.angle || 0);
+        const from = [body.position[0], body.position[1]];
+        const local = rotate(sub(from, before.position), -(before.angle || 0));
+        const to = add(after.position, rotate(local, after.angle || 0));
+        body.position = to;
+        body.angle = (body.angle || 0) + turn;
+        affected.add(id);
+        if (Math.hypot(to[0] - from[0], to[1] - from[1]) > 1e-12 || turn !== 0) {
+            moves.push({ id, from, to, reasons: ['follows_support'], support: supportId });
+        }
+    }
+    if (affected.size === 0)
+        return moves;
+    // 只采纳受影响刚体的修正，基准契约中其余刚体保持原样
+    const report = new GeometryAnalyzer_1.GeometryAnalyzer({ autoCorrect: true }).analyze(contract);
+    for (const move of report.moves) {
+        if (!affected.has(move.id))
+            continue;
+        const body = contract.bodies.find(b => b.id === move.id);
+        body.position = [move.to[0], move.to[1]];
+        moves.push({ id: move.id, from: move.from, to: move.to, reasons: move.reasons });
+    }
+    return moves;
+}
+/**
+ * 仿真单个变体并求指标（工作线程与当前线程共用）
+ */
+async function runSweepTask(task) {
+    const failed = (error) => ({
+        index: task.index,
+        success: false,
+        error,
+        metrics: {},
+        totalTime: null,
+        endReason: null,
+        traceHash: null
+    });
+    try {
+        const result = await (0, SimulationCore_1.simulateContract)(task.contract, task.simulation);
+        if (!result.success || !result.data)
+            return failed(result.error || 'Simulation failed');
+        const metrics = {};
+        for (const answer of (0, AnswerResolver_1.resolveAnswers)(task.metrics, result.data, task.contract)) {
+            metrics[answer.queryId] = answer;
+        }
+        return {
+            index: task.index,
+            success: true,
+            metrics,
+            totalTime: result.data.finalState.totalTime,
+            endReason: result.data.finalState.endReason,
+            traceHash: result.data.trace.hash,
+            data: task.keepData ? result.data : undefined
+        };
+    }
+    catch (error) {
+        return failed(error instanceof Error ? error.message : String(error));
+    }
+}
+/**
+ * 在工作线程池中运行任务，结果按任务下标排列
+ */
+async function runTasks(tasks, workers) {
+    if (workers === 0) {
+        const results = [];
+        for (const task of tasks)
+            results.push(await runSweepTask(task));
+        return results;
+    }
+    const results = new Array(tasks.length);
+    const script = path.join(__dirname, 'SweepWorker.js');
+    const pool = [];
+    let next = 0;
+    const drain = (worker) => new Promise((resolve, reject) => {
+        let pending = -1;
+        const dispatch = () => {
+            if (next >= tasks.length) {
+                pending = -1;
+                worker.terminate().then(() => resolve(), reject);
+                return;
+            }
+            pending = next++;
+            worker.postMessage(tasks[pending]);
+        };
+        worker.on('message', (result) => {
+            results[result.index] = result;
+            dispatch();
+        });
+        worker.on('error', reject);
+        worker.on('exit', code => {
+            if (pending >= 0)
+                reject(new Error(`Sweep worker exited with code ${code} while running variant ${pending}`));
+        });
+        dispatch();
+    });
+    try {
+        for (let i = 0; i < workers; i++)
+            pool.push(new worker_threads_1.Worker(script));
+        await Promise.all(pool.map(drain));
+    }
+    catch (error) {
+        await Promise.all(pool.map(worker => worker.terminate()));
+        throw error;
+    }
+    return results;
+}
+/**
+ * 汇总指标表
+ */
+function sweepTable(rows, labels, metrics) {
+    const units = {};
+    for (const query of metrics) {
+        const sample = rows.map(row => row.metrics[query.id]).find(answer => answer && answer.value !== null);
+        units[query.id] = sample ? sample.unit : query.unit || '';
+    }
+    return {
+        columns: [...labels, ...metrics.map(query => query.id), 'totalTime', 'endReason'],
+        units,
+        rows: rows.map(row => [
+            ...labels.map(label => row.values[label]),
+            ...metrics.map(query => row.metrics[query.id]?.value ?? null),
+            row.totalTime,
+            row.endReason
+        ])
+    };
+}
+/**
+ * 渲染网格视频（按需加载渲染模块，未安装 canvas / ffmpeg 时返回错误）
+ */
+async function renderSweepVideo(rows, variants, options) {
+    try {
+        const VideoGenerator = require('../render/VideoGenerator');
+        const generator = new VideoGenerator(options);
+        // 各格按变体契约的真实几何绘制
+        const cells = rows
+            .map((row, i) => ({ label: row.label, data: row.data, contract: variants[i].contract }))
+            .filter(cell => cell.data);
+        return await generator.generateGridVideo(cells, options);
+    }
+    catch (error) {
+        return { success: false, error: error instanceof Error ? error.message : String(error) };
+    }
+}
+/**
+ * 参数扫描：生成变体、并行仿真并汇总指标表
+ */
+async function runParameterSweep(base, parameters, options = {}) {
+    const metrics = options.metrics || [];
+    const labels = parameters.map(parameter => parameter.label || parameter.path);
+    const variants = buildSweepVariants(base, parameters, options);
+    const keepData = !!options.keepData || !!options.video;
+    const cores = typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+    // 线程数不超过变体数
+    const workers = Math.min(Math.max(0, Math.floor(options.workers ?? cores)), variants.length);
+    const results = await runTasks(variants.map(variant => ({
+        index: variant.index,
+        contract: variant.contract,
+        metrics,
+        keepData,
+        simulation: options.simulation || {}
+    })), workers);
+    const rows = results.map((result, i) => ({
+        ...result,
+        label: variants[i].label,
+        values: variants[i].values,
+        moves: variants[i].moves
+    }));
+    const sweep = {
+        parameters: labels,
+        metrics: metrics.map(query => query.id),
+        rows,
+        table: sweepTable(rows, labels, metrics),
+        workers
+    };
+    if (options.video) {
+        sweep.video = await renderSweepVideo(rows, variants, options.video);
+        if (!options.keepData)
+            rows.forEach(row => delete row.data);
+    }
+    return sweep;
+}
@@ -0,0 +1,489 @@
+/**
+ * 参数扫描 - 对基准契约的若干参数取值批量仿真，输出各变体的指标表
+ *
+ * 功能：
+ * 1. 参数以契约中的路径指定（如 bodies[ramp].angle、world.gravity[1]），方括号内为下标或元素 id
+ * 2. 取值为列表或含两端的等距区间；多个参数取笛卡尔积（grid）或按下标配对（zip）
+ * 3. 重建依赖几何：静置在被修改刚体上的动态体随其位姿移动，再按最小分离量消除穿透 / 悬空
+ * 4. 各变体在工作线程池中并行仿真，指标为答案解析查询（AnswerQuery），汇总为表格
+ * 5. 可选地将各变体并排渲染为网格视频
+ *
+ * 单个变体仿真失败（未通过门禁等）时该行 success 为 false 并给出原因，不影响其他变体。
+ */
+
+import * as os from 'os';
+import * as path from 'path';
+import { Worker } from 'worker_threads';
+import type { PhysicsContract } from '../matter_adapter/Adapter';
+import { GeometryAnalyzer, type GeometryIssueCode } from '../validation/GeometryAnalyzer';
+import { simulateContract, type SimulationCoreOptions, type SimulationData } from './SimulationCore';
+import { resolveAnswers, type AnswerQuery, type AnswerValue } from './AnswerResolver';
+
+type Vec2 = [number, number];
+
+export type SweepValue = number | string | boolean | number[];
+
+// 一个扫描参数
+export interface SweepParameter {
+  path: string;                                         // 如 bodies[ramp].angle
+  values?: SweepValue[];
+  range?: { from: number; to: number; steps: number };  // 含两端的等距取值
+  label?: string;                                       // 表头与网格标签，缺省为 path
+}
+
+export interface SweepOptions {
+  metrics?: AnswerQuery[];          // 每个变体求值的指标
+  mode?: 'grid' | 'zip';            // 笛卡尔积 / 按下标配对，默认 grid
+  workers?: number;                 // 工作线程数，默认 CPU 核数；0 时在当前线程依次仿真
+  keepData?: boolean;               // 保留各变体的仿真数据
+  regenerateGeometry?: boolean;     // 重建依赖几何，默认 true
+  simulation?: SimulationCoreOptions;
+  video?: SweepVideoOptions;        // 给出时渲染网格视频（隐含 keepData）
+}
+
+// 网格视频选项（透传给 VideoGenerator）
+export interface SweepVideoOptions {
+  filename?: string;
+  columns?: number;                 // 网格列数，默认 ⌈√n⌉
+  [key: string]: any;
+}
+
+// 重建依赖几何时的一次位置调整
+export interface SweepMove {
+  id: string;
+  from: Vec2;
+  to: Vec2;
+  reasons: Array<'follows_support' | GeometryIssueCode>;
+  support?: string;                 // follows_support：所静置的刚体
+}
+
+// 一个变体
+export interface SweepVariant {
+  index: number;
+  label: string;                    // 如 "bodies[ramp].angle = 0.524"
+  values: Record<string, SweepValue>; // 参数标签 → 取值
+  contract: PhysicsContract;
+  moves: SweepMove[];
+}
+
+// 单个变体的仿真任务（工作线程消息）
+export interface SweepTask {
+  index: number;
+  contract: PhysicsContract;
+  metrics: AnswerQuery[];
+  keepData: boolean;
+  simulation: SimulationCoreOptions;
+}
+
+export interface SweepTaskResult {
+  index: number;
+  success: boolean;
+  error?: string;
+  metrics: Record<string, AnswerValue>; // 查询 id → 求值结果
+  totalTime: number | null;
+  endReason: string | null;
+  traceHash: string | null;
+  data?: SimulationData;
+}
+
+// 指标表的一行
+export interface SweepRow extends SweepTaskResult {
+  label: string;
+  values: Record<string, SweepValue>;
+  moves: SweepMove[];
+}
+
+export interface SweepTable {
+  columns: string[];                  // 参数标签、指标 id、totalTime、endReason
+  units: Record<string, string>;      // 指标列的单位
+  rows: Array<Array<SweepValue | null>>;
+}
+
+export interface SweepResult {
+  parameters: string[];
+  metrics: string[];
+  rows: SweepRow[];
+  table: SweepTable;
+  workers: number;                  // 实际启动的工作线程数（0 为当前线程）
+  video?: { success: boolean; videoPath?: string; error?: string };
+}
+
+// 变体数上限
+const MAX_VARIANTS = 256;
+
+// 位姿与形状字段：修改后需重建依赖几何
+const POSE_FIELDS = new Set(['position', 'angle']);
+const SHAPE_FIELDS = new Set(['shape', 'size', 'r', 'vertices']);
+
+type PathSegment = { key: string | number } | { id: string };
+
+const add = (a: Vec2, b: Vec2): Vec2 => [a[0] + b[0], a[1] + b[1]];
+const sub = (a: Vec2, b: Vec2): Vec2 => [a[0] - b[0], a[1] - b[1]];
+const rotate = (a: Vec2, angle: number): Vec2 => {
+  const c = Math.cos(angle), s = Math.sin(angle);
+  return [a[0] * c - a[1] * s, a[0] * s + a[1] * c];
+};
+
+/**
+ * 解析参数路径：点号分隔字段，方括号内为数组下标或元素 id
+ */
+function parsePath(pathText: string): PathSegment[] {
+  const pattern = /\.?([A-Za-z_$][\w$]*)|\[([^\]]+)\]/y;
+  const segments: PathSegment[] = [];
+  let offset = 0;
+  while (offset < pathText.length) {
+    pattern.lastIndex = offset;
+    const match = pattern.exec(pathText);
+    if (!match || (offset === 0 && pathText[0] === '.')) throw new Error(`Invalid parameter path "${pathText}"`);
+    if (match[1] !== undefined) {
+      segments.push({ key: match[1] });
+    } else {
+      const inner = match[2].trim();
+      segments.push(/^\d+$/.test(inner) ? { key: Number(inner) } : { id: inner });
+    }
+    offset = pattern.lastIndex;
+  }
+  if (segments.length === 0) throw new Error(`Invalid parameter path "${pathText}"`);
+  return segments;
+}
+
+/**
+ * 按路径写入取值；返回所修改的刚体 id 与字段（若路径落在 bodies 内）
+ */
+export function setContractValue(contract: PhysicsContract, pathText: string, value: SweepValue): { body?: string; field?: string } {
+  const segments = parsePath(pathText);
+  const inBodies = 'key' in segments[0] && segments[0].key === 'bodies';
+  let target: any = contract;
+  let body: string | undefined;
+  let field: string | undefined;
+
+  for (let i = 0; i < segments.length; i++) {
+    const segment = segments[i];
+    const last = i === segments.length - 1;
+    let key: string | number;
+
+    if ('id' in segment) {
+      if (!Array.isArray(target)) throw new Error(`Parameter path "${pathText}" selects id "${segment.id}" in a non-array`);
+      const index = target.findIndex((item: any) => item && item.id === segment.id);
+      if (index < 0) throw new Error(`Unknown id "${segment.id}" in parameter path "${pathText}"`);
+      key = index;
+    } else {
+      key = segment.key;
+    }
+
+    if (inBodies && i === 1) body = target[key]?.id;
+    if (inBodies && i === 2 && typeof key === 'string') field = key;
+
+    if (last) {
+      if ('id' in segment) throw new Error(`Parameter path "${pathText}" must end in a field or index`);
+      if (Array.isArray(target) ? typeof key !== 'number' || key >= target.length : target === null || typeof target !== 'object') {
+        throw new Error(`Parameter path "${pathText}" does not exist in the contract`);
+      }
+      target[key] = Array.isArray(value) ? [...value] : value;
+    } else {
+      const next = target?.[key];
+      if (next === null || typeof next !== 'object') throw new Error(`Parameter path "${pathText}" does not exist in the contract`);
+      target = next;
+    }
+  }
+  return { body, field };
+}
+
+/**
+ * 展开单个参数的取值
+ */
+export function expandParameter(parameter: SweepParameter): SweepValue[] {
+  if (parameter.values && parameter.values.length > 0) return parameter.values;
+  const range = parameter.range;
+  if (!range) throw new Error(`Parameter "${parameter.path}" needs values or a range`);
+  if (!Number.isInteger(range.steps) || range.steps < 1) {
+    throw new Error(`Parameter "${parameter.path}" range needs a positive integer step count`);
+  }
+  if (range.steps === 1) return [range.from];
+  return Array.from({ length: range.steps }, (_, i) => range.from + ((range.to - range.from) * i) / (range.steps - 1));
+}
+
+function formatValue(value: SweepValue): string {
+  if (typeof value === 'number') return String(Number(value.toPrecision(4)));
+  if (Array.isArray(value)) return `[${value.map(formatValue).join(', ')}]`;
+  return String(value);
+}
+
+/**
+ * 由基准契约与参数生成全部变体（基准契约不被修改）
+ */
+export function buildSweepVariants(
+  base: PhysicsContract,
+  parameters: SweepParameter[],
+  options: Pick<SweepOptions, 'mode' | 'regenerateGeometry'> = {}
+): SweepVariant[] {
+  if (parameters.length === 0) throw new Error('Sweep needs at least one parameter');
+  const labels = parameters.map(parameter => parameter.label || parameter.path);
+  const axes = parameters.map(expandParameter);
+  const mode = options.mode || 'grid';
+
+  let combinations: SweepValue[][];
+  if (mode === 'zip') {
+    if (axes.some(values => values.length !== axes[0].length)) {
+      throw new Error('Zip sweep needs the same number of values for every parameter');
+    }
+    if (axes[0].length > MAX_VARIANTS) throw new Error(`Sweep expands to ${axes[0].length} variants (limit ${MAX_VARIANTS})`);
+    combinations = axes[0].map((_, i) => axes.map(values => values[i]));
+  } else {
+    const total = axes.reduce((count, values) => count * values.length, 1);
+    if (total > MAX_VARIANTS) throw new Error(`Sweep expands to ${total} variants (limit ${MAX_VARIANTS})`);
+    combinations = axes.reduce<SweepValue[][]>(
+      (partial, values) => partial.flatMap(prefix => values.map(value => [...prefix, value])),
+      [[]]
+    );
+  }
+
+  const supports = new GeometryAnalyzer().restingSupports(base);
+
+  return combinations.map((combination, index) => {
+    const contract: PhysicsContract = JSON.parse(JSON.stringify(base));
+    const touched = new Map<string, Set<string>>();
+    const values: Record<string, SweepValue> = {};
+
+    combination.forEach((value, i) => {
+      const { body, field } = setContractValue(contract, parameters[i].path, value);
+      if (body !== undefined) {
+        if (!touched.has(body)) touched.set(body, new Set());
+        touched.get(body)!.add(field || '*');
+      }
+      values[labels[i]] = value;
+    });
+
+    const moves = options.regenerateGeometry === false ? [] : regenerateGeometry(base, contract, touched, supports);
+    return {
+      index,
+      label: combination.map((value, i) => `${labels[i]} = ${formatValue(value)}`).join(', '),
+      values,
+      contract,
+      moves
+    };
+  });
+}
+
+/**
+ * 重建依赖几何：静置体随支撑体的位姿刚性移动，受影响的刚体再做一次最小分离修正
+ */
+function regenerateGeometry(
+  base: PhysicsContract,
+  contract: PhysicsContract,
+  touched: Map<string, Set<string>>,
+  supports: Record<string, string>
+): SweepMove[] {
+  const moves: SweepMove[] = [];
+  const affected = new Set<string>();
+  const changes = (fields: Set<string> | undefined, kinds: Set<string>) =>
+    !!fields && (fields.has('*') || Array.from(fields).some(field => kinds.has(field)));
+
+  for (const [id, fields] of touched) {
+    if (changes(fields, POSE_FIELDS) || changes(fields, SHAPE_FIELDS)) affected.add(id);
+  }
+
+  for (const [id, supportId] of Object.entries(supports)) {
+    const fields = touched.get(supportId);
+    if (!changes(fields, POSE_FIELDS) && !changes(fields, SHAPE_FIELDS)) continue;
+    // 自身位姿被扫描的刚体不跟随
+    if (changes(touched.get(id), POSE_FIELDS)) continue;
+
+    const before = base.bodies.find(b => b.id === supportId)!;
+    const after = contract.bodies.find(b => b.id === supportId)!;
+    const body = contract.bodies.find(b => b.id === id)!;
+    const turn = (after.angle || 0) - (before.angle || 0);
+    const from: Vec2 = [body.position[0], body.position[1]];
+    const local = rotate(sub(from, before.position as Vec2), -(before.angle || 0));
+    const to = add(after.position as Vec2, rotate(local, after.angle || 0));
+
+    body.position = to;
+    body.angle = (body.angle || 0) + turn;
+    affected.add(id);
+    if (Math.hypot(to[0] - from[0], to[1] - from[1]) > 1e-12 || turn !== 0) {
+      moves.push({ id, from, to, reasons: ['follows_support'], support: supportId });
+    }
+  }
+
+  if (affected.size === 0) return moves;
+
+  // 只采纳受影响刚体的修正，基准契约中其余刚体保持原样
+  const report = new GeometryAnalyzer({ autoCorrect: true }).analyze(contract);
+  for (const move of report.moves) {
+    if (!affected.has(move.id)) continue;
+    const body = contract.bodies.find(b => b.id === move.id)!;
+    body.position = [move.to[0], move.to[1]];
+    moves.push({ id: move.id, from: move.from, to: move.to, reasons: move.reasons });
+  }
+  return moves;
+}
+
+/**
+ * 仿真单个变体并求指标（工作线程与当前线程共用）
+ */
+export async function runSweepTask(task: SweepTask): Promise<SweepTaskResult> {
+  const failed = (error: string): SweepTaskResult => ({
+    index: task.index,
+    success: false,
+    error,
+    metrics: {},
+    totalTime: null,
+    endReason: null,
+    traceHash: null
+  });
+
+  try {
+    const result = await simulateContract(task.contract, task.simulation);
+    if (!result.success || !result.data) return failed(result.error || 'Simulation failed');
+
+    const metrics: Record<string, AnswerValue> = {};
+    for (const answer of resolveAnswers(task.metrics, result.data, task.contract)) {
+      metrics[answer.queryId] = answer;
+    }
+    return {
+      index: task.index,
+      success: true,
+      metrics,
+      totalTime: result.data.finalState.totalTime,
+      endReason: result.data.finalState.endReason,
+      traceHash: result.data.trace.hash,
+      data: task.keepData ? result.data : undefined
+    };
+  } catch (error) {
+    return failed(error instanceof Error ? error.message : String(error));
+  }
+}
+
+/**
+ * 在工作线程池中运行任务，结果按任务下标排列
+ */
+async function runTasks(tasks: SweepTask[], workers: number): Promise<SweepTaskResult[]> {
+  if (workers === 0) {
+    const results: SweepTaskResult[] = [];
+    for (const task of tasks) results.push(await runSweepTask(task));
+    return results;
+  }
+
+  const results: SweepTaskResult[] = new Array(tasks.length);
+  const script = path.join(__dirname, 'SweepWorker.js');
+  const pool: Worker[] = [];
+  let next = 0;
+
+  const drain = (worker: Worker) => new Promise<void>((resolve, reject) => {
+    let pending = -1;
+    const dispatch = () => {
+      if (next >= tasks.length) {
+        pending = -1;
+        worker.terminate().then(() => resolve(), reject);
+        return;
+      }
+      pending = next++;
+      worker.postMessage(tasks[pending]);
+    };
+    worker.on('message', (result: SweepTaskResult) => {
+      results[result.index] = result;
+      dispatch();
+    });
+    worker.on('error', reject);
+    worker.on('exit', code => {
+      if (pending >= 0) reject(new Error(`Sweep worker exited with code ${code} while running variant ${pending}`));
+    });
+    dispatch();
+  });
+
+  try {
+    for (let i = 0; i < workers; i++) pool.push(new Worker(script));
+    await Promise.all(pool.map(drain));
+  } catch (error) {
+    await Promise.all(pool.map(worker => worker.terminate()));
+    throw error;
+  }
+  return results;
+}
+
+/**
+ * 汇总指标表
+ */
+function sweepTable(rows: SweepRow[], labels: string[], metrics: AnswerQuery[]): SweepTable {
+  const units: Record<string, string> = {};
+  for (const query of metrics) {
+    const sample = rows.map(row => row.metrics[query.id]).find(answer => answer && answer.value !== null);
+    units[query.id] = sample ? sample.unit : query.unit || '';
+  }
+  return {
+    columns: [...labels, ...metrics.map(query => query.id), 'totalTime', 'endReason'],
+    units,
+    rows: rows.map(row => [
+      ...labels.map(label => row.values[label]),
+      ...metrics.map(query => row.metrics[query.id]?.value ?? null),
+      row.totalTime,
+      row.endReason
+    ])
+  };
+}
+
+/**
+ * 渲染网格视频（按需加载渲染模块，未安装 canvas / ffmpeg 时返回错误）
+ */
+async function renderSweepVideo(
+  rows: SweepRow[],
+  variants: SweepVariant[],
+  options: SweepVideoOptions
+): Promise<NonNullable<SweepResult['video']>> {
+  try {
+    const VideoGenerator = require('../render/VideoGenerator');
+    const generator = new VideoGenerator(options);
+    // 各格按变体契约的真实几何绘制
+    const cells = rows
+      .map((row, i) => ({ label: row.label, data: row.data, contract: variants[i].contract }))
+      .filter(cell => cell.data);
+    return await generator.generateGridVideo(cells, options);
+  } catch (error) {
+    return { success: false, error: error instanceof Error ? error.message : String(error) };
+  }
+}
+
+/**
+ * 参数扫描：生成变体、并行仿真并汇总指标表
+ */
+export async function runParameterSweep(
+  base: PhysicsContract,
+  parameters: SweepParameter[],
+  options: SweepOptions = {}
+): Promise<SweepResult> {
+  const metrics = options.metrics || [];
+  const labels = parameters.map(parameter => parameter.label || parameter.path);
+  const variants = buildSweepVariants(base, parameters, options);
+  const keepData = !!options.keepData || !!options.video;
+  const cores = typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+  // 线程数不超过变体数
+  const workers = Math.min(Math.max(0, Math.floor(options.workers ?? cores)), variants.length);
+
+  const results = await runTasks(variants.map(variant => ({
+    index: variant.index,
+    contract: variant.contract,
+    metrics,
+    keepData,
+    simulation: options.simulation || {}
+  })), workers);
+
+  const rows: SweepRow[] = results.map((result, i) => ({
+    ...result,
+    label: variants[i].label,
+    values: variants[i].values,
+    moves: variants[i].moves
+  }));
+
+  const sweep: SweepResult = {
+    parameters: labels,
+    metrics: metrics.map(query => query.id),
+    rows,
+    table: sweepTable(rows, labels, metrics),
+    workers
+  };
+  if (options.video) {
+    sweep.video = await renderSweepVideo(rows, variants, options.video);
+    if (!options.keepData) rows.forEach(row => delete row.data);
+  }
+  return sweep;
+}
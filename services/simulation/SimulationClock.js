@@ -0,0 +1,34 @@
+"use strict";
+/**
+ * 仿真时钟 - 由 contract.engine 推导物理步长与帧记录节奏
+ *
+ * 功能：
+ * 1. contract.engine.dt 为一帧的时长（秒），每帧执行 substeps 次 Engine.update
+ * 2. 物理步频 = substeps / dt，与帧记录频率（recordRate）相互独立
+ * 3. 记录间隔取整数个物理步，记录时刻与物理状态严格对齐
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.DEFAULT_DT = void 0;
+exports.resolveTiming = resolveTiming;
+// 契约缺省时的步长（60 FPS）
+exports.DEFAULT_DT = 1 / 60;
+/**
+ * 由契约 engine 字段与选项解析时序
+ */
+function resolveTiming(engineConfig, options = {}) {
+    const dt = engineConfig?.dt && engineConfig.dt > 0 ? engineConfig.dt : exports.DEFAULT_DT;
+    const substeps = engineConfig?.substeps && engineConfig.substeps >= 1 ? Math.floor(engineConfig.substeps) : 1;
+    const stepMs = (dt * 1000) / substeps;
+    const physicsRate = substeps / dt;
+    const requestedRate = options.recordRate && options.recordRate > 0 ? options.recordRate : 1 / dt;
+    // 记录频率不能高于物理步频
+    const stepsPerRecord = Math.max(1, Math.round(physicsRate / requestedRate));
+    return {
+        dt,
+        substeps,
+        stepMs,
+        physicsRate,
+        recordRate: physicsRate / stepsPerRecord,
+        stepsPerRecord
+    };
+}
@@ -0,0 +1,55 @@
+/**
+ * 仿真时钟 - 由 contract.engine 推导物理步长与帧记录节奏
+ *
+ * 功能：
+ * 1. contract.engine.dt 为一帧的时长（秒），每帧执行 substeps 次 Engine.update
+ * 2. 物理步频 = substeps / dt，与帧记录频率（recordRate）相互独立
+ * 3. 记录间隔取整数个物理步，记录时刻与物理状态严格对齐
+ */
+
+import type { PhysicsContract } from '../matter_adapter/Adapter';
+
+// 仿真时序选项
+export interface SimulationTimingOptions {
+  recordRate?: number; // 帧记录频率（Hz），默认与 1/dt 相同
+}
+
+// 解析后的时序参数
+export interface SimulationTiming {
+  dt: number;             // 契约帧步长（s）
+  substeps: number;       // 每个契约帧的子步数
+  stepMs: number;         // 单次 Engine.update 的步长（ms）
+  physicsRate: number;    // 物理步频（Hz）
+  recordRate: number;     // 实际帧记录频率（Hz）
+  stepsPerRecord: number; // 每记录一帧执行的物理步数
+}
+
+// 契约缺省时的步长（60 FPS）
+export const DEFAULT_DT = 1 / 60;
+
+/**
+ * 由契约 engine 字段与选项解析时序
+ */
+export function resolveTiming(
+  engineConfig: Partial<PhysicsContract['engine']> | undefined,
+  options: SimulationTimingOptions = {}
+): SimulationTiming {
+  const dt = engineConfig?.dt && engineConfig.dt > 0 ? engineConfig.dt : DEFAULT_DT;
+  const substeps = engineConfig?.substeps && engineConfig.substeps >= 1 ? Math.floor(engineConfig.substeps) : 1;
+
+  const stepMs = (dt * 1000) / substeps;
+  const physicsRate = substeps / dt;
+
+  const requestedRate = options.recordRate && options.recordRate > 0 ? options.recordRate : 1 / dt;
+  // 记录频率不能高于物理步频
+  const stepsPerRecord = Math.max(1, Math.round(physicsRate / requestedRate));
+
+  return {
+    dt,
+    substeps,
+    stepMs,
+    physicsRate,
+    recordRate: physicsRate / stepsPerRecord,
+    stepsPerRecord
+  };
+}
@@ -0,0 +1,1065 @@
+/**
+ * 仿真核心 - 世界构建与事件运行时
+ *
+ * 功能：
+ * 1. 预仿真门禁：结构校验 + 语义检查
+ * 2. 按 SI 契约构建 Matter.js 世界（边界墙、刚体、约束）
+ * 3. 事件规则（碰撞 / 时间 / 位置 / 速度触发）、动作与终止条件的运行时
+ * 4. 固定步长仿真循环，记录 SI 帧数据（含受力与约束状态）、碰撞冲量与物理指标
+ *
+ * PhysicsContractAdapter、MatterSimulationEngine、MatterRenderer 共用此核心，
+ * 结果分析与渲染分别在其上层实现。每个实例只加载一份契约。
+ */
+
+import Matter from 'matter-js';
+import type { PhysicsContract } from '../matter_adapter/Adapter';
+import { ContractValidator, type ContractIssue } from '../validation/ContractValidator';
+import { ContractSemanticChecker, type SemanticDiagnostic } from '../validation/ContractSemanticChecker';
+import { resolveTiming, type SimulationTiming, type SimulationTimingOptions } from './SimulationClock';
+import { UnitMapper, type UnitScale, type SIBodyState } from './UnitMapper';
+import { isStepTrigger, sampleCrossing, timeCrossing, type TriggerSample } from './EventTriggers';
+import { buildCompoundBody } from './CompoundMerge';
+import { buildConstraint, solveJoints, applySpringForces, jointOf, anchorLocal, type ConstraintConfig } from './ConstraintBuilder';
+import { EndConditionMonitor, type EndConditionMatch } from './EndConditions';
+import { EnergyLedger, type EnergySample } from './EnergyAccounting';
+import { ContactRecorder, type BodyForces, type CollisionImpulse } from './ContactForces';
+import { traceSignature, matterVersion, DEFAULT_TRACE_QUANTUM, type TraceQuantum, type TraceSignature } from './TraceHash';
+
+type Vec2 = [number, number];
+type ContractAction = PhysicsContract['event_rules'][number]['do'][number];
+
+// apply_force 施加中的恒力
+interface ActiveForce {
+  id: string;
+  body: Matter.Body;
+  force: Vec2;   // N
+  until: number; // 失效时刻（s）
+  from?: Vec2;   // 施力时的中点位置（m），用于计算做功
+}
+
+// 核心选项
+export interface SimulationCoreOptions extends SimulationTimingOptions {
+  scale?: Partial<UnitScale>; // SI → Matter.js 单位比例（渲染器以像素为世界单位）
+  seed?: number;              // Matter.Common.random 的种子，默认 0
+  traceQuantum?: TraceQuantum; // 轨迹哈希的量化步长
+}
+
+// 仿真事件（timestamp 为引擎时间，ms；触发事件的 data.crossingTime 为步内插值的穿越时刻，s）
+export interface SimulationEvent {
+  type: string;
+  timestamp: number;
+  participants: string[];
+  data?: any;
+}
+
+// 帧内刚体状态（SI）
+export interface FrameBody extends SIBodyState {
+  id: string;
+}
+
+// 帧内约束端点：有刚体时 point 为刚体局部偏移（刚体角度为 0 时，m），否则为世界坐标
+export interface FrameConstraintEnd {
+  body: string | null;
+  point: Vec2;
+}
+
+// 帧内约束状态（SI）
+export interface FrameConstraint {
+  id: string;
+  type: ConstraintConfig['type'];
+  a: FrameConstraintEnd;
+  b: FrameConstraintEnd;
+  length: number;         // 弹簧原长、绳长或杆长（m）；滑轮为两段之和
+  axis?: Vec2;            // slider：滑轨方向（单位向量）
+  wheels?: [Vec2, Vec2];  // pulley：两个滑轮的位置（m）
+}
+
+// 一帧数据（timestamp 为 s；forces 为记录前最后一个物理步的受力；constraints 为记录时存在的约束）
+export interface SimulationFrame {
+  frameIndex: number;
+  timestamp: number;
+  bodies: FrameBody[];
+  forces: BodyForces[];
+  events: SimulationEvent[];
+  constraints?: FrameConstraint[];
+}
+
+// 物理指标（每帧一项）
+export interface PhysicsMetrics {
+  totalEnergy: number[];    // 机械能（J）：动能 + 转动动能 + 重力势能 + 弹性势能
+  totalMomentum: number[];  // 总动量大小 |Σp|（kg·m/s）
+  energy: EnergySample[];   // 能量分解、外界做功、耗散功与动量、角动量
+  collisionCount: number;
+}
+
+// 仿真数据
+export interface SimulationData {
+  frames: SimulationFrame[];
+  finalState: {
+    bodies: Array<{
+      id: string;
+      position: [number, number];
+      velocity: [number, number];
+      angle: number;
+    }>;
+    totalTime: number;
+    endReason: string;                 // time_limit / frame_limit / stop_simulation / end_condition_met: <条件>
+    endCondition?: EndConditionMatch;  // 触发的终止条件
+  };
+  physicsMetrics: PhysicsMetrics;
+  events: SimulationEvent[];
+  collisions: CollisionImpulse[];      // 每次碰撞的冲量与实测恢复系数
+  timing: SimulationTiming;
+  trace: TraceSignature;               // 轨迹哈希、种子与引擎配置
+}
+
+// 契约加载结果（门禁未通过时 success 为 false）
+export interface SimulationLoadResult {
+  success: boolean;
+  error?: string;
+  validationErrors?: ContractIssue[];
+  diagnostics?: SemanticDiagnostic[];
+}
+
+// 仿真结果
+export interface SimulationResult extends SimulationLoadResult {
+  data?: SimulationData;
+}
+
+// 最大记录帧数，防止无限循环
+const MAX_FRAMES = 10000;
+
+/**
+ * 仿真核心主类
+ */
+export class SimulationCore {
+  readonly engine: Matter.Engine;
+  readonly world: Matter.World;
+  readonly units: UnitMapper;
+  readonly contacts: ContactRecorder;
+  readonly bodies: Map<string, Matter.Body> = new Map();
+  readonly constraints: Map<string, Matter.Constraint> = new Map();
+
+  private options: SimulationCoreOptions;
+  private contractValidator = new ContractValidator();
+  private semanticChecker = new ContractSemanticChecker();
+  private timing: SimulationTiming = resolveTiming(undefined);
+  private eventRules: PhysicsContract['event_rules'] = [];
+  private endConditions: PhysicsContract['end_conditions'] | null = null;
+  private endMonitor: EndConditionMonitor = new EndConditionMonitor([]);
+  private endMatch: EndConditionMatch | null = null;
+  private bounds: PhysicsContract['world']['bounds'] | null = null;
+  private energyLedger: EnergyLedger | null = null;
+  private triggeredRules: Set<number> = new Set();
+  private triggerSamples: Map<string, TriggerSample> = new Map();
+  private lastTriggerTime = -Infinity;
+  private activeForces: ActiveForce[] = [];
+  private constraintConfigs: Map<string, ConstraintConfig> = new Map();
+  private stopRequested = false;
+  private frames: SimulationFrame[] = [];
+  private events: SimulationEvent[] = [];
+  private physicsMetrics: PhysicsMetrics = {
+    totalEnergy: [],
+    totalMomentum: [],
+    energy: [],
+    collisionCount: 0
+  };
+  private stepCount = 0;
+  private loaded = false;
+
+  constructor(options: SimulationCoreOptions = {}) {
+    this.options = options;
+    this.units = new UnitMapper(options.scale);
+    this.contacts = new ContactRecorder(this.units);
+
+    // 创建Matter.js引擎和世界
+    this.engine = Matter.Engine.create();
+    this.world = this.engine.world;
+
+    // 设置碰撞检测
+    this.setupCollisionDetection();
+
+    // 挂接步前施力、约束修正与步后触发（step() 与 Matter.Runner 驱动时行为一致）
+    this.setupStepHooks();
+  }
+
+  /**
+   * 随机种子
+   */
+  get seed(): number {
+    return this.options.seed ?? 0;
+  }
+
+  /**
+   * 当前仿真时间（ms）
+   */
+  get currentTime(): number {
+    return this.stepCount * this.timing.stepMs;
+  }
+
+  /**
+   * 校验契约并构建Matter.js世界
+   */
+  load(contract: PhysicsContract): SimulationLoadResult {
+    if (this.loaded) {
+      throw new Error('SimulationCore 已加载契约，请为每份契约创建新实例');
+    }
+
+    // 预仿真门禁：结构不合法的契约不进入Matter.js世界
+    const validation = this.contractValidator.validate(contract);
+    if (!validation.valid) {
+      return {
+        success: false,
+        error: `PhysicsContract 校验失败: ${validation.errors.map(issue => issue.message).join('; ')}`,
+        validationErrors: validation.errors
+      };
+    }
+
+    // 语义检查：悬空引用、重复id等
+    const semantics = this.semanticChecker.check(contract);
+    if (!semantics.valid) {
+      return {
+        success: false,
+        error: `PhysicsContract 语义检查失败: ${semantics.diagnostics.filter(d => d.severity === 'error').map(d => d.message).join('; ')}`,
+        diagnostics: semantics.diagnostics
+      };
+    }
+
+    // 1. 设置世界参数
+    this.setupWorld(contract.world);
+
+    // 2. 设置引擎参数
+    this.setupEngine(contract.engine);
+
+    // 3. 创建刚体
+    this.createBodies(contract.bodies);
+
+    // 4. 创建约束
+    this.createConstraints(contract.constraints);
+
+    // 5. 设置事件规则
+    this.eventRules = contract.event_rules;
+    this.endConditions = contract.end_conditions;
+    this.endMonitor = new EndConditionMonitor(contract.end_conditions.stopWhen);
+    this.triggerSamples = this.sampleTriggerBodies(0);
+
+    this.loaded = true;
+    return { success: true, diagnostics: semantics.diagnostics };
+  }
+
+  /**
+   * 加载并运行契约
+   */
+  async simulate(contract: PhysicsContract): Promise<SimulationResult> {
+    try {
+      const loaded = this.load(contract);
+      if (!loaded.success) {
+        return loaded;
+      }
+
+      return {
+        success: true,
+        data: this.run(),
+        diagnostics: loaded.diagnostics
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      };
+    }
+  }
+
+  /**
+   * 推进一个物理步，返回是否满足终止条件
+   */
+  step(): boolean {
+    Matter.Engine.update(this.engine, this.timing.stepMs);
+    this.stepCount++;
+    return this.stopRequested || this.checkEndConditions();
+  }
+
+  /**
+   * 运行仿真循环直至终止条件或时间上限
+   */
+  run(): SimulationData {
+    if (!this.loaded) {
+      throw new Error('请先加载契约');
+    }
+
+    const timing = this.timing;
+    const maxTime = this.endConditions!.maxTime * 1000; // 转换为毫秒
+    const maxSteps = Math.ceil(maxTime / timing.stepMs - 1e-9);
+    let endConditionMet = false;
+    let frameLimited = false;
+
+    // 记录初始帧
+    this.recordFrame();
+
+    while (this.stepCount < maxSteps && !endConditionMet) {
+      // 每记录一帧执行 stepsPerRecord 个物理步（每个契约帧含 substeps 个子步）
+      for (let i = 0; i < timing.stepsPerRecord && this.stepCount < maxSteps; i++) {
+        // 按物理步检查结束条件
+        if (this.step()) {
+          endConditionMet = true;
+          break;
+        }
+      }
+
+      // 记录帧数据
+      this.recordFrame();
+
+      // 帧数达到上限而仿真尚未结束
+      if (this.frames.length > MAX_FRAMES && this.stepCount < maxSteps && !endConditionMet) {
+        frameLimited = true;
+        break;
+      }
+    }
+
+    return {
+      frames: this.frames,
+      finalState: {
+        bodies: Array.from(this.bodies.values()).map(body => {
+          const state = this.units.bodyState(body);
+          return { id: body.label, position: state.position, velocity: state.velocity, angle: state.angle };
+        }),
+        totalTime: this.currentTime / 1000,
+        endReason: this.stopRequested
+          ? 'stop_simulation'
+          : this.endMatch ? `end_condition_met: ${this.endMatch.path} ${this.endMatch.description}`
+          : frameLimited ? 'frame_limit' : 'time_limit',
+        ...(this.endMatch ? { endCondition: this.endMatch } : {})
+      },
+      physicsMetrics: this.physicsMetrics,
+      events: this.events,
+      collisions: this.contacts.collisions,
+      timing,
+      trace: this.traceSignature()
+    };
+  }
+
+  /**
+   * 轨迹签名：量化帧序列的哈希与复现所需的种子、引擎配置
+   */
+  private traceSignature(): TraceSignature {
+    return traceSignature(this.frames, {
+      matter: matterVersion(),
+      dt: this.timing.dt,
+      substeps: this.timing.substeps,
+      stepMs: this.timing.stepMs,
+      positionIterations: this.engine.positionIterations,
+      velocityIterations: this.engine.velocityIterations,
+      recordRate: this.timing.recordRate,
+      scale: { length: this.units.lengthScale, mass: this.units.massScale }
+    }, this.seed, this.options.traceQuantum ?? DEFAULT_TRACE_QUANTUM);
+  }
+
+  /**
+   * 设置世界参数
+   */
+  private setupWorld(worldConfig: PhysicsContract['world']) {
+    // 设置重力（m/s² 换算为 Matter.js 的 gravity.scale）
+    this.units.applyGravity(this.engine, worldConfig.gravity);
+
+    // 设置边界（通过创建边界墙实现）
+    this.bounds = worldConfig.bounds;
+    this.createBoundaryWalls(worldConfig.bounds);
+
+    // 能量核算（重力势能相对 datum）
+    this.energyLedger = new EnergyLedger(this.units, worldConfig.gravity, worldConfig.datum);
+  }
+
+  /**
+   * 设置引擎参数
+   */
+  private setupEngine(engineConfig: PhysicsContract['engine']) {
+    // 设置时间步长：dt 为契约帧步长，按 substeps 拆分为物理步
+    this.engine.timing.timeScale = 1.0;
+    this.timing = resolveTiming(engineConfig, this.options);
+
+    // 固定随机种子（Matter.Common 为全局模块，每次加载时重置）
+    (Matter.Common as any)._seed = this.seed;
+
+    // 设置迭代次数
+    this.engine.positionIterations = engineConfig.positionIterations;
+    this.engine.velocityIterations = engineConfig.velocityIterations;
+  }
+
+  /**
+   * 创建边界墙
+   */
+  private createBoundaryWalls(bounds: PhysicsContract['world']['bounds']) {
+    const thickness = this.units.length(0.1);
+    const { x: minX, y: minY } = this.units.point(bounds.min);
+    const { x: maxX, y: maxY } = this.units.point(bounds.max);
+
+    const walls = [
+      // 左墙
+      Matter.Bodies.rectangle(minX - thickness/2, (minY + maxY)/2, thickness, maxY - minY, { isStatic: true, label: 'wall_left' }),
+      // 右墙
+      Matter.Bodies.rectangle(maxX + thickness/2, (minY + maxY)/2, thickness, maxY - minY, { isStatic: true, label: 'wall_right' }),
+      // 上墙
+      Matter.Bodies.rectangle((minX + maxX)/2, minY - thickness/2, maxX - minX, thickness, { isStatic: true, label: 'wall_top' }),
+      // 下墙
+      Matter.Bodies.rectangle((minX + maxX)/2, maxY + thickness/2, maxX - minX, thickness, { isStatic: true, label: 'wall_bottom' })
+    ];
+
+    Matter.World.add(this.world, walls);
+  }
+
+  /**
+   * 创建刚体
+   */
+  private createBodies(bodiesConfig: PhysicsContract['bodies']) {
+    for (const bodyConfig of bodiesConfig) {
+      // 按 SI → Matter.js 单位创建刚体（标签为契约 id）
+      const body = this.units.createBody(bodyConfig);
+
+      this.bodies.set(bodyConfig.id, body);
+      Matter.World.add(this.world, body);
+    }
+  }
+
+  /**
+   * 创建约束
+   */
+  private createConstraints(constraintsConfig: PhysicsContract['constraints']) {
+    this.constraintConfigs = new Map(constraintsConfig.map(config => [config.id, config]));
+    for (const constraintConfig of constraintsConfig) {
+      this.addConstraint(constraintConfig);
+    }
+  }
+
+  /**
+   * 按配置添加约束，两端都能解析时返回约束
+   */
+  private addConstraint(constraintConfig: ConstraintConfig): Matter.Constraint | null {
+    const constraint = buildConstraint(constraintConfig, this.bodies, this.units);
+    if (!constraint) return null;
+
+    this.constraints.set(constraintConfig.id, constraint);
+    Matter.World.add(this.world, constraint);
+    return constraint;
+  }
+
+  /**
+   * 设置碰撞检测
+   */
+  private setupCollisionDetection() {
+    Matter.Events.on(this.engine, 'collisionStart', (event: Matter.IEventCollision<Matter.Engine>) => {
+      for (const pair of event.pairs) {
+        // 复合体的部件参与碰撞，事件与规则以父刚体 id 为准
+        const bodyA = pair.bodyA.parent;
+        const bodyB = pair.bodyB.parent;
+
+        // 记录碰撞事件
+        this.events.push({
+          type: 'collision',
+          timestamp: this.engine.timing.timestamp,
+          participants: [bodyA.label, bodyB.label],
+          data: {
+            position: this.units.toPoint(bodyA.position),
+            velocity: this.units.bodyState(bodyA).velocity
+          }
+        });
+
+        // 增加碰撞计数
+        this.physicsMetrics.collisionCount++;
+
+        // 记录求解前的接近速度，步末结算冲量
+        this.contacts.beginCollision(pair, this.engine.timing.timestamp / 1000);
+
+        // 处理事件规则
+        this.handleEventRules('collisionStart', bodyA.label, bodyB.label);
+      }
+    });
+  }
+
+  /**
+   * 处理事件规则
+   */
+  private handleEventRules(eventType: string, bodyA: string, bodyB: string) {
+    this.eventRules.forEach((rule, index) => {
+      if (rule.when.on !== eventType) return;
+      if (!((rule.when.a === bodyA && rule.when.b === bodyB) ||
+            (rule.when.a === bodyB && rule.when.b === bodyA))) return;
+
+      this.fireRule(index);
+    });
+  }
+
+  /**
+   * 引擎步前 / 步后钩子
+   */
+  private setupStepHooks() {
+    // beforeUpdate 触发时 timestamp 已是步末时刻
+    Matter.Events.on(this.engine, 'beforeUpdate', (event: any) => {
+      this.applyActiveForces((event.timestamp - event.delta) / 1000);
+      this.contacts.beginStep(applySpringForces(this.constraints.values()));
+    });
+    // 积分之后、约束求解之前处理绳、滑块与滑轮
+    Matter.Events.on(this.engine, 'beforeSolve', () => {
+      solveJoints(this.constraints.values());
+    });
+    Matter.Events.on(this.engine, 'afterUpdate', (event: any) => {
+      this.accountForceWork();
+      this.contacts.finishStep(this.engine.pairs.list, this.world, this.timing.stepMs);
+      this.evaluateStepTriggers(event.timestamp / 1000);
+    });
+  }
+
+  /**
+   * 每个物理步评估时间 / 位置 / 速度触发
+   */
+  private evaluateStepTriggers(time: number) {
+    const samples = this.sampleTriggerBodies(time);
+
+    this.eventRules.forEach((rule, index) => {
+      if (!isStepTrigger(rule.when)) return;
+      if (rule.once && this.triggeredRules.has(index)) return;
+
+      let crossingTime: number | null;
+      if (rule.when.on === 'time') {
+        crossingTime = timeCrossing(rule.when, this.lastTriggerTime, time);
+      } else {
+        const prev = this.triggerSamples.get(rule.when.a!);
+        const current = samples.get(rule.when.a!);
+        // 刚体刚生成或已被移除时本步不判断
+        crossingTime = prev && current ? sampleCrossing(rule.when, prev, current) : null;
+      }
+      if (crossingTime === null) return;
+
+      // 记录触发事件
+      this.events.push({
+        type: 'trigger',
+        timestamp: this.engine.timing.timestamp,
+        participants: rule.when.a ? [rule.when.a] : [],
+        data: { rule: index, on: rule.when.on, crossingTime }
+      });
+
+      this.fireRule(index);
+    });
+
+    // 动作可能改变刚体状态，重新采样作为下一步的起点
+    this.triggerSamples = this.sampleTriggerBodies(time);
+    this.lastTriggerTime = time;
+  }
+
+  /**
+   * 采样步内触发器引用的刚体（SI）
+   */
+  private sampleTriggerBodies(time: number): Map<string, TriggerSample> {
+    const samples = new Map<string, TriggerSample>();
+    for (const rule of this.eventRules) {
+      if (!isStepTrigger(rule.when) || !rule.when.a || samples.has(rule.when.a)) continue;
+      const body = this.bodies.get(rule.when.a);
+      if (!body) continue;
+      const state = this.units.bodyState(body);
+      samples.set(rule.when.a, { time, position: state.position, velocity: state.velocity });
+    }
+    return samples;
+  }
+
+  /**
+   * 执行规则动作（once 规则只执行一次）
+   */
+  private fireRule(index: number) {
+    const rule = this.eventRules[index];
+
+    // 检查是否已经触发过（once规则）
+    if (rule.once && this.triggeredRules.has(index)) return;
+
+    // 执行动作；合并（完全非弹性碰撞）的动能损失计为耗散，其余动作引起的机械能变化计为外界做功
+    for (const action of rule.do) {
+      const before = action.action === 'merge_bodies' ? null : this.mechanicalEnergy();
+      this.executeAction(action);
+      if (before !== null) {
+        this.energyLedger!.addWork(this.mechanicalEnergy() - before);
+      }
+    }
+
+    // 标记为已触发
+    this.triggeredRules.add(index);
+  }
+
+  /**
+   * 执行动作
+   */
+  private executeAction(action: ContractAction) {
+    switch (action.action) {
+      case 'merge_bodies':
+        this.mergeBodies(action.ids!, action.newId!);
+        break;
+
+      case 'attach_constraint':
+        this.attachConstraint(action.constraint);
+        break;
+
+      case 'set_property':
+        this.setProperty(action.id!, action.prop!, action.value);
+        break;
+
+      case 'apply_impulse':
+        this.applyImpulse(action.id!, action.impulse!, action.point);
+        break;
+
+      case 'set_velocity':
+        this.setVelocity(action.id!, action.velocity!, action.angularVelocity);
+        break;
+
+      case 'apply_force':
+        this.applyForce(action.id!, action.force!, action.duration);
+        break;
+
+      case 'remove_body':
+        this.removeBody(action.id!);
+        break;
+
+      case 'detach_constraint':
+        this.detachConstraint(action.constraintId!);
+        break;
+
+      case 'set_static':
+        this.setStatic(action.id!, action.value === true);
+        break;
+
+      case 'swap_material':
+        this.swapMaterial(action.id!, action.material!);
+        break;
+
+      case 'stop_simulation':
+        this.stopSimulation(action.reason);
+        break;
+    }
+  }
+
+  /**
+   * 合并刚体：构建保持原形状的复合刚体，动量与角动量守恒，
+   * 与原刚体相连的约束、恒力转移到复合体上
+   */
+  private mergeBodies(ids: string[], newId: string) {
+    const bodiesToMerge = ids.map(id => this.bodies.get(id)).filter(Boolean) as Matter.Body[];
+    if (bodiesToMerge.length < 2) return;
+
+    // 移除原刚体
+    for (const body of bodiesToMerge) {
+      Matter.World.remove(this.world, body);
+      this.bodies.delete(body.label);
+    }
+
+    const merged = buildCompoundBody(bodiesToMerge, newId);
+    const compound = merged.body;
+    this.contacts.retarget(bodiesToMerge, compound);
+
+    // 约束端点改挂复合体（保持世界锚点），两端都被合并的约束失效
+    const removedConstraints: string[] = [];
+    for (const [constraintId, constraint] of this.constraints) {
+      const onA = !!constraint.bodyA && bodiesToMerge.includes(constraint.bodyA);
+      const onB = !!constraint.bodyB && bodiesToMerge.includes(constraint.bodyB);
+      if (onA && onB) {
+        Matter.World.remove(this.world, constraint);
+        this.constraints.delete(constraintId);
+        removedConstraints.push(constraintId);
+        continue;
+      }
+      if (onA) {
+        constraint.pointA = this.retargetAnchor(constraint.bodyA!, constraint.pointA, compound);
+        constraint.bodyA = compound;
+        (constraint as any).angleA = compound.angle;
+      }
+      if (onB) {
+        constraint.pointB = this.retargetAnchor(constraint.bodyB!, constraint.pointB, compound);
+        constraint.bodyB = compound;
+        (constraint as any).angleB = compound.angle;
+      }
+    }
+    for (const active of this.activeForces) {
+      if (bodiesToMerge.includes(active.body)) {
+        active.body = compound;
+        active.id = newId;
+        // 起点属于原刚体，合并当步的做功不计
+        active.from = undefined;
+      }
+    }
+
+    this.bodies.set(newId, compound);
+    Matter.World.add(this.world, compound);
+
+    // 记录事件（SI）
+    this.events.push({
+      type: 'merge_bodies',
+      timestamp: this.engine.timing.timestamp,
+      participants: ids,
+      data: {
+        newId,
+        position: this.units.toPoint(compound.position),
+        velocity: this.units.toVelocity(merged.velocity),
+        angularVelocity: this.units.toAngularVelocity(merged.angularVelocity),
+        mass: compound.isStatic ? Infinity : this.units.toMass(compound.mass),
+        inertia: compound.isStatic ? Infinity : this.units.toInertia(compound.inertia),
+        parts: merged.parts.map(part => ({ id: part.id, offset: this.units.toPoint(part.offset), angle: part.angle })),
+        removedConstraints
+      }
+    });
+  }
+
+  /**
+   * 约束锚点从原刚体换算到复合体（世界位置不变）
+   */
+  private retargetAnchor(body: Matter.Body, point: Matter.Vector, compound: Matter.Body): Matter.Vector {
+    return Matter.Vector.sub(Matter.Vector.add(body.position, point), compound.position);
+  }
+
+  /**
+   * 附加约束
+   */
+  private attachConstraint(attached: any) {
+    // 未给出的字段沿用同 id 的预置约束
+    const constraintConfig: ConstraintConfig = { ...this.constraintConfigs.get(attached.id), ...attached };
+    if (this.constraints.has(constraintConfig.id)) {
+      Matter.World.remove(this.world, this.constraints.get(constraintConfig.id)!);
+      this.constraints.delete(constraintConfig.id);
+    }
+
+    if (this.addConstraint(constraintConfig)) {
+      // 记录事件
+      this.events.push({
+        type: 'attach_constraint',
+        timestamp: this.engine.timing.timestamp,
+        participants: [constraintConfig.a.body, constraintConfig.b.body].filter((id): id is string => !!id),
+        data: { constraintId: constraintConfig.id, type: constraintConfig.type }
+      });
+    }
+  }
+
+  /**
+   * 设置属性
+   */
+  private setProperty(bodyId: string, prop: string, value: any) {
+    const body = this.bodies.get(bodyId);
+    if (body) {
+      (body as any)[prop] = value;
+
+      // 记录事件
+      this.events.push({
+        type: 'set_property',
+        timestamp: this.engine.timing.timestamp,
+        participants: [bodyId],
+        data: { prop, value }
+      });
+    }
+  }
+
+  /**
+   * 施加冲量：Δv = J/m，作用点偏离质心时 Δω = (r × J)/I
+   */
+  private applyImpulse(bodyId: string, impulse: Vec2, point?: Vec2) {
+    const body = this.bodies.get(bodyId);
+    if (!body || body.isStatic) return;
+
+    const before = this.units.bodyState(body);
+    const mass = this.units.toMass(body.mass);
+    const velocity: Vec2 = [before.velocity[0] + impulse[0] / mass, before.velocity[1] + impulse[1] / mass];
+    Matter.Body.setVelocity(body, this.units.velocity(velocity));
+
+    let angularVelocity = before.angularVelocity;
+    if (point) {
+      const r: Vec2 = [point[0] - before.position[0], point[1] - before.position[1]];
+      angularVelocity += (r[0] * impulse[1] - r[1] * impulse[0]) / this.units.toInertia(body.inertia);
+      Matter.Body.setAngularVelocity(body, this.units.angularVelocity(angularVelocity));
+    }
+
+    this.events.push({
+      type: 'apply_impulse',
+      timestamp: this.engine.timing.timestamp,
+      participants: [bodyId],
+      data: { impulse, point: point || null, velocityBefore: before.velocity, velocityAfter: velocity, angularVelocity }
+    });
+  }
+
+  /**
+   * 直接设置速度（m/s、rad/s）
+   */
+  private setVelocity(bodyId: string, velocity: Vec2, angularVelocity?: number) {
+    const body = this.bodies.get(bodyId);
+    if (!body || body.isStatic) return;
+
+    const before = this.units.bodyState(body);
+    Matter.Body.setVelocity(body, this.units.velocity(velocity));
+    if (angularVelocity !== undefined) {
+      Matter.Body.setAngularVelocity(body, this.units.angularVelocity(angularVelocity));
+    }
+
+    this.events.push({
+      type: 'set_velocity',
+      timestamp: this.engine.timing.timestamp,
+      participants: [bodyId],
+      data: {
+        velocityBefore: before.velocity,
+        velocityAfter: velocity,
+        angularVelocity: angularVelocity ?? before.angularVelocity
+      }
+    });
+  }
+
+  /**
+   * 在质心施加持续 duration 秒的恒力，缺省持续到仿真结束
+   */
+  private applyForce(bodyId: string, force: Vec2, duration?: number) {
+    const body = this.bodies.get(bodyId);
+    if (!body) return;
+
+    const start = this.engine.timing.timestamp / 1000;
+    const until = duration !== undefined ? start + duration : Infinity;
+    this.activeForces.push({ id: bodyId, body, force, until });
+
+    this.events.push({
+      type: 'apply_force',
+      timestamp: this.engine.timing.timestamp,
+      participants: [bodyId],
+      data: { force, duration: duration ?? null, until: Number.isFinite(until) ? until : null }
+    });
+  }
+
+  /**
+   * 步前施加仍在作用期内的恒力（Matter.js 每步结束清零 body.force）
+   */
+  private applyActiveForces(stepStart: number) {
+    this.activeForces = this.activeForces.filter(active => {
+      const expired = stepStart >= active.until - 1e-9;
+      if (expired) {
+        this.events.push({
+          type: 'force_expired',
+          timestamp: stepStart * 1000,
+          participants: [active.id],
+          data: { force: active.force }
+        });
+      }
+      return !expired;
+    });
+
+    for (const active of this.activeForces) {
+      Matter.Body.applyForce(active.body, active.body.position, this.units.force(active.force));
+      active.from = this.energyLedger!.midpoint(active.body);
+    }
+  }
+
+  /**
+   * 步后累计恒力做功 F·Δx
+   */
+  private accountForceWork() {
+    for (const active of this.activeForces) {
+      if (!active.from) continue;
+      const [x, y] = this.energyLedger!.midpoint(active.body);
+      this.energyLedger!.addWork(active.force[0] * (x - active.from[0]) + active.force[1] * (y - active.from[1]));
+      active.from = undefined;
+    }
+  }
+
+  /**
+   * 移除刚体及与其相连的约束、恒力
+   */
+  private removeBody(bodyId: string) {
+    const body = this.bodies.get(bodyId);
+    if (!body) return;
+
+    const state = this.units.bodyState(body);
+    const removedConstraints: string[] = [];
+    for (const [constraintId, constraint] of this.constraints) {
+      if (constraint.bodyA === body || constraint.bodyB === body) {
+        Matter.World.remove(this.world, constraint);
+        this.constraints.delete(constraintId);
+        removedConstraints.push(constraintId);
+      }
+    }
+    this.activeForces = this.activeForces.filter(active => active.body !== body);
+
+    Matter.World.remove(this.world, body);
+    this.bodies.delete(bodyId);
+
+    this.events.push({
+      type: 'remove_body',
+      timestamp: this.engine.timing.timestamp,
+      participants: [bodyId],
+      data: { position: state.position, velocity: state.velocity, removedConstraints }
+    });
+  }
+
+  /**
+   * 断开约束
+   */
+  private detachConstraint(constraintId: string) {
+    const constraint = this.constraints.get(constraintId);
+    if (!constraint) return;
+
+    Matter.World.remove(this.world, constraint);
+    this.constraints.delete(constraintId);
+
+    this.events.push({
+      type: 'detach_constraint',
+      timestamp: this.engine.timing.timestamp,
+      participants: [constraint.bodyA?.label, constraint.bodyB?.label].filter((label): label is string => !!label),
+      data: { constraintId }
+    });
+  }
+
+  /**
+   * 切换静态 / 动态
+   */
+  private setStatic(bodyId: string, isStatic: boolean) {
+    const body = this.bodies.get(bodyId);
+    if (!body || body.isStatic === isStatic) return;
+
+    const before = this.units.bodyState(body);
+    Matter.Body.setStatic(body, isStatic);
+    // 恢复为动态体时从静止开始
+    if (!isStatic) {
+      Matter.Body.setVelocity(body, { x: 0, y: 0 });
+      Matter.Body.setAngularVelocity(body, 0);
+    }
+
+    this.events.push({
+      type: 'set_static',
+      timestamp: this.engine.timing.timestamp,
+      participants: [bodyId],
+      data: { isStatic, velocityBefore: before.velocity }
+    });
+  }
+
+  /**
+   * 替换材料参数（密度为 kg/m²）
+   */
+  private swapMaterial(bodyId: string, material: NonNullable<ContractAction['material']>) {
+    const body = this.bodies.get(bodyId);
+    if (!body) return;
+
+    const snapshot = () => ({
+      friction: body.friction,
+      frictionStatic: body.frictionStatic,
+      restitution: body.restitution,
+      mass: this.units.toMass(body.mass)
+    });
+    const before = snapshot();
+
+    if (material.friction !== undefined) body.friction = material.friction;
+    if (material.frictionStatic !== undefined) body.frictionStatic = material.frictionStatic;
+    if (material.restitution !== undefined) body.restitution = material.restitution;
+    if (material.density !== undefined && !body.isStatic) {
+      Matter.Body.setDensity(body, this.units.density(material.density));
+    }
+
+    this.events.push({
+      type: 'swap_material',
+      timestamp: this.engine.timing.timestamp,
+      participants: [bodyId],
+      data: { before, after: snapshot() }
+    });
+  }
+
+  /**
+   * 请求在当前物理步结束后停止仿真
+   */
+  private stopSimulation(reason?: string) {
+    this.stopRequested = true;
+
+    this.events.push({
+      type: 'stop_simulation',
+      timestamp: this.engine.timing.timestamp,
+      participants: [],
+      data: { reason: reason || null }
+    });
+  }
+
+  /**
+   * 记录一帧数据
+   */
+  private recordFrame() {
+    const currentTime = this.currentTime;
+
+    this.frames.push({
+      frameIndex: this.frames.length,
+      timestamp: currentTime / 1000,
+      // 帧数据统一换算回 SI
+      bodies: Array.from(this.bodies.values()).map(body => ({
+        id: body.label,
+        ...this.units.bodyState(body)
+      })),
+      forces: this.contacts.bodyForces(this.bodies),
+      events: this.events.filter(event => event.timestamp <= currentTime),
+      constraints: this.frameConstraints()
+    });
+
+    // 计算物理指标
+    this.calculatePhysicsMetrics();
+  }
+
+  /**
+   * 当前约束的 SI 状态（端点按刚体局部偏移记录，渲染时随刚体位姿变换）
+   */
+  private frameConstraints(): FrameConstraint[] {
+    const constraints: FrameConstraint[] = [];
+    for (const [id, constraint] of this.constraints) {
+      const joint = jointOf(constraint);
+      if (!joint) continue;
+
+      const end = (which: 'A' | 'B'): FrameConstraintEnd => {
+        const body = which === 'A' ? constraint.bodyA : constraint.bodyB;
+        return { body: body ? body.label : null, point: this.units.toPoint(anchorLocal(constraint, which)) };
+      };
+      constraints.push({
+        id,
+        type: joint.kind,
+        a: end('A'),
+        b: end('B'),
+        length: this.units.toLength(joint.length),
+        ...(joint.axis ? { axis: [joint.axis.x, joint.axis.y] as Vec2 } : {}),
+        ...(joint.wheels ? { wheels: [this.units.toPoint(joint.wheels[0]), this.units.toPoint(joint.wheels[1])] as [Vec2, Vec2] } : {})
+      });
+    }
+    return constraints;
+  }
+
+  /**
+   * 计算物理指标
+   */
+  private calculatePhysicsMetrics() {
+    const sample = this.energyLedger!.sample(this.currentTime / 1000, this.bodies, this.constraints);
+    const [px, py] = sample.momentum;
+
+    this.physicsMetrics.energy.push(sample);
+    this.physicsMetrics.totalEnergy.push(sample.mechanical);
+    this.physicsMetrics.totalMomentum.push(Math.sqrt(px ** 2 + py ** 2));
+  }
+
+  /**
+   * 当前机械能（J）
+   */
+  private mechanicalEnergy(): number {
+    return this.energyLedger!.measure(this.bodies, this.constraints).mechanical;
+  }
+
+  /**
+   * 检查结束条件
+   */
+  private checkEndConditions(): boolean {
+    this.endMatch = this.endMonitor.evaluate({
+      time: this.currentTime / 1000,
+      bodies: this.bodies,
+      units: this.units,
+      events: this.events,
+      bounds: this.bounds!
+    });
+    return this.endMatch !== null;
+  }
+
+}
+
+/**
+ * 导出仿真便捷函数
+ */
+export async function simulateContract(
+  contract: PhysicsContract,
+  options: SimulationCoreOptions = {}
+): Promise<SimulationResult> {
+  return await new SimulationCore(options).simulate(contract);
+}
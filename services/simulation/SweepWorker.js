@@ -0,0 +1,12 @@
+"use strict";
+/**
+ * 参数扫描工作线程 - 接收变体任务，仿真并求指标后回传
+ *
+ * 由 ParameterSweep 的线程池以编译后的 SweepWorker.js 启动。
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+const worker_threads_1 = require("worker_threads");
+const ParameterSweep_1 = require("./ParameterSweep");
+worker_threads_1.parentPort.on('message', async (task) => {
+    worker_threads_1.parentPort.postMessage(await (0, ParameterSweep_1.runSweepTask)(task));
+});
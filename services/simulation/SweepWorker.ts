@@ -0,0 +1,12 @@
+/**
+ * 参数扫描工作线程 - 接收变体任务，仿真并求指标后回传
+ *
+ * 由 ParameterSweep 的线程池以编译后的 SweepWorker.js 启动。
+ */
+
+import { parentPort } from 'worker_threads';
+import { runSweepTask, type SweepTask } from './ParameterSweep';
+
+parentPort!.on('message', async (task: SweepTask) => {
+  parentPort!.postMessage(await runSweepTask(task));
+});
@@ -0,0 +1,197 @@
+/**
+ * 时间重映射 - 在关键事件附近自动慢放，给出仿真时间与视频时间的双向映射
+ *
+ * 功能：
+ * 1. 由轨迹的事件列表（碰撞、合并、附加约束）确定慢放窗口：事件前 before、后 after 秒，重叠的窗口合并
+ * 2. 窗口内播放速率为 rate（如 0.25），进出窗口各用 ramp 秒平滑过渡（smoothstep）
+ * 3. 时间拉伸率 dv/ds = 1 + (1/rate − 1)·w(s)，w 为窗口权重；其积分为多项式，映射可精确求值与反解
+ * 4. 映射可序列化，随视频元数据输出，字幕与讲解据此换算时刻
+ *
+ * 碰撞取 data.collisions 中接近速度不小于 minImpactSpeed 的记录，避免静止接触反复触发慢放。
+ */
+
+import type { SimulationData } from './SimulationCore';
+import { traceEvents } from './FrameResampler';
+
+export interface TimeRemapOptions {
+  rate?: number;             // 窗口内播放速率（仿真秒 / 视频秒），默认 0.25
+  before?: number;           // 事件前的慢放时长（仿真 s）
+  after?: number;            // 事件后的慢放时长（仿真 s）
+  ramp?: number;             // 进出窗口的过渡时长（仿真 s）
+  events?: string[];         // 触发慢放的事件类型
+  minImpactSpeed?: number;   // 碰撞的最小接近速度（m/s）
+}
+
+// 触发慢放的事件
+export interface RemapEvent {
+  type: string;
+  time: number;              // 仿真时刻（s）
+  bodies: string[];
+}
+
+// 慢放窗口（start / end 为全速率慢放段，不含过渡）
+export interface SlowWindow {
+  start: number;             // 仿真时刻（s）
+  end: number;
+  videoStart: number;        // 对应的视频时刻（s）
+  videoEnd: number;
+  events: RemapEvent[];
+}
+
+// 可序列化的时间映射
+export interface TimeRemap {
+  rate: number;
+  ramp: number;
+  start: number;             // 仿真起止时刻（s）
+  end: number;
+  duration: number;          // 视频时长（s）
+  windows: SlowWindow[];
+}
+
+const DEFAULT_OPTIONS: Required<TimeRemapOptions> = {
+  rate: 0.25,
+  before: 0.1,
+  after: 0.25,
+  ramp: 0.15,
+  events: ['collision', 'merge_bodies', 'attach_constraint'],
+  minImpactSpeed: 0.2
+};
+
+// 反解的迭代次数（二分）
+const INVERSE_ITERATIONS = 60;
+
+/**
+ * 由轨迹事件构造时间映射
+ */
+export function buildTimeRemap(
+  data: Pick<SimulationData, 'frames'> & Partial<Pick<SimulationData, 'events' | 'collisions'>>,
+  options: TimeRemapOptions = {}
+): TimeRemap {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  if (!(opts.rate > 0 && opts.rate <= 1)) throw new Error(`Slow-motion rate must be in (0, 1], got ${opts.rate}`);
+  if (!(opts.ramp > 0)) throw new Error(`Ramp duration must be positive, got ${opts.ramp}`);
+
+  const frames = data.frames;
+  const start = frames.length > 0 ? frames[0].timestamp : 0;
+  const end = frames.length > 0 ? frames[frames.length - 1].timestamp : 0;
+  const events = remapEvents(data, opts).filter(event => event.time >= start && event.time <= end);
+
+  // 按时间合并：过渡区重叠的窗口并为一个
+  const windows: SlowWindow[] = [];
+  for (const event of events) {
+    const from = Math.max(start, event.time - opts.before);
+    const to = Math.min(end, event.time + opts.after);
+    const last = windows[windows.length - 1];
+    if (last && from - opts.ramp <= last.end + opts.ramp) {
+      last.end = Math.max(last.end, to);
+      last.events.push(event);
+    } else {
+      windows.push({ start: from, end: to, videoStart: 0, videoEnd: 0, events: [event] });
+    }
+  }
+
+  const remap: TimeRemap = { rate: opts.rate, ramp: opts.ramp, start, end, duration: 0, windows };
+  for (const window of windows) {
+    window.videoStart = simToVideo(remap, window.start);
+    window.videoEnd = simToVideo(remap, window.end);
+  }
+  remap.duration = simToVideo(remap, end);
+  return remap;
+}
+
+function remapEvents(
+  data: Pick<SimulationData, 'frames'> & Partial<Pick<SimulationData, 'events' | 'collisions'>>,
+  opts: Required<TimeRemapOptions>
+): RemapEvent[] {
+  const source = traceEvents(data);
+  const events: RemapEvent[] = [];
+
+  for (const event of source) {
+    if (!opts.events.includes(event.type)) continue;
+    // 有冲量记录时，碰撞改用按接近速度筛选后的记录
+    if (event.type === 'collision' && data.collisions) continue;
+    events.push({ type: event.type, time: event.timestamp / 1000, bodies: event.participants });
+  }
+  if (data.collisions && opts.events.includes('collision')) {
+    for (const collision of data.collisions) {
+      if (collision.approachSpeed < opts.minImpactSpeed) continue;
+      events.push({ type: 'collision', time: collision.time, bodies: collision.bodies });
+    }
+  }
+  return events.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * smoothstep 在 [0, x] 上的积分：x³ − x⁴ / 2
+ */
+function rampIntegral(x: number): number {
+  const t = Math.min(1, Math.max(0, x));
+  return t ** 3 - t ** 4 / 2;
+}
+
+/**
+ * 窗口权重 w 在 (−∞, s] 上的积分
+ */
+function windowIntegral(window: SlowWindow, ramp: number, s: number): number {
+  const rampIn = ramp * rampIntegral((s - (window.start - ramp)) / ramp);
+  const core = Math.min(Math.max(s - window.start, 0), window.end - window.start);
+  const rampOut = s > window.end ? ramp * (0.5 - rampIntegral(1 - (s - window.end) / ramp)) : 0;
+  return rampIn + core + rampOut;
+}
+
+/**
+ * 窗口权重（0 为全速，1 为慢放）
+ */
+function windowWeight(window: SlowWindow, ramp: number, s: number): number {
+  const smooth = (x: number) => {
+    const t = Math.min(1, Math.max(0, x));
+    return t * t * (3 - 2 * t);
+  };
+  if (s < window.start) return smooth((s - (window.start - ramp)) / ramp);
+  if (s > window.end) return smooth(1 - (s - window.end) / ramp);
+  return 1;
+}
+
+/**
+ * 仿真时刻 → 视频时刻
+ */
+export function simToVideo(remap: TimeRemap, s: number): number {
+  const stretch = 1 / remap.rate - 1;
+  let slowed = 0;
+  for (const window of remap.windows) {
+    slowed += windowIntegral(window, remap.ramp, s) - windowIntegral(window, remap.ramp, remap.start);
+  }
+  return s - remap.start + stretch * slowed;
+}
+
+/**
+ * 视频时刻 → 仿真时刻（单调，二分反解）
+ */
+export function videoToSim(remap: TimeRemap, t: number): number {
+  if (t <= 0) return remap.start;
+  if (t >= remap.duration) return remap.end;
+  let lo = remap.start, hi = remap.end;
+  for (let i = 0; i < INVERSE_ITERATIONS; i++) {
+    const mid = (lo + hi) / 2;
+    if (simToVideo(remap, mid) < t) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+/**
+ * 仿真时刻的播放速率（仿真秒 / 视频秒）
+ */
+export function playbackRate(remap: TimeRemap, s: number): number {
+  const weight = remap.windows.reduce((max, window) => Math.max(max, windowWeight(window, remap.ramp, s)), 0);
+  return 1 / (1 + (1 / remap.rate - 1) * weight);
+}
+
+/**
+ * 各视频帧对应的仿真时刻：第 k 帧为 videoToSim(k / fps)
+ */
+export function remapTimeline(remap: TimeRemap, fps: number): number[] {
+  if (!(fps > 0)) throw new Error(`fps must be positive, got ${fps}`);
+  const count = Math.floor(remap.duration * fps + 1e-9) + 1;
+  return Array.from({ length: count }, (_, k) => videoToSim(remap, k / fps));
+}
@@ -0,0 +1,148 @@
+"use strict";
+/**
+ * 轨迹哈希 - 仿真结果的规范化指纹与确定性回放
+ *
+ * 功能：
+ * 1. 将每帧的位置、速度、角度与新发生的事件按量化步长取整，拼成规范化文本
+ * 2. 逐帧哈希（定位分歧）+ 全轨迹 SHA-256（缓存键 / 回归基线）
+ * 3. 记录随机种子与引擎配置（Matter.js 版本、步长、迭代次数、记录频率、单位比例）
+ * 4. replay：按记录的配置重新运行契约，报告第一个分歧帧与引擎配置差异
+ *
+ * 哈希只覆盖轨迹本身，不含引擎配置：升级 matter-js 后轨迹不变时哈希保持不变，
+ * 配置差异在回放报告中单独列出。
+ */
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.DEFAULT_TRACE_QUANTUM = void 0;
+exports.traceSignature = traceSignature;
+exports.replay = replay;
+exports.matterVersion = matterVersion;
+const crypto_1 = require("crypto");
+const matter_js_1 = __importDefault(require("matter-js"));
+const SimulationCore_1 = require("./SimulationCore");
+exports.DEFAULT_TRACE_QUANTUM = {
+    position: 1e-6,
+    velocity: 1e-6,
+    angle: 1e-6,
+    time: 1e-9
+};
+// 逐帧哈希保留的 hex 位数
+const FRAME_HASH_LENGTH = 16;
+/**
+ * 按步长取整（消除 -0）
+ */
+function quantize(value, step) {
+    return Math.round(value / step) || 0;
+}
+/**
+ * 一帧的规范化文本：刚体按 id 排序，事件只含本帧新发生的部分
+ */
+function canonicalFrame(frame, newEvents, quantum) {
+    const bodies = [...frame.bodies]
+        .sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0))
+        .map(body => [
+        body.id,
+        quantize(body.position[0], quantum.position),
+        quantize(body.position[1], quantum.position),
+        quantize(body.velocity[0], quantum.velocity),
+        quantize(body.velocity[1], quantum.velocity),
+        quantize(body.angle, quantum.angle),
+        quantize(body.angularVelocity, quantum.angle)
+    ]);
+    const events = newEvents.map(event => [
+        event.type,
+        quantize(event.timestamp / 1000, quantum.time),
+        event.participants.join(',')
+    ]);
+    return JSON.stringify([frame.frameIndex, quantize(frame.timestamp, quantum.time), bodies, events]);
+}
+/**
+ * 计算帧序列的轨迹签名
+ */
+function traceSignature(frames, engine, seed, quantum = exports.DEFAULT_TRACE_QUANTUM) {
+    const trace = (0, crypto_1.createHash)('sha256');
+    const frameHashes = [];
+    let seenEvents = 0;
+    for (const frame of frames) {
+        // frame.events 为截至本帧的累计事件
+        const text = canonicalFrame(frame, frame.events.slice(seenEvents), quantum);
+        seenEvents = frame.events.length;
+        trace.update(text).update('\n');
+        frameHashes.push((0, crypto_1.createHash)('sha256').update(text).digest('hex').slice(0, FRAME_HASH_LENGTH));
+    }
+    return { hash: trace.digest('hex'), frameHashes, quantum, seed, engine };
+}
+/**
+ * 引擎配置差异
+ */
+function engineChanges(expected, actual) {
+    const changes = [];
+    const keys = Object.keys(expected);
+    for (const key of keys) {
+        const before = JSON.stringify(expected[key]);
+        const after = JSON.stringify(actual[key]);
+        if (before !== after)
+            changes.push(`${key}: ${before} → ${after}`);
+    }
+    return changes;
+}
+/**
+ * 重新运行契约并与记录的轨迹比对
+ *
+ * expected 为 TraceSignature 时沿用其种子、记录频率与单位比例，并逐帧定位第一个分歧帧；
+ * 只给出哈希字符串时按 options 运行，只报告是否一致。
+ */
+async function replay(contract, expected, options = {}) {
+    const signature = typeof expected === 'string' ? null : expected;
+    const expectedHash = signature ? signature.hash : expected;
+    const result = await (0, SimulationCore_1.simulateContract)(contract, signature
+        ? {
+            ...options,
+            seed: signature.seed,
+            recordRate: signature.engine.recordRate,
+            scale: signature.engine.scale,
+            traceQuantum: signature.quantum
+        }
+        : options);
+    if (!result.success || !result.data) {
+        return {
+            matches: false,
+            expectedHash,
+            actualHash: null,
+            firstDivergingFrame: null,
+            divergingTime: null,
+            frameCount: { expected: signature ? signature.frameHashes.length : null, actual: 0 },
+            engineChanges: [],
+            error: result.error
+        };
+    }
+    const { trace, frames } = result.data;
+    const report = {
+        matches: trace.hash === expectedHash,
+        expectedHash,
+        actualHash: trace.hash,
+        firstDivergingFrame: null,
+        divergingTime: null,
+        frameCount: { expected: signature ? signature.frameHashes.length : null, actual: frames.length },
+        engineChanges: signature ? engineChanges(signature.engine, trace.engine) : [],
+        trace
+    };
+    if (signature && !report.matches) {
+        const common = Math.min(signature.frameHashes.length, trace.frameHashes.length);
+        let index = 0;
+        while (index < common && signature.frameHashes[index] === trace.frameHashes[index])
+            index++;
+        // 前缀一致而帧数不同时，分歧帧为较短一方结束后的第一帧
+        report.firstDivergingFrame = index;
+        report.divergingTime = index < frames.length ? frames[index].timestamp : null;
+    }
+    return report;
+}
+/**
+ * 当前 Matter.js 版本
+ */
+function matterVersion() {
+    return matter_js_1.default.version ?? 'unknown';
+}
@@ -0,0 +1,188 @@
+"use strict";
+/**
+ * 单位映射层 - SI 契约 ↔ Matter.js 世界
+ *
+ * 功能：
+ * 1. 契约使用米/千克/秒，Matter.js 使用“世界单位”/质量单位/毫秒
+ * 2. 将长度、质量、密度、重力、速度、力、弹簧劲度系数和阻尼系数换算到 Matter.js
+ * 3. 将 Matter.js 刚体状态换算回 SI，供帧记录、终止条件和物理指标使用
+ *
+ * 换算约定：
+ * - 长度：1 m = length 个世界单位（默认 100，刚体尺寸落在 Matter.js 调校良好的量级）
+ * - 质量：1 kg = mass 个质量单位（默认 1）
+ * - 时间：Matter.js 以毫秒计，加速度单位为 世界单位/ms²
+ * - Matter.js 的速度为“每基准步（1000/60 ms）位移”，与 Body.getVelocity / setVelocity 一致
+ */
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.UnitMapper = exports.DEFAULT_UNIT_SCALE = void 0;
+const matter_js_1 = __importDefault(require("matter-js"));
+exports.DEFAULT_UNIT_SCALE = { length: 100, mass: 1 };
+// Matter.js 速度的基准步长（ms）
+const BASE_DELTA = 1000 / 60;
+/**
+ * SI ↔ Matter.js 单位换算器
+ */
+class UnitMapper {
+    constructor(scale = {}) {
+        this.lengthScale = scale.length && scale.length > 0 ? scale.length : exports.DEFAULT_UNIT_SCALE.length;
+        this.massScale = scale.mass && scale.mass > 0 ? scale.mass : exports.DEFAULT_UNIT_SCALE.mass;
+    }
+    // ---------- SI → Matter.js ----------
+    length(meters) {
+        return meters * this.lengthScale;
+    }
+    point(position) {
+        return { x: position[0] * this.lengthScale, y: position[1] * this.lengthScale };
+    }
+    mass(kilograms) {
+        return kilograms * this.massScale;
+    }
+    /**
+     * 面密度 kg/m² → 质量单位/世界单位²
+     */
+    density(kgPerSquareMeter) {
+        return kgPerSquareMeter * this.massScale / this.lengthScale ** 2;
+    }
+    /**
+     * m/s → 每基准步位移
+     */
+    velocity(velocity) {
+        const factor = this.lengthScale * BASE_DELTA / 1000;
+        return { x: velocity[0] * factor, y: velocity[1] * factor };
+    }
+    /**
+     * rad/s → 每基准步转角
+     */
+    angularVelocity(radiansPerSecond) {
+        return radiansPerSecond * BASE_DELTA / 1000;
+    }
+    /**
+     * N → 质量单位·世界单位/ms²（Body.applyForce / body.force 的单位）
+     */
+    force(force) {
+        const factor = this.massScale * this.lengthScale / 1e6;
+        return { x: force[0] * factor, y: force[1] * factor };
+    }
+    /**
+     * 弹簧劲度系数 N/m → Matter.js 力单位/世界单位
+     */
+    springStiffness(newtonsPerMeter) {
+        return newtonsPerMeter * this.massScale / 1e6;
+    }
+    /**
+     * 阻尼系数 N·s/m → Matter.js 力单位/（每基准步位移），与 Body.getVelocity 配合使用
+     */
+    springDamping(newtonSecondsPerMeter) {
+        return newtonSecondsPerMeter * this.massScale / (1000 * BASE_DELTA);
+    }
+    /**
+     * 设置重力：Matter.js 加速度 = gravity.{x,y} × gravity.scale（世界单位/ms²）
+     */
+    applyGravity(engine, gravity) {
+        engine.gravity.x = gravity[0];
+        engine.gravity.y = gravity[1];
+        engine.gravity.scale = this.lengthScale / 1e6;
+    }
+    /**
+     * 按契约创建 Matter.js 刚体（几何、质量、密度换算；不附加空气阻力）
+     */
+    createBody(bodyConfig, overrides = {}) {
+        const { x, y } = this.point(bodyConfig.position);
+        const options = {
+            isStatic: bodyConfig.isStatic,
+            angle: bodyConfig.angle,
+            friction: bodyConfig.friction,
+            frictionStatic: bodyConfig.frictionStatic,
+            frictionAir: 0, // 契约为真空环境，Matter.js 默认 0.01 的空气阻力会使自由落体偏离 ½gt²
+            restitution: bodyConfig.restitution,
+            collisionFilter: bodyConfig.collisionFilter,
+            ...overrides
+        };
+        let body;
+        switch (bodyConfig.shape) {
+            case 'box':
+                body = matter_js_1.default.Bodies.rectangle(x, y, this.length(bodyConfig.size.w), this.length(bodyConfig.size.h), options);
+                break;
+            case 'circle':
+                body = matter_js_1.default.Bodies.circle(x, y, this.length(bodyConfig.r), options);
+                break;
+            case 'polygon':
+                body = matter_js_1.default.Bodies.fromVertices(x, y, [bodyConfig.vertices.map(vertex => this.point(vertex))], options);
+                break;
+            default:
+                throw new Error(`Unsupported body shape: ${bodyConfig.shape}`);
+        }
+        // 质量优先于密度；都缺省时沿用 Matter.js 默认密度
+        if (!bodyConfig.isStatic) {
+            if (bodyConfig.mass !== undefined && bodyConfig.mass > 0) {
+                matter_js_1.default.Body.setMass(body, this.mass(bodyConfig.mass));
+            }
+            else if (bodyConfig.density) {
+                matter_js_1.default.Body.setDensity(body, this.density(bodyConfig.density));
+            }
+        }
+        body.label = bodyConfig.id;
+        return body;
+    }
+    // ---------- Matter.js → SI ----------
+    toLength(units) {
+        return units / this.lengthScale;
+    }
+    toPoint(vector) {
+        return [vector.x / this.lengthScale, vector.y / this.lengthScale];
+    }
+    toMass(massUnits) {
+        return massUnits / this.massScale;
+    }
+    /**
+     * 转动惯量 → kg·m²
+     */
+    toInertia(inertia) {
+        return inertia / (this.massScale * this.lengthScale ** 2);
+    }
+    /**
+     * 质量单位·世界单位/ms² → N
+     */
+    toForce(force) {
+        const factor = 1e6 / (this.massScale * this.lengthScale);
+        return [force.x * factor, force.y * factor];
+    }
+    /**
+     * 能量（质量单位·世界单位²/ms²）→ J
+     */
+    toEnergy(energy) {
+        return energy * 1e6 / (this.massScale * this.lengthScale ** 2);
+    }
+    /**
+     * 每基准步位移 → m/s
+     */
+    toVelocity(vector) {
+        const factor = 1000 / (BASE_DELTA * this.lengthScale);
+        return [vector.x * factor, vector.y * factor];
+    }
+    toAngularVelocity(perBaseDelta) {
+        return perBaseDelta * 1000 / BASE_DELTA;
+    }
+    /**
+     * 刚体当前状态（SI），速度取自实际位移，含约束与碰撞修正
+     */
+    bodyState(body) {
+        return {
+            position: this.toPoint(body.position),
+            velocity: this.toVelocity(matter_js_1.default.Body.getVelocity(body)),
+            angle: body.angle,
+            angularVelocity: this.toAngularVelocity(matter_js_1.default.Body.getAngularVelocity(body))
+        };
+    }
+    /**
+     * 速率（m/s）
+     */
+    speed(body) {
+        const [vx, vy] = this.bodyState(body).velocity;
+        return Math.sqrt(vx ** 2 + vy ** 2);
+    }
+}
+exports.UnitMapper = UnitMapper;
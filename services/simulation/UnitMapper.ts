@@ -0,0 +1,234 @@
+/**
+ * 单位映射层 - SI 契约 ↔ Matter.js 世界
+ *
+ * 功能：
+ * 1. 契约使用米/千克/秒，Matter.js 使用“世界单位”/质量单位/毫秒
+ * 2. 将长度、质量、密度、重力、速度、力、弹簧劲度系数和阻尼系数换算到 Matter.js
+ * 3. 将 Matter.js 刚体状态换算回 SI，供帧记录、终止条件和物理指标使用
+ *
+ * 换算约定：
+ * - 长度：1 m = length 个世界单位（默认 100，刚体尺寸落在 Matter.js 调校良好的量级）
+ * - 质量：1 kg = mass 个质量单位（默认 1）
+ * - 时间：Matter.js 以毫秒计，加速度单位为 世界单位/ms²
+ * - Matter.js 的速度为“每基准步（1000/60 ms）位移”，与 Body.getVelocity / setVelocity 一致
+ */
+
+import Matter from 'matter-js';
+import type { PhysicsContract } from '../matter_adapter/Adapter';
+
+type Vec2 = [number, number];
+type BodyConfig = PhysicsContract['bodies'][number];
+
+// 单位比例：每米 / 每千克对应的 Matter.js 单位
+export interface UnitScale {
+  length: number;
+  mass: number;
+}
+
+// SI 刚体状态
+export interface SIBodyState {
+  position: Vec2;        // m
+  velocity: Vec2;        // m/s
+  angle: number;         // rad
+  angularVelocity: number; // rad/s
+}
+
+export const DEFAULT_UNIT_SCALE: UnitScale = { length: 100, mass: 1 };
+
+// Matter.js 速度的基准步长（ms）
+const BASE_DELTA = 1000 / 60;
+
+/**
+ * SI ↔ Matter.js 单位换算器
+ */
+export class UnitMapper {
+  readonly lengthScale: number;
+  readonly massScale: number;
+
+  constructor(scale: Partial<UnitScale> = {}) {
+    this.lengthScale = scale.length && scale.length > 0 ? scale.length : DEFAULT_UNIT_SCALE.length;
+    this.massScale = scale.mass && scale.mass > 0 ? scale.mass : DEFAULT_UNIT_SCALE.mass;
+  }
+
+  // ---------- SI → Matter.js ----------
+
+  length(meters: number): number {
+    return meters * this.lengthScale;
+  }
+
+  point(position: Vec2): Matter.Vector {
+    return { x: position[0] * this.lengthScale, y: position[1] * this.lengthScale };
+  }
+
+  mass(kilograms: number): number {
+    return kilograms * this.massScale;
+  }
+
+  /**
+   * 面密度 kg/m² → 质量单位/世界单位²
+   */
+  density(kgPerSquareMeter: number): number {
+    return kgPerSquareMeter * this.massScale / this.lengthScale ** 2;
+  }
+
+  /**
+   * m/s → 每基准步位移
+   */
+  velocity(velocity: Vec2): Matter.Vector {
+    const factor = this.lengthScale * BASE_DELTA / 1000;
+    return { x: velocity[0] * factor, y: velocity[1] * factor };
+  }
+
+  /**
+   * rad/s → 每基准步转角
+   */
+  angularVelocity(radiansPerSecond: number): number {
+    return radiansPerSecond * BASE_DELTA / 1000;
+  }
+
+  /**
+   * N → 质量单位·世界单位/ms²（Body.applyForce / body.force 的单位）
+   */
+  force(force: Vec2): Matter.Vector {
+    const factor = this.massScale * this.lengthScale / 1e6;
+    return { x: force[0] * factor, y: force[1] * factor };
+  }
+
+  /**
+   * 弹簧劲度系数 N/m → Matter.js 力单位/世界单位
+   */
+  springStiffness(newtonsPerMeter: number): number {
+    return newtonsPerMeter * this.massScale / 1e6;
+  }
+
+  /**
+   * 阻尼系数 N·s/m → Matter.js 力单位/（每基准步位移），与 Body.getVelocity 配合使用
+   */
+  springDamping(newtonSecondsPerMeter: number): number {
+    return newtonSecondsPerMeter * this.massScale / (1000 * BASE_DELTA);
+  }
+
+  /**
+   * 设置重力：Matter.js 加速度 = gravity.{x,y} × gravity.scale（世界单位/ms²）
+   */
+  applyGravity(engine: Matter.Engine, gravity: Vec2) {
+    engine.gravity.x = gravity[0];
+    engine.gravity.y = gravity[1];
+    engine.gravity.scale = this.lengthScale / 1e6;
+  }
+
+  /**
+   * 按契约创建 Matter.js 刚体（几何、质量、密度换算；不附加空气阻力）
+   */
+  createBody(bodyConfig: BodyConfig, overrides: Matter.IChamferableBodyDefinition = {}): Matter.Body {
+    const { x, y } = this.point(bodyConfig.position);
+    const options: Matter.IChamferableBodyDefinition = {
+      isStatic: bodyConfig.isStatic,
+      angle: bodyConfig.angle,
+      friction: bodyConfig.friction,
+      frictionStatic: bodyConfig.frictionStatic,
+      frictionAir: 0, // 契约为真空环境，Matter.js 默认 0.01 的空气阻力会使自由落体偏离 ½gt²
+      restitution: bodyConfig.restitution,
+      collisionFilter: bodyConfig.collisionFilter,
+      ...overrides
+    };
+
+    let body: Matter.Body;
+    switch (bodyConfig.shape) {
+      case 'box':
+        body = Matter.Bodies.rectangle(x, y, this.length(bodyConfig.size!.w), this.length(bodyConfig.size!.h), options);
+        break;
+
+      case 'circle':
+        body = Matter.Bodies.circle(x, y, this.length(bodyConfig.r!), options);
+        break;
+
+      case 'polygon':
+        body = Matter.Bodies.fromVertices(x, y, [bodyConfig.vertices!.map(vertex => this.point(vertex))], options);
+        break;
+
+      default:
+        throw new Error(`Unsupported body shape: ${(bodyConfig as BodyConfig).shape}`);
+    }
+
+    // 质量优先于密度；都缺省时沿用 Matter.js 默认密度
+    if (!bodyConfig.isStatic) {
+      if (bodyConfig.mass !== undefined && bodyConfig.mass > 0) {
+        Matter.Body.setMass(body, this.mass(bodyConfig.mass));
+      } else if (bodyConfig.density) {
+        Matter.Body.setDensity(body, this.density(bodyConfig.density));
+      }
+    }
+
+    body.label = bodyConfig.id;
+    return body;
+  }
+
+  // ---------- Matter.js → SI ----------
+
+  toLength(units: number): number {
+    return units / this.lengthScale;
+  }
+
+  toPoint(vector: Matter.Vector): Vec2 {
+    return [vector.x / this.lengthScale, vector.y / this.lengthScale];
+  }
+
+  toMass(massUnits: number): number {
+    return massUnits / this.massScale;
+  }
+
+  /**
+   * 转动惯量 → kg·m²
+   */
+  toInertia(inertia: number): number {
+    return inertia / (this.massScale * this.lengthScale ** 2);
+  }
+
+  /**
+   * 质量单位·世界单位/ms² → N
+   */
+  toForce(force: Matter.Vector): Vec2 {
+    const factor = 1e6 / (this.massScale * this.lengthScale);
+    return [force.x * factor, force.y * factor];
+  }
+
+  /**
+   * 能量（质量单位·世界单位²/ms²）→ J
+   */
+  toEnergy(energy: number): number {
+    return energy * 1e6 / (this.massScale * this.lengthScale ** 2);
+  }
+
+  /**
+   * 每基准步位移 → m/s
+   */
+  toVelocity(vector: Matter.Vector): Vec2 {
+    const factor = 1000 / (BASE_DELTA * this.lengthScale);
+    return [vector.x * factor, vector.y * factor];
+  }
+
+  toAngularVelocity(perBaseDelta: number): number {
+    return perBaseDelta * 1000 / BASE_DELTA;
+  }
+
+  /**
+   * 刚体当前状态（SI），速度取自实际位移，含约束与碰撞修正
+   */
+  bodyState(body: Matter.Body): SIBodyState {
+    return {
+      position: this.toPoint(body.position),
+      velocity: this.toVelocity(Matter.Body.getVelocity(body)),
+      angle: body.angle,
+      angularVelocity: this.toAngularVelocity(Matter.Body.getAngularVelocity(body))
+    };
+  }
+
+  /**
+   * 速率（m/s）
+   */
+  speed(body: Matter.Body): number {
+    const [vx, vy] = this.bodyState(body).velocity;
+    return Math.sqrt(vx ** 2 + vy ** 2);
+  }
+}
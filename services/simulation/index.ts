@@ -12,5 +12,159 @@ export {
   type MatterSimulationResult 
 } from './MatterSimulationEngine';
 
+export {
+  SimulationCore,
+  simulateContract,
+  type SimulationCoreOptions,
+  type SimulationResult,
+  type SimulationData,
+  type SimulationFrame,
+  type SimulationEvent,
+  type FrameConstraint,
+  type FrameConstraintEnd,
+  type PhysicsMetrics
+} from './SimulationCore';
+
+export {
+  resolveTiming,
+  DEFAULT_DT,
+  type SimulationTiming,
+  type SimulationTimingOptions
+} from './SimulationClock';
+
+export {
+  UnitMapper,
+  DEFAULT_UNIT_SCALE,
+  type UnitScale,
+  type SIBodyState
+} from './UnitMapper';
+
+export {
+  buildConstraint,
+  solveJoints,
+  applySpringForces,
+  springPotentialEnergy,
+  jointOf,
+  type ConstraintConfig,
+  type ConstraintKind,
+  type JointData,
+  type SpringForce
+} from './ConstraintBuilder';
+
+export {
+  EnergyLedger,
+  type EnergyState,
+  type EnergySample,
+  type BodyEnergy
+} from './EnergyAccounting';
+
+export {
+  ContactRecorder,
+  type BodyForces,
+  type BodyContact,
+  type CollisionImpulse
+} from './ContactForces';
+
+export {
+  traceSignature,
+  replay,
+  matterVersion,
+  DEFAULT_TRACE_QUANTUM,
+  type TraceQuantum,
+  type TraceSignature,
+  type EngineFingerprint,
+  type ReplayReport
+} from './TraceHash';
+
+export {
+  solveAnalytic,
+  compareTraces,
+  type AnalyticScenario,
+  type AnalyticOptions,
+  type ProjectileScenario,
+  type FreeFallScenario,
+  type LinearKinematicsScenario,
+  type CircularMotionScenario,
+  type OscillationScenario,
+  type InclinedPlaneScenario,
+  type Collision1DScenario,
+  type CollisionBody,
+  type TraceComparison,
+  type BodyDeviation
+} from './AnalyticSolver';
+
+export {
+  extractKeyMoments,
+  bodyStateAt,
+  type KeyMoment,
+  type KeyMomentType,
+  type KeyMomentDetails,
+  type KeyMomentTimeline,
+  type KeyMomentOptions
+} from './KeyMoments';
+
+export {
+  resolveAnswers,
+  formatAnswer,
+  type AnswerQuery,
+  type AnswerQuantity,
+  type AnswerMoment,
+  type AnswerValue,
+  type AnswerResolveOptions
+} from './AnswerResolver';
+
+export {
+  resampleFrames,
+  traceEvents,
+  videoTimeline,
+  type ResampleOptions,
+  type ResampledFrame
+} from './FrameResampler';
+
+export {
+  buildTimeRemap,
+  simToVideo,
+  videoToSim,
+  playbackRate,
+  remapTimeline,
+  type TimeRemap,
+  type TimeRemapOptions,
+  type SlowWindow,
+  type RemapEvent
+} from './TimeRemap';
+
+export {
+  bodyOutlines,
+  outlineAt,
+  type BodyOutline,
+  type OutlinePart,
+  type WorldPart
+} from './BodyGeometry';
+
+export {
+  constraintDrawings,
+  constraintAnchors,
+  springCoil,
+  ropePath,
+  type ConstraintDrawing,
+  type ConstraintDrawOptions
+} from './ConstraintGeometry';
+
+export {
+  runParameterSweep,
+  buildSweepVariants,
+  expandParameter,
+  setContractValue,
+  type SweepParameter,
+  type SweepValue,
+  type SweepOptions,
+  type SweepVideoOptions,
+  type SweepVariant,
+  type SweepMove,
+  type SweepRow,
+  type SweepTable,
+  type SweepResult
+} from './ParameterSweep';
+
 // 默认导出Matter.js仿真引擎工厂函数
 export { createMatterSimulationEngine as default } from './MatterSimulationEngine';
@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+/**
+ * 视频编码基准：逐帧 PNG 落盘 vs 原始像素流式送入 ffmpeg
+ * 输入：TestLayer/adapter_output/02_physics_contract.json（仿真 --seconds 秒，按 60 Hz 记录帧）
+ * 输出：各方式的墙钟时间、峰值 RSS、临时 PNG 字节数与加速比；结果写入 output/benchmark_video_encoding.json
+ *
+ * 用法：node benchmark_video_encoding.js [--seconds 10] [--width 1920] [--height 1080] [--runs 1]
+ * 需要 canvas 原生模块与 PATH 中的 ffmpeg。
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// 使用编译后的JS文件
+const { simulateContract } = require('../../simulation/SimulationCore.js');
+const VideoGenerator = require('../../render/VideoGenerator');
+
+// RSS 采样间隔（ms）
+const SAMPLE_INTERVAL = 50;
+
+function parseArgs(argv) {
+  const args = { seconds: 10, width: 1920, height: 1080, runs: 1 };
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, '');
+    if (!(key in args)) throw new Error(`未知参数: ${argv[i]}`);
+    args[key] = Number(argv[i + 1]);
+  }
+  return args;
+}
+
+/**
+ * 仿真基准用的帧序列
+ */
+async function simulationData(seconds) {
+  const fixture = path.join(__dirname, '../TestLayer/adapter_output/02_physics_contract.json');
+  const contract = JSON.parse(fs.readFileSync(fixture, 'utf8'));
+  contract.end_conditions = { maxTime: seconds, stopWhen: [] };
+  const result = await simulateContract(contract, { recordRate: 60 });
+  if (!result.success) throw new Error(`仿真失败: ${result.error}`);
+  return result.data;
+}
+
+/**
+ * 运行一次编码并记录墙钟时间、峰值 RSS 与临时 PNG 字节数
+ */
+async function measure(data, args, streaming, outputDir) {
+  const generator = new VideoGenerator({
+    width: args.width,
+    height: args.height,
+    fps: 60,
+    quality: 'medium',
+    outputDir
+  });
+  const tempDir = path.join(outputDir, 'temp_frames');
+
+  let peakRss = process.memoryUsage().rss;
+  const sampler = setInterval(() => {
+    peakRss = Math.max(peakRss, process.memoryUsage().rss);
+  }, SAMPLE_INTERVAL);
+
+  let pngBytes = 0;
+  const onProgress = ({ phase, frame }) => {
+    if (phase !== 'render' || streaming) return;
+    const framePath = path.join(tempDir, `frame_${(frame - 1).toString().padStart(6, '0')}.png`);
+    if (fs.existsSync(framePath)) pngBytes += fs.statSync(framePath).size;
+  };
+
+  const start = process.hrtime.bigint();
+  const result = await generator.generateVideo(data, {
+    filename: streaming ? 'benchmark_stream.mp4' : 'benchmark_disk.mp4',
+    streaming,
+    onProgress
+  });
+  const wallMs = Number(process.hrtime.bigint() - start) / 1e6;
+  clearInterval(sampler);
+  peakRss = Math.max(peakRss, process.memoryUsage().rss);
+
+  if (!result.success) throw new Error(`编码失败: ${result.error}`);
+  if (result.stats.encoding !== (streaming ? 'stream' : 'disk')) {
+    throw new Error(`流式编码回退到了 ${result.stats.encoding}`);
+  }
+  return { wallMs, peakRssMB: peakRss / 2 ** 20, pngMB: pngBytes / 2 ** 20, videoPath: result.videoPath };
+}
+
+// 主函数
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const outputDir = path.join(__dirname, 'output');
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  console.log(`🚀 视频编码基准: ${args.seconds}s @ 60fps, ${args.width}x${args.height}, ${args.runs} 轮`);
+  const data = await simulationData(args.seconds);
+  console.log(`📊 帧数: ${data.frames.length}`);
+
+  const runs = { disk: [], stream: [] };
+  for (let run = 0; run < args.runs; run++) {
+    // 交替运行，减少缓存与温度带来的偏差
+    runs.disk.push(await measure(data, args, false, outputDir));
+    runs.stream.push(await measure(data, args, true, outputDir));
+  }
+
+  const summarize = (list) => ({
+    wallMs: Math.min(...list.map(item => item.wallMs)),
+    peakRssMB: Math.max(...list.map(item => item.peakRssMB)),
+    pngMB: Math.max(...list.map(item => item.pngMB))
+  });
+  const disk = summarize(runs.disk);
+  const stream = summarize(runs.stream);
+  const speedup = disk.wallMs / stream.wallMs;
+
+  console.log('='.repeat(50));
+  console.log(`方式      墙钟(s)   峰值RSS(MB)   临时PNG(MB)`);
+  console.log(`disk    ${(disk.wallMs / 1000).toFixed(2).padStart(8)}   ${disk.peakRssMB.toFixed(0).padStart(11)}   ${disk.pngMB.toFixed(1).padStart(11)}`);
+  console.log(`stream  ${(stream.wallMs / 1000).toFixed(2).padStart(8)}   ${stream.peakRssMB.toFixed(0).padStart(11)}   ${stream.pngMB.toFixed(1).padStart(11)}`);
+  console.log(`📊 加速比: ${speedup.toFixed(2)}x`);
+
+  const report = {
+    date: new Date().toISOString(),
+    node: process.version,
+    frames: data.frames.length,
+    ...args,
+    disk,
+    stream,
+    speedup
+  };
+  const reportPath = path.join(outputDir, 'benchmark_video_encoding.json');
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+  console.log(`✅ 结果已写入: ${reportPath}`);
+}
+
+// 运行基准
+if (require.main === module) {
+  main().catch(error => {
+    console.error('💥 基准执行失败:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { measure, simulationData };
@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+/**
+ * 解析参考解测试脚本
+ * 测试各情景的闭式解（落地时刻、刹车距离、周期、斜面分段、碰撞后速度）、
+ * 输出格式与 MatterSimulationEngine 分析的兼容性，以及与 Matter.js 仿真的偏差对比
+ * 输入：情景参数；对比用例为 TestLayer/adapter_output/02_physics_contract.json 的变体
+ * 输出：控制台断言结果（失败时退出码为1）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+
+// 使用编译后的JS文件
+const { solveAnalytic, compareTraces } = require('../../simulation/AnalyticSolver.js');
+const { simulateContract } = require('../../simulation/SimulationCore.js');
+const { MatterSimulationEngine } = require('../../simulation/MatterSimulationEngine.js');
+
+class AnalyticSolverTester {
+  constructor() {
+    this.fixtureFile = path.join(__dirname, '../TestLayer/adapter_output/02_physics_contract.json');
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  solve(scenario, options) {
+    const result = solveAnalytic(scenario, options);
+    assert.strictEqual(result.success, true, result.error);
+    return result.data;
+  }
+
+  last(data) {
+    return data.frames[data.frames.length - 1].bodies[0];
+  }
+
+  close(actual, expected, tolerance, label) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: ${actual} vs ${expected}`);
+  }
+
+  async check(name, fn) {
+    try {
+      await fn();
+      this.passed++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      this.failed++;
+      console.log(`  ❌ ${name}: ${error.message}`);
+    }
+  }
+
+  async runTest() {
+    console.log('\n🚀 开始解析参考解测试');
+    console.log('='.repeat(50));
+
+    await this.check('抛体：落地时刻、射高与机械能守恒', () => {
+      const data = this.solve({ type: 'projectile', id: 'ball', position: [0, 1], velocity: [3, -4], groundY: 4 });
+      // 1 + (−4)t + 4.9t² = 4
+      const landing = (4 + Math.sqrt(16 + 4 * 4.9 * 3)) / (2 * 4.9);
+      this.close(data.finalState.totalTime, landing, 1e-12, 'landing');
+      assert.strictEqual(data.finalState.endReason, 'end_condition_met: landing');
+      this.close(this.last(data).position[0], 3 * landing, 1e-9, 'range');
+      this.close(this.last(data).position[1], 4, 1e-9, 'ground');
+      this.close(Math.min(...data.frames.map(frame => frame.bodies[0].position[1])), 1 - 16 / (2 * 9.8), 1e-3, 'apex');
+      assert.deepStrictEqual(data.events.map(event => event.type), ['landing']);
+      for (const sample of data.physicsMetrics.energy) this.close(sample.dissipated, 0, 1e-9, 'dissipated');
+    });
+
+    await this.check('自由落体：t = √(2h/g)，v = √(2gh)', () => {
+      const data = this.solve({ type: 'free_fall', position: [1, 0], groundY: 5, g: 10 });
+      this.close(data.finalState.totalTime, 1, 1e-12, 't');
+      this.close(this.last(data).velocity[1], 10, 1e-9, 'v');
+      this.close(data.frames[30].timestamp, 0.5, 1e-12, 'frame time');
+      this.close(data.frames[30].bodies[0].position[1], 1.25, 1e-9, 'y(0.5)');
+    });
+
+    await this.check('匀变速直线运动：刹车距离 v²/(2a) 后静止', () => {
+      const data = this.solve({ type: 'kinematics_linear', position: [0, 0], velocity: [6, 8], acceleration: [-3, -4], stopAtRest: true });
+      // |v| = 10, |a| = 5：2 s 停下，位移 10 m
+      assert.strictEqual(data.events[0].type, 'at_rest');
+      this.close(data.events[0].timestamp, 2000, 1e-9, 'stop');
+      this.close(data.finalState.totalTime, 4, 1e-12, 'duration');
+      assert.deepStrictEqual(this.last(data).velocity, [0, 0]);
+      this.close(Math.hypot(...this.last(data).position), 10, 1e-9, 'distance');
+      const invalid = solveAnalytic({ type: 'kinematics_linear', position: [0, 0], velocity: [1, 0], acceleration: [0, 1], stopAtRest: true });
+      assert.strictEqual(invalid.success, false);
+    });
+
+    await this.check('圆周运动：半径不变、v = ωR，默认一周回到起点', () => {
+      const data = this.solve({ type: 'circular_motion', center: [2, 2], radius: 0.5, angularVelocity: Math.PI, phase: Math.PI / 2 });
+      for (const frame of data.frames) {
+        const [x, y] = frame.bodies[0].position;
+        this.close(Math.hypot(x - 2, y - 2), 0.5, 1e-12, 'radius');
+        this.close(Math.hypot(...frame.bodies[0].velocity), 0.5 * Math.PI, 1e-12, 'speed');
+      }
+      this.close(data.finalState.totalTime, 2, 1e-12, 'period');
+      this.close(this.last(data).position[0], 2, 1e-9, 'x');
+      this.close(this.last(data).position[1], 2.5, 1e-9, 'y');
+    });
+
+    await this.check('简谐振动：周期 2π√(m/k)、弹力 −kx，阻尼耗散', () => {
+      const data = this.solve({ type: 'oscillation', mass: 0.5, k: 20, equilibrium: [1, 0], displacement: 0.1 }, { dt: 0.001 });
+      const period = 2 * Math.PI * Math.sqrt(0.5 / 20);
+      this.close(data.finalState.totalTime, 2 * period, 1e-12, 'duration');
+      this.close(this.last(data).position[0], 1.1, 1e-9, 'x(2T)');
+      for (const sample of data.physicsMetrics.energy) this.close(sample.mechanical, 0.5 * 20 * 0.01, 1e-12, 'E');
+      const frame = data.frames[100];
+      this.close(frame.forces[0].spring[0], -20 * (frame.bodies[0].position[0] - 1), 1e-12, 'spring');
+
+      // 临界阻尼：不越过平衡位置，能量单调耗散
+      const critical = this.solve({ type: 'oscillation', mass: 0.5, k: 20, c: 2 * Math.sqrt(20 * 0.5), equilibrium: [1, 0], displacement: 0.1 });
+      assert.ok(critical.frames.every(item => item.bodies[0].position[0] >= 1), 'overshoot');
+      const dissipated = critical.physicsMetrics.energy.map(sample => sample.dissipated);
+      assert.ok(dissipated.every((value, i) => i === 0 || value >= dissipated[i - 1] - 1e-15), 'monotone');
+      this.close(dissipated[dissipated.length - 1], 0.1, 1e-3, 'dissipated');
+    });
+
+    await this.check('斜面：静摩擦静止、下滑到底时刻、上滑减速后回滑', () => {
+      const angle = Math.PI / 6;
+      const still = this.solve({ type: 'inclined_plane', position: [1, 1], angle, friction: 0.5, frictionStatic: 0.6, mass: 2 });
+      assert.deepStrictEqual(this.last(still).velocity, [0, 0]);
+      const forces = still.frames[10].forces[0];
+      this.close(forces.contacts[0].normalForce, 2 * 9.8 * Math.cos(angle), 1e-9, 'N');
+      this.close(Math.hypot(...forces.friction), 2 * 9.8 * Math.sin(angle), 1e-9, 'static f');
+      assert.ok(forces.friction[1] < 0, 'friction up the slope');
+
+      const a = 9.8 * (Math.sin(angle) - 0.2 * Math.cos(angle));
+      const slide = this.solve({ type: 'inclined_plane', position: [1, 1], angle, friction: 0.2, length: 2 });
+      this.close(slide.finalState.totalTime, Math.sqrt(2 * 2 / a), 1e-9, 'bottom');
+      this.close(this.last(slide).position[0], 1 + 2 * Math.cos(angle), 1e-9, 'x');
+      this.close(this.last(slide).position[1], 1 + 2 * Math.sin(angle), 1e-9, 'y');
+      // 摩擦耗散 μ·m·g·cosθ·L
+      this.close(slide.physicsMetrics.energy[slide.frames.length - 1].dissipated, 0.2 * 9.8 * Math.cos(angle) * 2, 1e-9, 'dissipated');
+
+      // 向左下方倾斜的斜面上以 2 m/s 上滑
+      const up = 9.8 * (Math.sin(angle) + 0.2 * Math.cos(angle));
+      const back = this.solve({ type: 'inclined_plane', position: [1, 1], angle, downhill: -1, speed: -2, friction: 0.2, frictionStatic: 0.3 }, { dt: 0.001 });
+      const stop = Math.round(2 / up / 0.001);
+      assert.ok(back.frames[1].bodies[0].velocity[0] > 0, 'moving up to the right');
+      this.close(back.frames[stop].bodies[0].velocity[0], 0, 0.02, 'v at top');
+      assert.ok(this.last(back).velocity[0] < 0, 'slides back');
+    });
+
+    await this.check('一维碰撞：弹性 / 完全非弹性的末速度与冲量，可供分析器使用', async () => {
+      const bodies = [
+        { id: 'a', mass: 1, position: [0, 0], velocity: 2, radius: 0.1 },
+        { id: 'b', mass: 2, position: [1, 0], velocity: -1, radius: 0.1 }
+      ];
+      const elastic = this.solve({ type: 'collision_1d', bodies, restitution: 1 });
+      const [collision] = elastic.collisions;
+      this.close(collision.time, 0.8 / 3, 1e-12, 'contact');
+      this.close(collision.point[0], 2 * 0.8 / 3 + 0.1, 1e-12, 'point');
+      this.close(collision.impulse, 4, 1e-12, 'impulse');
+      this.close(collision.restitution, 1, 1e-12, 'e');
+      const [a, b] = elastic.finalState.bodies;
+      this.close(a.velocity[0], -2, 1e-12, 'va');
+      this.close(b.velocity[0], 1, 1e-12, 'vb');
+      assert.strictEqual(elastic.physicsMetrics.collisionCount, 1);
+      assert.deepStrictEqual(elastic.events.map(event => event.type), ['collision']);
+
+      const plastic = this.solve({ type: 'collision_1d', bodies, restitution: 0 });
+      plastic.finalState.bodies.forEach(body => this.close(body.velocity[0], 0, 1e-12, body.id));
+
+      const analysis = await new MatterSimulationEngine().analyzeSimulation({ success: true, data: elastic });
+      assert.strictEqual(analysis.analysis.physicsAnalysis.momentumAnalysis.isConserved, true);
+      assert.strictEqual(analysis.analysis.physicsAnalysis.energyConservation.isConserved, true);
+    });
+
+    await this.check('与 Matter.js 仿真对比：抛体偏差在一个子步的量级', async () => {
+      const contract = JSON.parse(fs.readFileSync(this.fixtureFile, 'utf8'));
+      const template = contract.bodies.find(body => body.id === 'ball1');
+      contract.engine = { ...contract.engine, dt: 1 / 60, substeps: 4 };
+      contract.bodies = [{ ...template, position: [0, 1], mass: 1 }];
+      contract.constraints = [];
+      // 契约没有初速度字段，set_velocity 在第一个子步后生效
+      contract.event_rules = [{ when: { on: 'time', t: 0 }, do: [{ action: 'set_velocity', id: 'ball1', velocity: [3, -4] }], once: true }];
+      contract.end_conditions = { maxTime: 1.2, stopWhen: [] };
+      const simulated = await simulateContract(contract);
+      assert.strictEqual(simulated.success, true, simulated.error);
+
+      const reference = this.solve({ type: 'projectile', id: 'ball1', position: [0, 1], velocity: [3, -4], groundY: 4 });
+      const comparison = compareTraces(reference, simulated.data);
+      const [ball] = comparison.bodies;
+      assert.strictEqual(ball.id, 'ball1');
+      assert.strictEqual(ball.samples, 73);
+      assert.ok(ball.maxPositionError < 0.03, `max ${ball.maxPositionError}`);
+      assert.ok(ball.rmsPositionError < 0.02, `rms ${ball.rmsPositionError}`);
+
+      // 与自身对比无偏差
+      assert.strictEqual(compareTraces(reference, reference).maxPositionError, 0);
+    });
+
+    await this.check('参数不合法时返回失败结果', () => {
+      assert.strictEqual(solveAnalytic({ type: 'circular_motion', center: [0, 0], radius: 0, angularVelocity: 1 }).success, false);
+      assert.strictEqual(solveAnalytic({ type: 'oscillation', mass: 1, k: -1, equilibrium: [0, 0], displacement: 0.1 }).success, false);
+      const overlap = solveAnalytic({
+        type: 'collision_1d',
+        restitution: 1,
+        bodies: [{ id: 'a', mass: 1, position: [0, 0], velocity: 1, radius: 0.5 }, { id: 'b', mass: 1, position: [0.5, 0], velocity: 0, radius: 0.5 }]
+      });
+      assert.match(overlap.error, /overlap/);
+      assert.match(solveAnalytic({ type: 'pendulum' }).error, /Unsupported analytic scenario/);
+    });
+
+    console.log('='.repeat(50));
+    console.log(`📊 通过 ${this.passed}，失败 ${this.failed}`);
+    return this.failed === 0;
+  }
+}
+
+// 主函数
+async function main() {
+  const tester = new AnalyticSolverTester();
+  const ok = await tester.runTest();
+  if (!ok) process.exit(1);
+}
+
+// 运行测试
+if (require.main === module) {
+  main().catch(error => {
+    console.error('💥 测试脚本执行失败:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { AnalyticSolverTester };
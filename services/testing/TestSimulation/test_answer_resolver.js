@@ -0,0 +1,218 @@
+#!/usr/bin/env node
+/**
+ * 答案解析测试脚本
+ * 测试所求量查询在仿真轨迹上的求值：关键时刻、越线、极值、碰撞前后速度、单位换算与无法求值的查询
+ * 输入：TestLayer/adapter_output/02_physics_contract.json 及其变体
+ * 输出：控制台断言结果（失败时退出码为1）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+
+// 使用编译后的JS文件
+const { simulateContract } = require('../../simulation/SimulationCore.js');
+const { extractKeyMoments } = require('../../simulation/KeyMoments.js');
+const { resolveAnswers, formatAnswer } = require('../../simulation/AnswerResolver.js');
+
+class AnswerResolverTester {
+  constructor() {
+    this.fixtureFile = path.join(__dirname, '../TestLayer/adapter_output/02_physics_contract.json');
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  /**
+   * 以 ball1 为模板构造契约
+   */
+  contract({ gravity = [0, 9.8], bodies, constraints = [], rules = [], maxTime = 2 }) {
+    const contract = JSON.parse(fs.readFileSync(this.fixtureFile, 'utf8'));
+    const template = contract.bodies.find(body => body.id === 'ball1');
+    contract.engine = { ...contract.engine, dt: 1 / 60, substeps: 4 };
+    contract.world.gravity = gravity;
+    contract.bodies = bodies.map(body => ({ ...template, angle: 0, friction: 0, frictionStatic: 0, ...body }));
+    contract.constraints = constraints;
+    contract.event_rules = rules;
+    contract.end_conditions = { maxTime, stopWhen: [] };
+    return contract;
+  }
+
+  /**
+   * 小球从 y = 1 由静止下落到顶面 y = 5 的地面（下落 3.9 m）
+   */
+  drop() {
+    return this.contract({
+      bodies: [
+        { id: 'ground', shape: 'box', isStatic: true, position: [5, 5.25], size: { w: 10, h: 0.5 }, r: undefined },
+        { id: 'ball', position: [1, 1], r: 0.1, mass: 2, restitution: 0 }
+      ],
+      maxTime: 1.2
+    });
+  }
+
+  async resolve(contract, queries) {
+    const result = await simulateContract(contract);
+    assert.strictEqual(result.success, true, result.error);
+    return resolveAnswers(queries, result.data, contract);
+  }
+
+  async check(name, fn) {
+    try {
+      await fn();
+      this.passed++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      this.failed++;
+      console.log(`  ❌ ${name}: ${error.message}`);
+    }
+  }
+
+  async runTest() {
+    console.log('\n🚀 开始答案解析测试');
+    console.log('='.repeat(50));
+
+    await this.check('落地速度与时间：首次落地时刻取碰前速度，附误差说明与展示文本', async () => {
+      const [speed, time] = await this.resolve(this.drop(), [
+        { id: 'q1', description: '小球落地时的速度', quantity: 'speed', body: 'ball', at: { kind: 'moment', type: 'first_ground_contact' } },
+        { id: 'q2', description: '小球下落的时间', quantity: 'time', body: 'ball', at: { kind: 'moment', type: 'first_ground_contact', with: 'ground' } }
+      ]);
+      const exact = Math.sqrt(2 * 9.8 * 3.9);
+      this.close(speed.value, exact, 0.1, 'landing speed');
+      assert.strictEqual(speed.unit, 'm/s');
+      assert.ok(speed.tolerance > 0 && speed.tolerance < 0.1, `tolerance ${speed.tolerance}`);
+      assert.strictEqual(speed.display, formatAnswer(speed.value, 'm/s'));
+      assert.match(speed.display, /^Simulated answer: 8\.\d{2} m\/s$/);
+      assert.match(speed.note, /^±[\d.]+ m\/s: quantity change over one 4\.17 ms physics step; /);
+
+      this.close(time.value, Math.sqrt(2 * 3.9 / 9.8), 0.02, 'fall time');
+      assert.strictEqual(time.time, time.value);
+      assert.strictEqual(time.unit, 's');
+    });
+
+    await this.check('越线与单位换算：下落 2 m 时的速度（km/h）、位移与路程', async () => {
+      const [speed, displacement, distance] = await this.resolve(this.drop(), [
+        { id: 'q1', description: '下落 2 m 时的速度', quantity: 'speed', body: 'ball', at: { kind: 'crossing', axis: 'y', value: 3 }, unit: 'km/h' },
+        { id: 'q2', description: '下落 2 m 时的位移', quantity: 'displacement', body: 'ball', at: { kind: 'crossing', axis: 'y', value: 3 }, unit: 'cm' },
+        { id: 'q3', description: '全程路程', quantity: 'distance', body: 'ball', at: { kind: 'end' } }
+      ]);
+      this.close(speed.value, Math.sqrt(2 * 9.8 * 2) * 3.6, 0.2, 'speed km/h');
+      assert.strictEqual(speed.unit, 'km/h');
+      this.close(displacement.value, 200, 0.5, 'displacement cm');
+      this.close(distance.value, 3.9, 0.02, 'distance');
+    });
+
+    await this.check('极值：抛体最高点高度与最小 y 一致，弹簧最大压缩', async () => {
+      const projectile = this.contract({
+        bodies: [{ id: 'ball', position: [1, 4], r: 0.1, mass: 1 }],
+        rules: [{ when: { on: 'time', t: 0 }, do: [{ action: 'set_velocity', id: 'ball', velocity: [3, -4] }], once: true }],
+        maxTime: 0.8
+      });
+      const [height, minY, apexY] = await this.resolve(projectile, [
+        { id: 'q1', description: '最大高度', quantity: 'height', body: 'ball', at: { kind: 'extreme', of: 'max' } },
+        { id: 'q2', description: '最高点 y', quantity: 'position_y', body: 'ball', at: { kind: 'extreme', of: 'min' } },
+        { id: 'q3', description: '最高点 y', quantity: 'position_y', body: 'ball', at: { kind: 'moment', type: 'max_height' } }
+      ]);
+      this.close(height.value, -minY.value, 1e-6, 'height = −y');
+      this.close(minY.value, 4 - 16 / (2 * 9.8), 0.02, 'apex y');
+      this.close(minY.value, apexY.value, 1e-3, 'extreme vs key moment');
+      // Matter.js 的速度为上一步的位置差，速度过零比位置极值晚约半步
+      this.close(minY.time, apexY.time, 1 / 240, 'apex time');
+
+      const oscillator = this.contract({
+        gravity: [0, 0],
+        bodies: [{ id: 'bob', position: [4.2, 1], r: 0.1, mass: 1 }],
+        constraints: [{ id: 's', type: 'spring', a: { body: null, point: [3, 1] }, b: { body: 'bob', point: null }, length: 1, k: 50 }],
+        maxTime: 1
+      });
+      const [compression, atMoment] = await this.resolve(oscillator, [
+        { id: 'q1', description: '弹簧的最大压缩量', quantity: 'spring_compression', constraint: 's', at: { kind: 'extreme', of: 'max' }, unit: 'cm' },
+        { id: 'q2', description: '压缩最大时的长度', quantity: 'spring_length', constraint: 's', at: { kind: 'moment', type: 'max_spring_compression' } }
+      ]);
+      this.close(compression.value, 20, 0.1, 'compression cm');
+      this.close(compression.time, Math.PI / Math.sqrt(50), 5e-3, 'compression time');
+      this.close(atMoment.value, 0.8, 1e-3, 'spring length');
+    });
+
+    await this.check('碰撞：碰前 / 碰后速度，末动能与动量', async () => {
+      const contract = this.contract({
+        gravity: [0, 0],
+        bodies: [
+          { id: 'a', position: [1, 1], r: 0.1, mass: 1, restitution: 1 },
+          { id: 'b', position: [2, 1], r: 0.1, mass: 1, restitution: 1 }
+        ],
+        rules: [{ when: { on: 'time', t: 0 }, do: [{ action: 'set_velocity', id: 'a', velocity: [3, 0] }], once: true }],
+        maxTime: 0.6
+      });
+      const answers = await this.resolve(contract, [
+        { id: 'q1', description: 'a 碰前速度', quantity: 'velocity_x', body: 'a', at: { kind: 'moment', type: 'collision', with: 'b', phase: 'before' } },
+        { id: 'q2', description: 'b 碰后速度', quantity: 'velocity_x', body: 'b', at: { kind: 'moment', type: 'collision', with: 'a' } },
+        { id: 'q3', description: 'b 的末动能', quantity: 'kinetic_energy', body: 'b', at: { kind: 'end' } },
+        { id: 'q4', description: 'b 的末动量', quantity: 'momentum', body: 'b', at: { kind: 'end' } }
+      ]);
+      const [before, after, kinetic, momentum] = answers;
+      this.close(before.value, 3, 1e-6, 'a before');
+      // Matter.js 的弹性碰撞约有 5% 的冲量损失
+      this.close(after.value, 3, 0.2, 'b after');
+      this.close(kinetic.value, 0.5 * after.value ** 2, 0.05, 'kinetic energy');
+      this.close(momentum.value, after.value, 0.02, 'momentum');
+      assert.strictEqual(kinetic.unit, 'J');
+    });
+
+    await this.check('无法求值的查询给出原因，不影响其他查询', async () => {
+      const answers = await this.resolve(this.drop(), [
+        { id: 'q1', description: '未知刚体', quantity: 'speed', body: 'cart', at: { kind: 'end' } },
+        { id: 'q2', description: '没有发生的碰撞', quantity: 'speed', body: 'ball', at: { kind: 'moment', type: 'collision', with: 'wall_left' } },
+        { id: 'q3', description: '单位不匹配', quantity: 'speed', body: 'ball', at: { kind: 'end' }, unit: 'kg' },
+        { id: 'q4', description: '超出仿真时长', quantity: 'speed', body: 'ball', at: { kind: 'time', t: 5 } },
+        { id: 'q5', description: '缺少弹簧', quantity: 'spring_compression', at: { kind: 'end' } },
+        { id: 'q6', description: '初始高度', quantity: 'position_y', body: 'ball', at: { kind: 'start' } }
+      ]);
+      assert.deepStrictEqual(answers.slice(0, 5).map(answer => answer.error), [
+        'Unknown body "cart"',
+        'No collision moment for ball with wall_left',
+        'Cannot express speed in "kg"',
+        't = 5 s is outside the simulated interval',
+        'spring_compression needs a constraint'
+      ]);
+      assert.ok(answers.slice(0, 5).every(answer => answer.value === null && answer.display === 'No simulated answer'));
+      this.close(answers[5].value, 1, 1e-3, 'start y');
+      assert.strictEqual(answers[5].error, undefined);
+    });
+
+    await this.check('复用已提取的关键时刻时间线', async () => {
+      const contract = this.drop();
+      const result = await simulateContract(contract);
+      const timeline = extractKeyMoments(result.data, contract, { types: ['max_height'] });
+      const query = { id: 'q1', description: '落地时间', quantity: 'time', body: 'ball', at: { kind: 'moment', type: 'first_ground_contact' } };
+      const [answer] = resolveAnswers([query], result.data, contract, { timeline });
+      // 传入的时间线里没有落地时刻
+      assert.strictEqual(answer.value, null);
+      assert.strictEqual(resolveAnswers([query], result.data, contract)[0].error, undefined);
+    });
+
+    console.log('='.repeat(50));
+    console.log(`📊 通过 ${this.passed}，失败 ${this.failed}`);
+    return this.failed === 0;
+  }
+
+  close(actual, expected, tolerance, label) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: ${actual} vs ${expected}`);
+  }
+}
+
+// 主函数
+async function main() {
+  const tester = new AnswerResolverTester();
+  const ok = await tester.runTest();
+  if (!ok) process.exit(1);
+}
+
+// 运行测试
+if (require.main === module) {
+  main().catch(error => {
+    console.error('💥 测试脚本执行失败:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { AnswerResolverTester };
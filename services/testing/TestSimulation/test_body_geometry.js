@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+/**
+ * 刚体绘制几何测试脚本
+ * 测试契约形状的局部轮廓、按帧位姿变换到世界坐标、斜置静态体的真实角度、合并（含多次合并）后复合体的部件轮廓
+ * 输入：TestLayer/adapter_output/02_physics_contract.json 的变体及手工构造的合并事件
+ * 输出：控制台断言结果（失败时退出码为1）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+
+// 使用编译后的JS文件
+const { simulateContract } = require('../../simulation/SimulationCore.js');
+const { bodyOutlines, outlineAt } = require('../../simulation/BodyGeometry.js');
+const { bodyPolygon } = require('../../validation/GeometryAnalyzer.js');
+
+class BodyGeometryTester {
+  constructor() {
+    this.fixtureFile = path.join(__dirname, '../TestLayer/adapter_output/02_physics_contract.json');
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  fixture() {
+    return JSON.parse(fs.readFileSync(this.fixtureFile, 'utf8'));
+  }
+
+  /**
+   * 无重力下静止的两个斜置方块与一个三角形，按时间依次合并
+   */
+  mergeContract() {
+    const contract = this.fixture();
+    const template = contract.bodies.find(body => body.id === 'ball1');
+    contract.engine = { ...contract.engine, dt: 1 / 60, substeps: 4 };
+    contract.world.gravity = [0, 0];
+    contract.bodies = [
+      { ...template, id: 'block1', shape: 'box', position: [2, 2], size: { w: 0.6, h: 0.3 }, r: undefined, angle: 0.3, mass: 1 },
+      { ...template, id: 'block2', shape: 'box', position: [2.7, 2.1], size: { w: 0.4, h: 0.4 }, r: undefined, angle: -0.2, mass: 2 },
+      { ...template, id: 'wedge', shape: 'polygon', position: [2.3, 2.8], vertices: [[0, 0], [0.6, 0], [0, -0.4]], r: undefined, angle: 0.7, mass: 1 }
+    ];
+    contract.constraints = [];
+    contract.event_rules = [
+      { when: { on: 'time', t: 0.1 }, do: [{ action: 'merge_bodies', ids: ['block1', 'block2'], newId: 'pair' }], once: true },
+      { when: { on: 'time', t: 0.2 }, do: [{ action: 'merge_bodies', ids: ['pair', 'wedge'], newId: 'trio' }], once: true }
+    ];
+    contract.end_conditions = { maxTime: 0.3, stopWhen: [] };
+    return contract;
+  }
+
+  async check(name, fn) {
+    try {
+      await fn();
+      this.passed++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      this.failed++;
+      console.log(`  ❌ ${name}: ${error.message}`);
+    }
+  }
+
+  async runTest() {
+    console.log('\n🚀 开始刚体绘制几何测试');
+    console.log('='.repeat(50));
+
+    await this.check('契约形状：圆取 r，方块取 size，多边形以质心为原点', () => {
+      const contract = this.mergeContract();
+      contract.bodies.push({ ...contract.bodies[0], id: 'wheel', shape: 'circle', r: 0.25, size: undefined });
+      const outlines = bodyOutlines(contract);
+
+      const wheel = outlines.wheel.parts[0].shape;
+      assert.strictEqual(wheel.kind, 'circle');
+      assert.strictEqual(wheel.r, 0.25);
+      this.close(outlines.wheel.radius, 0.25, 1e-12, 'circle radius');
+
+      const block = outlines.block1.parts[0].shape.vertices;
+      assert.deepStrictEqual(block, [[-0.3, -0.15], [0.3, -0.15], [0.3, 0.15], [-0.3, 0.15]]);
+
+      const wedge = outlines.wedge.parts[0].shape.vertices;
+      const centroid = wedge.reduce((sum, v) => [sum[0] + v[0] / 3, sum[1] + v[1] / 3], [0, 0]);
+      this.close(Math.hypot(...centroid), 0, 1e-12, 'polygon centroid');
+      assert.strictEqual(outlines.wedge.isStatic, false);
+    });
+
+    await this.check('按位姿变换：与 GeometryAnalyzer 的世界轮廓一致', () => {
+      const contract = this.mergeContract();
+      const outlines = bodyOutlines(contract);
+      for (const body of contract.bodies) {
+        const [part] = outlineAt(outlines[body.id], body);
+        this.closePoints(part.vertices, bodyPolygon(body), 1e-12, body.id);
+      }
+    });
+
+    await this.check('斜坡：记录帧中的静态体按契约角度绘制', async () => {
+      const contract = this.fixture();
+      contract.end_conditions = { maxTime: 0.1, stopWhen: [] };
+      const result = await simulateContract(contract, { recordRate: 60 });
+      const outlines = bodyOutlines(contract, result.data.events);
+      const ramp = contract.bodies.find(body => body.id === 'ramp');
+      const recorded = result.data.frames[result.data.frames.length - 1].bodies.find(body => body.id === 'ramp');
+      this.close(recorded.angle, ramp.angle, 1e-9, 'ramp angle');
+      this.closePoints(outlineAt(outlines.ramp, recorded)[0].vertices, bodyPolygon(ramp), 1e-9, 'ramp');
+      assert.strictEqual(outlines.ramp.isStatic, true);
+    });
+
+    await this.check('合并：复合体部件在合并后仍与原刚体轮廓重合', async () => {
+      const contract = this.mergeContract();
+      const result = await simulateContract(contract, { recordRate: 60 });
+      assert.ok(result.success, result.error);
+      const outlines = bodyOutlines(contract, result.data.events);
+      assert.deepStrictEqual(outlines.pair.parts.map(part => part.id), ['block1', 'block2']);
+      assert.deepStrictEqual(outlines.trio.parts.map(part => part.id), ['block1', 'block2', 'wedge']);
+
+      // 静止无重力：复合体不动，部件轮廓等于契约中的初始轮廓
+      const last = result.data.frames[result.data.frames.length - 1];
+      const trio = last.bodies.find(body => body.id === 'trio');
+      assert.ok(trio, 'merged body recorded');
+      outlineAt(outlines.trio, trio).forEach(part => {
+        const original = contract.bodies.find(body => body.id === part.id);
+        this.closePoints(part.vertices, bodyPolygon(original), 1e-6, part.id);
+      });
+      assert.ok(outlines.trio.radius > outlines.block1.radius);
+    });
+
+    await this.check('多次合并：部件朝向逐级累加，复合体转动时部件随之转动', () => {
+      const contract = this.mergeContract();
+      const events = [
+        { type: 'merge_bodies', timestamp: 200, participants: ['ab', 'wedge'], data: { newId: 'abc', parts: [
+          { id: 'block1', offset: [-0.5, 0], angle: 0.4 },
+          { id: 'block2', offset: [0.2, 0], angle: 0.4 },
+          { id: 'wedge', offset: [0.3, 0.5], angle: 0.7 }
+        ] } },
+        { type: 'merge_bodies', timestamp: 100, participants: ['block1', 'block2'], data: { newId: 'ab', parts: [
+          { id: 'block1', offset: [-0.3, 0], angle: 0.3 },
+          { id: 'block2', offset: [0.3, 0], angle: -0.2 }
+        ] } }
+      ];
+      const outlines = bodyOutlines(contract, events);
+      assert.deepStrictEqual(outlines.abc.parts.map(part => [part.id, Number(part.angle.toFixed(12))]), [
+        ['block1', 0.7], ['block2', 0.2], ['wedge', 0.7]
+      ]);
+
+      // 复合体转过 θ：部件质心绕原点转 θ，自身朝向加 θ
+      const theta = Math.PI / 2;
+      const parts = outlineAt(outlines.abc, { position: [1, 1], angle: theta });
+      const block2 = parts.find(part => part.id === 'block2');
+      const expected = bodyPolygon({ ...contract.bodies[1], position: [1, 1.2], angle: 0.2 + theta });
+      this.closePoints(block2.vertices, expected, 1e-12, 'rotated block2');
+    });
+
+    await this.check('缺少部件记录的合并与未知参与者被忽略', () => {
+      const contract = this.mergeContract();
+      const outlines = bodyOutlines(contract, [
+        { type: 'merge_bodies', timestamp: 100, participants: ['block1', 'block2'], data: { newId: 'legacy' } },
+        { type: 'merge_bodies', timestamp: 100, participants: ['ghost'], data: { newId: 'phantom', parts: [{ id: 'ghost', offset: [0, 0], angle: 0 }] } },
+        { type: 'collision', timestamp: 100, participants: ['block1', 'block2'] }
+      ]);
+      assert.deepStrictEqual(Object.keys(outlines).sort(), ['block1', 'block2', 'wedge']);
+    });
+
+    console.log('='.repeat(50));
+    console.log(`📊 通过 ${this.passed}，失败 ${this.failed}`);
+    return this.failed === 0;
+  }
+
+  close(actual, expected, tolerance, label) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: ${actual} vs ${expected}`);
+  }
+
+  closePoints(actual, expected, tolerance, label) {
+    assert.strictEqual(actual.length, expected.length, `${label}: vertex count`);
+    actual.forEach((point, i) => {
+      this.close(point[0], expected[i][0], tolerance, `${label}[${i}].x`);
+      this.close(point[1], expected[i][1], tolerance, `${label}[${i}].y`);
+    });
+  }
+}
+
+// 主函数
+async function main() {
+  const tester = new BodyGeometryTester();
+  const ok = await tester.runTest();
+  if (!ok) process.exit(1);
+}
+
+// 运行测试
+if (require.main === module) {
+  main().catch(error => {
+    console.error('💥 测试脚本执行失败:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { BodyGeometryTester };
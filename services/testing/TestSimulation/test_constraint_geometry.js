@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+/**
+ * 约束绘制几何测试脚本
+ * 测试帧内约束状态的记录（含运行中附加的约束）、端点随刚体转动、弹簧圈数固定、松弛绳下垂、滑轨与滑轮路径
+ * 输入：TestLayer/adapter_output/02_physics_contract.json 的变体
+ * 输出：控制台断言结果（失败时退出码为1）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+
+// 使用编译后的JS文件
+const { simulateContract } = require('../../simulation/SimulationCore.js');
+const { resampleFrames } = require('../../simulation/FrameResampler.js');
+const { constraintDrawings, constraintAnchors, springCoil, ropePath } = require('../../simulation/ConstraintGeometry.js');
+
+class ConstraintGeometryTester {
+  constructor() {
+    this.fixtureFile = path.join(__dirname, '../TestLayer/adapter_output/02_physics_contract.json');
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  /**
+   * 以 ball1 为模板的刚体（无摩擦、无碰撞边界干扰）
+   */
+  contract(bodies, constraints, maxTime) {
+    const contract = JSON.parse(fs.readFileSync(this.fixtureFile, 'utf8'));
+    const template = contract.bodies.find(body => body.id === 'ball1');
+    contract.world.bounds = { min: [-5, -5], max: [5, 5] };
+    contract.engine = { ...contract.engine, dt: 1 / 60, substeps: 4 };
+    contract.bodies = bodies.map(body => ({ ...template, mass: 1, ...body }));
+    contract.constraints = constraints;
+    contract.event_rules = [];
+    contract.end_conditions = { maxTime, stopWhen: [] };
+    return contract;
+  }
+
+  async simulate(contract, options = {}) {
+    const result = await simulateContract(contract, options);
+    assert.strictEqual(result.success, true, result.error);
+    return result.data;
+  }
+
+  async check(name, fn) {
+    try {
+      await fn();
+      this.passed++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      this.failed++;
+      console.log(`  ❌ ${name}: ${error.message}`);
+    }
+  }
+
+  async runTest() {
+    console.log('\n🚀 开始约束绘制几何测试');
+    console.log('='.repeat(50));
+
+    await this.check('帧内记录约束：类型、原长与 SI 端点', async () => {
+      const data = await this.simulate(this.contract(
+        [{ id: 'bob', position: [0.6, 0] }],
+        [{ id: 'coil', type: 'spring', k: 20, length: 0.5, a: { body: null, point: [0, 0] }, b: { body: 'bob', point: [0.05, 0] } }],
+        0.5
+      ));
+      const [first] = data.frames;
+      assert.strictEqual(first.constraints.length, 1);
+      const coil = first.constraints[0];
+      assert.deepStrictEqual([coil.id, coil.type, coil.a.body, coil.b.body], ['coil', 'spring', null, 'bob']);
+      this.close(coil.length, 0.5, 1e-12, 'rest length');
+      this.closePoint(coil.b.point, [0.05, 0], 1e-12, 'local offset');
+
+      const [a, b] = constraintAnchors(coil, first.bodies);
+      this.closePoint(a, [0, 0], 1e-12, 'world end');
+      this.closePoint(b, [0.65, 0], 1e-12, 'body end');
+      assert.ok(data.frames.every(frame => frame.constraints.length === 1));
+    });
+
+    await this.check('端点随刚体转动：铰接板摆动时销钉端点保持在铰接点', async () => {
+      const data = await this.simulate(this.contract(
+        [{ id: 'plate', shape: 'box', size: { w: 0.2, h: 0.2 }, position: [0.1, 0], r: undefined }],
+        [{ id: 'pin', type: 'hinge', a: { body: 'plate', point: [-0.1, 0] }, b: { body: null, point: [0, 0] } }],
+        1
+      ));
+      const last = data.frames[data.frames.length - 1];
+      assert.ok(Math.abs(last.bodies[0].angle) > 0.1, 'plate did not swing');
+      for (const frame of resampleFrames(data, { fps: 24 })) {
+        const [onPlate] = constraintAnchors(frame.constraints[0], frame.bodies);
+        this.closePoint(onPlate, [0, 0], 2e-3, `t = ${frame.timestamp.toFixed(3)}`);
+      }
+      const [drawing] = constraintDrawings(last.constraints, last.bodies);
+      assert.strictEqual(drawing.pins.length, 1);
+    });
+
+    await this.check('弹簧：圈数与线圈宽度不随伸缩变化，两端点精确', () => {
+      const rest = 0.5;
+      const counts = [0.2, 0.5, 1.2].map(length => {
+        const coil = springCoil([0, 0], [length, 0], rest);
+        this.closePoint(coil[0], [0, 0], 0, 'start');
+        this.closePoint(coil[coil.length - 1], [length, 0], 1e-12, 'end');
+        const width = Math.max(...coil.map(p => p[1])) - Math.min(...coil.map(p => p[1]));
+        this.close(width, rest * 0.2, 1e-12, `width at ${length}`);
+        // 锯齿点沿弹簧单调推进
+        coil.slice(1).forEach((p, i) => assert.ok(p[0] >= coil[i][0] - 1e-12, `monotonic at ${length}`));
+        return coil.length;
+      });
+      assert.deepStrictEqual(counts, [24, 24, 24]);
+      assert.strictEqual(springCoil([0, 0], [0, 1], rest, { coils: 6 }).length, 16);
+    });
+
+    await this.check('绳：拉直为直线，松弛时下垂且弧长约为绳长', () => {
+      assert.deepStrictEqual(ropePath([0, 0], [1, 0], 1), [[0, 0], [1, 0]]);
+      for (const [d, L] of [[1, 1.05], [1, 1.3], [0.1, 1]]) {
+        const rope = ropePath([0, 0], [d, 0], L);
+        const arc = rope.slice(1).reduce((sum, p, i) => sum + Math.hypot(p[0] - rope[i][0], p[1] - rope[i][1]), 0);
+        assert.ok(Math.abs(arc - L) / L < 0.12, `arc ${arc} vs ${L}`);
+        assert.ok(Math.max(...rope.map(p => p[1])) > 0, 'sags downward (y down)');
+      }
+    });
+
+    await this.check('运行中附加的绳：附加前不绘制，附加后出现在每帧', async () => {
+      const contract = this.contract(
+        [{ id: 'bob', position: [0.3, 0.5] }],
+        [{ id: 'string', type: 'rope', length: 0.8, a: { body: null, point: [0, 0] }, b: { body: null, point: null } }],
+        0.5
+      );
+      contract.event_rules = [{
+        when: { on: 'time', t: 0.2 },
+        do: [{ action: 'attach_constraint', constraint: { id: 'string', a: { body: null, point: [0, 0] }, b: { body: 'bob', point: null } } }],
+        once: true
+      }];
+      const data = await this.simulate(contract);
+      const attached = data.events.find(event => event.type === 'attach_constraint').timestamp / 1000;
+      for (const frame of data.frames) {
+        const drawings = constraintDrawings(frame.constraints, frame.bodies);
+        assert.strictEqual(drawings.length, frame.timestamp >= attached ? 1 : 0, `t = ${frame.timestamp}`);
+      }
+      const last = data.frames[data.frames.length - 1];
+      const [rope] = constraintDrawings(last.constraints, last.bodies);
+      assert.strictEqual(rope.type, 'rope');
+      this.closePoint(rope.path[rope.path.length - 1], last.bodies[0].position, 1e-12, 'rope end on bob');
+    });
+
+    await this.check('滑轨穿过固定端，滑轮为经过两轮的折线，端点刚体缺失时跳过', () => {
+      const bodies = [{ id: 'bead', position: [1, 1], angle: 0 }, { id: 'left', position: [-1, 2], angle: 0 }];
+      const drawings = constraintDrawings([
+        { id: 'wire', type: 'slider', a: { body: 'bead', point: [0, 0] }, b: { body: null, point: [0, 0] }, length: 0, axis: [Math.SQRT1_2, Math.SQRT1_2] },
+        { id: 'lift', type: 'pulley', a: { body: 'left', point: [0, 0] }, b: { body: 'bead', point: [0, 0] }, length: 4, wheels: [[-1, 0], [1, 0]] },
+        { id: 'gone', type: 'rod', a: { body: 'ghost', point: [0, 0] }, b: { body: 'bead', point: [0, 0] }, length: 1 }
+      ], bodies);
+      assert.deepStrictEqual(drawings.map(drawing => drawing.id), ['wire', 'lift']);
+
+      const [wire, lift] = drawings;
+      const [r0, r1] = wire.rail;
+      this.close(r0[0] + r1[0], 0, 1e-12, 'rail centred on fixed end');
+      // 滑块在滑轨上
+      const cross = (r1[0] - r0[0]) * (1 - r0[1]) - (r1[1] - r0[1]) * (1 - r0[0]);
+      this.close(cross, 0, 1e-9, 'bead on rail');
+      assert.deepStrictEqual(lift.path, [[-1, 2], [-1, 0], [1, 0], [1, 1]]);
+      assert.deepStrictEqual(lift.wheels, [[-1, 0], [1, 0]]);
+    });
+
+    console.log('='.repeat(50));
+    console.log(`📊 通过 ${this.passed}，失败 ${this.failed}`);
+    return this.failed === 0;
+  }
+
+  close(actual, expected, tolerance, label) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: ${actual} vs ${expected}`);
+  }
+
+  closePoint(actual, expected, tolerance, label) {
+    this.close(actual[0], expected[0], tolerance, `${label}.x`);
+    this.close(actual[1], expected[1], tolerance, `${label}.y`);
+  }
+}
+
+// 主函数
+async function main() {
+  const tester = new ConstraintGeometryTester();
+  const ok = await tester.runTest();
+  if (!ok) process.exit(1);
+}
+
+// 运行测试
+if (require.main === module) {
+  main().catch(error => {
+    console.error('💥 测试脚本执行失败:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { ConstraintGeometryTester };
@@ -0,0 +1,242 @@
+#!/usr/bin/env node
+/**
+ * 约束类型测试脚本
+ * 测试 rope、rod、hinge、slider、pulley 约束：单摆周期、绳只能拉不能推、
+ * 阿特伍德机加速度、斜滑轨加速度、铰接点位置，以及契约校验
+ * 输入：TestLayer/adapter_output/02_physics_contract.json 的变体
+ * 输出：控制台断言结果（失败时退出码为1）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+
+// 使用编译后的JS文件
+const { SimulationCore, simulateContract } = require('../../simulation/SimulationCore.js');
+const { ContractValidator } = require('../../validation/ContractValidator.js');
+const { ContractSemanticChecker } = require('../../validation/ContractSemanticChecker.js');
+
+const G = 9.8;
+
+class ConstraintsTester {
+  constructor() {
+    this.fixtureFile = path.join(__dirname, '../TestLayer/adapter_output/02_physics_contract.json');
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  /**
+   * 以 ball1 为模板的刚体（无摩擦、无碰撞边界干扰）
+   */
+  contract(bodies, constraints, maxTime) {
+    const contract = JSON.parse(fs.readFileSync(this.fixtureFile, 'utf8'));
+    const template = contract.bodies.find(body => body.id === 'ball1');
+    contract.world.bounds = { min: [-5, -5], max: [5, 5] };
+    contract.engine = { ...contract.engine, dt: 1 / 60, substeps: 4 };
+    contract.bodies = bodies.map(body => ({ ...template, mass: 1, ...body }));
+    contract.constraints = constraints;
+    contract.event_rules = [];
+    contract.end_conditions = { maxTime, stopWhen: [] };
+    return contract;
+  }
+
+  async simulate(contract) {
+    const result = await simulateContract(contract);
+    assert.strictEqual(result.success, true, result.error);
+    return result.data;
+  }
+
+  // 某刚体在最接近 time 的帧中的状态
+  stateAt(data, id, time) {
+    const frame = data.frames.reduce((best, f) => Math.abs(f.timestamp - time) < Math.abs(best.timestamp - time) ? f : best);
+    return frame.bodies.find(body => body.id === id);
+  }
+
+  // 半隐式欧拉的位移偏差约为 a·t·Δt/2（Δt = 1/240 s），容差取一个完整步
+  drift(acceleration, time) {
+    return acceleration * time / 240;
+  }
+
+  close(actual, expected, tolerance, label) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: ${actual} vs ${expected}`);
+  }
+
+  async check(name, fn) {
+    try {
+      await fn();
+      this.passed++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      this.failed++;
+      console.log(`  ❌ ${name}: ${error.message}`);
+    }
+  }
+
+  async runTest() {
+    console.log('\n🚀 开始约束类型测试');
+    console.log('='.repeat(50));
+
+    await this.check('绳单摆周期 T = 2π√(L/g)', async () => {
+      const L = 1;
+      const theta = 0.1;
+      const data = await this.simulate(this.contract(
+        [{ id: 'bob', position: [L * Math.sin(theta), L * Math.cos(theta)] }],
+        [{ id: 'string', type: 'rope', a: { body: null, point: [0, 0] }, b: { body: 'bob', point: null } }],
+        5
+      ));
+      // 相邻两次自右向左越过竖直线的间隔
+      const crossings = [];
+      for (let i = 1; i < data.frames.length; i++) {
+        const x0 = data.frames[i - 1].bodies[0].position[0];
+        const x1 = data.frames[i].bodies[0].position[0];
+        if (x0 > 0 && x1 <= 0) {
+          const t0 = data.frames[i - 1].timestamp;
+          crossings.push(t0 + (data.frames[i].timestamp - t0) * x0 / (x0 - x1));
+        }
+      }
+      assert.ok(crossings.length >= 2, 'pendulum did not swing');
+      // 含有限振幅修正 1 + θ²/16
+      const expected = 2 * Math.PI * Math.sqrt(L / G) * (1 + theta ** 2 / 16);
+      this.close(crossings[1] - crossings[0], expected, expected * 2e-3, 'period');
+      const last = data.frames[data.frames.length - 1].bodies[0].position;
+      this.close(Math.hypot(last[0], last[1]), L, 1e-3, 'rope length');
+    });
+
+    await this.check('绳只能拉不能推：松弛时自由下落，绷紧后停止', async () => {
+      const data = await this.simulate(this.contract(
+        [{ id: 'bob', position: [0, 0.5] }],
+        [{ id: 'string', type: 'rope', length: 1, a: { body: null, point: [0, 0] }, b: { body: 'bob', point: null } }],
+        1
+      ));
+      this.close(this.stateAt(data, 'bob', 0.2).position[1], 0.5 + 0.5 * G * 0.2 ** 2, this.drift(G, 0.2), 'free fall');
+      const final = data.frames[data.frames.length - 1].bodies[0];
+      this.close(final.position[1], 1, 2e-3, 'taut');
+      this.close(final.velocity[1], 0, 0.05, 'stopped');
+    });
+
+    await this.check('倒立摆：杆能支撑，绳不能', async () => {
+      const inverted = type => this.contract(
+        [{ id: 'bob', position: [0, -1] }],
+        [{ id: 'link', type, a: { body: null, point: [0, 0] }, b: { body: 'bob', point: null } }],
+        0.5
+      );
+      const rod = await this.simulate(inverted('rod'));
+      this.close(rod.frames[rod.frames.length - 1].bodies[0].position[1], -1, 1e-3, 'rod');
+      const rope = await this.simulate(inverted('rope'));
+      this.close(rope.frames[rope.frames.length - 1].bodies[0].position[1], -1 + 0.5 * G * 0.5 ** 2, this.drift(G, 0.5), 'rope');
+    });
+
+    await this.check('阿特伍德机 a = g(m₂−m₁)/(m₁+m₂)', async () => {
+      const data = await this.simulate(this.contract(
+        [{ id: 'm1', position: [-0.5, 1], mass: 1 }, { id: 'm2', position: [0.5, 1], mass: 2 }],
+        [{
+          id: 'cord', type: 'pulley',
+          a: { body: 'm1', point: null }, b: { body: 'm2', point: null },
+          pulley: { a: [-0.5, 0], b: [0.5, 0] }
+        }],
+        0.5
+      ));
+      const a = G * (2 - 1) / (2 + 1);
+      const [m1, m2] = data.frames[data.frames.length - 1].bodies;
+      this.close(m1.velocity[1], -a * 0.5, 1e-3, 'm1 vy');
+      this.close(m2.velocity[1], a * 0.5, 1e-3, 'm2 vy');
+      this.close(m2.position[1] - 1, 0.5 * a * 0.5 ** 2, this.drift(a, 0.5), 'm2 drop');
+      // 两段绳长之和不变
+      this.close(m1.position[1] + m2.position[1], 2, 1e-6, 'cord length');
+    });
+
+    await this.check('斜滑轨 a = g·sinθ，且不转动', async () => {
+      const theta = Math.PI / 6;
+      const data = await this.simulate(this.contract(
+        [{ id: 'bead', position: [0, 0] }],
+        [{
+          id: 'wire', type: 'slider', axis: [Math.cos(theta), Math.sin(theta)],
+          a: { body: 'bead', point: null }, b: { body: null, point: [0, 0] }
+        }],
+        0.5
+      ));
+      const final = data.frames[data.frames.length - 1].bodies[0];
+      const along = final.position[0] * Math.cos(theta) + final.position[1] * Math.sin(theta);
+      const across = -final.position[0] * Math.sin(theta) + final.position[1] * Math.cos(theta);
+      this.close(along, 0.5 * G * Math.sin(theta) * 0.5 ** 2, this.drift(G * Math.sin(theta), 0.5), 'along track');
+      this.close(across, 0, 1e-6, 'off track');
+      this.close(final.angle, 0, 1e-9, 'angle');
+    });
+
+    await this.check('铰接到世界点：铰接点保持不动', async () => {
+      const core = new SimulationCore();
+      const contract = this.contract(
+        [{ id: 'plate', shape: 'box', size: { w: 0.2, h: 0.2 }, position: [0.1, 0] }],
+        [{ id: 'pin', type: 'hinge', a: { body: 'plate', point: [-0.1, 0] }, b: { body: null, point: [0, 0] } }],
+        1
+      );
+      assert.strictEqual(core.load(contract).success, true);
+      const data = core.run();
+      const final = data.frames[data.frames.length - 1].bodies[0];
+      // 板绕铰接点摆动，质心到铰接点距离不变
+      assert.ok(Math.abs(final.angle) > 0.1, 'plate did not swing');
+      this.close(Math.hypot(final.position[0], final.position[1]), 0.1, 1e-3, 'pivot distance');
+      const pin = core.constraints.get('pin');
+      const world = { x: pin.bodyA.position.x + pin.pointA.x, y: pin.bodyA.position.y + pin.pointA.y };
+      this.close(Math.hypot(world.x, world.y) / 100, 0, 1e-3, 'pivot');
+    });
+
+    await this.check('attach_constraint沿用预置约束参数', async () => {
+      const contract = this.contract(
+        [{ id: 'bob', position: [0, 0.5] }],
+        [{ id: 'string', type: 'rope', length: 0.8, a: { body: null, point: [0, 0] }, b: { body: null, point: null } }],
+        0.5
+      );
+      contract.event_rules = [{
+        when: { on: 'time', t: 0.1 },
+        do: [{ action: 'attach_constraint', constraint: { id: 'string', a: { body: null, point: [0, 0] }, b: { body: 'bob', point: null } } }],
+        once: true
+      }];
+      const core = new SimulationCore();
+      assert.strictEqual(core.load(contract).success, true);
+      const data = core.run();
+      assert.strictEqual(core.constraints.get('string').length, 80);
+      assert.deepStrictEqual(data.events.find(e => e.type === 'attach_constraint').data, { constraintId: 'string', type: 'rope' });
+      this.close(data.frames[data.frames.length - 1].bodies[0].position[1], 0.8, 2e-3, 'rope length');
+    });
+
+    await this.check('约束字段与端点校验', () => {
+      const contract = this.contract(
+        [{ id: 'bob', position: [0, 0.5] }],
+        [
+          { id: 'wire', type: 'slider', a: { body: 'bob', point: null }, b: { body: 'bob', point: [0, 0] } },
+          { id: 'hook', type: 'rope', a: { body: null, point: [0, 0] }, b: { body: 'bob', point: null } }
+        ],
+        1
+      );
+      const messages = new ContractValidator().validate(contract).errors.map(issue => issue.message);
+      assert.deepStrictEqual(messages, ['constraints[0].axis missing']);
+
+      contract.constraints[0].axis = [1, 0];
+      const diagnostics = new ContractSemanticChecker().check(contract).diagnostics;
+      // 世界点端点视为已连接，不报 unattached_constraint
+      assert.deepStrictEqual(diagnostics.map(d => [d.code, d.path]), [['invalid_constraint_anchor', 'constraints[0].b']]);
+    });
+
+    console.log('='.repeat(50));
+    console.log(`📊 通过 ${this.passed}，失败 ${this.failed}`);
+    return this.failed === 0;
+  }
+}
+
+// 主函数
+async function main() {
+  const tester = new ConstraintsTester();
+  const ok = await tester.runTest();
+  if (!ok) process.exit(1);
+}
+
+// 运行测试
+if (require.main === module) {
+  main().catch(error => {
+    console.error('💥 测试脚本执行失败:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { ConstraintsTester };
@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+/**
+ * 受力记录测试脚本
+ * 测试帧内的法向力、静摩擦力、弹簧张力，以及碰撞汇总中的冲量与实测恢复系数
+ * 输入：TestLayer/adapter_output/02_physics_contract.json 的变体
+ * 输出：控制台断言结果（失败时退出码为1）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+
+// 使用编译后的JS文件
+const { simulateContract } = require('../../simulation/SimulationCore.js');
+
+class ContactForcesTester {
+  constructor() {
+    this.fixtureFile = path.join(__dirname, '../TestLayer/adapter_output/02_physics_contract.json');
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  /**
+   * 以 ball1 为模板的场景：bodies 为覆盖字段列表
+   */
+  contract({ bodies, gravity = [0, 9.8], constraints = [], rules = [], maxTime = 1 }) {
+    const contract = JSON.parse(fs.readFileSync(this.fixtureFile, 'utf8'));
+    const template = contract.bodies.find(body => body.id === 'ball1');
+    contract.world.gravity = gravity;
+    contract.engine = { ...contract.engine, dt: 1 / 60, substeps: 4 };
+    contract.bodies = bodies.map(body => ({ ...template, ...body }));
+    contract.constraints = constraints;
+    contract.event_rules = rules;
+    contract.end_conditions = { maxTime, stopWhen: [] };
+    return contract;
+  }
+
+  // 地面：上表面 y = 4.9
+  floor(overrides = {}) {
+    return { id: 'floor', shape: 'box', isStatic: true, position: [4, 5], size: { w: 10, h: 0.2 }, ...overrides };
+  }
+
+  async simulate(contract) {
+    const result = await simulateContract(contract);
+    assert.strictEqual(result.success, true, result.error);
+    return result.data;
+  }
+
+  body(frame, id) {
+    return frame.bodies.find(body => body.id === id);
+  }
+
+  forcesOf(frame, id) {
+    return frame.forces.find(forces => forces.id === id);
+  }
+
+  close(actual, expected, tolerance, label) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: ${actual} vs ${expected}`);
+  }
+
+  async check(name, fn) {
+    try {
+      await fn();
+      this.passed++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      this.failed++;
+      console.log(`  ❌ ${name}: ${error.message}`);
+    }
+  }
+
+  async runTest() {
+    console.log('\n🚀 开始受力记录测试');
+    console.log('='.repeat(50));
+
+    await this.check('静止方块：支持力等于重力，地面受反作用力', async () => {
+      const data = await this.simulate(this.contract({
+        bodies: [this.floor(), { id: 'block', shape: 'box', size: { w: 0.2, h: 0.2 }, mass: 2, position: [1, 4.8] }]
+      }));
+      const frame = data.frames[data.frames.length - 1];
+      const block = this.forcesOf(frame, 'block');
+      this.close(block.normal[0], 0, 1e-6, 'Nx');
+      this.close(block.normal[1], -2 * 9.8, 1e-6, 'Ny');
+      assert.strictEqual(block.contacts.length, 1);
+      const contact = block.contacts[0];
+      assert.strictEqual(contact.with, 'floor');
+      this.close(contact.normal[0], 0, 1e-9, 'normal x');
+      this.close(contact.normal[1], -1, 1e-9, 'normal y');
+      this.close(contact.normalForce, 2 * 9.8, 1e-6, 'normalForce');
+      this.close(contact.point[1], 4.9, 1e-3, 'contact point');
+      const floor = this.forcesOf(frame, 'floor');
+      this.close(floor.normal[0], -block.normal[0], 1e-9, 'reaction x');
+      this.close(floor.normal[1], -block.normal[1], 1e-9, 'reaction y');
+    });
+
+    await this.check('斜面静摩擦：N = mg·cosθ，f = mg·sinθ', async () => {
+      const angle = Math.PI / 6;
+      const data = await this.simulate(this.contract({
+        bodies: [
+          { id: 'ramp', shape: 'box', isStatic: true, position: [3, 3], angle, size: { w: 6, h: 0.2 }, friction: 1, frictionStatic: 1 },
+          {
+            id: 'block', shape: 'box', size: { w: 0.2, h: 0.2 }, angle, mass: 1, friction: 1, frictionStatic: 1,
+            position: [3 + 0.2 * Math.sin(angle), 3 - 0.2 * Math.cos(angle)]
+          }
+        ]
+      }));
+      const block = this.forcesOf(data.frames[data.frames.length - 1], 'block');
+      this.close(block.contacts[0].normalForce, 9.8 * Math.cos(angle), 1e-3, 'N');
+      this.close(Math.hypot(...block.friction), 9.8 * Math.sin(angle), 1e-3, 'f');
+      // 摩擦力沿斜面向上（y 轴向下时指向 −y）
+      assert.ok(block.friction[1] < 0, `friction ${block.friction}`);
+    });
+
+    await this.check('弹簧张力：F = −k·Δx', async () => {
+      const data = await this.simulate(this.contract({
+        bodies: [{ id: 'bob', position: [0.6, 0], mass: 0.5 }],
+        gravity: [0, 0],
+        constraints: [{ id: 'spring1', type: 'spring', length: 0.5, k: 20, a: { body: null, point: [0, 0] }, b: { body: 'bob', point: null } }],
+        maxTime: 0.5
+      }));
+      for (const frame of data.frames.slice(1)) {
+        const bob = this.body(frame, 'bob');
+        const spring = this.forcesOf(frame, 'bob').spring;
+        // 帧内力取自最后一步开始时的位置，误差为一步的位移
+        this.close(spring[0], -20 * (bob.position[0] - 0.5), 20 * Math.abs(bob.velocity[0]) / 240 + 1e-9, `t=${frame.timestamp}`);
+        this.close(spring[1], 0, 1e-9, 'Fy');
+      }
+    });
+
+    await this.check('落地碰撞：冲量 m(1+e)v 与实测恢复系数', async () => {
+      for (const e of [1, 0.5, 0]) {
+        const data = await this.simulate(this.contract({
+          bodies: [this.floor({ restitution: e }), { id: 'ball', position: [1, 4], mass: 1, restitution: e }]
+        }));
+        const [first] = data.collisions;
+        assert.deepStrictEqual(first.bodies, ['floor', 'ball']);
+        this.close(first.normal[0], 0, 1e-9, 'normal x');
+        this.close(first.normal[1], 1, 1e-9, 'normal y');
+        // 下落 0.85 m 后的速度
+        this.close(first.approachSpeed, Math.sqrt(2 * 9.8 * 0.85), 0.05, `e=${e} approach`);
+        this.close(first.restitution, e, 1e-6, `e=${e} restitution`);
+        this.close(first.configuredRestitution, e, 0, 'configured');
+        // 地面所受冲量沿 +y（向下），大小为小球的动量变化
+        this.close(first.impulse, (1 + e) * first.approachSpeed, 1e-6, `e=${e} impulse`);
+      }
+    });
+
+    await this.check('碰撞当步被移除的静态体不记录碰撞与接触', async () => {
+      const data = await this.simulate(this.contract({
+        bodies: [this.floor(), { id: 'ball', position: [1, 4], mass: 1, restitution: 0.5 }],
+        rules: [{ when: { on: 'collisionStart', a: 'ball', b: 'floor' }, do: [{ action: 'remove_body', id: 'floor' }], once: true }]
+      }));
+      assert.ok(data.events.some(event => event.type === 'remove_body'), 'floor removed');
+      assert.deepStrictEqual(data.collisions.filter(collision => collision.bodies.includes('floor')), []);
+      const last = data.frames[data.frames.length - 1];
+      assert.deepStrictEqual(this.forcesOf(last, 'ball').contacts, []);
+    });
+
+    await this.check('合并碰撞：冲量按原刚体计算，恢复系数为 0', async () => {
+      const data = await this.simulate(this.contract({
+        bodies: [{ id: 'ball1', position: [1, 1], mass: 0.5 }, { id: 'ball2', position: [2, 1], mass: 1 }],
+        gravity: [0, 0],
+        rules: [
+          { when: { on: 'time', t: 0.05 }, do: [{ action: 'set_velocity', id: 'ball1', velocity: [3, 0] }], once: true },
+          { when: { on: 'collisionStart', a: 'ball1', b: 'ball2' }, do: [{ action: 'merge_bodies', ids: ['ball1', 'ball2'], newId: 'combo' }], once: true }
+        ]
+      }));
+      assert.strictEqual(data.collisions.length, data.physicsMetrics.collisionCount);
+      const [collision] = data.collisions;
+      assert.deepStrictEqual(collision.bodies, ['ball1', 'ball2']);
+      this.close(collision.approachSpeed, 3, 1e-9, 'approach');
+      this.close(collision.restitution, 0, 1e-9, 'restitution');
+      // ball1 的动量变化 m1·(v' − v)，v' = m1·v/(m1+m2)，法向由 ball2 指向 ball1
+      this.close(collision.impulse, 0.5 * (3 - 1), 1e-9, 'impulse');
+      assert.deepStrictEqual(this.forcesOf(data.frames[data.frames.length - 1], 'combo').contacts, []);
+    });
+
+    console.log('='.repeat(50));
+    console.log(`📊 通过 ${this.passed}，失败 ${this.failed}`);
+    return this.failed === 0;
+  }
+}
+
+// 主函数
+async function main() {
+  const tester = new ContactForcesTester();
+  const ok = await tester.runTest();
+  if (!ok) process.exit(1);
+}
+
+// 运行测试
+if (require.main === module) {
+  main().catch(error => {
+    console.error('💥 测试脚本执行失败:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { ContactForcesTester };
@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+/**
+ * 终止条件测试脚本
+ * 测试 speedBelow（含 hold）、collisionOnce、allBodiesAtRest、eventOccurred、
+ * timeAfterEvent、leftBounds 以及 any / all 组合，和 finalState.endReason 的报告
+ * 输入：TestLayer/adapter_output/02_physics_contract.json 的变体
+ * 输出：控制台断言结果（失败时退出码为1）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+
+// 使用编译后的JS文件
+const { simulateContract } = require('../../simulation/SimulationCore.js');
+const { ContractValidator } = require('../../validation/ContractValidator.js');
+const { ContractSemanticChecker } = require('../../validation/ContractSemanticChecker.js');
+
+// 物理步长（dt = 1/60 s，4 个子步）
+const STEP = 1 / 240;
+
+class EndConditionsTester {
+  constructor() {
+    this.fixtureFile = path.join(__dirname, '../TestLayer/adapter_output/02_physics_contract.json');
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  /**
+   * 无重力场景：ball1 位于 [1, 1]，ball2 位于 [2, 1]，均静止
+   */
+  contract(stopWhen, rules = []) {
+    const contract = JSON.parse(fs.readFileSync(this.fixtureFile, 'utf8'));
+    contract.world.gravity = [0, 0];
+    contract.engine = { ...contract.engine, dt: 1 / 60, substeps: 4 };
+    contract.bodies = contract.bodies.filter(body => body.id.startsWith('ball'));
+    contract.bodies.forEach((body, i) => {
+      body.position = [1 + i, 1];
+      body.mass = 0.5;
+    });
+    contract.constraints = [];
+    contract.event_rules = rules;
+    contract.end_conditions = { maxTime: 2, stopWhen };
+    return contract;
+  }
+
+  // t 时刻执行一次动作
+  at(t, ...actions) {
+    return { when: { on: 'time', t }, do: actions, once: true };
+  }
+
+  velocity(id, velocity) {
+    return { action: 'set_velocity', id, velocity };
+  }
+
+  async finalState(contract) {
+    const result = await simulateContract(contract);
+    assert.strictEqual(result.success, true, result.error);
+    return result.data.finalState;
+  }
+
+  close(actual, expected, tolerance, label) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: ${actual} vs ${expected}`);
+  }
+
+  async check(name, fn) {
+    try {
+      await fn();
+      this.passed++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      this.failed++;
+      console.log(`  ❌ ${name}: ${error.message}`);
+    }
+  }
+
+  async runTest() {
+    console.log('\n🚀 开始终止条件测试');
+    console.log('='.repeat(50));
+
+    await this.check('speedBelow的hold需连续满足', async () => {
+      const immediate = await this.finalState(this.contract([{ type: 'speedBelow', id: 'ball1', v: 0.02 }]));
+      this.close(immediate.totalTime, STEP, 1e-9, 'no hold');
+
+      const held = await this.finalState(this.contract([{ type: 'speedBelow', id: 'ball1', v: 0.02, hold: 0.5 }]));
+      this.close(held.totalTime, 0.5 + STEP, 1e-9, 'hold');
+      assert.strictEqual(held.endReason, 'end_condition_met: stopWhen[0] speedBelow(ball1)');
+      assert.deepStrictEqual(
+        { path: held.endCondition.path, type: held.endCondition.type },
+        { path: 'stopWhen[0]', type: 'speedBelow' }
+      );
+
+      // 0.3 s 起运动、0.4 s 停下，hold 从 0.4 s 重新计时
+      const reset = await this.finalState(this.contract(
+        [{ type: 'speedBelow', id: 'ball1', v: 0.02, hold: 0.5 }],
+        [this.at(0.3, this.velocity('ball1', [0, 1])), this.at(0.4, this.velocity('ball1', [0, 0]))]
+      ));
+      this.close(reset.totalTime, 0.9, 2 * STEP, 'hold reset');
+    });
+
+    await this.check('collisionOnce在首次碰撞时停止', async () => {
+      const state = await this.finalState(this.contract(
+        [{ type: 'collisionOnce', id: 'ball1', with: 'ball2' }],
+        [this.at(0.05, this.velocity('ball1', [2, 0]))]
+      ));
+      // 表面间距 0.9 m，以 2 m/s 接近
+      this.close(state.totalTime, 0.05 + 0.45, 0.01, 'collision time');
+      assert.strictEqual(state.endReason, 'end_condition_met: stopWhen[0] collisionOnce(ball1, ball2)');
+    });
+
+    await this.check('allBodiesAtRest', async () => {
+      const state = await this.finalState(this.contract(
+        [{ type: 'allBodiesAtRest', v: 0.02, hold: 0.1 }],
+        [this.at(0.05, this.velocity('ball2', [0, 1])), this.at(0.2, this.velocity('ball2', [0, 0]))]
+      ));
+      // 0.05 s 前两球静止但未满 hold；0.2 s 后重新计时
+      this.close(state.totalTime, 0.3, 2 * STEP, 'rest time');
+      assert.strictEqual(state.endReason, 'end_condition_met: stopWhen[0] allBodiesAtRest');
+    });
+
+    await this.check('eventOccurred与timeAfterEvent', async () => {
+      const rules = [this.at(0.2, this.velocity('ball2', [0, 0.5]))];
+      const occurred = await this.finalState(this.contract([{ type: 'eventOccurred', event: 'set_velocity', id: 'ball2' }], rules));
+      this.close(occurred.totalTime, 0.2, STEP, 'event time');
+
+      const after = await this.finalState(this.contract([{ type: 'timeAfterEvent', event: 'trigger', delay: 0.25 }], rules));
+      this.close(after.totalTime, 0.45, STEP, 'delay');
+      assert.strictEqual(after.endReason, 'end_condition_met: stopWhen[0] timeAfterEvent(trigger)');
+    });
+
+    await this.check('leftBounds', async () => {
+      const contract = this.contract([{ type: 'leftBounds' }], [this.at(0.05, this.velocity('ball1', [20, 0]))]);
+      // 不与边界墙碰撞，穿出 x = 10
+      contract.bodies[0].collisionFilter = { category: 1, mask: 0, group: 0 };
+      const state = await this.finalState(contract);
+      this.close(state.totalTime, 0.05 + 9 / 20, 2 * STEP, 'exit time');
+      assert.strictEqual(state.endReason, 'end_condition_met: stopWhen[0] leftBounds');
+    });
+
+    await this.check('未触发条件：time_limit，帧数达到上限时为 frame_limit', async () => {
+      const timed = await this.finalState(this.contract([]));
+      this.close(timed.totalTime, 2, STEP, 'time limit');
+      assert.strictEqual(timed.endReason, 'time_limit');
+
+      // 每步记录一帧，10000 帧后（约 41.7 s）停止，早于 maxTime
+      const long = this.contract([]);
+      long.end_conditions.maxTime = 60;
+      const result = await simulateContract(long, { recordRate: 240 });
+      assert.strictEqual(result.success, true, result.error);
+      assert.strictEqual(result.data.frames.length, 10001);
+      assert.strictEqual(result.data.finalState.endReason, 'frame_limit');
+      assert.ok(result.data.finalState.totalTime < 60);
+    });
+
+    await this.check('any / all 组合与路径', async () => {
+      const rules = [this.at(0.05, this.velocity('ball1', [2, 0]))];
+      const all = await this.finalState(this.contract([
+        { type: 'positionReached', id: 'ball1', x: 8, y: 1 },
+        {
+          type: 'all',
+          conditions: [
+            { type: 'timeAfterEvent', event: 'collision', id: 'ball2', delay: 0.1 },
+            { type: 'speedBelow', id: 'ball1', v: 1.5 }
+          ]
+        }
+      ], rules));
+      // 恢复系数为 0：碰撞后两球以约 1 m/s 共同运动，碰撞后 0.1 s 两个子条件同时成立
+      this.close(all.totalTime, 0.6, 0.01, 'all');
+      assert.strictEqual(all.endCondition.path, 'stopWhen[1]');
+      assert.strictEqual(all.endReason, 'end_condition_met: stopWhen[1] all(timeAfterEvent(collision, ball2), speedBelow(ball1))');
+
+      const any = await this.finalState(this.contract([{
+        type: 'any',
+        conditions: [
+          { type: 'positionReached', id: 'ball1', x: 8 },
+          { type: 'eventOccurred', event: 'set_velocity' }
+        ]
+      }], rules));
+      this.close(any.totalTime, 0.05, STEP, 'any');
+    });
+
+    await this.check('终止条件字段与引用校验', () => {
+      const contract = this.contract([
+        { type: 'timeAfterEvent', event: 'collision' },
+        { type: 'all', conditions: [{ type: 'speedBelow', v: 0.1 }] }
+      ]);
+      const messages = new ContractValidator().validate(contract).errors.map(issue => issue.message);
+      assert.deepStrictEqual(messages.sort(), [
+        'end_conditions.stopWhen[0].delay missing',
+        'end_conditions.stopWhen[1].conditions[0].id missing'
+      ]);
+
+      const nested = this.contract([{ type: 'any', conditions: [{ type: 'collisionOnce', id: 'ball1', with: 'bal2' }] }]);
+      const diagnostic = new ContractSemanticChecker().check(nested).diagnostics[0];
+      assert.strictEqual(diagnostic.code, 'dangling_body_ref');
+      assert.strictEqual(diagnostic.path, 'end_conditions.stopWhen[0].conditions[0].with');
+    });
+
+    console.log('='.repeat(50));
+    console.log(`📊 通过 ${this.passed}，失败 ${this.failed}`);
+    return this.failed === 0;
+  }
+}
+
+// 主函数
+async function main() {
+  const tester = new EndConditionsTester();
+  const ok = await tester.runTest();
+  if (!ok) process.exit(1);
+}
+
+// 运行测试
+if (require.main === module) {
+  main().catch(error => {
+    console.error('💥 测试脚本执行失败:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { EndConditionsTester };
@@ -0,0 +1,231 @@
+#!/usr/bin/env node
+/**
+ * 能量核算测试脚本
+ * 测试平动 / 转动动能、相对 datum 的重力势能、弹性势能、外界做功与耗散功，
+ * 矢量动量与角动量，以及 analyzeSimulation 的守恒检查
+ * 输入：TestLayer/adapter_output/02_physics_contract.json 的变体
+ * 输出：控制台断言结果（失败时退出码为1）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+
+// 使用编译后的JS文件
+const { simulateContract } = require('../../simulation/SimulationCore.js');
+const { MatterSimulationEngine } = require('../../simulation/MatterSimulationEngine.js');
+
+class EnergyAccountingTester {
+  constructor() {
+    this.fixtureFile = path.join(__dirname, '../TestLayer/adapter_output/02_physics_contract.json');
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  /**
+   * 以 ball1 为模板的场景：bodies 为覆盖字段列表
+   */
+  contract({ bodies, gravity = [0, 9.8], constraints = [], rules = [], maxTime = 1, datum }) {
+    const contract = JSON.parse(fs.readFileSync(this.fixtureFile, 'utf8'));
+    const template = contract.bodies.find(body => body.id === 'ball1');
+    contract.world.gravity = gravity;
+    if (datum) contract.world.datum = datum;
+    contract.engine = { ...contract.engine, dt: 1 / 60, substeps: 4 };
+    contract.bodies = bodies.map(body => ({ ...template, ...body }));
+    contract.constraints = constraints;
+    contract.event_rules = rules;
+    contract.end_conditions = { maxTime, stopWhen: [] };
+    return contract;
+  }
+
+  // 30° 光滑斜面及其上的方块（沿斜面可滑约 3 m）
+  rampContract() {
+    const angle = Math.PI / 6;
+    const [cx, cy] = [3, 3];
+    const lift = 0.2 + 0.001;
+    return this.contract({
+      bodies: [
+        { id: 'ramp', shape: 'box', isStatic: true, position: [cx, cy], angle, size: { w: 6, h: 0.2 } },
+        {
+          id: 'block', shape: 'box', size: { w: 0.2, h: 0.2 }, angle, mass: 1,
+          position: [cx - 1.5 * Math.cos(angle) + lift * Math.sin(angle), cy - 1.5 * Math.sin(angle) - lift * Math.cos(angle)]
+        }
+      ]
+    });
+  }
+
+  async simulate(contract) {
+    const result = await simulateContract(contract);
+    assert.strictEqual(result.success, true, result.error);
+    return result;
+  }
+
+  body(frame, id) {
+    return frame.bodies.find(body => body.id === id);
+  }
+
+  maxAbs(values) {
+    return values.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+  }
+
+  close(actual, expected, tolerance, label) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: ${actual} vs ${expected}`);
+  }
+
+  async check(name, fn) {
+    try {
+      await fn();
+      this.passed++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      this.failed++;
+      console.log(`  ❌ ${name}: ${error.message}`);
+    }
+  }
+
+  async runTest() {
+    console.log('\n🚀 开始能量核算测试');
+    console.log('='.repeat(50));
+
+    await this.check('自由落体机械能守恒，重力势能相对 datum', async () => {
+      const { data } = await this.simulate(this.contract({ bodies: [{ position: [1, 1] }], datum: [0, 2] }));
+      const samples = data.physicsMetrics.energy;
+      // 小球在零势能面上方 1 m
+      this.close(samples[0].gravitational, 0.5 * 9.8 * 1, 1e-9, 'initial PE');
+      this.close(samples[0].bodies[0].gravitational, samples[0].gravitational, 1e-12, 'per-body PE');
+      assert.ok(this.maxAbs(samples.map(sample => sample.dissipated)) < 1e-9, 'dissipated');
+      const drop = this.body(data.frames[data.frames.length - 1], 'ball1').position[1] - 1;
+      this.close(samples[samples.length - 1].kinetic, 0.5 * 9.8 * drop, 0.01 * 0.5 * 9.8 * drop, 'KE = mgh');
+      assert.deepStrictEqual(data.physicsMetrics.totalEnergy, samples.map(sample => sample.mechanical));
+    });
+
+    await this.check('光滑斜面：动能增量等于重力势能减少', async () => {
+      const { data } = await this.simulate(this.rampContract());
+      const first = this.body(data.frames[0], 'block').position;
+      const last = this.body(data.frames[data.frames.length - 1], 'block').position;
+      const final = data.physicsMetrics.energy[data.physicsMetrics.energy.length - 1];
+      assert.ok(last[1] - first[1] > 0.5, 'block did not slide');
+      this.close(final.kinetic, 9.8 * (last[1] - first[1]), 0.01 * final.kinetic, 'KE');
+      assert.ok(this.maxAbs(data.physicsMetrics.energy.map(sample => sample.dissipated)) < 0.01 * final.kinetic, 'dissipated');
+    });
+
+    await this.check('摩擦耗散：推出的方块停下后耗散功等于外界做功', async () => {
+      const mu = 0.3;
+      const { data } = await this.simulate(this.contract({
+        bodies: [
+          { id: 'floor', shape: 'box', isStatic: true, position: [4, 5], size: { w: 10, h: 0.2 }, friction: mu, frictionStatic: mu },
+          { id: 'block', shape: 'box', size: { w: 0.2, h: 0.2 }, mass: 2, friction: mu, frictionStatic: mu, position: [1, 4.8] }
+        ],
+        rules: [{ when: { on: 'time', t: 0.2 }, do: [{ action: 'set_velocity', id: 'block', velocity: [3, 0] }], once: true }],
+        maxTime: 2
+      }));
+      const final = data.physicsMetrics.energy[data.physicsMetrics.energy.length - 1];
+      this.close(final.externalWork, 0.5 * 2 * 3 ** 2, 1e-9, 'work of set_velocity');
+      this.close(final.kinetic, 0, 1e-9, 'at rest');
+      this.close(final.dissipated, final.externalWork, 0.01, 'dissipated');
+    });
+
+    await this.check('弹簧振子：动能与弹性势能之和守恒', async () => {
+      const k = 20;
+      const { data } = await this.simulate(this.contract({
+        bodies: [{ id: 'bob', position: [0.6, 0], mass: 0.5 }],
+        gravity: [0, 0],
+        constraints: [{
+          id: 'spring1', type: 'spring', length: 0.5, k,
+          a: { body: null, point: [0, 0] }, b: { body: 'bob', point: null }
+        }],
+        maxTime: 2
+      }));
+      const samples = data.physicsMetrics.energy;
+      this.close(samples[0].elastic, 0.5 * k * 0.1 ** 2, 1e-9, 'initial elastic');
+      assert.deepStrictEqual(samples[0].springs.map(spring => spring.id), ['spring1']);
+      assert.ok(Math.max(...samples.map(sample => sample.kinetic)) > 0.09, 'not oscillating');
+      assert.ok(this.maxAbs(samples.map(sample => sample.dissipated)) < 1e-3 * samples[0].elastic, 'dissipated');
+    });
+
+    await this.check('恒力做功与转动动能', async () => {
+      const { data } = await this.simulate(this.contract({
+        bodies: [
+          { id: 'ball1', position: [1, 1] },
+          { id: 'box', shape: 'box', size: { w: 0.2, h: 0.4 }, mass: 3, position: [3, 3] }
+        ],
+        gravity: [0, 0],
+        rules: [{
+          when: { on: 'time', t: 0.1 },
+          do: [
+            { action: 'apply_force', id: 'ball1', force: [2, 0], duration: 0.5 },
+            { action: 'set_velocity', id: 'box', velocity: [0, 0], angularVelocity: 3 }
+          ],
+          once: true
+        }]
+      }));
+      const final = data.physicsMetrics.energy[data.physicsMetrics.energy.length - 1];
+      const ball = final.bodies.find(body => body.id === 'ball1');
+      const box = final.bodies.find(body => body.id === 'box');
+      // F·d = ½m(F t/m)²
+      this.close(ball.kinetic, (2 * 0.5) ** 2 / (2 * 0.5), 1e-2, 'ball KE');
+      // Matter.js 以 4 倍几何转动惯量创建多边形刚体（Body._inertiaScale），核算与仿真动力学一致
+      this.close(box.rotational, 0.5 * (4 * 3 * (0.2 ** 2 + 0.4 ** 2) / 12) * 3 ** 2, 1e-3, 'box rotational');
+      this.close(final.externalWork, ball.kinetic + box.rotational, 1e-9, 'external work');
+      this.close(final.dissipated, 0, 1e-9, 'dissipated');
+    });
+
+    await this.check('合并碰撞：矢量动量与角动量守恒，动能损失计为耗散', async () => {
+      const { data } = await this.simulate(this.contract({
+        bodies: [
+          { id: 'ball1', position: [1, 1], mass: 0.5 },
+          { id: 'ball2', position: [2, 1], mass: 1 }
+        ],
+        gravity: [0, 0],
+        rules: [
+          { when: { on: 'time', t: 0.05 }, do: [{ action: 'set_velocity', id: 'ball1', velocity: [3, 0] }], once: true },
+          { when: { on: 'collisionStart', a: 'ball1', b: 'ball2' }, do: [{ action: 'merge_bodies', ids: ['ball1', 'ball2'], newId: 'combo' }], once: true }
+        ]
+      }));
+      assert.ok(data.events.some(event => event.type === 'merge_bodies'), 'no merge');
+      const samples = data.physicsMetrics.energy;
+      const afterPush = samples.find(sample => sample.time >= 0.1);
+      const final = samples[samples.length - 1];
+      this.close(final.momentum[0], 1.5, 1e-9, 'px');
+      this.close(final.momentum[1], 0, 1e-9, 'py');
+      // 对原点：L = −y·px
+      this.close(afterPush.angularMomentum, -1.5, 1e-9, 'L before');
+      this.close(final.angularMomentum, afterPush.angularMomentum, 1e-9, 'L');
+      // 完全非弹性：损失 ½·m1m2/(m1+m2)·v²
+      this.close(final.dissipated, 0.5 * (0.5 * 1 / 1.5) * 3 ** 2, 1e-9, 'dissipated');
+      assert.strictEqual(data.physicsMetrics.totalMomentum[data.physicsMetrics.totalMomentum.length - 1].toFixed(9), '1.500000000');
+    });
+
+    await this.check('analyzeSimulation：势能转化不再判为能量损失', async () => {
+      const engine = new MatterSimulationEngine();
+      const result = await engine.runSimulation(this.rampContract());
+      const { physicsAnalysis, issues } = (await engine.analyzeSimulation(result)).analysis;
+      assert.ok(!issues.some(issue => issue.message.startsWith('能量损失过大')), JSON.stringify(issues));
+      assert.strictEqual(physicsAnalysis.energyConservation.isConserved, true);
+      // 斜面受重力与支持力，动量不守恒
+      assert.strictEqual(physicsAnalysis.momentumAnalysis.isConserved, false);
+      assert.strictEqual(physicsAnalysis.momentumAnalysis.finalMomentum.length, 2);
+    });
+
+    console.log('='.repeat(50));
+    console.log(`📊 通过 ${this.passed}，失败 ${this.failed}`);
+    return this.failed === 0;
+  }
+}
+
+// 主函数
+async function main() {
+  const tester = new EnergyAccountingTester();
+  const ok = await tester.runTest();
+  if (!ok) process.exit(1);
+}
+
+// 运行测试
+if (require.main === module) {
+  main().catch(error => {
+    console.error('💥 测试脚本执行失败:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { EnergyAccountingTester };
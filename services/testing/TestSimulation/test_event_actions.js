@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+/**
+ * 事件动作测试脚本
+ * 测试 apply_impulse、set_velocity、apply_force、remove_body、detach_constraint、
+ * set_static、swap_material、stop_simulation 的效果、事件日志与三路一致性
+ * 输入：TestLayer/adapter_output/02_physics_contract.json 的变体
+ * 输出：控制台断言结果（失败时退出码为1）
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('assert');
+
+// 使用编译后的JS文件
+const { simulateContract } = require('../../simulation/SimulationCore.js');
+const { MatterSimulationEngine } = require('../../simulation/MatterSimulationEngine.js');
+const { ContractValidator } = require('../../validation/ContractValidator.js');
+const { ContractSemanticChecker } = require('../../validation/ContractSemanticChecker.js');
+const MatterRenderer = require('../../render/MatterRenderer.js');
+
+class EventActionsTester {
+  constructor() {
+    this.fixtureFile = path.join(__dirname, '../TestLayer/adapter_output/02_physics_contract.json');
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  /**
+   * 无重力场景：两个 0.5 kg 小球，t=0.1 s 时执行给定动作
+   */
+  contractWith(actions, options = {}) {
+    const contract = JSON.parse(fs.readFileSync(this.fixtureFile, 'utf8'));
+    contract.world.gravity = options.gravity || [0, 0];
+    contract.engine = { ...contract.engine, dt: 1 / 60, substeps: 4 };
+    contract.bodies = contract.bodies.filter(body => body.id.startsWith('ball'));
+    contract.bodies.forEach((body, i) => {
+      body.position = [1 + i, 1];
+      body.mass = 0.5;
+    });
+    contract.constraints = options.constraints || [];
+    contract.event_rules = [{ when: { on: 'time', t: 0.1 }, do: actions, once: true }];
+    contract.end_conditions = { maxTime: 1, stopWhen: [] };
+    return contract;
+  }
+
+  spring() {
+    return [{
+      id: 'spring1', type: 'spring',
+      a: { body: 'ball1', point: null }, b: { body: 'ball2', point: null },
+      length: 0.5, stiffness: 0.05, damping: 0
+    }];
+  }
+
+  async simulate(contract) {
+    const result = await simulateContract(contract);
+    assert.strictEqual(result.success, true, result.error);
+    return result.data;
+  }
+
+  finalBody(data, id) {
+    return data.finalState.bodies.find(body => body.id === id);
+  }
+
+  event(data, type) {
+    const event = data.events.find(e => e.type === type);
+    assert.ok(event, `missing ${type} event`);
+    return event;
+  }
+
+  close(actual, expected, tolerance, label) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: ${actual} vs ${expected}`);
+  }
+
+  async check(name, fn) {
+    try {
+      await fn();
+      this.passed++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      this.failed++;
+      console.log(`  ❌ ${name}: ${error.message}`);
+    }
+  }
+
+  async runTest() {
+    console.log('\n🚀 开始事件动作测试');
+    console.log('='.repeat(50));
+
+    await this.check('apply_impulse: Δv = J/m', async () => {
+      const data = await this.simulate(this.contractWith([{ action: 'apply_impulse', id: 'ball1', impulse: [0, 1] }]));
+      this.close(this.finalBody(data, 'ball1').velocity[1], 2, 1e-9, 'vy');
+      assert.deepStrictEqual(this.event(data, 'apply_impulse').data.velocityAfter, [0, 2]);
+      // 事件进入帧事件流
+      assert.ok(data.frames[data.frames.length - 1].events.some(e => e.type === 'apply_impulse'));
+    });
+
+    await this.check('set_velocity', async () => {
+      const data = await this.simulate(this.contractWith([{ action: 'set_velocity', id: 'ball2', velocity: [0, -3] }]));
+      this.close(this.finalBody(data, 'ball2').velocity[1], -3, 1e-9, 'vy');
+      this.close(this.finalBody(data, 'ball2').position[1], 1 - 3 * 0.9, 0.02, 'y');
+    });
+
+    await this.check('apply_force持续duration后失效', async () => {
+      const data = await this.simulate(this.contractWith([{ action: 'apply_force', id: 'ball1', force: [1, 0], duration: 0.5 }]));
+      // a = F/m = 2 m/s²，作用 0.5 s
+      this.close(this.finalBody(data, 'ball1').velocity[0], 1, 1e-6, 'vx');
+      this.close(this.event(data, 'force_expired').timestamp, 600, 1e-6, 'expired at');
+      this.close(this.event(data, 'apply_force').data.until, 0.6, 1e-9, 'until');
+    });
+
+    await this.check('remove_body移除刚体及相连约束', async () => {
+      const data = await this.simulate(this.contractWith([{ action: 'remove_body', id: 'ball2' }], { constraints: this.spring() }));
+      assert.deepStrictEqual(data.finalState.bodies.map(body => body.id), ['ball1']);
+      assert.deepStrictEqual(this.event(data, 'remove_body').data.removedConstraints, ['spring1']);
+    });
+
+    await this.check('detach_constraint后两球匀速运动', async () => {
+      const data = await this.simulate(this.contractWith([{ action: 'detach_constraint', constraintId: 'spring1' }], { constraints: this.spring() }));
+      assert.deepStrictEqual(this.event(data, 'detach_constraint').participants, ['ball1', 'ball2']);
+      const frames = data.frames;
+      const v1 = frames[frames.length - 2].bodies[0].velocity[0];
+      const v2 = frames[frames.length - 1].bodies[0].velocity[0];
+      this.close(v2, v1, 1e-9, 'constant velocity');
+      assert.ok(v2 > 0);
+    });
+
+    await this.check('set_static冻结下落的小球', async () => {
+      const data = await this.simulate(this.contractWith([{ action: 'set_static', id: 'ball1', value: true }], { gravity: [0, 9.8] }));
+      this.close(this.finalBody(data, 'ball1').position[1], 1 + 0.5 * 9.8 * 0.1 ** 2, 0.01, 'frozen y');
+      assert.strictEqual(this.event(data, 'set_static').data.isStatic, true);
+    });
+
+    await this.check('swap_material记录前后参数', async () => {
+      const data = await this.simulate(this.contractWith([{ action: 'swap_material', id: 'ball1', material: { friction: 0.4, density: 100 } }]));
+      const { before, after } = this.event(data, 'swap_material').data;
+      assert.strictEqual(before.friction, 0);
+      assert.strictEqual(after.friction, 0.4);
+      // r = 0.05 m 的圆：m ≈ ρ·πr²（Matter.js 以正多边形近似圆，面积偏小）
+      this.close(after.mass, 100 * Math.PI * 0.05 ** 2, 0.06, 'mass');
+    });
+
+    await this.check('stop_simulation结束仿真', async () => {
+      const data = await this.simulate(this.contractWith([{ action: 'stop_simulation', reason: 'answer reached' }]));
+      assert.strictEqual(data.finalState.endReason, 'stop_simulation');
+      this.close(data.finalState.totalTime, 0.1, 1e-9, 'totalTime');
+      assert.strictEqual(this.event(data, 'stop_simulation').data.reason, 'answer reached');
+    });
+
+    await this.check('引擎与渲染器动作轨迹一致', async () => {
+      const contract = this.contractWith([
+        { action: 'apply_impulse', id: 'ball1', impulse: [0.5, -0.5], point: [1, 1.05] },
+        { action: 'apply_force', id: 'ball2', force: [-1, 0], duration: 0.3 },
+        { action: 'detach_constraint', constraintId: 'spring1' }
+      ], { constraints: this.spring(), gravity: [0, 9.8] });
+      const engine = await new MatterSimulationEngine().runSimulation(JSON.parse(JSON.stringify(contract)));
+      const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'event-actions-'));
+      try {
+        const renderer = new MatterRenderer({ outputDir });
+        assert.strictEqual(renderer.createWorld(JSON.parse(JSON.stringify(contract))).success, true);
+        const rendered = await renderer.runSimulation();
+        assert.deepStrictEqual(rendered.data.frames, engine.data.frames);
+        assert.deepStrictEqual(rendered.data.events, engine.data.events);
+      } finally {
+        fs.rmSync(outputDir, { recursive: true, force: true });
+      }
+      // 偏心冲量产生转动
+      assert.ok(engine.data.events.find(e => e.type === 'apply_impulse').data.angularVelocity !== 0);
+    });
+
+    await this.check('动作参数与约束引用校验', () => {
+      const contract = this.contractWith([
+        { action: 'set_static', id: 'ball1', value: 'yes' },
+        { action: 'apply_force', id: 'ball1' }
+      ]);
+      const messages = new ContractValidator().validate(contract).errors.map(issue => issue.message);
+      assert.ok(messages.includes('event_rules[0].do[0].value must be boolean'), JSON.stringify(messages));
+      assert.ok(messages.includes('event_rules[0].do[1].force missing'), JSON.stringify(messages));
+
+      const dangling = this.contractWith([{ action: 'detach_constraint', constraintId: 'sprign1' }], { constraints: this.spring() });
+      const diagnostic = new ContractSemanticChecker().check(dangling).diagnostics[0];
+      assert.strictEqual(diagnostic.code, 'dangling_constraint_ref');
+      assert.strictEqual(diagnostic.suggestion, 'did you mean "spring1"?');
+    });
+
+    console.log('='.repeat(50));
+    console.log(`📊 通过 ${this.passed}，失败 ${this.failed}`);
+    return this.failed === 0;
+  }
+}
+
+// 主函数
+async function main() {
+  const tester = new EventActionsTester();
+  const ok = await tester.runTest();
+  if (!ok) process.exit(1);
+}
+
+// 运行测试
+if (require.main === module) {
+  main().catch(error => {
+    console.error('💥 测试脚本执行失败:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { EventActionsTester };
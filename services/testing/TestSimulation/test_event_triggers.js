@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+/**
+ * 事件触发器测试脚本
+ * 测试时间、区域进入、越线与速度阈值触发，以及事件日志中的穿越时刻
+ * 输入：TestLayer/adapter_output/02_physics_contract.json 的变体
+ * 输出：控制台断言结果（失败时退出码为1）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+
+// 使用编译后的JS文件
+const { simulateContract } = require('../../simulation/SimulationCore.js');
+const { ContractValidator } = require('../../validation/ContractValidator.js');
+
+const G = 9.8;
+
+class EventTriggersTester {
+  constructor() {
+    this.fixtureFile = path.join(__dirname, '../TestLayer/adapter_output/02_physics_contract.json');
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  /**
+   * 两个从原点附近自由下落的小球，附带给定事件规则
+   */
+  fallingContract(eventRules, gravity = [0, G]) {
+    const contract = JSON.parse(fs.readFileSync(this.fixtureFile, 'utf8'));
+    contract.world.gravity = gravity;
+    contract.engine = { ...contract.engine, dt: 1 / 60, substeps: 4 };
+    contract.bodies = contract.bodies.filter(body => body.id.startsWith('ball'));
+    contract.bodies[0].position = [0, 0];
+    contract.bodies[1].position = [1, 0];
+    contract.constraints = [];
+    contract.event_rules = eventRules;
+    contract.end_conditions = { maxTime: 1, stopWhen: [] };
+    return contract;
+  }
+
+  noop() {
+    return [{ action: 'set_property', id: 'ball2', prop: 'restitution', value: 0.5 }];
+  }
+
+  async triggers(contract) {
+    const result = await simulateContract(contract);
+    assert.strictEqual(result.success, true, result.error);
+    return result.data.events.filter(event => event.type === 'trigger');
+  }
+
+  async check(name, fn) {
+    try {
+      await fn();
+      this.passed++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      this.failed++;
+      console.log(`  ❌ ${name}: ${error.message}`);
+    }
+  }
+
+  async runTest() {
+    console.log('\n🚀 开始事件触发器测试');
+    console.log('='.repeat(50));
+
+    const stepSeconds = 1 / 240;
+
+    await this.check('时间触发只在越过t时触发一次', async () => {
+      const triggers = await this.triggers(this.fallingContract([
+        { when: { on: 'time', t: 0.5 }, do: this.noop(), once: false }
+      ]));
+      assert.strictEqual(triggers.length, 1);
+      assert.strictEqual(triggers[0].data.crossingTime, 0.5);
+      assert.ok(Math.abs(triggers[0].timestamp - 500) < 1e-6, String(triggers[0].timestamp));
+    });
+
+    await this.check('进入区域的穿越时刻符合自由落体', async () => {
+      const triggers = await this.triggers(this.fallingContract([
+        { when: { on: 'position', a: 'ball1', region: { min: [-1, 1.2], max: [1, 2] } }, do: this.noop(), once: true }
+      ]));
+      assert.strictEqual(triggers.length, 1);
+      const expected = Math.sqrt(2 * 1.2 / G);
+      assert.ok(Math.abs(triggers[0].data.crossingTime - expected) < stepSeconds, String(triggers[0].data.crossingTime));
+      assert.deepStrictEqual(triggers[0].participants, ['ball1']);
+    });
+
+    await this.check('越过竖直线触发', async () => {
+      const triggers = await this.triggers(this.fallingContract([
+        { when: { on: 'position', a: 'ball2', x: 1.5 }, do: this.noop(), once: true }
+      ], [2, 0]));
+      assert.strictEqual(triggers.length, 1);
+      assert.ok(Math.abs(triggers[0].data.crossingTime - Math.sqrt(2 * 0.5 / 2)) < stepSeconds);
+    });
+
+    await this.check('速度阈值触发', async () => {
+      const triggers = await this.triggers(this.fallingContract([
+        { when: { on: 'velocity', a: 'ball1', above: 3 }, do: this.noop(), once: false },
+        { when: { on: 'velocity', a: 'ball1', component: 'x', above: 0.1 }, do: this.noop(), once: false }
+      ]));
+      assert.strictEqual(triggers.length, 1);
+      assert.strictEqual(triggers[0].data.rule, 0);
+      assert.ok(Math.abs(triggers[0].data.crossingTime - 3 / G) < stepSeconds, String(triggers[0].data.crossingTime));
+    });
+
+    await this.check('触发规则执行动作', async () => {
+      const result = await simulateContract(this.fallingContract([
+        { when: { on: 'time', t: 0.25 }, do: [{ action: 'merge_bodies', ids: ['ball1', 'ball2'], newId: 'pair' }], once: true }
+      ]));
+      assert.strictEqual(result.success, true, result.error);
+      const merge = result.data.events.find(event => event.type === 'merge_bodies');
+      assert.ok(merge && Math.abs(merge.timestamp - 250) < 1e-6);
+      assert.deepStrictEqual(result.data.finalState.bodies.map(body => body.id), ['pair']);
+    });
+
+    await this.check('Schema要求位置触发给出区域或直线', () => {
+      const contract = this.fallingContract([
+        { when: { on: 'position', a: 'ball1' }, do: this.noop(), once: true },
+        { when: { on: 'time' }, do: this.noop(), once: true }
+      ]);
+      const messages = new ContractValidator().validate(contract).errors.map(issue => issue.message);
+      assert.ok(messages.includes('event_rules[0].when requires one of region, x, y'), JSON.stringify(messages));
+      assert.ok(messages.includes('event_rules[1].when.t missing'), JSON.stringify(messages));
+    });
+
+    console.log('='.repeat(50));
+    console.log(`📊 通过 ${this.passed}，失败 ${this.failed}`);
+    return this.failed === 0;
+  }
+}
+
+// 主函数
+async function main() {
+  const tester = new EventTriggersTester();
+  const ok = await tester.runTest();
+  if (!ok) process.exit(1);
+}
+
+// 运行测试
+if (require.main === module) {
+  main().catch(error => {
+    console.error('💥 测试脚本执行失败:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { EventTriggersTester };
@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+/**
+ * 帧重采样测试脚本
+ * 测试视频时间轴、帧间线性插值、角度跨 ±π 展开、碰撞与合并处不跨间断插值、事件只出现一次
+ * 输入：TestLayer/adapter_output/02_physics_contract.json 的变体及手工构造的帧序列
+ * 输出：控制台断言结果（失败时退出码为1）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+
+// 使用编译后的JS文件
+const { simulateContract } = require('../../simulation/SimulationCore.js');
+const { resampleFrames, videoTimeline } = require('../../simulation/FrameResampler.js');
+
+class FrameResamplerTester {
+  constructor() {
+    this.fixtureFile = path.join(__dirname, '../TestLayer/adapter_output/02_physics_contract.json');
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  /**
+   * 小球从 y = 1 下落到顶面 y = 5 的地面并反弹
+   */
+  bounce(maxTime = 1.5) {
+    const contract = JSON.parse(fs.readFileSync(this.fixtureFile, 'utf8'));
+    const template = contract.bodies.find(body => body.id === 'ball1');
+    contract.engine = { ...contract.engine, dt: 1 / 60, substeps: 4 };
+    contract.world.gravity = [0, 9.8];
+    contract.bodies = [
+      { ...template, id: 'ground', shape: 'box', isStatic: true, position: [5, 5.25], size: { w: 10, h: 0.5 }, r: undefined, angle: 0, restitution: 0.8 },
+      { ...template, id: 'ball', position: [1, 1], angle: 0, r: 0.1, mass: 1, friction: 0, frictionStatic: 0, restitution: 0.8 }
+    ];
+    contract.constraints = [];
+    contract.event_rules = [];
+    contract.end_conditions = { maxTime, stopWhen: [] };
+    return contract;
+  }
+
+  body(id, position, { velocity = [0, 0], angle = 0, angularVelocity = 0 } = {}) {
+    return { id, position, velocity, angle, angularVelocity };
+  }
+
+  frame(frameIndex, timestamp, bodies, events = []) {
+    return { frameIndex, timestamp, bodies, forces: [], events };
+  }
+
+  async check(name, fn) {
+    try {
+      await fn();
+      this.passed++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      this.failed++;
+      console.log(`  ❌ ${name}: ${error.message}`);
+    }
+  }
+
+  async runTest() {
+    console.log('\n🚀 开始帧重采样测试');
+    console.log('='.repeat(50));
+
+    await this.check('视频时间轴：k / fps 逐帧计算，含两端', () => {
+      const times = videoTimeline(0, 1, 24);
+      assert.strictEqual(times.length, 25);
+      times.forEach((t, k) => assert.strictEqual(t, k / 24));
+      assert.strictEqual(videoTimeline(0.5, 0.5, 30).length, 1);
+      assert.throws(() => videoTimeline(0, 1, 0), /fps must be positive/);
+    });
+
+    await this.check('20 Hz 记录的下落轨迹重采样到 60 fps：时长不变，帧间线性插值', async () => {
+      const result = await simulateContract(this.bounce(0.5), { recordRate: 20 });
+      const source = result.data.frames;
+      const frames = resampleFrames(result.data, { fps: 60 });
+      const duration = source[source.length - 1].timestamp;
+      assert.strictEqual(frames.length, Math.floor(duration * 60 + 1e-9) + 1);
+      this.close(frames[frames.length - 1].timestamp, duration, 1e-9, 'duration');
+
+      frames.forEach((frame, k) => {
+        assert.strictEqual(frame.frameIndex, k);
+        const a = source[frame.sourceIndex], b = source[frame.sourceIndex + 1] || a;
+        assert.ok(a.timestamp <= frame.timestamp + 1e-9 && frame.timestamp <= b.timestamp + 1e-9, `frame ${k} bracket`);
+        const w = b === a ? 0 : (frame.timestamp - a.timestamp) / (b.timestamp - a.timestamp);
+        const ball = frame.bodies.find(body => body.id === 'ball');
+        const [pa, pb] = [a, b].map(f => f.bodies.find(body => body.id === 'ball').position);
+        this.close(ball.position[1], pa[1] + (pb[1] - pa[1]) * w, 1e-9, `frame ${k} y`);
+      });
+      // 源帧时刻上与记录值一致
+      assert.deepStrictEqual(frames[3].bodies, source[1].bodies);
+    });
+
+    await this.check('角度跨 ±π 时按角速度展开，快速旋转不倒转', () => {
+      const wrap = resampleFrames({ frames: [
+        this.frame(0, 0, [this.body('wheel', [0, 0], { angle: 3.1, angularVelocity: 0.0832 * 10 })]),
+        this.frame(1, 0.1, [this.body('wheel', [0, 0], { angle: -3.1, angularVelocity: 0.0832 * 10 })])
+      ] }, { fps: 20 });
+      this.close(wrap[1].bodies[0].angle, Math.PI, 1e-3, 'midpoint angle');
+
+      // 每帧转 1.5π：最短弧会反向转 0.5π
+      const spin = resampleFrames({ frames: [
+        this.frame(0, 0, [this.body('wheel', [0, 0], { angle: 0, angularVelocity: 15 * Math.PI })]),
+        this.frame(1, 0.1, [this.body('wheel', [0, 0], { angle: -0.5 * Math.PI, angularVelocity: 15 * Math.PI })])
+      ] }, { fps: 20 });
+      this.close(spin[1].bodies[0].angle, 0.75 * Math.PI, 1e-9, 'fast spin');
+    });
+
+    await this.check('碰撞区间不插值：反弹处只出现记录帧的真实状态', async () => {
+      const result = await simulateContract(this.bounce(), { recordRate: 10 });
+      const source = result.data.frames;
+      const hit = result.data.events.find(event => event.type === 'collision' && event.participants.includes('ball'));
+      assert.ok(hit, 'ball hits the ground');
+      const cut = hit.timestamp / 1000;
+      const interval = source.findIndex((frame, i) => i + 1 < source.length && frame.timestamp < cut && cut <= source[i + 1].timestamp);
+
+      const frames = resampleFrames(result.data, { fps: 120 }).filter(frame => frame.sourceIndex === interval);
+      assert.ok(frames.length >= 10);
+      for (const frame of frames) {
+        const ball = frame.bodies.find(body => body.id === 'ball');
+        const held = frame.timestamp >= cut - 1e-9 ? source[interval + 1] : source[interval];
+        assert.deepStrictEqual(ball, held.bodies.find(body => body.id === 'ball'), `t = ${frame.timestamp}`);
+      }
+      // 间断时刻之前保持前一帧、之后取后一帧
+      assert.ok(frames.some(frame => frame.timestamp < cut - 1e-9) && frames.some(frame => frame.timestamp >= cut - 1e-9));
+    });
+
+    await this.check('合并：合并前显示两个刚体，之后只显示合并体，事件只出现一次', () => {
+      const merge = { type: 'merge_bodies', timestamp: 50, participants: ['a', 'b'], data: { newId: 'ab' } };
+      const source = [
+        this.frame(0, 0, [this.body('a', [0, 0], { velocity: [1, 0] }), this.body('b', [1, 0], { velocity: [-1, 0] })]),
+        this.frame(1, 0.1, [this.body('ab', [0.5, 0])], [merge]),
+        this.frame(2, 0.2, [this.body('ab', [0.5, 0])])
+      ];
+      const frames = resampleFrames({ frames: source }, { fps: 40 });
+      assert.deepStrictEqual(frames.map(frame => frame.bodies.map(body => body.id).join('+')), ['a+b', 'a+b', 'ab', 'ab', 'ab', 'ab', 'ab', 'ab', 'ab']);
+      assert.deepStrictEqual(frames[1].bodies, source[0].bodies);
+      // 合并发生在 0.05 s，归入该时刻的视频帧
+      assert.deepStrictEqual(frames.map(frame => frame.events.length), [0, 0, 1, 0, 0, 0, 0, 0, 0]);
+    });
+
+    await this.check('降采样：每个事件恰好归入一个视频帧（不早于事件时刻的第一帧）', async () => {
+      const result = await simulateContract(this.bounce(), { recordRate: 120 });
+      const events = result.data.events;
+      assert.ok(events.length > 0);
+
+      for (const data of [result.data, { frames: result.data.frames }]) {
+        const frames = resampleFrames(data, { fps: 24 });
+        assert.strictEqual(frames.reduce((sum, frame) => sum + frame.events.length, 0), events.length);
+        for (const event of events) {
+          const holders = frames.filter(frame => frame.events.some(e => e.type === event.type && e.timestamp === event.timestamp));
+          assert.strictEqual(holders.length, 1, `${event.type} @ ${event.timestamp}`);
+          const [holder] = holders;
+          assert.ok(holder.timestamp >= event.timestamp / 1000 - 1e-9, 'not before the event');
+          assert.ok(holder.frameIndex === 0 || frames[holder.frameIndex - 1].timestamp < event.timestamp / 1000, 'first such frame');
+        }
+      }
+    });
+
+    console.log('='.repeat(50));
+    console.log(`📊 通过 ${this.passed}，失败 ${this.failed}`);
+    return this.failed === 0;
+  }
+
+  close(actual, expected, tolerance, label) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: ${actual} vs ${expected}`);
+  }
+}
+
+// 主函数
+async function main() {
+  const tester = new FrameResamplerTester();
+  const ok = await tester.runTest();
+  if (!ok) process.exit(1);
+}
+
+// 运行测试
+if (require.main === module) {
+  main().catch(error => {
+    console.error('💥 测试脚本执行失败:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { FrameResamplerTester };
@@ -0,0 +1,216 @@
+#!/usr/bin/env node
+/**
+ * 关键时刻提取测试脚本
+ * 测试最高点、首次落地、碰撞前后速度、离开表面、折返与弹簧最大压缩的时刻与位置
+ * 输入：TestLayer/adapter_output/02_physics_contract.json 及其变体
+ * 输出：控制台断言结果（失败时退出码为1）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+
+// 使用编译后的JS文件
+const { simulateContract } = require('../../simulation/SimulationCore.js');
+const { extractKeyMoments } = require('../../simulation/KeyMoments.js');
+const { MatterSimulationEngine } = require('../../simulation/MatterSimulationEngine.js');
+
+// 物理步长（s），t = 0 的 set_velocity 在第一步结束时生效
+const STEP = 1 / 240;
+
+class KeyMomentsTester {
+  constructor() {
+    this.fixtureFile = path.join(__dirname, '../TestLayer/adapter_output/02_physics_contract.json');
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  /**
+   * 以 ball1 为模板构造契约
+   */
+  contract({ gravity = [0, 9.8], bodies, constraints = [], rules = [], maxTime = 2 }) {
+    const contract = JSON.parse(fs.readFileSync(this.fixtureFile, 'utf8'));
+    const template = contract.bodies.find(body => body.id === 'ball1');
+    contract.engine = { ...contract.engine, dt: 1 / 60, substeps: 4 };
+    contract.world.gravity = gravity;
+    contract.bodies = bodies.map(body => ({ ...template, angle: 0, friction: 0, frictionStatic: 0, ...body }));
+    contract.constraints = constraints;
+    contract.event_rules = rules;
+    contract.end_conditions = { maxTime, stopWhen: [] };
+    return contract;
+  }
+
+  launch(id, velocity) {
+    return { when: { on: 'time', t: 0 }, do: [{ action: 'set_velocity', id, velocity }], once: true };
+  }
+
+  /**
+   * 从 [1, 4] 以 (3, −4) m/s 抛出，落在顶面 y = 5 的地面上反弹
+   */
+  projectile() {
+    return this.contract({
+      bodies: [
+        { id: 'ground', shape: 'box', isStatic: true, position: [5, 5.25], size: { w: 10, h: 0.5 }, r: undefined, restitution: 0.6 },
+        { id: 'ball', position: [1, 4], r: 0.1, mass: 1, restitution: 0.6 }
+      ],
+      rules: [this.launch('ball', [3, -4])],
+      maxTime: 1.5
+    });
+  }
+
+  async timeline(contract, options) {
+    const result = await simulateContract(contract);
+    assert.strictEqual(result.success, true, result.error);
+    return extractKeyMoments(result.data, contract, options);
+  }
+
+  async check(name, fn) {
+    try {
+      await fn();
+      this.passed++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      this.failed++;
+      console.log(`  ❌ ${name}: ${error.message}`);
+    }
+  }
+
+  async runTest() {
+    console.log('\n🚀 开始关键时刻提取测试');
+    console.log('='.repeat(50));
+
+    await this.check('抛体：最高点时刻与位置在帧间插值', async () => {
+      const { moments } = await this.timeline(this.projectile());
+      const apex = moments.filter(moment => moment.type === 'max_height');
+      // 反弹后的顶点较低，只保留最高的一次
+      assert.strictEqual(apex.length, 1);
+      this.close(apex[0].time, STEP + 4 / 9.8, 1e-3, 'apex time');
+      this.close(apex[0].position[0], 1 + 3 * (4 / 9.8), 0.02, 'apex x');
+      this.close(apex[0].details.rise, 16 / (2 * 9.8), 0.02, 'rise');
+      this.close(apex[0].velocity[1], 0, 1e-9, 'apex vy');
+      assert.ok(!Number.isInteger(apex[0].time * 60), 'time between frames');
+    });
+
+    await this.check('抛体：首次落地与碰撞前后速度', async () => {
+      const { moments } = await this.timeline(this.projectile());
+      const landing = moments.find(moment => moment.type === 'first_ground_contact');
+      const collisions = moments.filter(moment => moment.type === 'collision');
+      assert.deepStrictEqual(landing.bodies, ['ball', 'ground']);
+      // 质心落到 y = 4.9 的时刻（落地所在物理步末）
+      const flight = (4 + Math.sqrt(16 + 2 * 9.8 * 0.9)) / 9.8;
+      this.close(landing.time, STEP + flight, 2 * STEP, 'landing time');
+      this.close(landing.position[1], 4.9, 0.03, 'landing y');
+
+      assert.strictEqual(collisions.length, 1);
+      const [hit] = collisions;
+      assert.deepStrictEqual(hit.bodies, ['ball', 'ground']);
+      hit.details.normal.forEach((value, i) => this.close(value, [0, -1][i], 1e-9, 'normal'));
+      assert.strictEqual(hit.time, landing.time);
+      this.close(hit.details.before.ball[0], 3, 1e-6, 'vx before');
+      this.close(hit.details.before.ball[1], 9.8 * flight - 4, 0.05, 'vy before');
+      this.close(hit.details.after.ball[0], 3, 1e-6, 'vx after');
+      assert.ok(hit.details.after.ball[1] < 0 && -hit.details.after.ball[1] < hit.details.before.ball[1], 'bounces up, slower');
+      assert.strictEqual(typeof hit.details.restitution, 'number');
+      assert.deepStrictEqual(hit.velocity, hit.details.after.ball);
+      assert.match(hit.description, /^ball \(\d+\.\d{2} m\/s\) collides with ground \(0\.00 m\/s\)$/);
+    });
+
+    await this.check('离开表面：小球滑出桌面边缘', async () => {
+      const contract = this.contract({
+        bodies: [
+          { id: 'table', shape: 'box', isStatic: true, position: [1, 3.25], size: { w: 2, h: 0.5 }, r: undefined },
+          { id: 'ball', position: [0.5, 2.9], r: 0.1, mass: 1 }
+        ],
+        rules: [this.launch('ball', [2, 0])],
+        maxTime: 1
+      });
+      const { moments } = await this.timeline(contract);
+      const leave = moments.filter(moment => moment.type === 'leave_surface');
+      assert.strictEqual(leave.length, 1);
+      assert.deepStrictEqual(leave[0].bodies, ['ball', 'table']);
+      // 质心越过桌边 x = 2 时离开
+      this.close(leave[0].time, STEP + 1.5 / 2, 0.02, 'leave time');
+      this.close(leave[0].position[0], 2, 0.04, 'leave x');
+      assert.strictEqual(leave[0].details.surface, 'table');
+    });
+
+    await this.check('弹簧振子：折返点与最大压缩', async () => {
+      const contract = this.contract({
+        gravity: [0, 0],
+        bodies: [{ id: 'bob', position: [4.2, 1], r: 0.1, mass: 1 }],
+        constraints: [{ id: 's', type: 'spring', a: { body: null, point: [3, 1] }, b: { body: 'bob', point: null }, length: 1, k: 50 }],
+        maxTime: 1.5
+      });
+      const { moments } = await this.timeline(contract);
+      const half = Math.PI / Math.sqrt(50);
+      const turns = moments.filter(moment => moment.type === 'turnaround');
+      assert.strictEqual(turns.length, 3);
+      turns.forEach((turn, i) => this.close(turn.time, (i + 1) * half, 5e-3, `turnaround ${i}`));
+      this.close(turns[0].position[0], 3.8, 1e-3, 'turnaround x');
+
+      const squeeze = moments.filter(moment => moment.type === 'max_spring_compression');
+      assert.strictEqual(squeeze.length, 1);
+      // 之后各次压缩程度相同，取第一次
+      this.close(squeeze[0].time, half, 5e-3, 'compression time');
+      this.close(squeeze[0].details.compression, 0.2, 1e-3, 'compression');
+      assert.deepStrictEqual(squeeze[0].bodies, ['bob']);
+      assert.strictEqual(squeeze[0].details.constraint, 's');
+    });
+
+    await this.check('时间线按时间排序，types 过滤，帧索引指向所在区间', async () => {
+      const contract = this.projectile();
+      const result = await simulateContract(contract);
+      const { moments, duration } = extractKeyMoments(result.data, contract);
+      assert.strictEqual(duration, result.data.finalState.totalTime);
+      for (let i = 1; i < moments.length; i++) assert.ok(moments[i].time >= moments[i - 1].time);
+      for (const moment of moments) {
+        const frames = result.data.frames;
+        assert.ok(frames[moment.frameIndex].timestamp <= moment.time + 1e-9);
+        assert.ok(moment.frameIndex + 1 === frames.length || frames[moment.frameIndex + 1].timestamp > moment.time);
+      }
+
+      const filtered = extractKeyMoments(result.data, contract, { types: ['collision'] });
+      assert.deepStrictEqual(filtered.moments.map(moment => moment.type), ['collision']);
+    });
+
+    await this.check('静止接触的微小碰撞不列出，analyzeSimulation 给出契约时附带时间线', async () => {
+      const contract = JSON.parse(fs.readFileSync(this.fixtureFile, 'utf8'));
+      const engine = new MatterSimulationEngine();
+      const result = await engine.runSimulation(contract);
+      const { analysis } = await engine.analyzeSimulation(result, contract);
+      assert.ok(analysis.keyMoments);
+      assert.ok(analysis.keyMoments.moments.filter(moment => moment.type === 'collision').every(moment => {
+        const [a, b] = moment.bodies;
+        const before = moment.details.before;
+        const relative = [(before[a] || [0, 0])[0] - (before[b] || [0, 0])[0], (before[a] || [0, 0])[1] - (before[b] || [0, 0])[1]];
+        return Math.hypot(...relative) > 0.1;
+      }));
+      assert.strictEqual((await engine.analyzeSimulation(result)).analysis.keyMoments, undefined);
+    });
+
+    console.log('='.repeat(50));
+    console.log(`📊 通过 ${this.passed}，失败 ${this.failed}`);
+    return this.failed === 0;
+  }
+
+  close(actual, expected, tolerance, label) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: ${actual} vs ${expected}`);
+  }
+}
+
+// 主函数
+async function main() {
+  const tester = new KeyMomentsTester();
+  const ok = await tester.runTest();
+  if (!ok) process.exit(1);
+}
+
+// 运行测试
+if (require.main === module) {
+  main().catch(error => {
+    console.error('💥 测试脚本执行失败:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { KeyMomentsTester };
@@ -0,0 +1,231 @@
+#!/usr/bin/env node
+/**
+ * 刚体合并测试脚本
+ * 测试 merge_bodies 生成保持原形状的复合刚体：动量与角动量守恒、部件与样式保留、
+ * 约束转移，以及引擎与渲染器轨迹一致
+ * 输入：TestLayer/adapter_output/02_physics_contract.json 的变体
+ * 输出：控制台断言结果（失败时退出码为1）
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('assert');
+
+// 使用编译后的JS文件
+const { SimulationCore, simulateContract } = require('../../simulation/SimulationCore.js');
+const { MatterSimulationEngine } = require('../../simulation/MatterSimulationEngine.js');
+const MatterRenderer = require('../../render/MatterRenderer.js');
+
+class MergeBodiesTester {
+  constructor() {
+    this.fixtureFile = path.join(__dirname, '../TestLayer/adapter_output/02_physics_contract.json');
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  /**
+   * 无重力场景：小球 ball1（0.5 kg）与方块 block（1 kg），t=0.1 s 时合并为 combo
+   */
+  contract(options = {}) {
+    const contract = JSON.parse(fs.readFileSync(this.fixtureFile, 'utf8'));
+    contract.world.gravity = options.gravity || [0, 0];
+    contract.engine = { ...contract.engine, dt: 1 / 60, substeps: 4 };
+    const ball = contract.bodies.find(body => body.id === 'ball1');
+    ball.position = [2, 2];
+    ball.mass = 0.5;
+    const block = {
+      ...ball,
+      id: 'block', shape: 'box', size: { w: 0.2, h: 0.1 }, r: undefined,
+      position: [2.3, 2], mass: 1, friction: 0.5, frictionStatic: 0.5
+    };
+    contract.bodies = [ball, block];
+    contract.constraints = options.constraints || [];
+    const actions = [{ action: 'merge_bodies', ids: ['ball1', 'block'], newId: 'combo' }];
+    contract.event_rules = [{ when: { on: 'time', t: 0.1 }, do: actions, once: true }];
+    contract.end_conditions = { maxTime: 0.5, stopWhen: [] };
+    return contract;
+  }
+
+  // 合并前给两个刚体设置初速度
+  withVelocities(contract, v1, v2) {
+    contract.event_rules.unshift({
+      when: { on: 'time', t: 0.05 },
+      do: [
+        { action: 'set_velocity', id: 'ball1', velocity: v1 },
+        { action: 'set_velocity', id: 'block', velocity: v2 }
+      ],
+      once: true
+    });
+    return contract;
+  }
+
+  async simulate(contract) {
+    const result = await simulateContract(contract);
+    assert.strictEqual(result.success, true, result.error);
+    return result.data;
+  }
+
+  event(data, type) {
+    const event = data.events.find(e => e.type === type);
+    assert.ok(event, `missing ${type} event`);
+    return event;
+  }
+
+  close(actual, expected, tolerance, label) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: ${actual} vs ${expected}`);
+  }
+
+  async check(name, fn) {
+    try {
+      await fn();
+      this.passed++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      this.failed++;
+      console.log(`  ❌ ${name}: ${error.message}`);
+    }
+  }
+
+  async runTest() {
+    console.log('\n🚀 开始刚体合并测试');
+    console.log('='.repeat(50));
+
+    await this.check('线动量守恒', async () => {
+      const data = await this.simulate(this.withVelocities(this.contract(), [3, 0], [0, 1.5]));
+      const merge = this.event(data, 'merge_bodies').data;
+      // p = 0.5·(3,0) + 1·(0,1.5) = (1.5, 1.5)，总质量 1.5 kg
+      this.close(merge.velocity[0], 1, 1e-9, 'vx');
+      this.close(merge.velocity[1], 1, 1e-9, 'vy');
+      this.close(merge.mass, 1.5, 1e-9, 'mass');
+      const combo = data.finalState.bodies.find(body => body.id === 'combo');
+      this.close(combo.velocity[0], 1, 1e-6, 'final vx');
+      this.close(combo.velocity[1], 1, 1e-6, 'final vy');
+    });
+
+    await this.check('刚性转动合并后角速度不变', async () => {
+      // 两体绕质心 (2.2, 2) 以 ω = 2 rad/s 刚性转动：v = ω × r
+      const omega = 2;
+      const contract = this.contract();
+      // 同一规则内先设速度再合并
+      contract.event_rules[0].do.unshift(
+        { action: 'set_velocity', id: 'ball1', velocity: [0, -omega * 0.2], angularVelocity: omega },
+        { action: 'set_velocity', id: 'block', velocity: [0, omega * 0.1], angularVelocity: omega }
+      );
+      const data = await this.simulate(contract);
+      const merge = this.event(data, 'merge_bodies').data;
+      this.close(merge.angularVelocity, omega, 1e-6, 'ω');
+      this.close(merge.velocity[0], 0, 1e-9, 'vx');
+      this.close(merge.velocity[1], 0, 1e-9, 'vy');
+      const combo = data.frames[data.frames.length - 1].bodies.find(body => body.id === 'combo');
+      this.close(combo.angularVelocity, omega, 1e-6, 'final ω');
+    });
+
+    await this.check('复合体保留部件形状、材料与渲染样式', async () => {
+      const contract = this.contract();
+      const core = new SimulationCore();
+      assert.strictEqual(core.load(contract).success, true);
+      const ball = core.bodies.get('ball1');
+      ball.render.fillStyle = '#ff0000';
+      const before = ['ball1', 'block'].map(id => ({ ...core.bodies.get(id).bounds }));
+      while (!core.step() && !core.bodies.has('combo'));
+      const combo = core.bodies.get('combo');
+      assert.strictEqual(combo.parts.length, 3);
+      const [ballPart, blockPart] = combo.parts.slice(1);
+      assert.deepStrictEqual([ballPart.label, blockPart.label], ['ball1', 'block']);
+      assert.strictEqual(ballPart.render.fillStyle, '#ff0000');
+      assert.strictEqual(blockPart.friction, 0.5);
+      assert.ok(ballPart.circleRadius > 0);
+      // 静止合并：部件包围盒与合并前一致
+      this.close(ballPart.bounds.min.x, before[0].min.x, 1e-9, 'ball bounds');
+      this.close(blockPart.bounds.max.x, before[1].max.x, 1e-9, 'block bounds');
+      this.close(combo.bounds.max.x - combo.bounds.min.x, before[1].max.x - before[0].min.x, 1e-9, 'width');
+      // 质心随质量加权：(0.5·2 + 1·2.3) / 1.5 = 2.2
+      this.close(combo.position.x / 100, 2.2, 1e-9, 'centre');
+    });
+
+    await this.check('合并事件与帧记录', async () => {
+      const data = await this.simulate(this.contract());
+      const merge = this.event(data, 'merge_bodies');
+      assert.deepStrictEqual(merge.participants, ['ball1', 'block']);
+      assert.deepStrictEqual(merge.data.parts.map(part => part.id), ['ball1', 'block']);
+      this.close(merge.data.parts[0].offset[0], -0.2, 1e-9, 'ball offset');
+      this.close(merge.data.parts[1].offset[0], 0.1, 1e-9, 'block offset');
+      const last = data.frames[data.frames.length - 1];
+      assert.deepStrictEqual(last.bodies.map(body => body.id), ['combo']);
+      this.close(last.bodies[0].position[0], 2.2, 1e-9, 'frame x');
+    });
+
+    await this.check('全为静态体的合并：位置取平均、速度为零', async () => {
+      const contract = this.contract({ gravity: [0, 9.8] });
+      contract.bodies.forEach(body => { body.isStatic = true; });
+      const data = await this.simulate(contract);
+      const merge = this.event(data, 'merge_bodies');
+      this.close(merge.data.position[0], 2.15, 1e-9, 'x');
+      this.close(merge.data.position[1], 2, 1e-9, 'y');
+      assert.deepStrictEqual(merge.data.velocity, [0, 0]);
+      assert.strictEqual(merge.data.angularVelocity, 0);
+      this.close(merge.data.parts[0].offset[0], -0.15, 1e-9, 'ball offset');
+      this.close(merge.data.parts[1].offset[0], 0.15, 1e-9, 'block offset');
+      const last = data.frames[data.frames.length - 1];
+      assert.deepStrictEqual(last.bodies.map(body => body.id), ['combo']);
+      this.close(last.bodies[0].position[0], 2.15, 1e-9, 'frame x');
+      this.close(last.bodies[0].position[1], 2, 1e-9, 'frame y');
+      assert.ok(data.frames.every(frame => frame.bodies.every(body => body.position.every(Number.isFinite))));
+    });
+
+    await this.check('约束转移到复合体', async () => {
+      const spring = { type: 'spring', a: { body: 'block', point: null }, b: { body: 'ball1', point: null }, length: 0.3, stiffness: 0.05, damping: 0 };
+      const extra = this.contract({ constraints: [{ ...spring, id: 'tether' }] });
+      extra.bodies.push({ ...extra.bodies[0], id: 'anchor', position: [2.3, 2.5], isStatic: true });
+      extra.constraints.unshift({ ...spring, id: 'hang', a: { body: 'anchor', point: null }, b: { body: 'block', point: null }, length: 0.5 });
+      const core = new SimulationCore();
+      assert.strictEqual(core.load(extra).success, true);
+      const anchorBefore = core.constraints.get('hang');
+      while (!core.step() && !core.bodies.has('combo'));
+      const combo = core.bodies.get('combo');
+      // 两端都并入复合体的约束被移除；外部约束改挂复合体且锚点世界位置不变
+      assert.ok(!core.constraints.has('tether'));
+      assert.strictEqual(anchorBefore.bodyB, combo);
+      this.close(combo.position.x + anchorBefore.pointB.x, 230, 1e-6, 'anchor x');
+      const data = core.run();
+      assert.deepStrictEqual(data.events.find(e => e.type === 'merge_bodies').data.removedConstraints, ['tether']);
+    });
+
+    await this.check('引擎与渲染器合并轨迹一致', async () => {
+      const contract = this.withVelocities(this.contract({ gravity: [0, 9.8] }), [1, 0], [0, -1]);
+      const engine = await new MatterSimulationEngine().runSimulation(JSON.parse(JSON.stringify(contract)));
+      const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'merge-bodies-'));
+      try {
+        const renderer = new MatterRenderer({ outputDir });
+        assert.strictEqual(renderer.createWorld(JSON.parse(JSON.stringify(contract))).success, true);
+        const rendered = await renderer.runSimulation();
+        assert.deepStrictEqual(rendered.data.frames, engine.data.frames);
+        assert.deepStrictEqual(rendered.data.events, engine.data.events);
+      } finally {
+        fs.rmSync(outputDir, { recursive: true, force: true });
+      }
+    });
+
+    console.log('='.repeat(50));
+    console.log(`📊 通过 ${this.passed}，失败 ${this.failed}`);
+    return this.failed === 0;
+  }
+}
+
+// 主函数
+async function main() {
+  const tester = new MergeBodiesTester();
+  const ok = await tester.runTest();
+  if (!ok) process.exit(1);
+}
+
+// 运行测试
+if (require.main === module) {
+  main().catch(error => {
+    console.error('💥 测试脚本执行失败:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { MergeBodiesTester };
@@ -0,0 +1,218 @@
+#!/usr/bin/env node
+/**
+ * 参数扫描测试脚本
+ * 测试参数路径写入、取值展开、依赖几何重建、工作线程与当前线程结果一致、指标表与失败变体
+ * 输入：TestLayer/adapter_output/02_physics_contract.json 及其变体
+ * 输出：控制台断言结果（失败时退出码为1）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+
+// 使用编译后的JS文件
+const {
+  runParameterSweep,
+  buildSweepVariants,
+  expandParameter,
+  setContractValue
+} = require('../../simulation/ParameterSweep.js');
+const { MatterSimulationEngine } = require('../../simulation/MatterSimulationEngine.js');
+const { GeometryAnalyzer } = require('../../validation/GeometryAnalyzer.js');
+
+class ParameterSweepTester {
+  constructor() {
+    this.fixtureFile = path.join(__dirname, '../TestLayer/adapter_output/02_physics_contract.json');
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  /**
+   * 以 ball1 为模板构造契约
+   */
+  contract({ gravity = [0, 9.8], bodies, rules = [], maxTime = 2 }) {
+    const contract = JSON.parse(fs.readFileSync(this.fixtureFile, 'utf8'));
+    const template = contract.bodies.find(body => body.id === 'ball1');
+    contract.engine = { ...contract.engine, dt: 1 / 60, substeps: 4 };
+    contract.world.gravity = gravity;
+    contract.bodies = bodies.map(body => ({ ...template, angle: 0, friction: 0, frictionStatic: 0, ...body }));
+    contract.constraints = [];
+    contract.event_rules = rules;
+    contract.end_conditions = { maxTime, stopWhen: [] };
+    return contract;
+  }
+
+  /**
+   * 小球从 y = 1 由静止下落到顶面 y = 5 的地面
+   */
+  drop() {
+    return this.contract({
+      bodies: [
+        { id: 'ground', shape: 'box', isStatic: true, position: [5, 5.25], size: { w: 10, h: 0.5 }, r: undefined },
+        { id: 'ball', position: [1, 1], r: 0.1, mass: 1, restitution: 0 }
+      ],
+      maxTime: 1.2
+    });
+  }
+
+  /**
+   * 静止在倾斜木板上表面中点的小球（木板绕中心转 0.2 rad）
+   */
+  plank(angle = 0.2) {
+    const normal = [Math.sin(angle), -Math.cos(angle)];
+    const lift = 0.1 + 0.1 + 0.001;
+    return this.contract({
+      bodies: [
+        { id: 'plank', shape: 'box', isStatic: true, position: [5, 4], angle, size: { w: 4, h: 0.2 }, r: undefined },
+        { id: 'ball', position: [5 + normal[0] * lift, 4 + normal[1] * lift], r: 0.1, mass: 1 }
+      ],
+      maxTime: 0.5
+    });
+  }
+
+  landingTime() {
+    return { id: 'fall_time', description: '落地时间', quantity: 'time', body: 'ball', at: { kind: 'moment', type: 'first_ground_contact' } };
+  }
+
+  async check(name, fn) {
+    try {
+      await fn();
+      this.passed++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      this.failed++;
+      console.log(`  ❌ ${name}: ${error.message}`);
+    }
+  }
+
+  async runTest() {
+    console.log('\n🚀 开始参数扫描测试');
+    console.log('='.repeat(50));
+
+    await this.check('参数路径：按 id / 下标写入，非法路径给出原因', async () => {
+      const contract = this.drop();
+      assert.deepStrictEqual(setContractValue(contract, 'bodies[ball].mass', 3), { body: 'ball', field: 'mass' });
+      assert.strictEqual(contract.bodies[1].mass, 3);
+      setContractValue(contract, 'world.gravity[1]', 1.62);
+      assert.deepStrictEqual(contract.world.gravity, [0, 1.62]);
+      setContractValue(contract, 'bodies[0].size.w', 12);
+      assert.strictEqual(contract.bodies[0].size.w, 12);
+
+      assert.throws(() => setContractValue(contract, 'bodies[cart].mass', 1), /^Error: Unknown id "cart" in parameter path "bodies\[cart\]\.mass"$/);
+      assert.throws(() => setContractValue(contract, 'world.wind.x', 1), /does not exist in the contract/);
+      assert.throws(() => setContractValue(contract, 'world.gravity[2]', 1), /does not exist in the contract/);
+      assert.throws(() => setContractValue(contract, 'bodies..mass', 1), /Invalid parameter path/);
+    });
+
+    await this.check('取值展开：等距区间含两端，grid 取笛卡尔积，zip 按下标配对', async () => {
+      assert.deepStrictEqual(expandParameter({ path: 'x', range: { from: 1, to: 2, steps: 5 } }), [1, 1.25, 1.5, 1.75, 2]);
+      assert.deepStrictEqual(expandParameter({ path: 'x', values: [3] }), [3]);
+      assert.throws(() => expandParameter({ path: 'x' }), /needs values or a range/);
+
+      const base = this.drop();
+      const grid = buildSweepVariants(base, [
+        { path: 'bodies[ball].mass', values: [1, 2], label: 'm' },
+        { path: 'bodies[ball].restitution', values: [0, 0.5, 1] }
+      ]);
+      assert.strictEqual(grid.length, 6);
+      assert.deepStrictEqual(grid[4].values, { m: 2, 'bodies[ball].restitution': 0.5 });
+      assert.strictEqual(grid[4].label, 'm = 2, bodies[ball].restitution = 0.5');
+      assert.strictEqual(base.bodies[1].mass, 1);
+
+      const zip = buildSweepVariants(base, [
+        { path: 'bodies[ball].mass', values: [1, 2] },
+        { path: 'bodies[ball].restitution', values: [0, 0.5] }
+      ], { mode: 'zip' });
+      assert.deepStrictEqual(zip.map(variant => [variant.contract.bodies[1].mass, variant.contract.bodies[1].restitution]), [[1, 0], [2, 0.5]]);
+      assert.throws(() => buildSweepVariants(base, [{ path: 'bodies[ball].mass', range: { from: 1, to: 2, steps: 300 } }]), /limit 256/);
+    });
+
+    await this.check('依赖几何：静置小球随木板转动，半径变大时移出穿透', async () => {
+      const base = this.plank();
+      const [turned] = buildSweepVariants(base, [{ path: 'bodies[plank].angle', values: [0.5] }]);
+      const expected = this.plank(0.5).bodies[1].position;
+      const ball = turned.contract.bodies[1];
+      ball.position.forEach((value, i) => this.close(value, expected[i], 1e-9, 'ball follows plank'));
+      this.close(ball.angle, 0.3, 1e-12, 'ball turns with plank');
+      assert.deepStrictEqual(turned.moves.map(move => [move.id, move.reasons, move.support]), [['ball', ['follows_support'], 'plank']]);
+      assert.deepStrictEqual(new GeometryAnalyzer().restingSupports(turned.contract), { ball: 'plank' });
+
+      const [grown] = buildSweepVariants(base, [{ path: 'bodies[ball].r', values: [0.2] }]);
+      assert.deepStrictEqual(grown.moves.map(move => [move.id, move.reasons]), [['ball', ['initial_overlap']]]);
+      assert.ok(new GeometryAnalyzer().analyze(grown.contract).ok);
+
+      const [kept] = buildSweepVariants(base, [{ path: 'bodies[plank].angle', values: [0.5] }], { regenerateGeometry: false });
+      assert.deepStrictEqual(kept.contract.bodies[1].position, base.bodies[1].position);
+      assert.deepStrictEqual(kept.moves, []);
+    });
+
+    await this.check('下落高度扫描：落地时间符合 √(2h/g)，指标表按列排列', async () => {
+      const heights = [1, 2, 3];
+      const sweep = await runParameterSweep(this.drop(), [
+        { path: 'bodies[ball].position[1]', values: heights, label: 'y0' }
+      ], { metrics: [this.landingTime()], workers: 0 });
+
+      assert.strictEqual(sweep.workers, 0);
+      assert.deepStrictEqual(sweep.table.columns, ['y0', 'fall_time', 'totalTime', 'endReason']);
+      assert.deepStrictEqual(sweep.table.units, { fall_time: 's' });
+      sweep.table.rows.forEach((row, i) => {
+        assert.strictEqual(row[0], heights[i]);
+        this.close(row[1], Math.sqrt(2 * (4.9 - heights[i]) / 9.8), 0.02, `fall time from y = ${heights[i]}`);
+        assert.strictEqual(row[3], 'time_limit');
+      });
+      assert.ok(sweep.rows.every(row => row.success && row.data === undefined && /^[0-9a-f]{64}$/.test(row.traceHash)));
+    });
+
+    await this.check('工作线程池与当前线程结果一致（轨迹哈希相同）', async () => {
+      const parameters = [{ path: 'bodies[ball].restitution', values: [0, 0.4, 0.8] }];
+      const options = { metrics: [this.landingTime()] };
+      const local = await runParameterSweep(this.drop(), parameters, { ...options, workers: 0 });
+      const pooled = await runParameterSweep(this.drop(), parameters, { ...options, workers: 2, keepData: true });
+      assert.strictEqual(pooled.workers, 2);
+      assert.deepStrictEqual(pooled.rows.map(row => row.traceHash), local.rows.map(row => row.traceHash));
+      assert.deepStrictEqual(pooled.table.rows, local.table.rows);
+      assert.ok(pooled.rows.every(row => row.data && row.data.frames.length > 0));
+      // 线程数多于变体时只启动与变体数相同的线程
+      const capped = await runParameterSweep(this.drop(), parameters, { ...options, workers: 8 });
+      assert.strictEqual(capped.workers, 3);
+      assert.deepStrictEqual(capped.table.rows, local.table.rows);
+    });
+
+    await this.check('未通过门禁的变体单独失败，engine.sweep 为同一入口', async () => {
+      const engine = new MatterSimulationEngine();
+      const sweep = await engine.sweep(this.drop(), [{ path: 'bodies[ball].restitution', values: [0.5, 'bouncy'] }], {
+        metrics: [this.landingTime()],
+        workers: 1
+      });
+      assert.deepStrictEqual(sweep.rows.map(row => row.success), [true, false]);
+      assert.ok(sweep.rows[1].error);
+      assert.deepStrictEqual(sweep.table.rows[1].slice(1), [null, null, null]);
+      assert.ok(sweep.table.rows[0][1] > 0);
+    });
+
+    console.log('='.repeat(50));
+    console.log(`📊 通过 ${this.passed}，失败 ${this.failed}`);
+    return this.failed === 0;
+  }
+
+  close(actual, expected, tolerance, label) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: ${actual} vs ${expected}`);
+  }
+}
+
+// 主函数
+async function main() {
+  const tester = new ParameterSweepTester();
+  const ok = await tester.runTest();
+  if (!ok) process.exit(1);
+}
+
+// 运行测试
+if (require.main === module) {
+  main().catch(error => {
+    console.error('💥 测试脚本执行失败:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { ParameterSweepTester };
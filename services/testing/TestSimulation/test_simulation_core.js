@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+/**
+ * SimulationCore测试脚本
+ * 测试 Adapter、MatterSimulationEngine、MatterRenderer 共用仿真核心后输出一致的轨迹
+ * 输入：TestLayer/adapter_output/02_physics_contract.json 及其变体
+ * 输出：控制台断言结果（失败时退出码为1）
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('assert');
+
+// 使用编译后的JS文件
+const { SimulationCore } = require('../../simulation/SimulationCore.js');
+const { MatterSimulationEngine } = require('../../simulation/MatterSimulationEngine.js');
+const { adaptPhysicsContract } = require('../../matter_adapter/Adapter.js');
+const MatterRenderer = require('../../render/MatterRenderer.js');
+
+class SimulationCoreTester {
+  constructor() {
+    this.fixtureFile = path.join(__dirname, '../TestLayer/adapter_output/02_physics_contract.json');
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  loadContract() {
+    return JSON.parse(fs.readFileSync(this.fixtureFile, 'utf8'));
+  }
+
+  /**
+   * 两球间的弹簧振子
+   */
+  springContract() {
+    const contract = this.loadContract();
+    contract.world.gravity = [0, 0];
+    contract.bodies = contract.bodies.filter(body => body.id.startsWith('ball'));
+    contract.bodies[0].position = [1, 1];
+    contract.bodies[1].position = [1.6, 1];
+    contract.constraints = [{
+      id: 'spring1', type: 'spring',
+      a: { body: 'ball1', point: null }, b: { body: 'ball2', point: null },
+      length: 0.4, stiffness: 0.05, damping: 0
+    }];
+    contract.event_rules = [];
+    contract.end_conditions = { maxTime: 1, stopWhen: [] };
+    return contract;
+  }
+
+  /**
+   * 同一契约分别经三条路径仿真
+   */
+  async runAllPaths(contract) {
+    const adapter = await adaptPhysicsContract(JSON.parse(JSON.stringify(contract)));
+    const engine = await new MatterSimulationEngine().runSimulation(JSON.parse(JSON.stringify(contract)));
+
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'simulation-core-'));
+    try {
+      const renderer = new MatterRenderer({ outputDir });
+      const world = renderer.createWorld(JSON.parse(JSON.stringify(contract)));
+      const rendered = world.success ? await renderer.runSimulation() : world;
+      return { adapter, engine, renderer: rendered };
+    } finally {
+      fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+  }
+
+  assertIdenticalTraces(results) {
+    const { adapter, engine, renderer } = results;
+    for (const result of [adapter, engine, renderer]) {
+      assert.strictEqual(result.success, true, result.error);
+    }
+    for (const key of ['frames', 'finalState', 'events', 'physicsMetrics', 'timing']) {
+      assert.deepStrictEqual(engine.data[key], adapter.data[key], `engine.${key} differs from adapter`);
+      assert.deepStrictEqual(renderer.data[key], adapter.data[key], `renderer.${key} differs from adapter`);
+    }
+  }
+
+  async check(name, fn) {
+    try {
+      await fn();
+      this.passed++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      this.failed++;
+      console.log(`  ❌ ${name}: ${error.message}`);
+    }
+  }
+
+  async runTest() {
+    console.log('\n🚀 开始SimulationCore测试');
+    console.log('='.repeat(50));
+
+    await this.check('碰撞与合并事件的轨迹三路一致', async () => {
+      const results = await this.runAllPaths(this.loadContract());
+      this.assertIdenticalTraces(results);
+      const types = results.adapter.data.events.map(event => event.type);
+      assert.ok(types.includes('collision'), JSON.stringify(types));
+    });
+
+    await this.check('弹簧约束的轨迹三路一致', async () => {
+      const results = await this.runAllPaths(this.springContract());
+      this.assertIdenticalTraces(results);
+      // 弹簧被拉伸后两球相向运动
+      const frames = results.adapter.data.frames;
+      const ball1 = frames[1].bodies.find(body => body.id === 'ball1');
+      assert.ok(ball1.velocity[0] > 0);
+    });
+
+    await this.check('三路使用同一门禁', async () => {
+      const contract = this.loadContract();
+      contract.end_conditions.stopWhen[0].id = 'ghost';
+      const { adapter, engine, renderer } = await this.runAllPaths(contract);
+      for (const result of [engine, renderer]) {
+        assert.strictEqual(result.success, false);
+        assert.strictEqual(result.error, adapter.error);
+      }
+    });
+
+    await this.check('帧序号连续且从初始帧开始', async () => {
+      const core = new SimulationCore();
+      assert.strictEqual(core.load(this.springContract()).success, true);
+      const data = core.run();
+      data.frames.forEach((frame, i) => assert.strictEqual(frame.frameIndex, i));
+      assert.strictEqual(data.frames[0].timestamp, 0);
+    });
+
+    await this.check('每个实例只加载一份契约', () => {
+      const core = new SimulationCore();
+      core.load(this.springContract());
+      assert.throws(() => core.load(this.springContract()), /SimulationCore/);
+    });
+
+    console.log('='.repeat(50));
+    console.log(`📊 通过 ${this.passed}，失败 ${this.failed}`);
+    return this.failed === 0;
+  }
+}
+
+// 主函数
+async function main() {
+  const tester = new SimulationCoreTester();
+  const ok = await tester.runTest();
+  if (!ok) process.exit(1);
+}
+
+// 运行测试
+if (require.main === module) {
+  main().catch(error => {
+    console.error('💥 测试脚本执行失败:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { SimulationCoreTester };
@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+/**
+ * 仿真时序测试脚本
+ * 测试 contract.engine.dt / substeps 的解析，以及帧记录频率与物理步频的解耦
+ * 输入：TestLayer/adapter_output/02_physics_contract.json
+ * 输出：控制台断言结果（失败时退出码为1）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+
+// 使用编译后的JS文件
+const { resolveTiming } = require('../../simulation/SimulationClock.js');
+const { MatterSimulationEngine } = require('../../simulation/MatterSimulationEngine.js');
+const { adaptPhysicsContract } = require('../../matter_adapter/Adapter.js');
+
+class SimulationTimingTester {
+  constructor() {
+    this.fixtureFile = path.join(__dirname, '../TestLayer/adapter_output/02_physics_contract.json');
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  /**
+   * 单个自由下落小球，无终止条件
+   */
+  loadContract(engine, maxTime) {
+    const contract = JSON.parse(fs.readFileSync(this.fixtureFile, 'utf8'));
+    contract.engine = { ...contract.engine, ...engine };
+    contract.bodies = contract.bodies.filter(body => body.id === 'ball1');
+    contract.constraints = [];
+    contract.event_rules = [];
+    contract.end_conditions = { maxTime, stopWhen: [] };
+    return contract;
+  }
+
+  async check(name, fn) {
+    try {
+      await fn();
+      this.passed++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      this.failed++;
+      console.log(`  ❌ ${name}: ${error.message}`);
+    }
+  }
+
+  async runTest() {
+    console.log('\n🚀 开始仿真时序测试');
+    console.log('='.repeat(50));
+
+    await this.check('dt与substeps决定物理步频', () => {
+      const timing = resolveTiming({ dt: 1 / 60, substeps: 4 }, { recordRate: 30 });
+      assert.ok(Math.abs(timing.physicsRate - 240) < 1e-9);
+      assert.ok(Math.abs(timing.stepMs - 1000 / 240) < 1e-9);
+      assert.strictEqual(timing.stepsPerRecord, 8);
+      assert.ok(Math.abs(timing.recordRate - 30) < 1e-9);
+    });
+
+    await this.check('缺省时序与过高的记录频率', () => {
+      const timing = resolveTiming(undefined, { recordRate: 1000 });
+      assert.ok(Math.abs(timing.dt - 1 / 60) < 1e-12);
+      assert.strictEqual(timing.substeps, 1);
+      assert.strictEqual(timing.stepsPerRecord, 1);
+    });
+
+    await this.check('引擎按recordRate记录帧', async () => {
+      const engine = new MatterSimulationEngine();
+      const result = await engine.runSimulation(this.loadContract({ dt: 1 / 60, substeps: 4 }, 1), { recordRate: 30 });
+      assert.strictEqual(result.success, true, result.error);
+      const frames = result.data.frames;
+      assert.strictEqual(frames[0].timestamp, 0);
+      assert.strictEqual(frames.length, 31);
+      frames.slice(1).forEach((frame, i) => {
+        assert.ok(Math.abs(frame.timestamp - frames[i].timestamp - 1 / 30) < 1e-9, `frame ${i + 1}: ${frame.timestamp}`);
+      });
+      assert.strictEqual(result.data.finalState.endReason, 'time_limit');
+    });
+
+    await this.check('Adapter未指定recordRate时按契约帧记录', async () => {
+      const result = await adaptPhysicsContract(this.loadContract({ dt: 0.02, substeps: 2 }, 0.5));
+      assert.strictEqual(result.success, true, result.error);
+      assert.strictEqual(result.data.timing.stepsPerRecord, 2);
+      assert.strictEqual(result.data.frames.length, 26);
+      assert.ok(Math.abs(result.data.finalState.totalTime - 0.5) < 1e-9);
+    });
+
+    console.log('='.repeat(50));
+    console.log(`📊 通过 ${this.passed}，失败 ${this.failed}`);
+    return this.failed === 0;
+  }
+}
+
+// 主函数
+async function main() {
+  const tester = new SimulationTimingTester();
+  const ok = await tester.runTest();
+  if (!ok) process.exit(1);
+}
+
+// 运行测试
+if (require.main === module) {
+  main().catch(error => {
+    console.error('💥 测试脚本执行失败:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { SimulationTimingTester };
@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+/**
+ * 弹簧振子测试脚本
+ * 测试以物理劲度系数 k（N/m）与阻尼系数 c（N·s/m）描述的弹簧：
+ * 周期 T = 2π√(m/k)、竖直弹簧平衡伸长 mg/k、阻尼振幅衰减 e^(−ct/2m)、schema 校验
+ * 输入：TestLayer/adapter_output/02_physics_contract.json 的变体
+ * 输出：控制台断言结果（失败时退出码为1）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+
+// 使用编译后的JS文件
+const { simulateContract } = require('../../simulation/SimulationCore.js');
+const { ContractValidator } = require('../../validation/ContractValidator.js');
+
+class SpringTester {
+  constructor() {
+    this.fixtureFile = path.join(__dirname, '../TestLayer/adapter_output/02_physics_contract.json');
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  /**
+   * 质量 m 的小球经弹簧（原长 0.5 m）挂在世界点 [0, 0]，小球初始位于 position
+   */
+  contract({ m, k, c, position, gravity = [0, 0], maxTime = 3 }) {
+    const contract = JSON.parse(fs.readFileSync(this.fixtureFile, 'utf8'));
+    const ball = contract.bodies.find(body => body.id === 'ball1');
+    contract.world.gravity = gravity;
+    contract.world.bounds = { min: [-5, -5], max: [5, 5] };
+    contract.engine = { ...contract.engine, dt: 1 / 60, substeps: 4 };
+    contract.bodies = [{ ...ball, id: 'bob', position, mass: m }];
+    contract.constraints = [{
+      id: 'spring1', type: 'spring', length: 0.5, k, ...(c !== undefined ? { c } : {}),
+      a: { body: null, point: [0, 0] }, b: { body: 'bob', point: null }
+    }];
+    contract.event_rules = [];
+    contract.end_conditions = { maxTime, stopWhen: [] };
+    return contract;
+  }
+
+  async simulate(contract) {
+    const result = await simulateContract(contract);
+    assert.strictEqual(result.success, true, result.error);
+    return result.data;
+  }
+
+  // x 分量由上向下越过 level 的时刻（帧间线性插值）
+  downCrossings(data, level) {
+    const crossings = [];
+    for (let i = 1; i < data.frames.length; i++) {
+      const x0 = data.frames[i - 1].bodies[0].position[0] - level;
+      const x1 = data.frames[i].bodies[0].position[0] - level;
+      if (x0 > 0 && x1 <= 0) {
+        const t0 = data.frames[i - 1].timestamp;
+        crossings.push(t0 + (data.frames[i].timestamp - t0) * x0 / (x0 - x1));
+      }
+    }
+    return crossings;
+  }
+
+  close(actual, expected, tolerance, label) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: ${actual} vs ${expected}`);
+  }
+
+  async check(name, fn) {
+    try {
+      await fn();
+      this.passed++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      this.failed++;
+      console.log(`  ❌ ${name}: ${error.message}`);
+    }
+  }
+
+  async runTest() {
+    console.log('\n🚀 开始弹簧振子测试');
+    console.log('='.repeat(50));
+
+    await this.check('水平振子周期 T = 2π√(m/k)', async () => {
+      for (const [m, k] of [[0.5, 20], [2, 50]]) {
+        const data = await this.simulate(this.contract({ m, k, position: [0.6, 0] }));
+        const crossings = this.downCrossings(data, 0.5);
+        assert.ok(crossings.length >= 3, `m=${m}, k=${k}: not oscillating`);
+        const expected = 2 * Math.PI * Math.sqrt(m / k);
+        const period = (crossings[crossings.length - 1] - crossings[0]) / (crossings.length - 1);
+        this.close(period, expected, expected * 2e-3, `m=${m}, k=${k} period`);
+        // 无阻尼时振幅不衰减
+        const maxX = Math.max(...data.frames.map(frame => frame.bodies[0].position[0]));
+        this.close(maxX, 0.6, 1e-3, 'amplitude');
+      }
+    });
+
+    await this.check('竖直弹簧平衡伸长 mg/k', async () => {
+      // 从平衡位置静止释放，小球保持不动
+      const m = 1;
+      const k = 40;
+      const equilibrium = 0.5 + m * 9.8 / k;
+      const data = await this.simulate(this.contract({ m, k, position: [0, equilibrium], gravity: [0, 9.8], maxTime: 1 }));
+      const ys = data.frames.map(frame => frame.bodies[0].position[1]);
+      this.close(Math.min(...ys), equilibrium, 1e-3, 'min y');
+      this.close(Math.max(...ys), equilibrium, 1e-3, 'max y');
+    });
+
+    await this.check('阻尼振幅按 e^(−ct/2m) 衰减', async () => {
+      const m = 0.5;
+      const k = 20;
+      const c = 0.4;
+      const data = await this.simulate(this.contract({ m, k, c, position: [0.6, 0], maxTime: 3 }));
+      // 相邻同向极大值之比
+      const xs = data.frames.map(frame => frame.bodies[0].position[0] - 0.5);
+      const peaks = [];
+      for (let i = 1; i < xs.length - 1; i++) {
+        if (xs[i] > xs[i - 1] && xs[i] >= xs[i + 1] && xs[i] > 0) peaks.push({ t: data.frames[i].timestamp, x: xs[i] });
+      }
+      assert.ok(peaks.length >= 2, 'no peaks');
+      const ratio = peaks[1].x / peaks[0].x;
+      const expected = Math.exp(-c * (peaks[1].t - peaks[0].t) / (2 * m));
+      this.close(ratio, expected, 5e-3, 'decay ratio');
+      // 欠阻尼周期 2π/√(k/m − (c/2m)²)
+      const damped = 2 * Math.PI / Math.sqrt(k / m - (c / (2 * m)) ** 2);
+      this.close(peaks[1].t - peaks[0].t, damped, 1 / 60, 'damped period');
+    });
+
+    await this.check('弹簧需给出 k 或旧版 stiffness', () => {
+      const contract = this.contract({ m: 1, k: 10, position: [0.6, 0] });
+      delete contract.constraints[0].k;
+      const messages = new ContractValidator().validate(contract).errors.map(issue => issue.message);
+      assert.deepStrictEqual(messages, ['constraints[0] requires one of k, stiffness']);
+
+      contract.constraints[0].k = -1;
+      const negative = new ContractValidator().validate(contract).errors.map(issue => issue.message);
+      assert.ok(negative.some(message => message.startsWith('constraints[0].k')), JSON.stringify(negative));
+    });
+
+    console.log('='.repeat(50));
+    console.log(`📊 通过 ${this.passed}，失败 ${this.failed}`);
+    return this.failed === 0;
+  }
+}
+
+// 主函数
+async function main() {
+  const tester = new SpringTester();
+  const ok = await tester.runTest();
+  if (!ok) process.exit(1);
+}
+
+// 运行测试
+if (require.main === module) {
+  main().catch(error => {
+    console.error('💥 测试脚本执行失败:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { SpringTester };
@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+/**
+ * 时间重映射测试脚本
+ * 测试慢放窗口的构造与合并、播放速率的平滑过渡、仿真 / 视频时刻的双向映射、低速接触不触发慢放
+ * 输入：TestLayer/adapter_output/02_physics_contract.json 的变体及手工构造的帧序列
+ * 输出：控制台断言结果（失败时退出码为1）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+
+// 使用编译后的JS文件
+const { simulateContract } = require('../../simulation/SimulationCore.js');
+const { resampleFrames } = require('../../simulation/FrameResampler.js');
+const { buildTimeRemap, simToVideo, videoToSim, playbackRate, remapTimeline } = require('../../simulation/TimeRemap.js');
+
+class TimeRemapTester {
+  constructor() {
+    this.fixtureFile = path.join(__dirname, '../TestLayer/adapter_output/02_physics_contract.json');
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  /**
+   * 小球从 y = 1 下落到顶面 y = 5 的地面并反弹
+   */
+  bounce(maxTime = 1.5) {
+    const contract = JSON.parse(fs.readFileSync(this.fixtureFile, 'utf8'));
+    const template = contract.bodies.find(body => body.id === 'ball1');
+    contract.engine = { ...contract.engine, dt: 1 / 60, substeps: 4 };
+    contract.world.gravity = [0, 9.8];
+    contract.bodies = [
+      { ...template, id: 'ground', shape: 'box', isStatic: true, position: [5, 5.25], size: { w: 10, h: 0.5 }, r: undefined, angle: 0, restitution: 0.8 },
+      { ...template, id: 'ball', position: [1, 1], angle: 0, r: 0.1, mass: 1, friction: 0, frictionStatic: 0, restitution: 0.8 }
+    ];
+    contract.constraints = [];
+    contract.event_rules = [];
+    contract.end_conditions = { maxTime, stopWhen: [] };
+    return contract;
+  }
+
+  /**
+   * 0 ~ duration 的静止帧序列，events 按毫秒时刻给出
+   */
+  track(duration, events = []) {
+    const frames = [];
+    for (let k = 0; k <= duration * 10; k++) {
+      frames.push({ frameIndex: k, timestamp: k / 10, bodies: [], forces: [], events: [] });
+    }
+    return { frames, events };
+  }
+
+  event(type, ms, participants = ['a', 'b']) {
+    return { type, timestamp: ms, participants, data: {} };
+  }
+
+  async check(name, fn) {
+    try {
+      await fn();
+      this.passed++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      this.failed++;
+      console.log(`  ❌ ${name}: ${error.message}`);
+    }
+  }
+
+  async runTest() {
+    console.log('\n🚀 开始时间重映射测试');
+    console.log('='.repeat(50));
+
+    await this.check('无关键事件：恒等映射，全程原速', () => {
+      const remap = buildTimeRemap(this.track(2, [this.event('set_velocity', 500)]));
+      assert.strictEqual(remap.windows.length, 0);
+      assert.strictEqual(remap.duration, 2);
+      this.close(simToVideo(remap, 1.3), 1.3, 1e-12, 'simToVideo');
+      assert.strictEqual(playbackRate(remap, 1), 1);
+      assert.throws(() => buildTimeRemap(this.track(1), { rate: 0 }), /Slow-motion rate must be in \(0, 1\]/);
+      assert.throws(() => buildTimeRemap(this.track(1), { rate: 1.5 }), /Slow-motion rate must be in \(0, 1\]/);
+    });
+
+    await this.check('慢放窗口：事件前后展开，相近事件合并，速率平滑过渡', () => {
+      const remap = buildTimeRemap(this.track(4, [
+        this.event('collision', 1000),
+        this.event('merge_bodies', 1200),
+        this.event('attach_constraint', 3000)
+      ]), { rate: 0.25, before: 0.1, after: 0.25, ramp: 0.15 });
+      assert.strictEqual(remap.windows.length, 2);
+      this.close(remap.windows[0].start, 0.9, 1e-12, 'window start');
+      this.close(remap.windows[0].end, 1.45, 1e-12, 'window end');
+      assert.deepStrictEqual(remap.windows[0].events.map(event => event.type), ['collision', 'merge_bodies']);
+
+      // 全速率段为 rate，过渡段单调且连续
+      this.close(playbackRate(remap, 1.1), 0.25, 1e-12, 'core rate');
+      this.close(playbackRate(remap, 0.5), 1, 1e-12, 'outside rate');
+      let previous = playbackRate(remap, 0.75);
+      for (let s = 0.75; s <= 0.9; s += 0.005) {
+        const rate = playbackRate(remap, s);
+        assert.ok(rate <= previous + 1e-12 && previous - rate < 0.06, `ramp at ${s.toFixed(3)}`);
+        previous = rate;
+      }
+      // 每个窗口在视频中延长 (1/rate − 1)·(窗口长 + 过渡长)
+      const stretch = 3 * ((1.45 - 0.9 + 0.15) + (3.25 - 2.9 + 0.15));
+      this.close(remap.duration, 4 + stretch, 1e-9, 'video duration');
+      this.close(remap.windows[0].videoEnd - remap.windows[0].videoStart, 4 * 0.55, 1e-9, 'core in video');
+    });
+
+    await this.check('双向映射：videoToSim 为 simToVideo 的反函数，导数为播放速率的倒数', () => {
+      const remap = buildTimeRemap(this.track(3, [this.event('collision', 1500)]));
+      for (let s = 0; s <= 3; s += 0.07) {
+        this.close(videoToSim(remap, simToVideo(remap, s)), s, 1e-9, `round trip ${s.toFixed(2)}`);
+        const h = 1e-6;
+        const slope = (simToVideo(remap, s + h) - simToVideo(remap, s - h)) / (2 * h);
+        this.close(slope, 1 / playbackRate(remap, s), 1e-4, `slope ${s.toFixed(2)}`);
+      }
+      assert.strictEqual(videoToSim(remap, -1), 0);
+      assert.strictEqual(videoToSim(remap, remap.duration + 1), 3);
+    });
+
+    await this.check('视频时间轴：帧数为 floor(duration·fps)+1，仿真时刻单调且覆盖首末', () => {
+      const remap = buildTimeRemap(this.track(2, [this.event('collision', 800)]));
+      const times = remapTimeline(remap, 30);
+      assert.strictEqual(times.length, Math.floor(remap.duration * 30 + 1e-9) + 1);
+      assert.strictEqual(times[0], 0);
+      assert.ok(times[times.length - 1] <= 2 && 2 - times[times.length - 1] < 1 / 30);
+      times.slice(1).forEach((t, k) => assert.ok(t > times[k], `frame ${k + 1}`));
+      // 慢放段每帧推进 rate / fps 仿真秒
+      const k = times.findIndex(t => t >= 0.8);
+      this.close(times[k + 1] - times[k], 0.25 / 30, 1e-9, 'slow step');
+    });
+
+    await this.check('反弹：碰撞处慢放，低于 minImpactSpeed 的接触不触发', async () => {
+      const result = await simulateContract(this.bounce(), { recordRate: 60 });
+      const impacts = result.data.collisions.filter(collision => collision.bodies.includes('ball'));
+      assert.ok(impacts.length > 0, 'ball hits the ground');
+
+      const remap = buildTimeRemap(result.data);
+      const first = impacts[0];
+      assert.ok(remap.windows.some(window => window.start <= first.time && first.time <= window.end), 'first impact slowed');
+      this.close(playbackRate(remap, first.time), 0.25, 1e-12, 'impact rate');
+
+      const strict = buildTimeRemap(result.data, { minImpactSpeed: Math.max(...impacts.map(c => c.approachSpeed)) + 1 });
+      assert.strictEqual(strict.windows.length, 0);
+      assert.strictEqual(strict.duration, remap.end - remap.start);
+    });
+
+    await this.check('按映射重采样：帧时刻即映射时间轴，事件只出现一次', async () => {
+      const result = await simulateContract(this.bounce(), { recordRate: 60 });
+      const remap = buildTimeRemap(result.data);
+      const times = remapTimeline(remap, 60);
+      const frames = resampleFrames(result.data, { fps: 60, times });
+      assert.strictEqual(frames.length, times.length);
+      frames.forEach((frame, k) => assert.strictEqual(frame.timestamp, times[k]));
+
+      // 每个事件只出现一次
+      assert.ok(result.data.events.length > 0);
+      assert.strictEqual(frames.reduce((sum, frame) => sum + frame.events.length, 0), result.data.events.length);
+      // 慢放使视频长于仿真
+      assert.ok(frames.length > result.data.frames.length);
+    });
+
+    console.log('='.repeat(50));
+    console.log(`📊 通过 ${this.passed}，失败 ${this.failed}`);
+    return this.failed === 0;
+  }
+
+  close(actual, expected, tolerance, label) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: ${actual} vs ${expected}`);
+  }
+}
+
+// 主函数
+async function main() {
+  const tester = new TimeRemapTester();
+  const ok = await tester.runTest();
+  if (!ok) process.exit(1);
+}
+
+// 运行测试
+if (require.main === module) {
+  main().catch(error => {
+    console.error('💥 测试脚本执行失败:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { TimeRemapTester };
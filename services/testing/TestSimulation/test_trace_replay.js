@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+/**
+ * 轨迹哈希与回放测试脚本
+ * 测试同一契约多次运行的哈希一致、种子与引擎配置记录，以及 replay 的分歧帧定位
+ * 输入：TestLayer/adapter_output/02_physics_contract.json 及其变体
+ * 输出：控制台断言结果（失败时退出码为1）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+
+// 使用编译后的JS文件
+const { simulateContract } = require('../../simulation/SimulationCore.js');
+const { replay } = require('../../simulation/TraceHash.js');
+
+class TraceReplayTester {
+  constructor() {
+    this.fixtureFile = path.join(__dirname, '../TestLayer/adapter_output/02_physics_contract.json');
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  fixture() {
+    return JSON.parse(fs.readFileSync(this.fixtureFile, 'utf8'));
+  }
+
+  /**
+   * 两球对撞，t = 0.5 s 时改变 ball1 的速度
+   */
+  contract({ kick = [0, -2], maxTime = 1 } = {}) {
+    const contract = this.fixture();
+    const template = contract.bodies.find(body => body.id === 'ball1');
+    contract.engine = { ...contract.engine, dt: 1 / 60, substeps: 4 };
+    contract.bodies = [
+      { ...template, id: 'ball1', position: [1, 1], mass: 1, restitution: 0.8 },
+      { ...template, id: 'ball2', position: [2, 1], mass: 1, restitution: 0.8 }
+    ];
+    contract.constraints = [];
+    contract.event_rules = [
+      { when: { on: 'time', t: 0.05 }, do: [{ action: 'set_velocity', id: 'ball1', velocity: [4, 0] }], once: true },
+      { when: { on: 'time', t: 0.5 }, do: [{ action: 'set_velocity', id: 'ball1', velocity: kick }], once: true }
+    ];
+    contract.end_conditions = { maxTime, stopWhen: [] };
+    return contract;
+  }
+
+  async simulate(contract, options) {
+    const result = await simulateContract(contract, options);
+    assert.strictEqual(result.success, true, result.error);
+    return result.data;
+  }
+
+  async check(name, fn) {
+    try {
+      await fn();
+      this.passed++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      this.failed++;
+      console.log(`  ❌ ${name}: ${error.message}`);
+    }
+  }
+
+  async runTest() {
+    console.log('\n🚀 开始轨迹哈希与回放测试');
+    console.log('='.repeat(50));
+
+    await this.check('同一契约两次运行哈希一致，记录种子与引擎配置', async () => {
+      const first = await this.simulate(this.fixture());
+      const second = await this.simulate(this.fixture());
+      assert.match(first.trace.hash, /^[0-9a-f]{64}$/);
+      assert.strictEqual(second.trace.hash, first.trace.hash);
+      assert.deepStrictEqual(second.trace.frameHashes, first.trace.frameHashes);
+      assert.strictEqual(first.trace.frameHashes.length, first.frames.length);
+      assert.strictEqual(first.trace.seed, 0);
+      assert.strictEqual(first.trace.engine.matter, require('matter-js').version);
+      assert.strictEqual(first.trace.engine.substeps, 2);
+      assert.strictEqual(first.trace.engine.positionIterations, 6);
+      assert.deepStrictEqual(first.trace.engine.scale, { length: 100, mass: 1 });
+    });
+
+    await this.check('种子与记录频率：种子只记录不改变轨迹，记录频率改变帧序列', async () => {
+      const base = await this.simulate(this.contract());
+      const seeded = await this.simulate(this.contract(), { seed: 42 });
+      const sparse = await this.simulate(this.contract(), { recordRate: 30 });
+      assert.strictEqual(seeded.trace.seed, 42);
+      assert.strictEqual(seeded.trace.hash, base.trace.hash);
+      assert.notStrictEqual(sparse.trace.hash, base.trace.hash);
+      assert.strictEqual(sparse.trace.engine.recordRate, 30);
+    });
+
+    await this.check('replay：签名一致时无分歧帧、无配置差异', async () => {
+      const data = await this.simulate(this.contract(), { recordRate: 30 });
+      const report = await replay(this.contract(), data.trace);
+      assert.strictEqual(report.matches, true);
+      assert.strictEqual(report.actualHash, data.trace.hash);
+      assert.strictEqual(report.firstDivergingFrame, null);
+      assert.deepStrictEqual(report.engineChanges, []);
+      // 沿用签名中的记录频率
+      assert.strictEqual(report.frameCount.actual, data.frames.length);
+    });
+
+    await this.check('replay：定位第一个分歧帧', async () => {
+      const data = await this.simulate(this.contract());
+      const report = await replay(this.contract({ kick: [0, -2.5] }), data.trace);
+      assert.strictEqual(report.matches, false);
+      // t = 0.5 s 的动作在该时刻的帧中生效，此前各帧一致
+      const expected = data.frames.findIndex(frame => frame.timestamp >= 0.5 - 1e-9);
+      assert.strictEqual(report.firstDivergingFrame, expected);
+      this.close(report.divergingTime, 0.5, 1e-9, 'divergingTime');
+      assert.deepStrictEqual(report.trace.frameHashes.slice(0, expected), data.trace.frameHashes.slice(0, expected));
+    });
+
+    await this.check('replay：帧数不同时分歧帧为较短序列之后的第一帧', async () => {
+      const data = await this.simulate(this.contract());
+      const report = await replay(this.contract({ maxTime: 0.5 }), data.trace);
+      assert.strictEqual(report.matches, false);
+      assert.strictEqual(report.firstDivergingFrame, report.frameCount.actual);
+      assert.strictEqual(report.frameCount.expected, data.frames.length);
+      assert.strictEqual(report.divergingTime, null);
+    });
+
+    await this.check('replay：哈希不含引擎配置，配置差异单独报告', async () => {
+      const data = await this.simulate(this.contract());
+      const recorded = { ...data.trace, engine: { ...data.trace.engine, matter: '0.19.0' } };
+      const report = await replay(this.contract(), recorded);
+      assert.strictEqual(report.matches, true);
+      assert.deepStrictEqual(report.engineChanges, [`matter: "0.19.0" → "${data.trace.engine.matter}"`]);
+    });
+
+    await this.check('replay：只给出哈希字符串时只报告是否一致', async () => {
+      const data = await this.simulate(this.contract());
+      assert.strictEqual((await replay(this.contract(), data.trace.hash)).matches, true);
+      const report = await replay(this.contract({ kick: [0, -2.5] }), data.trace.hash);
+      assert.strictEqual(report.matches, false);
+      assert.strictEqual(report.firstDivergingFrame, null);
+      assert.strictEqual(report.frameCount.expected, null);
+    });
+
+    await this.check('replay：契约无法运行时报告错误', async () => {
+      const data = await this.simulate(this.contract());
+      const broken = this.contract();
+      broken.bodies[0].shape = 'triangle';
+      const report = await replay(broken, data.trace);
+      assert.strictEqual(report.matches, false);
+      assert.strictEqual(report.actualHash, null);
+      assert.ok(report.error, 'error');
+    });
+
+    console.log('='.repeat(50));
+    console.log(`📊 通过 ${this.passed}，失败 ${this.failed}`);
+    return this.failed === 0;
+  }
+
+  close(actual, expected, tolerance, label) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: ${actual} vs ${expected}`);
+  }
+}
+
+// 主函数
+async function main() {
+  const tester = new TraceReplayTester();
+  const ok = await tester.runTest();
+  if (!ok) process.exit(1);
+}
+
+// 运行测试
+if (require.main === module) {
+  main().catch(error => {
+    console.error('💥 测试脚本执行失败:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { TraceReplayTester };
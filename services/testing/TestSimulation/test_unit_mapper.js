@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+/**
+ * 单位映射层测试脚本
+ * 测试 SI ↔ Matter.js 换算，以及三条仿真路径的自由落体是否符合 ½gt²
+ * 输入：TestLayer/adapter_output/02_physics_contract.json
+ * 输出：控制台断言结果（失败时退出码为1）
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('assert');
+const Matter = require('matter-js');
+
+// 使用编译后的JS文件
+const { UnitMapper } = require('../../simulation/UnitMapper.js');
+const { MatterSimulationEngine } = require('../../simulation/MatterSimulationEngine.js');
+const { adaptPhysicsContract } = require('../../matter_adapter/Adapter.js');
+const MatterRenderer = require('../../render/MatterRenderer.js');
+
+const G = 9.8;
+const DROP_HEIGHT = -5;
+
+class UnitMapperTester {
+  constructor() {
+    this.fixtureFile = path.join(__dirname, '../TestLayer/adapter_output/02_physics_contract.json');
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  /**
+   * 单个自由下落小球（1 s 内不触地）
+   */
+  freeFallContract() {
+    const contract = JSON.parse(fs.readFileSync(this.fixtureFile, 'utf8'));
+    contract.world.gravity = [0, G];
+    contract.world.bounds = { min: [-2, -6], max: [10, 6] };
+    contract.engine = { ...contract.engine, dt: 1 / 60, substeps: 4 };
+    contract.bodies = contract.bodies.filter(body => body.id === 'ball1');
+    contract.bodies[0].position = [0, DROP_HEIGHT];
+    contract.constraints = [];
+    contract.event_rules = [];
+    contract.end_conditions = { maxTime: 1, stopWhen: [] };
+    return contract;
+  }
+
+  /**
+   * 逐帧比较 y(t) 与 ½gt²、v(t) 与 gt
+   */
+  assertFreeFall(frames, stepSeconds) {
+    assert.ok(frames.length > 1);
+    for (const frame of frames) {
+      const t = frame.timestamp;
+      const ball = frame.bodies.find(body => body.id === 'ball1');
+      const expected = DROP_HEIGHT + 0.5 * G * t * t;
+      // 半隐式欧拉积分的截断误差为 ½g·t·Δt
+      const tolerance = 0.5 * G * t * stepSeconds + 1e-9;
+      assert.ok(Math.abs(ball.position[1] - expected) <= tolerance,
+        `t=${t.toFixed(3)}: y=${ball.position[1]} expected ${expected}`);
+      assert.ok(Math.abs(ball.velocity[1] - G * t) < 1e-6, `t=${t.toFixed(3)}: v=${ball.velocity[1]}`);
+      assert.ok(Math.abs(ball.position[0]) < 1e-12);
+    }
+    const last = frames[frames.length - 1];
+    assert.ok(Math.abs(last.timestamp - 1) < 1e-9);
+  }
+
+  async check(name, fn) {
+    try {
+      await fn();
+      this.passed++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      this.failed++;
+      console.log(`  ❌ ${name}: ${error.message}`);
+    }
+  }
+
+  async runTest() {
+    console.log('\n🚀 开始单位映射层测试');
+    console.log('='.repeat(50));
+
+    await this.check('SI与Matter.js单位往返换算', () => {
+      const units = new UnitMapper({ length: 50, mass: 2 });
+      assert.deepStrictEqual(units.toPoint(units.point([1.5, -2])), [1.5, -2]);
+      const velocity = units.toVelocity(units.velocity([3, -4]));
+      assert.ok(Math.abs(velocity[0] - 3) < 1e-12 && Math.abs(velocity[1] + 4) < 1e-12);
+      assert.ok(Math.abs(units.toAngularVelocity(units.angularVelocity(2)) - 2) < 1e-12);
+      assert.strictEqual(units.toMass(units.mass(0.5)), 0.5);
+    });
+
+    await this.check('重力与刚体质量换算', () => {
+      const units = new UnitMapper();
+      const engine = Matter.Engine.create();
+      units.applyGravity(engine, [0, G]);
+      // 1 s 内的位移：a(世界单位/ms²) × (1000 ms)² / lengthScale = g
+      assert.ok(Math.abs(engine.gravity.y * engine.gravity.scale * 1e6 / units.lengthScale - G) < 1e-9);
+
+      const [config] = this.freeFallContract().bodies;
+      const body = units.createBody({ ...config, mass: 2 });
+      assert.ok(Math.abs(units.toMass(body.mass) - 2) < 1e-12);
+      assert.strictEqual(body.frictionAir, 0);
+      assert.strictEqual(body.label, 'ball1');
+    });
+
+    await this.check('MatterSimulationEngine自由落体符合½gt²', async () => {
+      const result = await new MatterSimulationEngine().runSimulation(this.freeFallContract());
+      assert.strictEqual(result.success, true, result.error);
+      this.assertFreeFall(result.data.frames, result.data.timing.stepMs / 1000);
+    });
+
+    await this.check('Adapter自由落体符合½gt²', async () => {
+      const result = await adaptPhysicsContract(this.freeFallContract());
+      assert.strictEqual(result.success, true, result.error);
+      this.assertFreeFall(result.data.frames, result.data.timing.stepMs / 1000);
+    });
+
+    await this.check('MatterRenderer按像素缩放后仍输出SI', async () => {
+      const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'unit-mapper-'));
+      try {
+        const renderer = new MatterRenderer({ scale: 40, outputDir });
+        const world = renderer.createWorld(this.freeFallContract());
+        assert.strictEqual(world.success, true, world.error);
+        const result = await renderer.runSimulation();
+        this.assertFreeFall(result.data.frames, result.data.timing.stepMs / 1000);
+      } finally {
+        fs.rmSync(outputDir, { recursive: true, force: true });
+      }
+    });
+
+    console.log('='.repeat(50));
+    console.log(`📊 通过 ${this.passed}，失败 ${this.failed}`);
+    return this.failed === 0;
+  }
+}
+
+// 主函数
+async function main() {
+  const tester = new UnitMapperTester();
+  const ok = await tester.runTest();
+  if (!ok) process.exit(1);
+}
+
+// 运行测试
+if (require.main === module) {
+  main().catch(error => {
+    console.error('💥 测试脚本执行失败:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { UnitMapperTester };
@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+/**
+ * ContractValidator测试脚本
+ * 测试PhysicsContract JSON Schema预仿真门禁
+ * 输入：TestLayer/adapter_output/02_physics_contract.json 及其变体
+ * 输出：控制台断言结果（失败时退出码为1）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+
+// 使用编译后的JS文件
+const { ContractValidator, ContractValidationError } = require('../../validation/ContractValidator.js');
+const { adaptPhysicsContract } = require('../../matter_adapter/Adapter.js');
+
+class ContractValidatorTester {
+  constructor() {
+    this.fixtureFile = path.join(__dirname, '../TestLayer/adapter_output/02_physics_contract.json');
+    this.validator = new ContractValidator();
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  /**
+   * 读取一份新的基准契约
+   */
+  loadContract() {
+    return JSON.parse(fs.readFileSync(this.fixtureFile, 'utf8'));
+  }
+
+  async check(name, fn) {
+    try {
+      await fn();
+      this.passed++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      this.failed++;
+      console.log(`  ❌ ${name}: ${error.message}`);
+    }
+  }
+
+  async runTest() {
+    console.log('\n🚀 开始ContractValidator测试');
+    console.log('='.repeat(50));
+
+    await this.check('合法契约通过校验', () => {
+      const result = this.validator.validate(this.loadContract());
+      assert.strictEqual(result.valid, true, JSON.stringify(result.errors));
+    });
+
+    await this.check('box缺少size.w时返回路径定位消息', () => {
+      const contract = this.loadContract();
+      delete contract.bodies[0].size.w;
+      const result = this.validator.validate(contract);
+      assert.strictEqual(result.valid, false);
+      assert.ok(
+        result.errors.some(issue => issue.message === 'bodies[0].size.w missing for shape=box'),
+        JSON.stringify(result.errors)
+      );
+    });
+
+    await this.check('circle缺少r', () => {
+      const contract = this.loadContract();
+      delete contract.bodies[2].r;
+      const result = this.validator.validate(contract);
+      assert.deepStrictEqual(result.errors.map(issue => issue.message), ['bodies[2].r missing for shape=circle']);
+    });
+
+    await this.check('非法形状与多余顶层键', () => {
+      const contract = this.loadContract();
+      contract.bodies[1].shape = 'sphere';
+      contract.meta = { note: 'extra' };
+      const result = this.validator.validate(contract);
+      const paths = result.errors.map(issue => issue.path);
+      assert.ok(paths.includes('bodies[1].shape'), JSON.stringify(result.errors));
+      assert.ok(paths.includes('meta'), JSON.stringify(result.errors));
+    });
+
+    await this.check('merge_bodies缺少newId', () => {
+      const contract = this.loadContract();
+      delete contract.event_rules[0].do[0].newId;
+      const result = this.validator.validate(contract);
+      assert.ok(result.errors.some(issue => issue.path === 'event_rules[0].do[0].newId'), JSON.stringify(result.errors));
+    });
+
+    await this.check('assert抛出ContractValidationError', () => {
+      const contract = this.loadContract();
+      contract.engine.dt = 0;
+      assert.throws(() => this.validator.assert(contract), ContractValidationError);
+    });
+
+    await this.check('Adapter在构建世界前拒绝非法契约', async () => {
+      const contract = this.loadContract();
+      delete contract.end_conditions;
+      const result = await adaptPhysicsContract(contract);
+      assert.strictEqual(result.success, false);
+      assert.ok(result.validationErrors.some(issue => issue.path === 'end_conditions'));
+    });
+
+    console.log('='.repeat(50));
+    console.log(`📊 通过 ${this.passed}，失败 ${this.failed}`);
+    return this.failed === 0;
+  }
+}
+
+// 主函数
+async function main() {
+  const tester = new ContractValidatorTester();
+  const ok = await tester.runTest();
+  if (!ok) process.exit(1);
+}
+
+// 运行测试
+if (require.main === module) {
+  main().catch(error => {
+    console.error('💥 测试脚本执行失败:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { ContractValidatorTester };
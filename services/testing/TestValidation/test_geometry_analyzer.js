@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+/**
+ * GeometryAnalyzer测试脚本
+ * 测试初始几何分析：穿透、越界、悬空检测与最小分离自动修正
+ * 输入：TestLayer/adapter_output/02_physics_contract.json 及手工构造的斜面场景
+ * 输出：控制台断言结果（失败时退出码为1）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+
+// 使用编译后的JS文件
+const { GeometryAnalyzer, bodyPolygon } = require('../../validation/GeometryAnalyzer.js');
+
+const FILTER = { category: 1, mask: 65535, group: 0 };
+
+class GeometryAnalyzerTester {
+  constructor() {
+    this.fixtureFile = path.join(__dirname, '../TestLayer/adapter_output/02_physics_contract.json');
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  loadContract() {
+    return JSON.parse(fs.readFileSync(this.fixtureFile, 'utf8'));
+  }
+
+  /**
+   * 30°斜面 + 距斜面上表面 gap 的小球
+   */
+  rampContract(gap) {
+    const theta = Math.PI / 6;
+    const normal = [Math.sin(theta), -Math.cos(theta)]; // 斜面上表面外法线
+    const offset = 0.05 + 0.1 + gap; // 半厚 + 半径 + 间隙
+    const contract = this.loadContract();
+    contract.bodies = [
+      { id: 'ramp', shape: 'box', isStatic: true, position: [1, 1], angle: theta, size: { w: 2, h: 0.1 },
+        friction: 0, frictionStatic: 0, restitution: 0, collisionFilter: FILTER },
+      { id: 'ball', shape: 'circle', isStatic: false, position: [1 + normal[0] * offset, 1 + normal[1] * offset], angle: 0,
+        r: 0.1, mass: 1, friction: 0, frictionStatic: 0, restitution: 0, collisionFilter: FILTER }
+    ];
+    contract.event_rules = [];
+    contract.end_conditions = { maxTime: 2, stopWhen: [] };
+    return contract;
+  }
+
+  async check(name, fn) {
+    try {
+      await fn();
+      this.passed++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      this.failed++;
+      console.log(`  ❌ ${name}: ${error.message}`);
+    }
+  }
+
+  async runTest() {
+    console.log('\n🚀 开始GeometryAnalyzer测试');
+    console.log('='.repeat(50));
+
+    await this.check('旋转box轮廓', () => {
+      const polygon = bodyPolygon({ shape: 'box', position: [0, 0], angle: Math.PI / 2, size: { w: 2, h: 1 } });
+      const xs = polygon.map(v => v[0]);
+      assert.ok(Math.abs(Math.max(...xs) - 0.5) < 1e-9, JSON.stringify(polygon));
+    });
+
+    await this.check('基准契约检测到初始穿透', () => {
+      const report = new GeometryAnalyzer().analyze(this.loadContract());
+      const overlaps = report.issues.filter(issue => issue.code === 'initial_overlap');
+      assert.strictEqual(report.ok, false);
+      assert.deepStrictEqual(overlaps.map(issue => issue.bodies[0]).sort(), ['ball1', 'ball1', 'ball2']);
+    });
+
+    await this.check('自动修正按最小分离消除穿透并报告移动', () => {
+      const original = this.loadContract();
+      const report = new GeometryAnalyzer({ autoCorrect: true }).analyze(original);
+      assert.strictEqual(report.ok, true, JSON.stringify(report.issues));
+      assert.deepStrictEqual(report.moves.map(move => move.id).sort(), ['ball1', 'ball2']);
+      // ball2 与 rough 质心同高时向上（逆重力）推出
+      const ball2 = report.moves.find(move => move.id === 'ball2');
+      assert.ok(ball2.to[1] < ball2.from[1]);
+      // 原契约不被修改
+      assert.deepStrictEqual(original.bodies[3].position, [0.1, 0.05]);
+    });
+
+    await this.check('斜面上悬空的小球', () => {
+      const report = new GeometryAnalyzer().analyze(this.rampContract(0.03));
+      const floating = report.issues.find(issue => issue.code === 'floating_body');
+      assert.ok(floating, JSON.stringify(report.issues));
+      assert.ok(Math.abs(floating.gap - 0.03) < 1e-9);
+    });
+
+    await this.check('贴着侧墙但悬空于地面的小球仍报告悬空', () => {
+      const contract = this.rampContract(0);
+      const [ramp, ball] = contract.bodies;
+      Object.assign(ramp, { id: 'ground', angle: 0 });
+      ball.position = [1, 1 - 0.05 - 0.1 - 0.03];
+      // 墙右侧面距小球 0.001 m（小于 floatTolerance），底部高于地面
+      contract.bodies.push({ ...ramp, id: 'wall', position: [1 - 0.1 - 0.05 - 0.001, 0.6], size: { w: 0.1, h: 0.6 } });
+      const report = new GeometryAnalyzer().analyze(contract);
+      const floating = report.issues.find(issue => issue.code === 'floating_body');
+      assert.ok(floating, JSON.stringify(report.issues));
+      assert.deepStrictEqual(floating.bodies, ['ball', 'ground']);
+      assert.ok(Math.abs(floating.gap - 0.03) < 1e-9);
+    });
+
+    await this.check('悬空小球被放回斜面上方clearance处', () => {
+      const report = new GeometryAnalyzer({ autoCorrect: true, clearance: 0.001 }).analyze(this.rampContract(0.03));
+      assert.deepStrictEqual(report.issues, []);
+      const check = new GeometryAnalyzer({ floatTolerance: 0 }).analyze(report.corrected);
+      assert.ok(Math.abs(check.issues[0].gap - 0.001) < 1e-9, JSON.stringify(check.issues));
+    });
+
+    await this.check('远高于斜面的小球视为有意下落', () => {
+      const report = new GeometryAnalyzer().analyze(this.rampContract(0.5));
+      assert.deepStrictEqual(report.issues, []);
+    });
+
+    await this.check('越界刚体', () => {
+      const contract = this.rampContract(0.001);
+      contract.bodies[1].position = [50, 1];
+      const report = new GeometryAnalyzer().analyze(contract);
+      const outside = report.issues.find(issue => issue.code === 'out_of_bounds');
+      assert.strictEqual(outside.severity, 'error');
+      assert.deepStrictEqual(outside.bodies, ['ball']);
+    });
+
+    console.log('='.repeat(50));
+    console.log(`📊 通过 ${this.passed}，失败 ${this.failed}`);
+    return this.failed === 0;
+  }
+}
+
+// 主函数
+async function main() {
+  const tester = new GeometryAnalyzerTester();
+  const ok = await tester.runTest();
+  if (!ok) process.exit(1);
+}
+
+// 运行测试
+if (require.main === module) {
+  main().catch(error => {
+    console.error('💥 测试脚本执行失败:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { GeometryAnalyzerTester };
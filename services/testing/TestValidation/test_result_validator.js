@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+/**
+ * ResultValidator测试脚本
+ * 测试 Post-Sim Gate：抛体、一维碰撞、弹簧振子与解析解的比对，物理错误的轨迹被拒绝（含硬门禁 assert），以及快速检查
+ * 输入：TestLayer/adapter_output/02_physics_contract.json 及其变体
+ * 输出：控制台断言结果（失败时退出码为1）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+
+// 使用编译后的JS文件
+const { simulateContract } = require('../../simulation/SimulationCore.js');
+const { ResultValidator, ResultValidationError, validateSimulationResult } = require('../../validation/ResultValidator.js');
+
+class ResultValidatorTester {
+  constructor() {
+    this.fixtureFile = path.join(__dirname, '../TestLayer/adapter_output/02_physics_contract.json');
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  fixture() {
+    return JSON.parse(fs.readFileSync(this.fixtureFile, 'utf8'));
+  }
+
+  /**
+   * 以 ball1 为模板构造契约
+   */
+  contract({ gravity = [0, 9.8], bodies, constraints = [], rules = [], maxTime = 2 }) {
+    const contract = this.fixture();
+    const template = contract.bodies.find(body => body.id === 'ball1');
+    contract.engine = { ...contract.engine, dt: 1 / 60, substeps: 4 };
+    contract.world.gravity = gravity;
+    contract.bodies = bodies.map(body => ({ ...template, angle: 0, friction: 0, frictionStatic: 0, ...body }));
+    contract.constraints = constraints;
+    contract.event_rules = rules;
+    contract.end_conditions = { maxTime, stopWhen: [] };
+    return contract;
+  }
+
+  launch(id, velocity) {
+    return { when: { on: 'time', t: 0 }, do: [{ action: 'set_velocity', id, velocity }], once: true };
+  }
+
+  /**
+   * 从 [1, 4] 斜向上抛出，落在顶面 y = 5 的静态地面上
+   */
+  projectile() {
+    return this.contract({
+      bodies: [
+        { id: 'ground', shape: 'box', isStatic: true, position: [5, 5.25], size: { w: 10, h: 0.5 }, r: undefined, restitution: 0 },
+        { id: 'ball', position: [1, 4], r: 0.1, mass: 1, restitution: 0 }
+      ],
+      rules: [this.launch('ball', [3, -4])],
+      maxTime: 1.5
+    });
+  }
+
+  async simulate(contract) {
+    const result = await simulateContract(contract);
+    assert.strictEqual(result.success, true, result.error);
+    return result.data;
+  }
+
+  async check(name, fn) {
+    try {
+      await fn();
+      this.passed++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      this.failed++;
+      console.log(`  ❌ ${name}: ${error.message}`);
+    }
+  }
+
+  async runTest() {
+    console.log('\n🚀 开始ResultValidator测试');
+    console.log('='.repeat(50));
+
+    await this.check('抛体：落地时刻、射程、最大高度与解析解一致', async () => {
+      const contract = this.projectile();
+      const report = new ResultValidator().acceptance(await this.simulate(contract), contract);
+      assert.strictEqual(report.success, true, report.errors.join('; '));
+      assert.deepStrictEqual(report.checks.map(check => check.quantity).sort(), ['landing_time', 'max_height', 'range']);
+      const height = report.checks.find(check => check.quantity === 'max_height');
+      this.close(height.predicted, 16 / (2 * 9.8), 1e-9, 'max height');
+      assert.ok(report.checks.every(check => check.passed && check.error < check.tolerance));
+      assert.ok(report.score > 0.7, `score ${report.score}`);
+    });
+
+    await this.check('抛体：轨迹与契约的物理不符时拒绝并说明原因', async () => {
+      const contract = this.projectile();
+      const data = await this.simulate(contract);
+      // 视频按 g = 9.8 渲染，但题目给的是 g = 4.9
+      contract.world.gravity = [0, 4.9];
+      const report = validateSimulationResult(data, contract);
+      assert.strictEqual(report.success, false);
+      assert.ok(report.score < 0.5, `score ${report.score}`);
+      assert.ok(report.issues.some(issue => issue.code === 'analytic_mismatch'));
+      assert.ok(report.errors.some(message => /^Landing time of ball: simulated .* vs analytic .*> tolerance/.test(message)), report.errors.join('; '));
+    });
+
+    await this.check('硬门禁：放行将要渲染的同一份轨迹，轨迹不符时抛出 ResultValidationError', async () => {
+      const contract = this.projectile();
+      const data = await this.simulate(contract);
+      const validator = new ResultValidator();
+      const passed = validator.assert(data, contract);
+      assert.strictEqual(passed.success, true, passed.errors.join('; '));
+
+      // 同一份数据的水平位移被拉长 20%：门禁拒绝并附带完整的校验结果
+      for (const frame of data.frames) {
+        for (const body of frame.bodies.filter(body => body.id === 'ball')) {
+          body.position = [1 + (body.position[0] - 1) * 1.2, body.position[1]];
+        }
+      }
+      assert.throws(() => validator.assert(data, contract), error => {
+        assert.ok(error instanceof ResultValidationError);
+        assert.strictEqual(error.validation.success, false);
+        assert.ok(error.validation.errors.some(message => /^Range of ball: /.test(message)), error.validation.errors.join('; '));
+        assert.match(error.message, /^Post-Sim Gate failed \(score \d\.\d\d\): /);
+        return true;
+      });
+    });
+
+    await this.check('一维碰撞：弹性碰撞后速度在容差内', async () => {
+      const contract = this.contract({
+        gravity: [0, 0],
+        bodies: [
+          { id: 'a', position: [1, 1], r: 0.1, mass: 1, restitution: 1 },
+          { id: 'b', position: [2, 1], r: 0.1, mass: 2, restitution: 1 }
+        ],
+        rules: [this.launch('a', [3, 0])],
+        maxTime: 0.6
+      });
+      const report = new ResultValidator().acceptance(await this.simulate(contract), contract);
+      assert.strictEqual(report.success, true, report.errors.join('; '));
+      const [a, b] = report.checks;
+      assert.strictEqual(report.checks.length, 2);
+      assert.deepStrictEqual([a.quantity, a.bodies, b.bodies], ['post_collision_velocity', ['a'], ['b']]);
+      this.close(a.predicted, -1, 1e-9, 'a after');
+      this.close(b.predicted, 2, 1e-9, 'b after');
+    });
+
+    await this.check('一维碰撞：合并规则按完全非弹性碰撞比对复合体速度', async () => {
+      const contract = this.contract({
+        gravity: [0, 0],
+        bodies: [
+          { id: 'a', position: [1, 1], r: 0.1, mass: 1, restitution: 0.5 },
+          { id: 'b', position: [2, 1], r: 0.1, mass: 1, restitution: 0.5 }
+        ],
+        rules: [
+          this.launch('a', [4, 0]),
+          { when: { on: 'collisionStart', a: 'a', b: 'b' }, do: [{ action: 'merge_bodies', ids: ['a', 'b'], newId: 'ab' }], once: true }
+        ],
+        maxTime: 0.6
+      });
+      const report = new ResultValidator().acceptance(await this.simulate(contract), contract);
+      assert.strictEqual(report.success, true, report.errors.join('; '));
+      assert.strictEqual(report.checks.length, 2);
+      for (const check of report.checks) {
+        this.close(check.predicted, 2, 1e-9, 'common velocity');
+        this.close(check.measured, 2, 0.05, 'merged velocity');
+      }
+    });
+
+    await this.check('弹簧振子：竖直弹簧周期与 2π√(m/k) 一致', async () => {
+      const contract = this.contract({
+        bodies: [{ id: 'bob', position: [5, 2.5], r: 0.1, mass: 1, restitution: 0 }],
+        constraints: [{ id: 's', type: 'spring', a: { body: null, point: [5, 1] }, b: { body: 'bob', point: null }, length: 1, k: 50 }],
+        maxTime: 3
+      });
+      const report = new ResultValidator().acceptance(await this.simulate(contract), contract);
+      assert.strictEqual(report.success, true, report.errors.join('; '));
+      assert.strictEqual(report.checks.length, 1);
+      const [period] = report.checks;
+      assert.strictEqual(period.quantity, 'oscillation_period');
+      this.close(period.predicted, 2 * Math.PI / Math.sqrt(50), 1e-9, 'period');
+      assert.ok(period.error < 0.01, `error ${period.error}`);
+    });
+
+    await this.check('快速检查：数值发散与穿墙', async () => {
+      const contract = this.projectile();
+      const data = await this.simulate(contract);
+      const validator = new ResultValidator();
+      assert.strictEqual(validator.quickCheck(data, contract).success, true);
+
+      const diverged = JSON.parse(JSON.stringify(data));
+      diverged.frames[10].bodies[1].velocity = [NaN, 0];
+      const nan = validator.acceptance(diverged, contract);
+      assert.strictEqual(nan.success, false);
+      assert.strictEqual(nan.score, 0);
+      assert.deepStrictEqual(nan.issues.map(issue => issue.code), ['non_finite_state']);
+      assert.deepStrictEqual(nan.issues[0].bodies, ['ball']);
+
+      const escaped = JSON.parse(JSON.stringify(data));
+      escaped.frames[20].bodies[1].position = [contract.world.bounds.max[0] + 1, 4];
+      const quick = validator.quickCheck(escaped, contract);
+      assert.strictEqual(quick.success, false);
+      assert.strictEqual(quick.issues[0].code, 'left_bounds');
+      assert.match(quick.errors[0], /^ball passed through the world boundary at t = /);
+    });
+
+    await this.check('无解析参考时只做快速检查，满分并给出说明', async () => {
+      const contract = this.fixture();
+      const report = new ResultValidator().acceptance(await this.simulate(contract), contract);
+      assert.strictEqual(report.success, true, report.errors.join('; '));
+      assert.strictEqual(report.score, 1);
+      assert.deepStrictEqual(report.checks, []);
+      assert.ok(report.issues.some(issue => issue.code === 'no_reference' && issue.severity === 'info'));
+    });
+
+    console.log('='.repeat(50));
+    console.log(`📊 通过 ${this.passed}，失败 ${this.failed}`);
+    return this.failed === 0;
+  }
+
+  close(actual, expected, tolerance, label) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: ${actual} vs ${expected}`);
+  }
+}
+
+// 主函数
+async function main() {
+  const tester = new ResultValidatorTester();
+  const ok = await tester.runTest();
+  if (!ok) process.exit(1);
+}
+
+// 运行测试
+if (require.main === module) {
+  main().catch(error => {
+    console.error('💥 测试脚本执行失败:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { ResultValidatorTester };
@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+/**
+ * ContractSemanticChecker测试脚本
+ * 测试契约的id交叉引用检查（悬空引用、重复id、newId冲突、静态体终止条件）
+ * 输入：TestLayer/adapter_output/02_physics_contract.json 及其变体
+ * 输出：控制台断言结果（失败时退出码为1）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+
+// 使用编译后的JS文件
+const { ContractSemanticChecker } = require('../../validation/ContractSemanticChecker.js');
+const { adaptPhysicsContract } = require('../../matter_adapter/Adapter.js');
+
+class SemanticCheckerTester {
+  constructor() {
+    this.fixtureFile = path.join(__dirname, '../TestLayer/adapter_output/02_physics_contract.json');
+    this.checker = new ContractSemanticChecker();
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  loadContract() {
+    return JSON.parse(fs.readFileSync(this.fixtureFile, 'utf8'));
+  }
+
+  codes(result) {
+    return result.diagnostics.map(diagnostic => diagnostic.code);
+  }
+
+  async check(name, fn) {
+    try {
+      await fn();
+      this.passed++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      this.failed++;
+      console.log(`  ❌ ${name}: ${error.message}`);
+    }
+  }
+
+  async runTest() {
+    console.log('\n🚀 开始ContractSemanticChecker测试');
+    console.log('='.repeat(50));
+
+    await this.check('基准契约无错误，id图包含合并生成体', () => {
+      const result = this.checker.check(this.loadContract());
+      assert.strictEqual(result.valid, true, JSON.stringify(result.diagnostics));
+      assert.deepStrictEqual(result.graph.derivedBodies, ['combo']);
+      assert.deepStrictEqual(result.graph.mergedAway, ['ball1', 'ball2']);
+    });
+
+    await this.check('事件规则悬空引用附带拼写建议', () => {
+      const contract = this.loadContract();
+      contract.event_rules[0].when.b = 'bal2';
+      const result = this.checker.check(contract);
+      const diagnostic = result.diagnostics.find(d => d.path === 'event_rules[0].when.b');
+      assert.ok(diagnostic, JSON.stringify(result.diagnostics));
+      assert.strictEqual(diagnostic.code, 'dangling_body_ref');
+      assert.strictEqual(diagnostic.suggestion, 'did you mean "ball2"?');
+    });
+
+    await this.check('约束端点与attach_constraint悬空引用', () => {
+      const contract = this.loadContract();
+      contract.constraints.push({
+        id: 'spring1', type: 'spring',
+        a: { body: 'wall', point: null }, b: { body: null, point: null },
+        length: 0, stiffness: 0.9, damping: 0
+      });
+      contract.event_rules[0].do.push({
+        action: 'attach_constraint',
+        constraint: { id: 'spring1', a: { body: 'combo', point: null }, b: { body: 'wall', point: null } }
+      });
+      const result = this.checker.check(contract);
+      const paths = result.diagnostics.filter(d => d.code === 'dangling_body_ref').map(d => d.path);
+      assert.deepStrictEqual(paths, ['constraints[0].a.body', 'event_rules[0].do[2].constraint.b.body']);
+    });
+
+    await this.check('重复刚体id与newId冲突', () => {
+      const contract = this.loadContract();
+      contract.bodies[3].id = 'ball1';
+      contract.event_rules[0].do[0].newId = 'rough';
+      const result = this.checker.check(contract);
+      const codes = this.codes(result);
+      assert.ok(codes.includes('duplicate_body_id'));
+      assert.ok(codes.includes('merge_id_collision'));
+      assert.strictEqual(result.valid, false);
+    });
+
+    await this.check('终止条件指向静态体与被合并体', () => {
+      const contract = this.loadContract();
+      contract.end_conditions.stopWhen.push({ type: 'speedBelow', id: 'ramp', v: 0.02 });
+      contract.end_conditions.stopWhen.push({ type: 'positionReached', id: 'ball1', x: 1 });
+      const result = this.checker.check(contract);
+      const staticStop = result.diagnostics.find(d => d.code === 'stop_on_static_body');
+      const mergedStop = result.diagnostics.find(d => d.code === 'merged_body_ref');
+      assert.strictEqual(staticStop.severity, 'error');
+      assert.strictEqual(mergedStop.severity, 'warning');
+      assert.strictEqual(mergedStop.suggestion, 'target the merged body "combo" instead');
+    });
+
+    await this.check('Adapter拒绝语义错误的契约', async () => {
+      const contract = this.loadContract();
+      contract.end_conditions.stopWhen[0].id = 'ghost';
+      const result = await adaptPhysicsContract(contract);
+      assert.strictEqual(result.success, false);
+      assert.ok(result.diagnostics.some(d => d.path === 'end_conditions.stopWhen[0].id'));
+    });
+
+    console.log('='.repeat(50));
+    console.log(`📊 通过 ${this.passed}，失败 ${this.failed}`);
+    return this.failed === 0;
+  }
+}
+
+// 主函数
+async function main() {
+  const tester = new SemanticCheckerTester();
+  const ok = await tester.runTest();
+  if (!ok) process.exit(1);
+}
+
+// 运行测试
+if (require.main === module) {
+  main().catch(error => {
+    console.error('💥 测试脚本执行失败:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { SemanticCheckerTester };
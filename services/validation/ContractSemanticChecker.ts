@@ -0,0 +1,424 @@
+/**
+ * PhysicsContract 语义交叉引用检查
+ *
+ * 功能：
+ * 1. 构建契约的 id 图（刚体、合并生成体、约束及其引用关系）
+ * 2. 检查悬空引用（刚体与约束）、重复 id、merge_bodies 的 newId 冲突、约束端点与类型是否匹配
+ * 3. 检查指向静态体或被合并体的终止条件
+ * 4. 返回带修复建议的结构化诊断
+ *
+ * 需在 ContractValidator 结构校验通过后调用。
+ */
+
+import type { PhysicsContract, StopCondition } from '../matter_adapter/Adapter';
+
+export type SemanticDiagnosticCode =
+  | 'duplicate_body_id'
+  | 'duplicate_constraint_id'
+  | 'dangling_body_ref'
+  | 'dangling_constraint_ref'
+  | 'invalid_constraint_anchor'
+  | 'merge_id_collision'
+  | 'merged_body_ref'
+  | 'stop_on_static_body'
+  | 'unattached_constraint';
+
+// 依赖刚体运动状态的终止条件，指向静态体时无意义
+const STATE_STOP_TYPES: StopCondition['type'][] = ['speedBelow', 'positionReached', 'leftBounds'];
+
+// 单条语义诊断
+export interface SemanticDiagnostic {
+  code: SemanticDiagnosticCode;
+  severity: 'error' | 'warning';
+  path: string;
+  message: string;
+  suggestion?: string;
+}
+
+// 一条 id 引用边
+export interface IdReference {
+  path: string;   // 引用出现的位置
+  target: string; // 被引用的刚体 id
+}
+
+// 契约 id 图
+export interface ContractIdGraph {
+  bodies: string[];          // contract.bodies 中声明的刚体
+  staticBodies: string[];
+  derivedBodies: string[];   // merge_bodies 生成的 newId
+  mergedAway: string[];      // 被合并后不再存在的刚体
+  constraints: string[];
+  references: IdReference[];
+}
+
+export interface SemanticCheckResult {
+  valid: boolean; // 无 error 级诊断
+  diagnostics: SemanticDiagnostic[];
+  graph: ContractIdGraph;
+}
+
+/**
+ * PhysicsContract 语义检查器
+ */
+export class ContractSemanticChecker {
+  private diagnostics: SemanticDiagnostic[] = [];
+
+  /**
+   * 执行全部语义检查
+   */
+  check(contract: PhysicsContract): SemanticCheckResult {
+    this.diagnostics = [];
+
+    const graph = this.buildIdGraph(contract);
+
+    this.checkDuplicateIds(contract);
+    this.checkMergeIds(contract, graph);
+    this.checkReferences(graph);
+    this.checkConstraintEnds(contract);
+    this.checkConstraintAnchors(contract);
+    this.checkConstraintRefs(contract, graph);
+    this.checkStopConditions(contract, graph);
+
+    return {
+      valid: !this.diagnostics.some(diagnostic => diagnostic.severity === 'error'),
+      diagnostics: this.diagnostics,
+      graph
+    };
+  }
+
+  /**
+   * 构建 id 图：声明的刚体、合并生成体以及所有引用
+   */
+  buildIdGraph(contract: PhysicsContract): ContractIdGraph {
+    const bodies = contract.bodies.map(body => body.id);
+    const staticBodies = contract.bodies.filter(body => body.isStatic).map(body => body.id);
+    const derivedBodies: string[] = [];
+    const mergedAway: string[] = [];
+    const constraints = contract.constraints.map(constraint => constraint.id);
+    const references: IdReference[] = [];
+
+    contract.constraints.forEach((constraint, i) => {
+      if (constraint.a.body) references.push({ path: `constraints[${i}].a.body`, target: constraint.a.body });
+      if (constraint.b.body) references.push({ path: `constraints[${i}].b.body`, target: constraint.b.body });
+    });
+
+    contract.event_rules.forEach((rule, i) => {
+      if (rule.when.a) references.push({ path: `event_rules[${i}].when.a`, target: rule.when.a });
+      if (rule.when.b) references.push({ path: `event_rules[${i}].when.b`, target: rule.when.b });
+
+      rule.do.forEach((action, j) => {
+        const actionPath = `event_rules[${i}].do[${j}]`;
+        switch (action.action) {
+          case 'merge_bodies':
+            (action.ids || []).forEach((id, k) => {
+              references.push({ path: `${actionPath}.ids[${k}]`, target: id });
+              mergedAway.push(id);
+            });
+            if (action.newId) derivedBodies.push(action.newId);
+            break;
+
+          case 'attach_constraint':
+            if (action.constraint?.a?.body) references.push({ path: `${actionPath}.constraint.a.body`, target: action.constraint.a.body });
+            if (action.constraint?.b?.body) references.push({ path: `${actionPath}.constraint.b.body`, target: action.constraint.b.body });
+            break;
+
+          case 'set_property':
+          case 'apply_impulse':
+          case 'set_velocity':
+          case 'apply_force':
+          case 'remove_body':
+          case 'set_static':
+          case 'swap_material':
+            if (action.id) references.push({ path: `${actionPath}.id`, target: action.id });
+            break;
+        }
+      });
+    });
+
+    for (const { condition, path } of this.stopConditionLeaves(contract)) {
+      if (condition.id) references.push({ path: `${path}.id`, target: condition.id });
+      if (condition.with) references.push({ path: `${path}.with`, target: condition.with });
+    }
+
+    return { bodies, staticBodies, derivedBodies, mergedAway, constraints, references };
+  }
+
+  /**
+   * 重复的刚体 / 约束 id
+   */
+  private checkDuplicateIds(contract: PhysicsContract) {
+    const seenBodies = new Map<string, number>();
+    contract.bodies.forEach((body, i) => {
+      const first = seenBodies.get(body.id);
+      if (first !== undefined) {
+        this.report('duplicate_body_id', 'error', `bodies[${i}].id`,
+          `body id "${body.id}" is already declared at bodies[${first}]`,
+          `rename bodies[${i}].id to a unique id such as "${this.uniqueId(body.id, seenBodies)}"`);
+      } else {
+        seenBodies.set(body.id, i);
+      }
+    });
+
+    const seenConstraints = new Map<string, number>();
+    contract.constraints.forEach((constraint, i) => {
+      const first = seenConstraints.get(constraint.id);
+      if (first !== undefined) {
+        this.report('duplicate_constraint_id', 'error', `constraints[${i}].id`,
+          `constraint id "${constraint.id}" is already declared at constraints[${first}]`,
+          `rename constraints[${i}].id to "${this.uniqueId(constraint.id, seenConstraints)}"`);
+      } else {
+        seenConstraints.set(constraint.id, i);
+      }
+    });
+  }
+
+  /**
+   * merge_bodies 的 newId 不能与已有刚体或其他合并结果重名
+   */
+  private checkMergeIds(contract: PhysicsContract, graph: ContractIdGraph) {
+    const declared = new Set(graph.bodies);
+    const produced = new Map<string, string>();
+
+    contract.event_rules.forEach((rule, i) => {
+      rule.do.forEach((action, j) => {
+        if (action.action !== 'merge_bodies' || !action.newId) return;
+        const path = `event_rules[${i}].do[${j}].newId`;
+
+        if (declared.has(action.newId)) {
+          this.report('merge_id_collision', 'error', path,
+            `merge newId "${action.newId}" collides with an existing body id`,
+            `use a fresh id such as "${this.uniqueId(action.newId, declared)}"`);
+        } else if (produced.has(action.newId)) {
+          this.report('merge_id_collision', 'error', path,
+            `merge newId "${action.newId}" is already produced by ${produced.get(action.newId)}`,
+            `give each merge a distinct newId`);
+        } else {
+          produced.set(action.newId, path);
+        }
+      });
+    });
+  }
+
+  /**
+   * 所有引用必须指向声明的刚体或合并生成体
+   */
+  private checkReferences(graph: ContractIdGraph) {
+    const known = new Set([...graph.bodies, ...graph.derivedBodies]);
+
+    for (const reference of graph.references) {
+      if (known.has(reference.target)) continue;
+
+      const candidate = this.closestId(reference.target, Array.from(known));
+      this.report('dangling_body_ref', 'error', reference.path,
+        `${reference.path} references unknown body "${reference.target}"`,
+        candidate
+          ? `did you mean "${candidate}"?`
+          : `declare a body with id "${reference.target}" or remove the reference`);
+    }
+  }
+
+  /**
+   * 两端都为空的预置约束不会生效，除非之后被 attach_constraint 接入
+   */
+  private checkConstraintEnds(contract: PhysicsContract) {
+    const attached = new Set<string>();
+    contract.event_rules.forEach(rule => {
+      rule.do.forEach(action => {
+        if (action.action === 'attach_constraint' && action.constraint?.id) {
+          attached.add(action.constraint.id);
+        }
+      });
+    });
+
+    // 空刚体但给出 point 的端点固定在世界坐标上，视为已连接
+    const connected = (end: PhysicsContract['constraints'][number]['a']) => !!end.body || !!end.point;
+    contract.constraints.forEach((constraint, i) => {
+      if (connected(constraint.a) && connected(constraint.b)) return;
+      if (attached.has(constraint.id)) return;
+      this.report('unattached_constraint', 'warning', `constraints[${i}]`,
+        `constraint "${constraint.id}" has an empty end and is never attached by an event rule`,
+        `set a body or a world point on both ends, or add an attach_constraint action for "${constraint.id}"`);
+    });
+  }
+
+  /**
+   * 约束类型对端点的要求：hinge 需要铰接点，slider 的 b 端是滑轨上的世界点，pulley 两端都挂刚体
+   */
+  private checkConstraintAnchors(contract: PhysicsContract) {
+    contract.constraints.forEach((constraint, i) => {
+      const path = `constraints[${i}]`;
+      switch (constraint.type) {
+        case 'hinge':
+          if (constraint.a.body && constraint.b.body && !constraint.a.point && !constraint.b.point) {
+            this.report('invalid_constraint_anchor', 'error', path,
+              `hinge "${constraint.id}" joins two body centres without a pivot point`,
+              'set a.point and b.point to the pivot offsets on each body');
+          }
+          break;
+
+        case 'slider':
+          if (constraint.b.body || !constraint.b.point) {
+            this.report('invalid_constraint_anchor', 'error', `${path}.b`,
+              `slider "${constraint.id}" needs b to be a world point on the track`,
+              'set b.body to null and b.point to a point on the track');
+          }
+          break;
+
+        case 'pulley':
+          if ((!constraint.a.body && constraint.a.point) || (!constraint.b.body && constraint.b.point)) {
+            this.report('invalid_constraint_anchor', 'error', path,
+              `pulley "${constraint.id}" must hang a body on each end, not a world point`,
+              'set both a.body and b.body');
+          }
+          break;
+      }
+    });
+  }
+
+  /**
+   * detach_constraint 必须指向预置约束或 attach_constraint 接入的约束
+   */
+  private checkConstraintRefs(contract: PhysicsContract, graph: ContractIdGraph) {
+    const known = new Set(graph.constraints);
+    contract.event_rules.forEach(rule => {
+      rule.do.forEach(action => {
+        if (action.action === 'attach_constraint' && action.constraint?.id) known.add(action.constraint.id);
+      });
+    });
+
+    contract.event_rules.forEach((rule, i) => {
+      rule.do.forEach((action, j) => {
+        if (action.action !== 'detach_constraint' || !action.constraintId || known.has(action.constraintId)) return;
+        const path = `event_rules[${i}].do[${j}].constraintId`;
+        const candidate = this.closestId(action.constraintId, Array.from(known));
+        this.report('dangling_constraint_ref', 'error', path,
+          `${path} references unknown constraint "${action.constraintId}"`,
+          candidate ? `did you mean "${candidate}"?` : 'declare the constraint or attach it before detaching');
+      });
+    });
+  }
+
+  /**
+   * 终止条件不能指向静态体；指向被合并刚体时会在合并后失效
+   */
+  private checkStopConditions(contract: PhysicsContract, graph: ContractIdGraph) {
+    const staticBodies = new Set(graph.staticBodies);
+    const mergedAway = new Set(graph.mergedAway);
+    const mergeTargets = this.mergeTargets(contract);
+
+    for (const leaf of this.stopConditionLeaves(contract)) {
+      const { condition } = leaf;
+      const path = `${leaf.path}.id`;
+      if (!condition.id) continue;
+
+      if (staticBodies.has(condition.id) && STATE_STOP_TYPES.includes(condition.type)) {
+        const dynamic = contract.bodies.find(body => !body.isStatic);
+        this.report('stop_on_static_body', 'error', path,
+          `stop condition "${condition.type}" targets static body "${condition.id}" and ${condition.type === 'speedBelow' ? 'would stop the simulation immediately' : 'can never change state'}`,
+          dynamic ? `target a dynamic body such as "${dynamic.id}"` : 'target a dynamic body');
+      } else if (mergedAway.has(condition.id)) {
+        const newId = mergeTargets.get(condition.id);
+        this.report('merged_body_ref', 'warning', path,
+          `stop condition targets "${condition.id}", which no longer exists after merge_bodies`,
+          newId ? `target the merged body "${newId}" instead` : undefined);
+      }
+    }
+  }
+
+  /**
+   * 展开 any / all 组合，返回全部叶子终止条件及其路径
+   */
+  private stopConditionLeaves(contract: PhysicsContract): Array<{ condition: StopCondition; path: string }> {
+    const leaves: Array<{ condition: StopCondition; path: string }> = [];
+    const visit = (conditions: StopCondition[], prefix: string) => {
+      conditions.forEach((condition, i) => {
+        const path = `${prefix}[${i}]`;
+        if (condition.type === 'any' || condition.type === 'all') {
+          visit(condition.conditions || [], `${path}.conditions`);
+        } else {
+          leaves.push({ condition, path });
+        }
+      });
+    };
+    visit(contract.end_conditions.stopWhen, 'end_conditions.stopWhen');
+    return leaves;
+  }
+
+  /**
+   * 被合并刚体 → 合并结果 id
+   */
+  private mergeTargets(contract: PhysicsContract): Map<string, string> {
+    const targets = new Map<string, string>();
+    contract.event_rules.forEach(rule => {
+      rule.do.forEach(action => {
+        if (action.action === 'merge_bodies' && action.newId) {
+          (action.ids || []).forEach(id => targets.set(id, action.newId!));
+        }
+      });
+    });
+    return targets;
+  }
+
+  private report(
+    code: SemanticDiagnosticCode,
+    severity: 'error' | 'warning',
+    path: string,
+    message: string,
+    suggestion?: string
+  ) {
+    this.diagnostics.push({ code, severity, path, message, ...(suggestion ? { suggestion } : {}) });
+  }
+
+  /**
+   * 生成不冲突的 id（base_2, base_3 ...）
+   */
+  private uniqueId(base: string, taken: { has(id: string): boolean }): string {
+    let n = 2;
+    while (taken.has(`${base}_${n}`)) n++;
+    return `${base}_${n}`;
+  }
+
+  /**
+   * 编辑距离最近的已知 id（用于 "did you mean" 建议）
+   */
+  private closestId(target: string, candidates: string[]): string | null {
+    let best: string | null = null;
+    let bestDistance = Infinity;
+
+    for (const candidate of candidates) {
+      const distance = this.editDistance(target.toLowerCase(), candidate.toLowerCase());
+      if (distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    }
+
+    // 差异过大的候选没有参考意义
+    return best !== null && bestDistance <= Math.max(2, Math.floor(target.length / 3)) ? best : null;
+  }
+
+  private editDistance(a: string, b: string): number {
+    const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      let prev = row[0];
+      row[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const current = row[j];
+        row[j] = Math.min(
+          row[j] + 1,
+          row[j - 1] + 1,
+          prev + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+        prev = current;
+      }
+    }
+    return row[b.length];
+  }
+}
+
+/**
+ * 导出语义检查便捷函数
+ */
+export function checkContractSemantics(contract: PhysicsContract): SemanticCheckResult {
+  return new ContractSemanticChecker().check(contract);
+}
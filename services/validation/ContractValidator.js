@@ -0,0 +1,194 @@
+"use strict";
+/**
+ * PhysicsContract 预仿真门禁（Pre-Sim Gate）
+ *
+ * 功能：
+ * 1. 使用 ajv 按 PHYSICS_CONTRACT_SCHEMA 校验 AI 输出的契约
+ * 2. 将 ajv 错误转换为按路径定位的消息（如 bodies[2].size.w missing for shape=box）
+ * 3. 在构建任何 Matter.js 世界之前拒绝结构不合法的契约
+ */
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.ContractValidator = exports.ContractValidationError = void 0;
+exports.validatePhysicsContract = validatePhysicsContract;
+const ajv_1 = __importDefault(require("ajv"));
+const PhysicsContractSchema_1 = require("./PhysicsContractSchema");
+/**
+ * 契约校验失败异常（assert 抛出）
+ */
+class ContractValidationError extends Error {
+    constructor(issues) {
+        super(`PhysicsContract 校验失败: ${issues.map(issue => issue.message).join('; ')}`);
+        this.name = 'ContractValidationError';
+        this.issues = issues;
+    }
+}
+exports.ContractValidationError = ContractValidationError;
+// 随形状变化的几何字段
+const GEOMETRY_KEYS = ['size', 'w', 'h', 'r', 'vertices'];
+// 编译后的 schema 校验函数，进程内复用
+let compiledSchema = null;
+function getCompiledSchema() {
+    if (!compiledSchema) {
+        const ajv = new ajv_1.default({ allErrors: true, strict: false });
+        compiledSchema = ajv.compile(PhysicsContractSchema_1.PHYSICS_CONTRACT_SCHEMA);
+    }
+    return compiledSchema;
+}
+/**
+ * PhysicsContract 结构校验器
+ */
+class ContractValidator {
+    constructor() {
+        this.schemaValidator = getCompiledSchema();
+    }
+    /**
+     * 校验契约，返回全部问题
+     */
+    validate(contract) {
+        const valid = this.schemaValidator(contract);
+        if (valid) {
+            return { valid: true, errors: [] };
+        }
+        const rawErrors = this.schemaValidator.errors || [];
+        const alternatives = this.anyOfAlternatives(rawErrors);
+        const errors = rawErrors
+            // if/then 失败时 ajv 会额外给出一条 "must match then schema"，具体缺失字段已单独报告
+            .filter(error => error.keyword !== 'if')
+            // anyOf 各分支的缺失字段合并到 anyOf 本身的错误中
+            .filter(error => !error.schemaPath.includes('/anyOf/'))
+            .map(error => this.toIssue(error, contract, alternatives));
+        return { valid: false, errors: this.dedupe(errors) };
+    }
+    /**
+     * 硬门禁：校验失败时抛出 ContractValidationError
+     */
+    assert(contract) {
+        const result = this.validate(contract);
+        if (!result.valid) {
+            throw new ContractValidationError(result.errors);
+        }
+    }
+    /**
+     * anyOf 分支中缺失的字段（按实例路径汇总）
+     */
+    anyOfAlternatives(errors) {
+        const alternatives = new Map();
+        for (const error of errors) {
+            if (error.keyword !== 'required' || !error.schemaPath.includes('/anyOf/'))
+                continue;
+            const keys = alternatives.get(error.instancePath) || [];
+            const missing = error.params.missingProperty;
+            if (!keys.includes(missing))
+                keys.push(missing);
+            alternatives.set(error.instancePath, keys);
+        }
+        return alternatives;
+    }
+    /**
+     * 将 ajv 错误转换为路径定位的问题
+     */
+    toIssue(error, contract, alternatives) {
+        const segments = this.pointerToSegments(error.instancePath);
+        const basePath = this.formatPath(segments);
+        const params = error.params;
+        let path = basePath;
+        let message;
+        switch (error.keyword) {
+            case 'required':
+                path = this.joinPath(basePath, params.missingProperty);
+                message = `${path} missing`;
+                break;
+            case 'additionalProperties':
+                path = this.joinPath(basePath, params.additionalProperty);
+                message = basePath
+                    ? `${path} is not an allowed key`
+                    : `${path} is not an allowed top-level key (only world, engine, bodies, constraints, event_rules, end_conditions)`;
+                break;
+            case 'type':
+                message = `${path || '(root)'} must be ${params.type}`;
+                break;
+            case 'enum':
+                message = `${path} must be one of ${params.allowedValues.join(', ')} (got ${JSON.stringify(this.valueAt(contract, segments))})`;
+                break;
+            case 'const':
+                message = `${path} must be ${JSON.stringify(params.allowedValue)}`;
+                break;
+            case 'anyOf': {
+                const keys = alternatives.get(error.instancePath);
+                message = keys && keys.length > 0
+                    ? `${path} requires one of ${keys.join(', ')}`
+                    : `${path || '(root)'} ${error.message}`;
+                break;
+            }
+            default:
+                message = `${path || '(root)'} ${error.message}`;
+        }
+        // 刚体几何字段缺失时补充形状上下文
+        const shape = this.bodyShapeFor(contract, segments);
+        if (shape && error.keyword === 'required' && GEOMETRY_KEYS.includes(params.missingProperty)) {
+            message += ` for shape=${shape}`;
+        }
+        return { path, keyword: error.keyword, message };
+    }
+    /**
+     * JSON Pointer → 路径片段
+     */
+    pointerToSegments(pointer) {
+        if (!pointer)
+            return [];
+        return pointer
+            .split('/')
+            .slice(1)
+            .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+    }
+    /**
+     * 路径片段 → bodies[2].size 形式
+     */
+    formatPath(segments) {
+        return segments.reduce((path, segment) => {
+            if (/^\d+$/.test(segment))
+                return `${path}[${segment}]`;
+            return this.joinPath(path, segment);
+        }, '');
+    }
+    joinPath(base, key) {
+        return base ? `${base}.${key}` : key;
+    }
+    /**
+     * 若路径位于 bodies[i] 之下，返回该刚体声明的形状
+     */
+    bodyShapeFor(contract, segments) {
+        if (segments[0] !== 'bodies' || segments.length < 2)
+            return null;
+        const body = this.valueAt(contract, segments.slice(0, 2));
+        return body && typeof body.shape === 'string' ? body.shape : null;
+    }
+    valueAt(root, segments) {
+        let current = root;
+        for (const segment of segments) {
+            if (current === null || typeof current !== 'object')
+                return undefined;
+            current = current[segment];
+        }
+        return current;
+    }
+    dedupe(issues) {
+        const seen = new Set();
+        return issues.filter(issue => {
+            if (seen.has(issue.message))
+                return false;
+            seen.add(issue.message);
+            return true;
+        });
+    }
+}
+exports.ContractValidator = ContractValidator;
+/**
+ * 导出校验便捷函数
+ */
+function validatePhysicsContract(contract) {
+    return new ContractValidator().validate(contract);
+}
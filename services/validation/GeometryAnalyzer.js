@@ -0,0 +1,524 @@
+"use strict";
+/**
+ * PhysicsContract 初始几何分析
+ *
+ * 功能：
+ * 1. 由 shape/size/r/vertices/angle 计算每个刚体的世界坐标轮廓
+ * 2. 检测初始穿透、越出 world.bounds 的刚体、应静置却悬空的刚体
+ * 3. 可选地按最小分离量自动修正位置，并报告移动了哪些刚体
+ * 4. 给出动态体静置在哪个静态体上（参数扫描据此重建依赖几何）
+ *
+ * 多边形与 Matter.Bodies.fromVertices 一致：顶点先平移到质心位于 position，再按 angle 旋转；
+ * 凹多边形按凸包近似。
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.GeometryAnalyzer = void 0;
+exports.bodyShape = bodyShape;
+exports.bodyPolygon = bodyPolygon;
+exports.analyzeContractGeometry = analyzeContractGeometry;
+const DEFAULT_OPTIONS = {
+    overlapTolerance: 1e-4,
+    clearance: 0.001,
+    floatTolerance: 0.002,
+    autoCorrect: false,
+    maxPasses: 5,
+    circleSegments: 24
+};
+// —— 向量工具 ——
+const add = (a, b) => [a[0] + b[0], a[1] + b[1]];
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1]];
+const scale = (a, k) => [a[0] * k, a[1] * k];
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1];
+const cross = (a, b) => a[0] * b[1] - a[1] * b[0];
+const length = (a) => Math.hypot(a[0], a[1]);
+const normalize = (a) => {
+    const len = length(a);
+    return len > 0 ? [a[0] / len, a[1] / len] : [0, 0];
+};
+const rotate = (a, angle) => {
+    const c = Math.cos(angle), s = Math.sin(angle);
+    return [a[0] * c - a[1] * s, a[0] * s + a[1] * c];
+};
+/**
+ * 多边形面积质心
+ */
+function polygonCentroid(vertices) {
+    let area = 0, cx = 0, cy = 0;
+    for (let i = 0; i < vertices.length; i++) {
+        const a = vertices[i];
+        const b = vertices[(i + 1) % vertices.length];
+        const c = cross(a, b);
+        area += c;
+        cx += (a[0] + b[0]) * c;
+        cy += (a[1] + b[1]) * c;
+    }
+    if (Math.abs(area) < 1e-12) {
+        // 退化多边形退回顶点平均值
+        const sum = vertices.reduce((acc, v) => add(acc, v), [0, 0]);
+        return scale(sum, 1 / vertices.length);
+    }
+    return [cx / (3 * area), cy / (3 * area)];
+}
+/**
+ * 凸包（Andrew 单调链）
+ */
+function convexHull(points) {
+    const sorted = [...points].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+    if (sorted.length <= 3)
+        return sorted;
+    const lower = [];
+    for (const p of sorted) {
+        while (lower.length >= 2 && cross(sub(lower[lower.length - 1], lower[lower.length - 2]), sub(p, lower[lower.length - 2])) <= 0)
+            lower.pop();
+        lower.push(p);
+    }
+    const upper = [];
+    for (let i = sorted.length - 1; i >= 0; i--) {
+        const p = sorted[i];
+        while (upper.length >= 2 && cross(sub(upper[upper.length - 1], upper[upper.length - 2]), sub(p, upper[upper.length - 2])) <= 0)
+            upper.pop();
+        upper.push(p);
+    }
+    return lower.slice(0, -1).concat(upper.slice(0, -1));
+}
+/**
+ * 由契约刚体计算分析用形状
+ */
+function bodyShape(body) {
+    const center = [body.position[0], body.position[1]];
+    const angle = body.angle || 0;
+    switch (body.shape) {
+        case 'circle':
+            return { kind: 'circle', center, r: body.r };
+        case 'box': {
+            const hw = body.size.w / 2, hh = body.size.h / 2;
+            const local = [[-hw, -hh], [hw, -hh], [hw, hh], [-hw, hh]];
+            return { kind: 'polygon', center, vertices: local.map(v => add(center, rotate(v, angle))) };
+        }
+        case 'polygon': {
+            const hull = convexHull(body.vertices.map(v => [v[0], v[1]]));
+            const centroid = polygonCentroid(hull);
+            return {
+                kind: 'polygon',
+                center,
+                vertices: hull.map(v => add(center, rotate(sub(v, centroid), angle)))
+            };
+        }
+        default:
+            throw new Error(`Unsupported body shape: ${body.shape}`);
+    }
+}
+/**
+ * 刚体的世界坐标轮廓多边形（圆按 segments 分段近似）
+ */
+function bodyPolygon(body, segments = DEFAULT_OPTIONS.circleSegments) {
+    const shape = bodyShape(body);
+    if (shape.kind === 'polygon')
+        return shape.vertices;
+    const points = [];
+    for (let i = 0; i < segments; i++) {
+        const theta = (2 * Math.PI * i) / segments;
+        points.push([shape.center[0] + shape.r * Math.cos(theta), shape.center[1] + shape.r * Math.sin(theta)]);
+    }
+    return points;
+}
+/**
+ * 形状的轴对齐包围盒
+ */
+function shapeBounds(shape) {
+    if (shape.kind === 'circle') {
+        return {
+            min: [shape.center[0] - shape.r, shape.center[1] - shape.r],
+            max: [shape.center[0] + shape.r, shape.center[1] + shape.r]
+        };
+    }
+    const xs = shape.vertices.map(v => v[0]);
+    const ys = shape.vertices.map(v => v[1]);
+    return { min: [Math.min(...xs), Math.min(...ys)], max: [Math.max(...xs), Math.max(...ys)] };
+}
+/**
+ * 用于判定“应当接触”的特征尺寸
+ */
+function characteristicSize(body) {
+    switch (body.shape) {
+        case 'circle': return body.r;
+        case 'box': return Math.min(body.size.w, body.size.h) / 2;
+        default: {
+            const { min, max } = shapeBounds(bodyShape(body));
+            return Math.min(max[0] - min[0], max[1] - min[1]) / 2;
+        }
+    }
+}
+function edgeNormals(vertices) {
+    return vertices.map((v, i) => {
+        const edge = sub(vertices[(i + 1) % vertices.length], v);
+        return normalize([edge[1], -edge[0]]);
+    });
+}
+function project(shape, axis) {
+    if (shape.kind === 'circle') {
+        const c = dot(shape.center, axis);
+        return [c - shape.r, c + shape.r];
+    }
+    let min = Infinity, max = -Infinity;
+    for (const v of shape.vertices) {
+        const p = dot(v, axis);
+        min = Math.min(min, p);
+        max = Math.max(max, p);
+    }
+    return [min, max];
+}
+/**
+ * 点到线段的最近点
+ */
+function closestOnSegment(p, a, b) {
+    const ab = sub(b, a);
+    const denom = dot(ab, ab);
+    const t = denom > 0 ? Math.max(0, Math.min(1, dot(sub(p, a), ab) / denom)) : 0;
+    return add(a, scale(ab, t));
+}
+function closestOnPolygon(p, vertices) {
+    let best = vertices[0];
+    let bestDist = Infinity;
+    for (let i = 0; i < vertices.length; i++) {
+        const q = closestOnSegment(p, vertices[i], vertices[(i + 1) % vertices.length]);
+        const d = length(sub(p, q));
+        if (d < bestDist) {
+            best = q;
+            bestDist = d;
+        }
+    }
+    return best;
+}
+/**
+ * 分离轴测试：返回穿透深度（最小平移向量）或间距
+ * 质心重合、方向无法判定时，将 A 沿 up（与重力相反）方向推出
+ */
+function separation(a, b, up = [0, -1]) {
+    // 圆-圆
+    if (a.kind === 'circle' && b.kind === 'circle') {
+        const d = sub(a.center, b.center);
+        const dist = length(d);
+        const normal = dist > 0 ? scale(d, 1 / dist) : up;
+        const gap = dist - a.r - b.r;
+        return { overlapping: gap < 0, depth: Math.max(0, -gap), distance: Math.max(0, gap), normal };
+    }
+    // 涉及多边形：SAT
+    const axes = [];
+    if (a.kind === 'polygon')
+        axes.push(...edgeNormals(a.vertices));
+    if (b.kind === 'polygon')
+        axes.push(...edgeNormals(b.vertices));
+    if (a.kind === 'circle' && b.kind === 'polygon') {
+        axes.push(normalize(sub(a.center, closestOnPolygon(a.center, b.vertices))));
+    }
+    if (b.kind === 'circle' && a.kind === 'polygon') {
+        axes.push(normalize(sub(closestOnPolygon(b.center, a.vertices), b.center)));
+    }
+    let minOverlap = Infinity;
+    let mtv = up;
+    for (const axis of axes) {
+        if (axis[0] === 0 && axis[1] === 0)
+            continue;
+        const [minA, maxA] = project(a, axis);
+        const [minB, maxB] = project(b, axis);
+        const overlap = Math.min(maxA - minB, maxB - minA);
+        if (overlap <= 0) {
+            return { overlapping: false, depth: 0, ...distanceBetween(a, b) };
+        }
+        if (overlap < minOverlap) {
+            minOverlap = overlap;
+            const side = dot(sub(a.center, b.center), axis);
+            const flip = Math.abs(side) < 1e-12 ? dot(axis, up) < 0 : side < 0;
+            mtv = flip ? scale(axis, -1) : axis;
+        }
+    }
+    return { overlapping: true, depth: minOverlap, distance: 0, normal: mtv };
+}
+/**
+ * 不相交形状之间的最短距离与方向（由 B 指向 A）
+ */
+function distanceBetween(a, b) {
+    if (a.kind === 'circle' && b.kind === 'polygon') {
+        const q = closestOnPolygon(a.center, b.vertices);
+        const d = sub(a.center, q);
+        return { distance: Math.max(0, length(d) - a.r), normal: normalize(d) };
+    }
+    if (a.kind === 'polygon' && b.kind === 'circle') {
+        const q = closestOnPolygon(b.center, a.vertices);
+        const d = sub(q, b.center);
+        return { distance: Math.max(0, length(d) - b.r), normal: normalize(d) };
+    }
+    // 多边形-多边形：顶点到对方各边的最短距离
+    const pa = a.vertices;
+    const pb = b.vertices;
+    let best = { distance: Infinity, normal: [0, -1] };
+    for (const v of pa) {
+        const q = closestOnPolygon(v, pb);
+        const d = length(sub(v, q));
+        if (d < best.distance)
+            best = { distance: d, normal: normalize(sub(v, q)) };
+    }
+    for (const v of pb) {
+        const q = closestOnPolygon(v, pa);
+        const d = length(sub(q, v));
+        if (d < best.distance)
+            best = { distance: d, normal: normalize(sub(q, v)) };
+    }
+    return best;
+}
+/**
+ * Matter.js 碰撞筛选规则
+ */
+function canCollide(a, b) {
+    const fa = a.collisionFilter, fb = b.collisionFilter;
+    if (!fa || !fb)
+        return true;
+    if (fa.group === fb.group && fa.group !== 0)
+        return fa.group > 0;
+    return (fa.mask & fb.category) !== 0 && (fb.mask & fa.category) !== 0;
+}
+/**
+ * 契约几何分析器
+ */
+class GeometryAnalyzer {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+    }
+    /**
+     * 分析契约的初始几何；autoCorrect 时返回修正后的契约副本
+     */
+    analyze(contract) {
+        if (!this.options.autoCorrect) {
+            const issues = this.detect(contract);
+            return {
+                ok: !issues.some(issue => issue.severity === 'error'),
+                issues,
+                polygons: this.polygons(contract),
+                moves: []
+            };
+        }
+        const corrected = JSON.parse(JSON.stringify(contract));
+        const origins = new Map();
+        const reasons = new Map();
+        for (let pass = 0; pass < this.options.maxPasses; pass++) {
+            const moved = this.correctPass(corrected, origins, reasons);
+            if (!moved)
+                break;
+        }
+        const moves = [];
+        for (const [id, from] of origins) {
+            const body = corrected.bodies.find(b => b.id === id);
+            moves.push({ id, from, to: [body.position[0], body.position[1]], reasons: Array.from(reasons.get(id) || []) });
+        }
+        const issues = this.detect(corrected);
+        return {
+            ok: !issues.some(issue => issue.severity === 'error'),
+            issues,
+            polygons: this.polygons(corrected),
+            moves,
+            corrected
+        };
+    }
+    /**
+     * 检测全部几何问题
+     */
+    detect(contract) {
+        return [
+            ...this.detectOverlaps(contract),
+            ...this.detectOutOfBounds(contract),
+            ...this.detectFloating(contract)
+        ];
+    }
+    polygons(contract) {
+        const result = {};
+        for (const body of contract.bodies) {
+            result[body.id] = bodyPolygon(body, this.options.circleSegments);
+        }
+        return result;
+    }
+    /**
+     * 初始穿透（静态体之间的拼接不算）
+     */
+    detectOverlaps(contract) {
+        const issues = [];
+        this.forEachPair(contract, (a, b, sep) => {
+            if (!sep.overlapping || sep.depth <= this.options.overlapTolerance)
+                return;
+            issues.push({
+                code: 'initial_overlap',
+                severity: 'error',
+                bodies: [a.id, b.id],
+                depth: sep.depth,
+                message: `bodies "${a.id}" and "${b.id}" interpenetrate by ${sep.depth.toFixed(4)} m at t=0`
+            });
+        });
+        return issues;
+    }
+    /**
+     * 越出 world.bounds 的刚体
+     */
+    detectOutOfBounds(contract) {
+        const issues = [];
+        const [minX, minY] = contract.world.bounds.min;
+        const [maxX, maxY] = contract.world.bounds.max;
+        for (const body of contract.bodies) {
+            const { min, max } = shapeBounds(bodyShape(body));
+            const fullyOutside = max[0] < minX || min[0] > maxX || max[1] < minY || min[1] > maxY;
+            const partiallyOutside = min[0] < minX || max[0] > maxX || min[1] < minY || max[1] > maxY;
+            if (!partiallyOutside)
+                continue;
+            issues.push({
+                code: 'out_of_bounds',
+                severity: fullyOutside ? 'error' : 'warning',
+                bodies: [body.id],
+                message: fullyOutside
+                    ? `body "${body.id}" lies entirely outside world.bounds`
+                    : `body "${body.id}" extends beyond world.bounds and will hit the boundary walls`
+            });
+        }
+        return issues;
+    }
+    /**
+     * 应静置却悬空的动态体：下方最近支撑面的间隙大于容差，但小于刚体自身尺寸
+     * （更大的间隙视为有意的下落/抛体初始高度）
+     */
+    detectFloating(contract) {
+        const issues = [];
+        for (const body of contract.bodies) {
+            if (body.isStatic)
+                continue;
+            const support = this.findSupport(contract, body);
+            if (!support || support.gap <= this.options.floatTolerance)
+                continue;
+            issues.push({
+                code: 'floating_body',
+                severity: 'warning',
+                bodies: [body.id, support.id],
+                gap: support.gap,
+                message: `body "${body.id}" floats ${support.gap.toFixed(4)} m above "${support.id}" instead of resting on it`
+            });
+        }
+        return issues;
+    }
+    /**
+     * 静置关系：与下方静态体接触（间隙不超过 floatTolerance）的动态体 → 支撑体 id
+     */
+    restingSupports(contract) {
+        const supports = {};
+        const down = normalize(contract.world.gravity);
+        if (down[0] === 0 && down[1] === 0)
+            return supports;
+        for (const body of contract.bodies) {
+            if (body.isStatic)
+                continue;
+            const shape = bodyShape(body);
+            let best = Infinity;
+            for (const other of contract.bodies) {
+                if (other === body || !other.isStatic || !canCollide(body, other))
+                    continue;
+                const sep = separation(shape, bodyShape(other), scale(down, -1));
+                const gap = sep.overlapping ? -sep.depth : sep.distance;
+                if (gap > this.options.floatTolerance || dot(sep.normal, down) >= 0)
+                    continue;
+                if (gap < best) {
+                    best = gap;
+                    supports[body.id] = other.id;
+                }
+            }
+        }
+        return supports;
+    }
+    /**
+     * 查找动态体下方（沿重力方向）最近的静态支撑
+     */
+    findSupport(contract, body) {
+        const down = normalize(contract.world.gravity);
+        if (down[0] === 0 && down[1] === 0)
+            return null;
+        const shape = bodyShape(body);
+        const range = characteristicSize(body);
+        let best = null;
+        for (const other of contract.bodies) {
+            if (other === body || !other.isStatic || !canCollide(body, other))
+                continue;
+            const sep = separation(shape, bodyShape(other), scale(down, -1));
+            // 支撑面需位于下方：法线（支撑 → 刚体）与重力方向相反；侧面的墙不算支撑
+            if (dot(sep.normal, down) > -0.5)
+                continue;
+            // 已与下方支撑接触或穿透：视为有支撑
+            if (sep.overlapping || sep.distance <= this.options.floatTolerance)
+                return null;
+            if (sep.distance > range)
+                continue;
+            if (!best || sep.distance < best.gap) {
+                best = { id: other.id, gap: sep.distance, normal: sep.normal };
+            }
+        }
+        return best;
+    }
+    /**
+     * 一轮最小分离修正；返回是否移动了刚体
+     */
+    correctPass(contract, origins, reasons) {
+        const clearance = this.options.clearance;
+        let moved = false;
+        const move = (body, delta, reason) => {
+            if (!origins.has(body.id))
+                origins.set(body.id, [body.position[0], body.position[1]]);
+            if (!reasons.has(body.id))
+                reasons.set(body.id, new Set());
+            reasons.get(body.id).add(reason);
+            body.position = add(body.position, delta);
+            moved = true;
+        };
+        // 穿透：沿最小平移向量分离，动态体之间各移一半
+        this.forEachPair(contract, (a, b, sep) => {
+            if (!sep.overlapping || sep.depth <= this.options.overlapTolerance)
+                return;
+            const push = sep.depth + clearance;
+            if (b.isStatic) {
+                move(a, scale(sep.normal, push), 'initial_overlap');
+            }
+            else {
+                move(a, scale(sep.normal, push / 2), 'initial_overlap');
+                move(b, scale(sep.normal, -push / 2), 'initial_overlap');
+            }
+        });
+        // 悬空：沿最短距离方向落到支撑面上方 clearance 处
+        for (const body of contract.bodies) {
+            if (body.isStatic)
+                continue;
+            const support = this.findSupport(contract, body);
+            if (!support || support.gap <= this.options.floatTolerance)
+                continue;
+            move(body, scale(support.normal, -(support.gap - clearance)), 'floating_body');
+        }
+        return moved;
+    }
+    /**
+     * 遍历可碰撞且至少含一个动态体的刚体对
+     */
+    forEachPair(contract, fn) {
+        const bodies = contract.bodies;
+        const up = scale(normalize(contract.world.gravity), -1);
+        for (let i = 0; i < bodies.length; i++) {
+            for (let j = i + 1; j < bodies.length; j++) {
+                // 动态体在前，使法线指向需要移动的一方
+                const [a, b] = bodies[i].isStatic ? [bodies[j], bodies[i]] : [bodies[i], bodies[j]];
+                if (a.isStatic && b.isStatic)
+                    continue;
+                if (!canCollide(a, b))
+                    continue;
+                fn(a, b, separation(bodyShape(a), bodyShape(b), up[0] === 0 && up[1] === 0 ? undefined : up));
+            }
+        }
+    }
+}
+exports.GeometryAnalyzer = GeometryAnalyzer;
+/**
+ * 导出几何分析便捷函数
+ */
+function analyzeContractGeometry(contract, options = {}) {
+    return new GeometryAnalyzer(options).analyze(contract);
+}
@@ -0,0 +1,373 @@
+"use strict";
+/**
+ * PhysicsContract JSON Schema
+ *
+ * 功能：
+ * 1. 以 JSON Schema (draft-07) 形式描述六键 PhysicsContract
+ * 2. 供 ContractValidator 在构建 Matter.js 世界前做结构校验
+ * 3. 与 matter_adapter/Adapter.ts 中的 PhysicsContract 接口保持一致
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.PHYSICS_CONTRACT_SCHEMA = void 0;
+// 二维向量 [x, y]
+const VEC2 = {
+    type: 'array',
+    items: { type: 'number' },
+    minItems: 2,
+    maxItems: 2
+};
+// 可为空的二维向量（约束锚点）
+const NULLABLE_VEC2 = {
+    type: ['array', 'null'],
+    items: { type: 'number' },
+    minItems: 2,
+    maxItems: 2
+};
+// 约束端点 { body, point }
+const CONSTRAINT_END = {
+    type: 'object',
+    required: ['body', 'point'],
+    properties: {
+        body: { type: ['string', 'null'] },
+        point: NULLABLE_VEC2
+    }
+};
+const WORLD_SCHEMA = {
+    type: 'object',
+    required: ['coord', 'units', 'gravity', 'bounds'],
+    properties: {
+        coord: { const: 'xy_y_down' },
+        units: {
+            type: 'object',
+            required: ['length', 'time', 'mass', 'angle'],
+            properties: {
+                length: { type: 'string' },
+                time: { type: 'string' },
+                mass: { type: 'string' },
+                angle: { type: 'string' }
+            }
+        },
+        gravity: VEC2,
+        datum: VEC2,
+        bounds: {
+            type: 'object',
+            required: ['min', 'max'],
+            properties: {
+                min: VEC2,
+                max: VEC2
+            }
+        }
+    }
+};
+const ENGINE_SCHEMA = {
+    type: 'object',
+    required: ['dt', 'substeps', 'positionIterations', 'velocityIterations'],
+    properties: {
+        dt: { type: 'number', exclusiveMinimum: 0 },
+        substeps: { type: 'integer', minimum: 1 },
+        positionIterations: { type: 'integer', minimum: 1 },
+        velocityIterations: { type: 'integer', minimum: 1 }
+    }
+};
+const BODY_SCHEMA = {
+    type: 'object',
+    required: [
+        'id', 'shape', 'isStatic', 'position', 'angle',
+        'friction', 'frictionStatic', 'restitution', 'collisionFilter'
+    ],
+    properties: {
+        id: { type: 'string', minLength: 1 },
+        shape: { enum: ['box', 'circle', 'polygon'] },
+        isStatic: { type: 'boolean' },
+        position: VEC2,
+        angle: { type: 'number' },
+        size: {
+            type: 'object',
+            required: ['w', 'h'],
+            properties: {
+                w: { type: 'number', exclusiveMinimum: 0 },
+                h: { type: 'number', exclusiveMinimum: 0 }
+            }
+        },
+        r: { type: 'number', exclusiveMinimum: 0 },
+        vertices: { type: 'array', items: VEC2, minItems: 3 },
+        mass: { type: 'number', exclusiveMinimum: 0 },
+        density: { type: ['number', 'null'] },
+        friction: { type: 'number', minimum: 0 },
+        frictionStatic: { type: 'number', minimum: 0 },
+        restitution: { type: 'number', minimum: 0 },
+        collisionFilter: {
+            type: 'object',
+            required: ['category', 'mask', 'group'],
+            properties: {
+                category: { type: 'integer' },
+                mask: { type: 'integer' },
+                group: { type: 'integer' }
+            }
+        }
+    },
+    // 按形状要求对应的几何字段
+    allOf: [
+        {
+            if: { required: ['shape'], properties: { shape: { const: 'box' } } },
+            then: { required: ['size'] }
+        },
+        {
+            if: { required: ['shape'], properties: { shape: { const: 'circle' } } },
+            then: { required: ['r'] }
+        },
+        {
+            if: { required: ['shape'], properties: { shape: { const: 'polygon' } } },
+            then: { required: ['vertices'] }
+        }
+    ]
+};
+const CONSTRAINT_SCHEMA = {
+    type: 'object',
+    required: ['id', 'type', 'a', 'b'],
+    properties: {
+        id: { type: 'string', minLength: 1 },
+        type: { enum: ['spring', 'rope', 'rod', 'hinge', 'slider', 'pulley'] },
+        a: CONSTRAINT_END,
+        b: CONSTRAINT_END,
+        length: { type: 'number', minimum: 0 },
+        k: { type: 'number', exclusiveMinimum: 0 },
+        c: { type: 'number', minimum: 0 },
+        stiffness: { type: 'number', exclusiveMinimum: 0, maximum: 1 },
+        damping: { type: 'number', minimum: 0, maximum: 1 },
+        axis: VEC2,
+        pulley: {
+            type: 'object',
+            required: ['a', 'b'],
+            properties: {
+                a: VEC2,
+                b: VEC2
+            }
+        }
+    },
+    // 按约束类型要求对应字段
+    allOf: [
+        {
+            // 弹簧用劲度系数 k；stiffness 为旧契约的 Matter.js 归一化刚度
+            if: { required: ['type'], properties: { type: { const: 'spring' } } },
+            then: { required: ['length'], anyOf: [{ required: ['k'] }, { required: ['stiffness'] }] }
+        },
+        {
+            if: { required: ['type'], properties: { type: { const: 'slider' } } },
+            then: { required: ['axis'] }
+        },
+        {
+            if: { required: ['type'], properties: { type: { const: 'pulley' } } },
+            then: { required: ['pulley'] }
+        }
+    ]
+};
+// attach_constraint 中的约束只要求 id 与两端，其余沿用预置约束
+const ATTACHED_CONSTRAINT_SCHEMA = {
+    type: 'object',
+    required: ['id', 'a', 'b'],
+    properties: {
+        ...CONSTRAINT_SCHEMA.properties
+    }
+};
+// swap_material 可替换的材料参数
+const MATERIAL_SCHEMA = {
+    type: 'object',
+    minProperties: 1,
+    additionalProperties: false,
+    properties: {
+        friction: { type: 'number', minimum: 0 },
+        frictionStatic: { type: 'number', minimum: 0 },
+        restitution: { type: 'number', minimum: 0 },
+        density: { type: 'number', exclusiveMinimum: 0 }
+    }
+};
+const ACTION_SCHEMA = {
+    type: 'object',
+    required: ['action'],
+    properties: {
+        action: {
+            enum: [
+                'merge_bodies', 'attach_constraint', 'set_property',
+                'apply_impulse', 'set_velocity', 'apply_force', 'remove_body',
+                'detach_constraint', 'set_static', 'swap_material', 'stop_simulation'
+            ]
+        },
+        ids: { type: 'array', items: { type: 'string' }, minItems: 2 },
+        newId: { type: 'string', minLength: 1 },
+        constraint: ATTACHED_CONSTRAINT_SCHEMA,
+        constraintId: { type: 'string', minLength: 1 },
+        id: { type: 'string', minLength: 1 },
+        prop: { type: 'string', minLength: 1 },
+        value: {},
+        impulse: VEC2,
+        point: VEC2,
+        velocity: VEC2,
+        angularVelocity: { type: 'number' },
+        force: VEC2,
+        duration: { type: 'number', exclusiveMinimum: 0 },
+        material: MATERIAL_SCHEMA,
+        reason: { type: 'string' }
+    },
+    allOf: [
+        {
+            if: { required: ['action'], properties: { action: { const: 'merge_bodies' } } },
+            then: { required: ['ids', 'newId'] }
+        },
+        {
+            if: { required: ['action'], properties: { action: { const: 'attach_constraint' } } },
+            then: { required: ['constraint'] }
+        },
+        {
+            if: { required: ['action'], properties: { action: { const: 'set_property' } } },
+            then: { required: ['id', 'prop', 'value'] }
+        },
+        {
+            if: { required: ['action'], properties: { action: { const: 'apply_impulse' } } },
+            then: { required: ['id', 'impulse'] }
+        },
+        {
+            if: { required: ['action'], properties: { action: { const: 'set_velocity' } } },
+            then: { required: ['id', 'velocity'] }
+        },
+        {
+            if: { required: ['action'], properties: { action: { const: 'apply_force' } } },
+            then: { required: ['id', 'force'] }
+        },
+        {
+            if: { required: ['action'], properties: { action: { const: 'remove_body' } } },
+            then: { required: ['id'] }
+        },
+        {
+            if: { required: ['action'], properties: { action: { const: 'detach_constraint' } } },
+            then: { required: ['constraintId'] }
+        },
+        {
+            if: { required: ['action'], properties: { action: { const: 'set_static' } } },
+            then: { required: ['id', 'value'], properties: { value: { type: 'boolean' } } }
+        },
+        {
+            if: { required: ['action'], properties: { action: { const: 'swap_material' } } },
+            then: { required: ['id', 'material'] }
+        }
+    ]
+};
+const EVENT_RULE_SCHEMA = {
+    type: 'object',
+    required: ['when', 'do', 'once'],
+    properties: {
+        when: {
+            type: 'object',
+            required: ['on'],
+            properties: {
+                on: { enum: ['collisionStart', 'collisionActive', 'time', 'position', 'velocity'] },
+                a: { type: 'string', minLength: 1 },
+                b: { type: 'string', minLength: 1 },
+                t: { type: 'number', minimum: 0 },
+                region: {
+                    type: 'object',
+                    required: ['min', 'max'],
+                    properties: { min: VEC2, max: VEC2 }
+                },
+                x: { type: 'number' },
+                y: { type: 'number' },
+                component: { enum: ['x', 'y'] },
+                above: { type: 'number' },
+                below: { type: 'number' }
+            },
+            allOf: [
+                {
+                    if: { required: ['on'], properties: { on: { enum: ['collisionStart', 'collisionActive'] } } },
+                    then: { required: ['a', 'b'] }
+                },
+                {
+                    if: { required: ['on'], properties: { on: { const: 'time' } } },
+                    then: { required: ['t'] }
+                },
+                {
+                    if: { required: ['on'], properties: { on: { const: 'position' } } },
+                    then: { required: ['a'], anyOf: [{ required: ['region'] }, { required: ['x'] }, { required: ['y'] }] }
+                },
+                {
+                    if: { required: ['on'], properties: { on: { const: 'velocity' } } },
+                    then: { required: ['a'], anyOf: [{ required: ['above'] }, { required: ['below'] }] }
+                }
+            ]
+        },
+        do: { type: 'array', items: ACTION_SCHEMA, minItems: 1 },
+        once: { type: 'boolean' }
+    }
+};
+// 终止条件；any / all 通过 $ref 递归引用自身
+const STOP_CONDITION_SCHEMA = {
+    type: 'object',
+    required: ['type'],
+    properties: {
+        type: {
+            enum: [
+                'speedBelow', 'positionReached', 'collisionOnce', 'allBodiesAtRest',
+                'eventOccurred', 'timeAfterEvent', 'leftBounds', 'any', 'all'
+            ]
+        },
+        id: { type: 'string', minLength: 1 },
+        v: { type: 'number', minimum: 0 },
+        hold: { type: 'number', minimum: 0 },
+        x: { type: 'number' },
+        y: { type: 'number' },
+        tol: { type: 'number', exclusiveMinimum: 0 },
+        with: { type: 'string', minLength: 1 },
+        event: { type: 'string', minLength: 1 },
+        delay: { type: 'number', minimum: 0 },
+        conditions: { type: 'array', items: { $ref: '#/definitions/stopCondition' }, minItems: 1 }
+    },
+    allOf: [
+        {
+            if: { required: ['type'], properties: { type: { enum: ['speedBelow', 'collisionOnce'] } } },
+            then: { required: ['id'] }
+        },
+        {
+            if: { required: ['type'], properties: { type: { const: 'positionReached' } } },
+            then: { required: ['id'], anyOf: [{ required: ['x'] }, { required: ['y'] }] }
+        },
+        {
+            if: { required: ['type'], properties: { type: { const: 'eventOccurred' } } },
+            then: { required: ['event'] }
+        },
+        {
+            if: { required: ['type'], properties: { type: { const: 'timeAfterEvent' } } },
+            then: { required: ['event', 'delay'] }
+        },
+        {
+            if: { required: ['type'], properties: { type: { enum: ['any', 'all'] } } },
+            then: { required: ['conditions'] }
+        }
+    ]
+};
+const END_CONDITIONS_SCHEMA = {
+    type: 'object',
+    required: ['maxTime', 'stopWhen'],
+    properties: {
+        maxTime: { type: 'number', exclusiveMinimum: 0 },
+        stopWhen: { type: 'array', items: { $ref: '#/definitions/stopCondition' } }
+    }
+};
+/**
+ * 六键 PhysicsContract 的完整 Schema
+ */
+exports.PHYSICS_CONTRACT_SCHEMA = {
+    type: 'object',
+    required: ['world', 'engine', 'bodies', 'constraints', 'event_rules', 'end_conditions'],
+    additionalProperties: false,
+    definitions: {
+        stopCondition: STOP_CONDITION_SCHEMA
+    },
+    properties: {
+        world: WORLD_SCHEMA,
+        engine: ENGINE_SCHEMA,
+        bodies: { type: 'array', items: BODY_SCHEMA, minItems: 1 },
+        constraints: { type: 'array', items: CONSTRAINT_SCHEMA },
+        event_rules: { type: 'array', items: EVENT_RULE_SCHEMA },
+        end_conditions: END_CONDITIONS_SCHEMA
+    }
+};
+exports.default = exports.PHYSICS_CONTRACT_SCHEMA;
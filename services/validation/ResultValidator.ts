@@ -0,0 +1,595 @@
+/**
+ * 仿真结果校验（Post-Sim Gate）
+ *
+ * 功能：
+ * 1. 快速检查：状态出现 NaN / Infinity、刚体穿出边界墙、无外界做功时机械能凭空增加
+ * 2. 识别契约中有解析解的情景：抛体（落地时刻、水平射程、最大上升高度）、
+ *    无重力一维正碰（碰后速度，合并规则按完全非弹性）、单弹簧振子（周期）
+ * 3. 由 AnalyticSolver 给出预测值，与仿真轨迹比对，逐项评分并汇总为 0~1 的总分
+ * 4. 任一量超出容差或快速检查出现 error 时不通过，附带可读的原因；assert 抛出 ResultValidationError，
+ *    流水线对将要渲染的同一份轨迹调用，据此拒绝生成误导性的视频
+ *
+ * 受其他规则、约束扰动的刚体不做解析比对；没有可比对的量时只做快速检查。
+ */
+
+import type { PhysicsContract } from '../matter_adapter/Adapter';
+import type { SimulationData, SimulationFrame } from '../simulation/SimulationCore';
+import { solveAnalytic } from '../simulation/AnalyticSolver';
+import { bodyPolygon } from './GeometryAnalyzer';
+
+type Vec2 = [number, number];
+type ContractBody = PhysicsContract['bodies'][number];
+type ContractRule = PhysicsContract['event_rules'][number];
+
+export type ResultQuantity =
+  | 'landing_time'
+  | 'range'
+  | 'max_height'
+  | 'post_collision_velocity'
+  | 'oscillation_period';
+
+export type ResultIssueCode = 'non_finite_state' | 'left_bounds' | 'energy_created' | 'analytic_mismatch' | 'no_reference';
+
+// 一项解析比对
+export interface QuantityCheck {
+  quantity: ResultQuantity;
+  bodies: string[];
+  unit: 's' | 'm' | 'm/s';
+  measured: number;
+  predicted: number;
+  error: number;       // 相对误差（已扣除采样 / 碰撞检测的时间分辨率）
+  tolerance: number;   // 允许的相对误差
+  score: number;       // 1 − error / (2·tolerance)，截断到 [0, 1]
+  passed: boolean;
+  message: string;
+}
+
+export interface ResultIssue {
+  code: ResultIssueCode;
+  severity: 'error' | 'warning' | 'info';
+  bodies: string[];
+  message: string;
+}
+
+// 校验结果（errors / warnings 为可直接展示的说明）
+export interface ResultValidation {
+  success: boolean;
+  score: number;
+  checks: QuantityCheck[];
+  issues: ResultIssue[];
+  errors: string[];
+  warnings: string[];
+}
+
+/**
+ * Post-Sim Gate 未通过（由 ResultValidator.assert 抛出，附带完整的校验结果）
+ */
+export class ResultValidationError extends Error {
+  readonly validation: ResultValidation;
+
+  constructor(validation: ResultValidation) {
+    super(`Post-Sim Gate failed (score ${validation.score.toFixed(2)}): ${validation.errors.join('; ')}`);
+    this.name = 'ResultValidationError';
+    this.validation = validation;
+  }
+}
+
+export interface ResultValidatorOptions {
+  tolerances?: Partial<Record<ResultQuantity, number>>;
+  energyWarning?: number;   // 机械能增加超过峰值能量的此比例时警告
+  energyError?: number;     // 超过此比例时判为错误
+}
+
+const DEFAULT_TOLERANCES: Record<ResultQuantity, number> = {
+  landing_time: 0.02,
+  range: 0.02,
+  max_height: 0.02,
+  post_collision_velocity: 0.1,   // Matter.js 的弹性碰撞约有 5% 的冲量损失
+  oscillation_period: 0.02
+};
+
+const DEFAULT_OPTIONS = {
+  energyWarning: 0.03,
+  energyError: 0.1
+};
+
+// 边界墙厚 0.1 m，质心越出边界超过此距离视为穿墙
+const ESCAPE_MARGIN = 0.1;
+
+// 碰撞结算后取速度前等待的物理步数
+const SETTLE_STEPS = 3;
+
+// 速度方向共线判定
+const COLLINEAR_TOLERANCE = 1e-3;
+
+// Matter.js 默认密度（质量单位 / 世界单位²）
+const MATTER_DEFAULT_DENSITY = 0.001;
+
+const QUANTITY_LABELS: Record<ResultQuantity, string> = {
+  landing_time: 'Landing time',
+  range: 'Range',
+  max_height: 'Max height',
+  post_collision_velocity: 'Post-collision velocity',
+  oscillation_period: 'Oscillation period'
+};
+
+// —— 向量工具 ——
+const sub = (a: Vec2, b: Vec2): Vec2 => [a[0] - b[0], a[1] - b[1]];
+const dot = (a: Vec2, b: Vec2): number => a[0] * b[0] + a[1] * b[1];
+const cross = (a: Vec2, b: Vec2): number => a[0] * b[1] - a[1] * b[0];
+const length = (a: Vec2): number => Math.hypot(a[0], a[1]);
+const rotate = (a: Vec2, angle: number): Vec2 => {
+  const c = Math.cos(angle), s = Math.sin(angle);
+  return [a[0] * c - a[1] * s, a[0] * s + a[1] * c];
+};
+
+// 刚体在规则中的初速度与是否受到其他扰动
+interface BodyRuleUsage {
+  velocity: Vec2;
+  launchTime: number;                     // 初速度生效时刻（s）
+  disturbed: boolean;                     // 受 set_velocity 以外的动作影响
+  mergeRules: Array<{ rule: ContractRule; newId: string; ids: string[] }>;
+}
+
+/**
+ * 仿真结果校验器
+ */
+export class ResultValidator {
+  private tolerances: Record<ResultQuantity, number>;
+  private options: typeof DEFAULT_OPTIONS;
+
+  constructor(options: ResultValidatorOptions = {}) {
+    this.tolerances = { ...DEFAULT_TOLERANCES, ...options.tolerances };
+    this.options = {
+      energyWarning: options.energyWarning ?? DEFAULT_OPTIONS.energyWarning,
+      energyError: options.energyError ?? DEFAULT_OPTIONS.energyError
+    };
+  }
+
+  /**
+   * 快速检查（不做解析比对）
+   */
+  quickCheck(trace: SimulationData, contract: PhysicsContract): ResultValidation {
+    return this.summarize([], this.sanityIssues(trace, contract));
+  }
+
+  /**
+   * 完整的 Post-Sim Gate：快速检查 + 解析比对
+   */
+  acceptance(trace: SimulationData, contract: PhysicsContract): ResultValidation {
+    const issues = this.sanityIssues(trace, contract);
+    if (issues.some(issue => issue.code === 'non_finite_state')) {
+      return this.summarize([], issues);
+    }
+
+    const checks = [
+      ...this.projectileChecks(trace, contract),
+      ...this.collisionChecks(trace, contract),
+      ...this.oscillationChecks(trace, contract)
+    ];
+    if (checks.length === 0) {
+      issues.push({
+        code: 'no_reference',
+        severity: 'info',
+        bodies: [],
+        message: 'No analytic reference applies to this contract; only sanity checks were run'
+      });
+    }
+    return this.summarize(checks, issues);
+  }
+
+  /**
+   * 硬门禁：对将要渲染的同一份轨迹做完整校验，未通过时抛出 ResultValidationError
+   */
+  assert(trace: SimulationData, contract: PhysicsContract): ResultValidation {
+    const validation = this.acceptance(trace, contract);
+    if (!validation.success) {
+      throw new ResultValidationError(validation);
+    }
+    return validation;
+  }
+
+  // ---------- 快速检查 ----------
+
+  private sanityIssues(trace: SimulationData, contract: PhysicsContract): ResultIssue[] {
+    const issues: ResultIssue[] = [];
+
+    // 数值发散
+    const broken = new Set<string>();
+    for (const frame of trace.frames) {
+      for (const body of frame.bodies) {
+        const values = [...body.position, ...body.velocity, body.angle, body.angularVelocity];
+        if (!values.every(Number.isFinite)) broken.add(body.id);
+      }
+    }
+    if (broken.size > 0) {
+      issues.push({
+        code: 'non_finite_state',
+        severity: 'error',
+        bodies: Array.from(broken),
+        message: `Simulation diverged: non-finite position or velocity for ${Array.from(broken).join(', ')}`
+      });
+      return issues;
+    }
+
+    // 穿墙：有 leftBounds 终止条件时视为预期
+    const { min, max } = contract.world.bounds;
+    const expectsExit = JSON.stringify(contract.end_conditions.stopWhen).includes('"leftBounds"');
+    const escaped = new Map<string, number>();
+    for (const frame of trace.frames) {
+      for (const body of frame.bodies) {
+        const [x, y] = body.position;
+        if (x < min[0] - ESCAPE_MARGIN || x > max[0] + ESCAPE_MARGIN || y < min[1] - ESCAPE_MARGIN || y > max[1] + ESCAPE_MARGIN) {
+          if (!escaped.has(body.id)) escaped.set(body.id, frame.timestamp);
+        }
+      }
+    }
+    for (const [id, time] of escaped) {
+      issues.push({
+        code: 'left_bounds',
+        severity: expectsExit ? 'warning' : 'error',
+        bodies: [id],
+        message: `${id} passed through the world boundary at t = ${time.toFixed(3)} s`
+      });
+    }
+
+    // 机械能凭空增加（耗散功为负）
+    const samples = trace.physicsMetrics.energy || [];
+    const peak = Math.max(0, ...samples.map(sample => sample.kinetic + sample.rotational + sample.elastic));
+    if (peak > 0) {
+      const worst = samples.reduce((a, b) => (b.dissipated < a.dissipated ? b : a));
+      const created = -worst.dissipated / peak;
+      if (created > this.options.energyWarning) {
+        issues.push({
+          code: 'energy_created',
+          severity: created > this.options.energyError ? 'error' : 'warning',
+          bodies: [],
+          message: `Mechanical energy grew by ${(-worst.dissipated).toFixed(4)} J (${(created * 100).toFixed(1)}% of peak) without external work by t = ${worst.time.toFixed(3)} s`
+        });
+      }
+    }
+    return issues;
+  }
+
+  // ---------- 抛体 ----------
+
+  private projectileChecks(trace: SimulationData, contract: PhysicsContract): QuantityCheck[] {
+    const gravity = contract.world.gravity;
+    if (length(gravity) === 0) return [];
+
+    const checks: QuantityCheck[] = [];
+    const stepSeconds = trace.timing.stepMs / 1000;
+    const frameSeconds = 1 / trace.timing.recordRate;
+
+    for (const body of contract.bodies) {
+      if (body.isStatic || this.isConstrained(contract, body.id)) continue;
+      const usage = this.ruleUsage(contract, body.id, stepSeconds);
+      if (usage.disturbed || usage.mergeRules.length > 0) continue;
+
+      const [vx, vy] = usage.velocity;
+      const [x0, y0] = body.position;
+      const hit = trace.events.find(event => event.type === 'collision' && event.participants.includes(body.id));
+      const hitTime = hit ? hit.timestamp / 1000 : null;
+      const groundY = hit ? this.landingCenterY(contract, body, hit.participants.find(id => id !== body.id)!) : null;
+
+      // 落地时刻与射程
+      if (hitTime !== null && groundY !== null) {
+        const reference = solveAnalytic({ type: 'projectile', id: body.id, position: [x0, y0], velocity: [vx, vy], gravity, groundY });
+        if (reference.success && reference.data!.finalState.endReason.endsWith('landing')) {
+          const flight = reference.data!.finalState.totalTime;
+          const landingX = reference.data!.finalState.bodies[0].position[0];
+          checks.push(this.compare('landing_time', [body.id], 's', hitTime, usage.launchTime + flight, flight, 2 * stepSeconds));
+
+          const measuredX = this.stateAt(trace.frames, body.id, hitTime);
+          if (measuredX && Math.abs(landingX - x0) > 1e-9) {
+            checks.push(this.compare('range', [body.id], 'm', measuredX.position[0] - x0, landingX - x0, Math.abs(landingX - x0), 2 * Math.abs(vx) * stepSeconds));
+          }
+        }
+      }
+
+      // 最大上升高度（顶点须在首次碰撞前出现）
+      const gy = gravity[1];
+      if (vy * gy < 0) {
+        const apexTime = usage.launchTime - vy / gy;
+        const horizon = hitTime ?? trace.finalState.totalTime;
+        if (apexTime < horizon) {
+          const rise = vy ** 2 / (2 * Math.abs(gy));
+          // 高度沿重力反方向计
+          const heights = trace.frames
+            .filter(frame => frame.timestamp <= horizon)
+            .map(frame => frame.bodies.find(item => item.id === body.id)?.position[1])
+            .filter((y): y is number => y !== undefined)
+            .map(y => -Math.sign(gy) * (y - y0));
+          const measured = Math.max(...heights);
+          checks.push(this.compare('max_height', [body.id], 'm', measured, rise, rise, 0.5 * Math.abs(gy) * frameSeconds ** 2));
+        }
+      }
+    }
+    return checks;
+  }
+
+  /**
+   * 落在静态平顶刚体或底墙上时质心的高度；其他情况返回 null
+   */
+  private landingCenterY(contract: PhysicsContract, body: ContractBody, otherId: string): number | null {
+    const polygon = bodyPolygon(body);
+    const bottomOffset = Math.max(...polygon.map(vertex => vertex[1])) - body.position[1];
+
+    if (otherId === 'wall_bottom') {
+      return contract.world.bounds.max[1] - bottomOffset;
+    }
+    const ground = contract.bodies.find(item => item.id === otherId);
+    if (!ground || !ground.isStatic) return null;
+
+    // 顶面须水平：最高处至少有两个顶点（圆不满足）
+    const vertices = ground.shape === 'circle' ? [] : bodyPolygon(ground);
+    const top = Math.min(...vertices.map(vertex => vertex[1]));
+    if (vertices.filter(vertex => Math.abs(vertex[1] - top) < 1e-9).length < 2) return null;
+    return top - bottomOffset;
+  }
+
+  // ---------- 一维碰撞 ----------
+
+  private collisionChecks(trace: SimulationData, contract: PhysicsContract): QuantityCheck[] {
+    if (length(contract.world.gravity) > 0) return [];
+
+    const checks: QuantityCheck[] = [];
+    const stepSeconds = trace.timing.stepMs / 1000;
+    const dynamic = new Map(contract.bodies.filter(body => !body.isStatic).map(body => [body.id, body]));
+    const seen = new Set<string>();
+
+    for (const event of trace.events) {
+      if (event.type !== 'collision') continue;
+      const [idA, idB] = event.participants;
+      const firstContact = !seen.has(idA) && !seen.has(idB);
+      event.participants.forEach(id => seen.add(id));
+
+      const bodyA = dynamic.get(idA);
+      const bodyB = dynamic.get(idB);
+      if (!firstContact || !bodyA || !bodyB) continue;
+      if (this.isConstrained(contract, idA) || this.isConstrained(contract, idB)) continue;
+
+      const usageA = this.ruleUsage(contract, idA, stepSeconds);
+      const usageB = this.ruleUsage(contract, idB, stepSeconds);
+      if (usageA.disturbed || usageB.disturbed) continue;
+
+      // 合并规则：碰撞双方恰为合并对象时按完全非弹性碰撞
+      const merge = usageA.mergeRules.find(item =>
+        item.ids.includes(idB) && item.rule.when.on === 'collisionStart' &&
+        [item.rule.when.a, item.rule.when.b].sort().join() === [idA, idB].sort().join());
+      if ((usageA.mergeRules.length > 0 || usageB.mergeRules.length > 0) && !merge) continue;
+
+      // 正碰：初速度沿初始连心线（无重力时两者沿该线运动）
+      const time = event.timestamp / 1000;
+      const line = sub(bodyB.position, bodyA.position);
+      const distance = length(line);
+      if (distance === 0) continue;
+      const normal: Vec2 = [line[0] / distance, line[1] / distance];
+      const collinear = (v: Vec2) => Math.abs(cross(v, normal)) <= COLLINEAR_TOLERANCE * Math.max(1, length(v));
+      if (!collinear(usageA.velocity) || !collinear(usageB.velocity)) continue;
+
+      const u1 = dot(usageA.velocity, normal);
+      const u2 = dot(usageB.velocity, normal);
+      const approach = u1 - u2;
+      if (approach <= 0) continue;
+
+      const restitution = merge ? 0 : Math.max(bodyA.restitution, bodyB.restitution);
+      const reference = solveAnalytic({
+        type: 'collision_1d',
+        restitution,
+        bodies: [
+          { id: idA, mass: this.bodyMass(bodyA, trace), position: [0, 0], velocity: u1 },
+          { id: idB, mass: this.bodyMass(bodyB, trace), position: [1, 0], velocity: u2 }
+        ]
+      });
+      if (!reference.success) continue;
+      const [afterA, afterB] = reference.data!.finalState.bodies;
+
+      // 碰撞结算后的速度；合并后两者取复合体速度
+      const settled = time + SETTLE_STEPS * stepSeconds;
+      const measuredA = this.stateAt(trace.frames, merge ? merge.newId : idA, settled, true);
+      const measuredB = this.stateAt(trace.frames, merge ? merge.newId : idB, settled, true);
+      if (!measuredA || !measuredB) continue;
+
+      checks.push(this.compare('post_collision_velocity', [idA], 'm/s', dot(measuredA.velocity, normal), afterA.velocity[0], approach, 0));
+      checks.push(this.compare('post_collision_velocity', [idB], 'm/s', dot(measuredB.velocity, normal), afterB.velocity[0], approach, 0));
+    }
+    return checks;
+  }
+
+  // ---------- 弹簧振子 ----------
+
+  private oscillationChecks(trace: SimulationData, contract: PhysicsContract): QuantityCheck[] {
+    const checks: QuantityCheck[] = [];
+    const stepSeconds = trace.timing.stepMs / 1000;
+    const bodies = new Map(contract.bodies.map(body => [body.id, body]));
+
+    for (const spring of contract.constraints) {
+      if (spring.type !== 'spring' || spring.k === undefined) continue;
+
+      // 一端固定（世界点或静态体），另一端为动态体质心
+      const ends = [spring.a, spring.b];
+      const moving = ends.find(end => end.body && !bodies.get(end.body)?.isStatic);
+      const fixed = ends.find(end => end !== moving);
+      if (!moving || !fixed || (moving.point && length(moving.point) > 0)) continue;
+
+      const body = bodies.get(moving.body!)!;
+      const anchor = this.anchorPoint(fixed, bodies);
+      if (!anchor) continue;
+      if (contract.constraints.filter(item => item.a.body === body.id || item.b.body === body.id).length !== 1) continue;
+
+      const usage = this.ruleUsage(contract, body.id, stepSeconds);
+      if (usage.disturbed || usage.mergeRules.length > 0) continue;
+
+      // 运动须沿弹簧轴：重力与初速度均不能有垂直分量
+      const offset = sub(body.position, anchor);
+      const distance = length(offset);
+      if (distance === 0) continue;
+      const axis: Vec2 = [offset[0] / distance, offset[1] / distance];
+      const gravity = contract.world.gravity;
+      if (Math.abs(cross(gravity, axis)) > COLLINEAR_TOLERANCE * Math.max(1, length(gravity))) continue;
+      if (Math.abs(cross(usage.velocity, axis)) > COLLINEAR_TOLERANCE * Math.max(1, length(usage.velocity))) continue;
+
+      const mass = this.bodyMass(body, trace);
+      const k = spring.k;
+      const c = spring.c ?? 0;
+      const omega0 = Math.sqrt(k / mass);
+      const zeta = c / (2 * Math.sqrt(k * mass));
+      if (zeta >= 1) continue;
+      const period = 2 * Math.PI / (omega0 * Math.sqrt(1 - zeta ** 2));
+
+      // 平衡位置 s = L + m·(g·axis)/k，取位移向上穿过平衡位置的时刻
+      const rest = spring.length ?? distance;
+      const equilibrium = rest + mass * dot(gravity, axis) / k;
+      const crossings: number[] = [];
+      let previous: { t: number; s: number } | null = null;
+      for (const frame of trace.frames) {
+        const state = frame.bodies.find(item => item.id === body.id);
+        if (!state) continue;
+        const s = dot(sub(state.position, anchor), axis) - equilibrium;
+        if (previous && previous.s < 0 && s >= 0) {
+          crossings.push(previous.t + (frame.timestamp - previous.t) * (-previous.s / (s - previous.s)));
+        }
+        previous = { t: frame.timestamp, s };
+      }
+      if (crossings.length < 2) continue;
+
+      const measured = (crossings[crossings.length - 1] - crossings[0]) / (crossings.length - 1);
+      checks.push(this.compare('oscillation_period', [body.id], 's', measured, period, period, 0));
+    }
+    return checks;
+  }
+
+  private anchorPoint(end: PhysicsContract['constraints'][number]['a'], bodies: Map<string, ContractBody>): Vec2 | null {
+    if (!end.body) return end.point ? [end.point[0], end.point[1]] : null;
+    const body = bodies.get(end.body);
+    if (!body) return null;
+    const local = rotate(end.point || [0, 0], body.angle || 0);
+    return [body.position[0] + local[0], body.position[1] + local[1]];
+  }
+
+  // ---------- 工具 ----------
+
+  /**
+   * 规则对刚体的作用：t = 0 的 set_velocity 视为初速度，合并规则单独列出，其余动作视为扰动
+   */
+  private ruleUsage(contract: PhysicsContract, id: string, stepSeconds: number): BodyRuleUsage {
+    const usage: BodyRuleUsage = { velocity: [0, 0], launchTime: 0, disturbed: false, mergeRules: [] };
+
+    for (const rule of contract.event_rules) {
+      for (const action of rule.do) {
+        const targets = action.ids ?? (action.id ? [action.id] : []);
+        if (action.action === 'attach_constraint') {
+          targets.push(action.constraint?.a?.body, action.constraint?.b?.body);
+        }
+        if (!targets.includes(id)) continue;
+
+        if (action.action === 'set_velocity' && rule.when.on === 'time' && (rule.when.t ?? 0) <= 0 && action.velocity) {
+          usage.velocity = [action.velocity[0], action.velocity[1]];
+          // 时间触发在第一个物理步结束时执行
+          usage.launchTime = stepSeconds;
+        } else if (action.action === 'merge_bodies' && action.newId) {
+          usage.mergeRules.push({ rule, newId: action.newId, ids: action.ids || [] });
+        } else {
+          usage.disturbed = true;
+        }
+      }
+    }
+    return usage;
+  }
+
+  private isConstrained(contract: PhysicsContract, id: string): boolean {
+    return contract.constraints.some(constraint => constraint.a.body === id || constraint.b.body === id);
+  }
+
+  /**
+   * 刚体质量（kg）：mass 优先，其次密度 × 面积，缺省按 Matter.js 默认密度换算
+   */
+  private bodyMass(body: ContractBody, trace: SimulationData): number {
+    if (body.mass !== undefined && body.mass > 0) return body.mass;
+    const { length: lengthScale, mass: massScale } = trace.trace.engine.scale;
+    const density = body.density || MATTER_DEFAULT_DENSITY * lengthScale ** 2 / massScale;
+    const area = body.shape === 'circle'
+      ? Math.PI * body.r! ** 2
+      : Math.abs(bodyPolygon(body).reduce((sum, vertex, i, vertices) => sum + cross(vertex, vertices[(i + 1) % vertices.length]), 0)) / 2;
+    return density * area;
+  }
+
+  /**
+   * 某时刻的刚体状态（相邻帧线性插值）；atOrAfter 时取该时刻之后的第一帧
+   */
+  private stateAt(frames: SimulationFrame[], id: string, time: number, atOrAfter: boolean = false): { position: Vec2; velocity: Vec2 } | null {
+    const index = frames.findIndex(frame => frame.timestamp >= time - 1e-9);
+    if (index < 0) {
+      // 晚于最后一帧时取最后一帧
+      const last = frames[frames.length - 1]?.bodies.find(body => body.id === id);
+      return atOrAfter && last ? { position: last.position, velocity: last.velocity } : null;
+    }
+    const after = frames[index].bodies.find(body => body.id === id);
+    if (!after) return null;
+    if (atOrAfter || index === 0) return { position: after.position, velocity: after.velocity };
+
+    const before = frames[index - 1].bodies.find(body => body.id === id);
+    if (!before) return { position: after.position, velocity: after.velocity };
+    const span = frames[index].timestamp - frames[index - 1].timestamp;
+    const w = span > 0 ? (time - frames[index - 1].timestamp) / span : 1;
+    const lerp = (a: Vec2, b: Vec2): Vec2 => [a[0] + (b[0] - a[0]) * w, a[1] + (b[1] - a[1]) * w];
+    return { position: lerp(before.position, after.position), velocity: lerp(before.velocity, after.velocity) };
+  }
+
+  /**
+   * 一项比对：误差 = max(0, |实测 − 预测| − 分辨率) / 参考量
+   */
+  private compare(
+    quantity: ResultQuantity,
+    bodies: string[],
+    unit: QuantityCheck['unit'],
+    measured: number,
+    predicted: number,
+    reference: number,
+    resolution: number
+  ): QuantityCheck {
+    const tolerance = this.tolerances[quantity];
+    const error = reference > 0 ? Math.max(0, Math.abs(measured - predicted) - resolution) / reference : 0;
+    const passed = error <= tolerance;
+    const score = Math.max(0, Math.min(1, 1 - error / (2 * tolerance)));
+    const percent = (value: number) => `${(value * 100).toFixed(1)}%`;
+    const message = `${QUANTITY_LABELS[quantity]} of ${bodies.join(', ')}: simulated ${measured.toFixed(4)} ${unit} vs analytic ${predicted.toFixed(4)} ${unit} ` +
+      `(error ${percent(error)} ${passed ? '≤' : '>'} tolerance ${percent(tolerance)})`;
+    return { quantity, bodies, unit, measured, predicted, error, tolerance, score, passed, message };
+  }
+
+  /**
+   * 汇总：总分为各项比对得分的平均，出现 error 级问题时为 0
+   */
+  private summarize(checks: QuantityCheck[], issues: ResultIssue[]): ResultValidation {
+    for (const check of checks) {
+      if (!check.passed) {
+        issues.push({ code: 'analytic_mismatch', severity: 'error', bodies: check.bodies, message: check.message });
+      }
+    }
+
+    const fatal = issues.some(issue => issue.severity === 'error' && issue.code !== 'analytic_mismatch');
+    const score = fatal ? 0 : checks.length > 0 ? checks.reduce((sum, check) => sum + check.score, 0) / checks.length : 1;
+
+    return {
+      success: !issues.some(issue => issue.severity === 'error'),
+      score,
+      checks,
+      issues,
+      errors: issues.filter(issue => issue.severity === 'error').map(issue => issue.message),
+      warnings: issues.filter(issue => issue.severity === 'warning').map(issue => issue.message)
+    };
+  }
+}
+
+/**
+ * 导出结果校验便捷函数
+ */
+export function validateSimulationResult(
+  trace: SimulationData,
+  contract: PhysicsContract,
+  options: ResultValidatorOptions = {}
+): ResultValidation {
+  return new ResultValidator(options).acceptance(trace, contract);
+}
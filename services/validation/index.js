@@ -0,0 +1,29 @@
+"use strict";
+/**
+ * 契约校验模块入口
+ *
+ * 导出 PhysicsContract 的 Schema、预仿真校验器、几何分析器与仿真结果校验器
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.default = exports.PHYSICS_CONTRACT_SCHEMA = exports.validateSimulationResult = exports.ResultValidationError = exports.ResultValidator = exports.bodyPolygon = exports.bodyShape = exports.analyzeContractGeometry = exports.GeometryAnalyzer = exports.checkContractSemantics = exports.ContractSemanticChecker = exports.validatePhysicsContract = exports.ContractValidationError = exports.ContractValidator = void 0;
+var ContractValidator_1 = require("./ContractValidator");
+Object.defineProperty(exports, "ContractValidator", { enumerable: true, get: function () { return ContractValidator_1.ContractValidator; } });
+Object.defineProperty(exports, "ContractValidationError", { enumerable: true, get: function () { return ContractValidator_1.ContractValidationError; } });
+Object.defineProperty(exports, "validatePhysicsContract", { enumerable: true, get: function () { return ContractValidator_1.validatePhysicsContract; } });
+var ContractSemanticChecker_1 = require("./ContractSemanticChecker");
+Object.defineProperty(exports, "ContractSemanticChecker", { enumerable: true, get: function () { return ContractSemanticChecker_1.ContractSemanticChecker; } });
+Object.defineProperty(exports, "checkContractSemantics", { enumerable: true, get: function () { return ContractSemanticChecker_1.checkContractSemantics; } });
+var GeometryAnalyzer_1 = require("./GeometryAnalyzer");
+Object.defineProperty(exports, "GeometryAnalyzer", { enumerable: true, get: function () { return GeometryAnalyzer_1.GeometryAnalyzer; } });
+Object.defineProperty(exports, "analyzeContractGeometry", { enumerable: true, get: function () { return GeometryAnalyzer_1.analyzeContractGeometry; } });
+Object.defineProperty(exports, "bodyShape", { enumerable: true, get: function () { return GeometryAnalyzer_1.bodyShape; } });
+Object.defineProperty(exports, "bodyPolygon", { enumerable: true, get: function () { return GeometryAnalyzer_1.bodyPolygon; } });
+var ResultValidator_1 = require("./ResultValidator");
+Object.defineProperty(exports, "ResultValidator", { enumerable: true, get: function () { return ResultValidator_1.ResultValidator; } });
+Object.defineProperty(exports, "ResultValidationError", { enumerable: true, get: function () { return ResultValidator_1.ResultValidationError; } });
+Object.defineProperty(exports, "validateSimulationResult", { enumerable: true, get: function () { return ResultValidator_1.validateSimulationResult; } });
+var PhysicsContractSchema_1 = require("./PhysicsContractSchema");
+Object.defineProperty(exports, "PHYSICS_CONTRACT_SCHEMA", { enumerable: true, get: function () { return PhysicsContractSchema_1.PHYSICS_CONTRACT_SCHEMA; } });
+// 默认导出校验器类
+var ContractValidator_2 = require("./ContractValidator");
+Object.defineProperty(exports, "default", { enumerable: true, get: function () { return ContractValidator_2.ContractValidator; } });
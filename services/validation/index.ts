@@ -0,0 +1,53 @@
+/**
+ * 契约校验模块入口
+ * 
+ * 导出 PhysicsContract 的 Schema、预仿真校验器、几何分析器与仿真结果校验器
+ */
+
+export {
+  ContractValidator,
+  ContractValidationError,
+  validatePhysicsContract,
+  type ContractIssue,
+  type ContractValidationResult
+} from './ContractValidator';
+
+export {
+  ContractSemanticChecker,
+  checkContractSemantics,
+  type SemanticDiagnostic,
+  type SemanticDiagnosticCode,
+  type SemanticCheckResult,
+  type ContractIdGraph,
+  type IdReference
+} from './ContractSemanticChecker';
+
+export {
+  GeometryAnalyzer,
+  analyzeContractGeometry,
+  bodyShape,
+  bodyPolygon,
+  type BodyShape,
+  type BodyMove,
+  type GeometryIssue,
+  type GeometryIssueCode,
+  type GeometryReport,
+  type GeometryAnalysisOptions
+} from './GeometryAnalyzer';
+
+export {
+  ResultValidator,
+  ResultValidationError,
+  validateSimulationResult,
+  type QuantityCheck,
+  type ResultQuantity,
+  type ResultIssue,
+  type ResultIssueCode,
+  type ResultValidation,
+  type ResultValidatorOptions
+} from './ResultValidator';
+
+export { PHYSICS_CONTRACT_SCHEMA } from './PhysicsContractSchema';
+
+// 默认导出校验器类
+export { ContractValidator as default } from './ContractValidator';